@@ -0,0 +1,32 @@
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using Microsoft.AspNetCore.Mvc;
+
+namespace InsightStream.Api.Controllers;
+
+[ApiController]
+[Route("api/models")]
+public sealed class ModelsController : ControllerBase
+{
+    private readonly IModelCatalogService _modelCatalog;
+    private readonly ILogger<ModelsController> _logger;
+
+    public ModelsController(IModelCatalogService modelCatalog, ILogger<ModelsController> logger)
+    {
+        _modelCatalog = modelCatalog;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    [ProducesResponseType<ModelCatalogResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
+    public ActionResult<ModelCatalogResponse> GetModels()
+    {
+        var catalog = _modelCatalog.GetCatalog();
+
+        _logger.LogDebug("Listing {ProviderCount} providers with {ModelCount} models",
+            catalog.Providers.Count, catalog.Providers.Sum(p => p.Models.Count));
+
+        return Ok(catalog);
+    }
+}
\ No newline at end of file
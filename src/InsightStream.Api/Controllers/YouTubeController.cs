@@ -1,6 +1,10 @@
 using System.Text.Json;
+using System.Threading.Channels;
 using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
 using InsightStream.Application.UseCases;
+using InsightStream.Domain.Constants;
+using InsightStream.Domain.Models;
 using Microsoft.AspNetCore.Mvc;
 using YoutubeExplode.Exceptions;
 
@@ -10,14 +14,27 @@ namespace InsightStream.Api.Controllers;
 [Route("api/youtube")]
 public sealed class YouTubeController : ControllerBase
 {
+    private static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web);
+
+    // Names of the events in a streamed analysis
+    private const string AnalysisProgressEvent = "progress";
+    private const string AnalysisResultEvent = "result";
+    private const string AnalysisErrorEvent = "error";
+
     private readonly ProcessYouTubeRequestUseCase _useCase;
+    private readonly ResolvePlaylistUseCase _playlistUseCase;
+    private readonly IAnswerStreamRegistry _answerStreams;
     private readonly ILogger<YouTubeController> _logger;
 
     public YouTubeController(
         ProcessYouTubeRequestUseCase useCase,
+        ResolvePlaylistUseCase playlistUseCase,
+        IAnswerStreamRegistry answerStreams,
         ILogger<YouTubeController> logger)
     {
         _useCase = useCase;
+        _playlistUseCase = playlistUseCase;
+        _answerStreams = answerStreams;
         _logger = logger;
     }
 
@@ -33,7 +50,7 @@ public sealed class YouTubeController : ControllerBase
 
         try
         {
-            var response = await _useCase.AnalyzeVideoAsync(request, cancellationToken);
+            var response = await _useCase.AnalyzeVideoAsync(request, null, cancellationToken);
             
             _logger.LogInformation("Video analysis completed successfully for VideoId: {VideoId}", response.VideoId);
             
@@ -77,67 +94,568 @@ public sealed class YouTubeController : ControllerBase
         }
     }
 
+    [HttpPost("analyze/stream")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public async Task AnalyzeVideoWithProgress(
+        [FromBody] AnalyzeRequest request,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing streamed video analysis request for URL: {VideoUrl}", request.VideoUrl);
+
+        // Set response headers for SSE
+        Response.ContentType = "text/event-stream";
+        Response.Headers.Append("Cache-Control", "no-cache");
+        Response.Headers.Append("Connection", "keep-alive");
+
+        // Progress is reported from inside the pipeline; the channel keeps the events in order
+        // and lets this request write them to the response one at a time
+        var updates = Channel.CreateUnbounded<AnalysisProgress>(new UnboundedChannelOptions { SingleReader = true });
+        var analysis = RunAnalysisAsync(request, updates.Writer, cancellationToken);
+        var stage = AnalysisConstants.MetadataStage;
+
+        try
+        {
+            await foreach (var update in updates.Reader.ReadAllAsync(cancellationToken))
+            {
+                stage = update.Stage;
+                await WriteEventAsync(null, AnalysisProgressEvent, update, cancellationToken);
+            }
+
+            var response = await analysis;
+            await WriteEventAsync(null, AnalysisResultEvent, response, cancellationToken);
+
+            _logger.LogInformation("Streamed video analysis completed successfully for VideoId: {VideoId}", response.VideoId);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // The client cancelled; the pipeline stops with the request
+            _logger.LogInformation("Client cancelled video analysis for URL: {VideoUrl} during stage {Stage}", request.VideoUrl, stage);
+            await ObserveAsync(analysis);
+        }
+        catch (Exception ex)
+        {
+            if (ex is VideoUnavailableException or InvalidOperationException or ArgumentException)
+            {
+                _logger.LogWarning(ex, "Video analysis failed for URL: {VideoUrl} during stage {Stage}", request.VideoUrl, stage);
+            }
+            else
+            {
+                _logger.LogError(ex, "Unexpected error analyzing URL: {VideoUrl} during stage {Stage}", request.VideoUrl, stage);
+            }
+
+            await WriteEventAsync(null, AnalysisErrorEvent, new { stage, message = ex.Message }, cancellationToken);
+        }
+    }
+
+    [HttpPost("playlist")]
+    [ProducesResponseType<PlaylistResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<PlaylistResponse>> ResolvePlaylist(
+        [FromBody] PlaylistRequest request,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing playlist request for URL: {PlaylistUrl}", request.PlaylistUrl);
+
+        try
+        {
+            var response = await _playlistUseCase.ResolveAsync(request, cancellationToken);
+            
+            _logger.LogInformation("Playlist resolved for PlaylistId: {PlaylistId} with {VideoCount} videos", 
+                response.PlaylistId, response.Videos.Count);
+            
+            return Ok(response);
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            _logger.LogWarning(ex, "Playlist could not be resolved for URL: {PlaylistUrl}", request.PlaylistUrl);
+            
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Playlist Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpGet("sessions")]
+    [ProducesResponseType<IReadOnlyList<SessionStatusResponse>>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<IReadOnlyList<SessionStatusResponse>>> GetSessionStatuses(
+        [FromQuery] string[]? videoIds,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing session status request for {VideoCount} videos", videoIds?.Length ?? 0);
+
+        try
+        {
+            return Ok(await _useCase.GetSessionStatusesAsync(videoIds, cancellationToken));
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            _logger.LogWarning(ex, "Invalid session status request");
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Session Status Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpGet("{videoId}/transcript")]
+    [ProducesResponseType<TranscriptResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<TranscriptResponse>> GetTranscript(
+        string videoId,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing transcript request for VideoId: {VideoId}", videoId);
+
+        try
+        {
+            var response = await _useCase.GetTranscriptAsync(videoId, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Transcript Not Available",
+                    Detail = "This video has not been analyzed, or its session has expired. Analyze it again to view the transcript.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogWarning(ex, "Invalid transcript request for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Transcript Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpGet("{videoId}/conversation")]
+    [ProducesResponseType<ConversationResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ConversationResponse>> GetConversation(
+        string videoId,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing conversation request for VideoId: {VideoId}", videoId);
+
+        try
+        {
+            var response = await _useCase.GetConversationAsync(videoId, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Conversation Not Available",
+                    Detail = "This video has not been analyzed, or its session has expired.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogWarning(ex, "Invalid conversation request for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Conversation Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpDelete("{videoId}/conversation")]
+    [ProducesResponseType<ConversationResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ConversationResponse>> ClearConversation(
+        string videoId,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing clear conversation request for VideoId: {VideoId}", videoId);
+
+        try
+        {
+            var response = await _useCase.ClearConversationAsync(videoId, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Conversation Not Cleared",
+                    Detail = "This video has not been analyzed, or its session has expired.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogWarning(ex, "Invalid clear conversation request for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Conversation Not Cleared",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpPost("{videoId}/conversation")]
+    [ProducesResponseType<ConversationResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ConversationResponse>> MergeConversation(
+        string videoId,
+        [FromBody] MergeConversationRequest request,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing merge conversation request for VideoId: {VideoId}", videoId);
+
+        try
+        {
+            var response = await _useCase.MergeConversationAsync(videoId, request, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Conversation Not Merged",
+                    Detail = "This video has not been analyzed, or its session has expired.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (InvalidOperationException ex)
+        {
+            _logger.LogWarning(ex, "Invalid merge conversation request for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Conversation Not Merged",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpPost("{videoId}/summaries")]
+    [ProducesResponseType<SummaryResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<SummaryResponse>> Resummarize(
+        string videoId,
+        [FromBody] SummarizeRequest request,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing summary request for VideoId: {VideoId}, Style: {Style}", videoId, request.Style);
+
+        try
+        {
+            var response = await _useCase.ResummarizeAsync(videoId, request, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Summary Not Available",
+                    Detail = "This video has not been analyzed, or its session has expired. Analyze it again to summarize it.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            _logger.LogWarning(ex, "Summary could not be generated for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Summary Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
+    [HttpPost("{videoId}/chapters/{chapterIndex:int}/summary")]
+    [ProducesResponseType<ChapterSummaryResponse>(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status404NotFound)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
+    public async Task<ActionResult<ChapterSummaryResponse>> SummarizeChapter(
+        string videoId,
+        int chapterIndex,
+        [FromBody] ChapterSummaryRequest request,
+        CancellationToken cancellationToken)
+    {
+        _logger.LogDebug("Processing chapter summary request for VideoId: {VideoId}, Chapter: {ChapterIndex}", videoId, chapterIndex);
+
+        try
+        {
+            var response = await _useCase.SummarizeChapterAsync(videoId, chapterIndex, request, cancellationToken);
+            if (response is null)
+            {
+                return NotFound(new ProblemDetails
+                {
+                    Status = StatusCodes.Status404NotFound,
+                    Title = "Chapter Not Available",
+                    Detail = "This video has not been analyzed, or its session has expired. Analyze it again to summarize its chapters.",
+                    Instance = HttpContext.Request.Path
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            _logger.LogWarning(ex, "Chapter summary could not be generated for VideoId: {VideoId}", videoId);
+
+            return BadRequest(new ProblemDetails
+            {
+                Status = StatusCodes.Status400BadRequest,
+                Title = "Chapter Not Available",
+                Detail = ex.Message,
+                Instance = HttpContext.Request.Path
+            });
+        }
+    }
+
     [HttpPost("ask")]
     [ProducesResponseType(StatusCodes.Status200OK)]
     [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
     [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
     public async Task AskQuestion(
         [FromBody] AskQuestionRequest request,
+        [FromHeader(Name = "Last-Event-ID")] string? lastEventId,
         CancellationToken cancellationToken)
     {
         _logger.LogDebug("Processing question request for VideoId: {VideoId}, Question: {Question}", 
             request.VideoId, request.Question);
 
+        await WriteAnswerStreamAsync(
+            lastEventId,
+            new[] { request.VideoId },
+            (services, token) => services.GetRequiredService<ProcessYouTubeRequestUseCase>().AskQuestionAsync(request, token),
+            cancellationToken);
+    }
+
+    [HttpPost("ask-across")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType<ProblemDetails>(StatusCodes.Status500InternalServerError)]
+    public async Task AskQuestionAcrossVideos(
+        [FromBody] AskAcrossVideosRequest request,
+        [FromHeader(Name = "Last-Event-ID")] string? lastEventId,
+        CancellationToken cancellationToken)
+    {
+        var videoIds = string.Join(", ", request.VideoIds ?? Array.Empty<string>());
+        _logger.LogDebug("Processing question request across VideoIds: {VideoIds}, Question: {Question}", 
+            videoIds, request.Question);
+
+        await WriteAnswerStreamAsync(
+            lastEventId,
+            ProcessYouTubeRequestUseCase.NormalizeVideoIds(request.VideoIds),
+            (services, token) => services.GetRequiredService<ProcessYouTubeRequestUseCase>().AskQuestionAcrossVideosAsync(request, token),
+            cancellationToken);
+    }
+
+    [HttpDelete("streams/{streamId}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public IActionResult CancelAnswerStream(string streamId)
+    {
+        // Stopping an answer is explicit; a dropped connection alone keeps it resumable for a while
+        return _answerStreams.Cancel(streamId) ? NoContent() : NotFound();
+    }
+
+    /// <summary>
+    /// Writes an answer as server-sent events. Each event has the ID "{streamId}:{sequence}";
+    /// a request carrying a Last-Event-ID resumes that stream after the given event instead of asking again.
+    /// </summary>
+    /// <param name="lastEventId">The Last-Event-ID header sent by a reconnecting client.</param>
+    /// <param name="videoIds">The IDs of the videos the answer cites, in citation-label order.</param>
+    /// <param name="producer">Produces the answer when a new stream is started.</param>
+    /// <param name="cancellationToken">Cancelled when the client disconnects.</param>
+    private async Task WriteAnswerStreamAsync(
+        string? lastEventId,
+        IReadOnlyList<string> videoIds,
+        Func<IServiceProvider, CancellationToken, IAsyncEnumerable<string>> producer,
+        CancellationToken cancellationToken)
+    {
         // Set response headers for SSE
         Response.ContentType = "text/event-stream";
         Response.Headers.Append("Cache-Control", "no-cache");
         Response.Headers.Append("Connection", "keep-alive");
 
-        try
+        IAnswerStream? stream;
+        long afterSequence = 0;
+
+        if (TryParseEventId(lastEventId, out var streamId, out afterSequence))
         {
-            await foreach (var chunk in _useCase.AskQuestionAsync(request, cancellationToken).WithCancellation(cancellationToken))
+            stream = _answerStreams.Find(streamId);
+            if (stream is null)
             {
-                await Response.WriteAsync($"data: {chunk}\n\n", cancellationToken);
-                await Response.Body.FlushAsync(cancellationToken);
+                _logger.LogWarning("Cannot resume unknown or expired answer stream {StreamId}", streamId);
+                await WriteEventAsync(null, AnswerStreamEventTypes.Error,
+                    new { message = "The answer is no longer available. Please ask the question again." },
+                    cancellationToken);
+                return;
             }
 
-            // Send completion marker
-            await Response.WriteAsync("data: [DONE]\n\n", cancellationToken);
+            _logger.LogInformation("Resuming answer stream {StreamId} after event {Sequence}", streamId, afterSequence);
+        }
+        else
+        {
+            stream = _answerStreams.Start(videoIds, producer);
+        }
+
+        try
+        {
+            // Tell the client which stream it is reading before the first token arrives,
+            // and ask it to reconnect quickly if the connection drops
+            await Response.WriteAsync($"id: {stream.Id}:{afterSequence}\nretry: 2000\n\n", cancellationToken);
             await Response.Body.FlushAsync(cancellationToken);
 
-            _logger.LogInformation("Question processing completed for VideoId: {VideoId}", request.VideoId);
+            await foreach (var streamEvent in stream.ReadAsync(afterSequence, cancellationToken))
+            {
+                await WriteEventAsync($"{stream.Id}:{streamEvent.Sequence}", streamEvent.Type, streamEvent.Data, cancellationToken);
+            }
+
+            _logger.LogInformation("Answer stream {StreamId} sent to client", stream.Id);
         }
-        catch (InvalidOperationException ex)
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
         {
-            _logger.LogWarning(ex, "Invalid operation for VideoId: {VideoId}", request.VideoId);
-            
-            var errorMessage = JsonSerializer.Serialize(new { error = ex.Message });
-            await Response.WriteAsync($"data: {errorMessage}\n\n", cancellationToken);
-            await Response.Body.FlushAsync(cancellationToken);
+            // The client stopped reading; the stream stays available briefly in case it reconnects
+            _logger.LogInformation("Client disconnected from answer stream {StreamId}", stream.Id);
         }
-        catch (ArgumentException ex)
+    }
+
+    /// <summary>
+    /// Runs an analysis, sending its progress to a channel that is completed when the analysis ends.
+    /// </summary>
+    /// <param name="request">The analysis request.</param>
+    /// <param name="updates">Receives the progress of each pipeline stage.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The analyzed video.</returns>
+    private async Task<VideoResponse> RunAnalysisAsync(
+        AnalyzeRequest request,
+        ChannelWriter<AnalysisProgress> updates,
+        CancellationToken cancellationToken)
+    {
+        try
         {
-            _logger.LogWarning(ex, "Invalid argument for VideoId: {VideoId}", request.VideoId);
-            
-            var errorMessage = JsonSerializer.Serialize(new { error = ex.Message });
-            await Response.WriteAsync($"data: {errorMessage}\n\n", cancellationToken);
-            await Response.Body.FlushAsync(cancellationToken);
+            return await _useCase.AnalyzeVideoAsync(
+                request,
+                new ChannelProgress<AnalysisProgress>(updates),
+                cancellationToken);
         }
-        catch (VideoUnavailableException ex)
+        finally
         {
-            _logger.LogWarning(ex, "Video unavailable for VideoId: {VideoId}", request.VideoId);
-            
-            var errorMessage = JsonSerializer.Serialize(new { error = ex.Message });
-            await Response.WriteAsync($"data: {errorMessage}\n\n", cancellationToken);
-            await Response.Body.FlushAsync(cancellationToken);
+            updates.TryComplete();
         }
-        catch (Exception ex)
+    }
+
+    /// <summary>
+    /// Waits for an abandoned task so its failure is not left unobserved.
+    /// </summary>
+    /// <param name="task">The task.</param>
+    private static async Task ObserveAsync(Task task)
+    {
+        try
         {
-            _logger.LogError(ex, "Error during question processing for VideoId: {VideoId}", request.VideoId);
-            
-            var errorMessage = JsonSerializer.Serialize(new { error = ex.Message });
-            await Response.WriteAsync($"data: {errorMessage}\n\n", cancellationToken);
-            await Response.Body.FlushAsync(cancellationToken);
+            await task;
+        }
+        catch
+        {
+            // Already reported by the use case
+        }
+    }
+
+    /// <summary>
+    /// Writes a single server-sent event with a JSON payload.
+    /// </summary>
+    /// <param name="id">The event ID, or null for none.</param>
+    /// <param name="type">The event type.</param>
+    /// <param name="data">The event payload.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    private async Task WriteEventAsync(string? id, string type, object data, CancellationToken cancellationToken)
+    {
+        var payload = JsonSerializer.Serialize(data, data.GetType(), EventJsonOptions);
+        var frame = id is null
+            ? $"event: {type}\ndata: {payload}\n\n"
+            : $"id: {id}\nevent: {type}\ndata: {payload}\n\n";
+
+        await Response.WriteAsync(frame, cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Parses an event ID of the form "{streamId}:{sequence}".
+    /// </summary>
+    /// <param name="eventId">The event ID.</param>
+    /// <param name="streamId">The stream ID.</param>
+    /// <param name="sequence">The sequence number of the event.</param>
+    /// <returns>True if the event ID is valid; otherwise, false.</returns>
+    private static bool TryParseEventId(string? eventId, out string streamId, out long sequence)
+    {
+        streamId = string.Empty;
+        sequence = 0;
+
+        var separator = eventId?.LastIndexOf(':') ?? -1;
+        if (separator <= 0 || !long.TryParse(eventId![(separator + 1)..], out sequence) || sequence < 0)
+        {
+            return false;
         }
+
+        streamId = eventId[..separator];
+        return true;
+    }
+
+    /// <summary>
+    /// Reports progress by writing it to a channel, on the reporting thread and in order.
+    /// </summary>
+    private sealed class ChannelProgress<T> : IProgress<T>
+    {
+        private readonly ChannelWriter<T> _writer;
+
+        public ChannelProgress(ChannelWriter<T> writer)
+        {
+            _writer = writer;
+        }
+
+        public void Report(T value) => _writer.TryWrite(value);
     }
 }
\ No newline at end of file
@@ -1,29 +1,486 @@
 // API Module
-// Handles all API calls to the backend
+// Handles all API calls to the backend. Responses are checked against the schemas
+// below and mapped to the client-side models before they reach the rest of the app.
+
+import { SchemaError, string, integer, boolean, timeSpan, optional, arrayOf, object, parse } from './schema.js';
+import { streamEvents } from './sse.js';
+
+// VideoResponse (POST /api/youtube/analyze, and the result event of /api/youtube/analyze/stream)
+const videoResponseSchema = object({
+  videoId: string({ nonEmpty: true }),
+  metadata: object({
+    title: string(),
+    channel: string(),
+    duration: timeSpan()
+  }),
+  summary: string(),
+  chapters: optional(arrayOf(object({
+    title: string({ nonEmpty: true }),
+    startTime: timeSpan(),
+    endTime: timeSpan(),
+    summary: string()
+  })))
+});
+
+// PlaylistResponse (POST /api/youtube/playlist)
+const playlistResponseSchema = object({
+  playlistId: string({ nonEmpty: true }),
+  title: string(),
+  videos: arrayOf(object({
+    videoId: string({ nonEmpty: true }),
+    videoUrl: string({ nonEmpty: true }),
+    title: string(),
+    duration: optional(timeSpan())
+  })),
+  isTruncated: boolean()
+});
+
+// TranscriptResponse (GET /api/youtube/{videoId}/transcript)
+const transcriptResponseSchema = object({
+  videoId: string({ nonEmpty: true }),
+  segments: arrayOf(object({
+    chunkIndex: integer({ min: 0 }),
+    startTime: timeSpan(),
+    endTime: timeSpan(),
+    text: string()
+  }))
+});
+
+// SummaryResponse (POST /api/youtube/{videoId}/summaries)
+const summaryResponseSchema = object({
+  videoId: string({ nonEmpty: true }),
+  summary: string(),
+  style: string({ nonEmpty: true }),
+  length: string({ nonEmpty: true }),
+  language: optional(string()),
+  createdAt: string({ nonEmpty: true })
+});
+
+// ChapterSummaryResponse (POST /api/youtube/{videoId}/chapters/{index}/summary)
+const chapterSummaryResponseSchema = object({
+  videoId: string({ nonEmpty: true }),
+  chapterIndex: integer({ min: 0 }),
+  summary: string()
+});
+
+// ConversationResponse (GET /api/youtube/{videoId}/conversation)
+const conversationResponseSchema = object({
+  videoId: string({ nonEmpty: true }),
+  messages: arrayOf(object({
+    id: string({ nonEmpty: true }),
+    parentId: optional(string({ nonEmpty: true })),
+    role: string({ nonEmpty: true }),
+    content: string(),
+    timestamp: string({ nonEmpty: true }),
+    stopped: optional(boolean())
+  })),
+  // Kept as the server's text, which is sent back as it is to say which clear this copy has seen
+  clearedAt: optional(string({ nonEmpty: true }))
+});
+
+// SessionStatusResponse[] (GET /api/youtube/sessions)
+const sessionStatusesSchema = arrayOf(object({
+  videoId: string({ nonEmpty: true }),
+  isActive: boolean()
+}));
+
+// ModelCatalogResponse (GET /api/models)
+const modelCatalogSchema = object({
+  defaultProvider: string({ nonEmpty: true }),
+  defaultModel: string({ nonEmpty: true }),
+  providers: arrayOf(object({
+    name: string({ nonEmpty: true }),
+    models: arrayOf(object({
+      id: string({ nonEmpty: true }),
+      displayName: string()
+    }))
+  }))
+});
+
+// Analysis stream events (POST /api/youtube/analyze/stream)
+const analysisProgressEventSchema = object({
+  stage: string({ nonEmpty: true }),
+  status: string({ nonEmpty: true }),
+  percent: integer({ min: 0 }),
+  message: string(),
+  chunkCount: optional(integer({ min: 0 }))
+});
+
+// Answer stream events (POST /api/youtube/ask and /api/youtube/ask-across)
+const tokenEventSchema = object({
+  content: string()
+});
+
+// A timestamp the answer cites, with the transcript chunks it points to
+const citationEventSchema = object({
+  label: string({ nonEmpty: true }),
+  videoLabel: optional(string()),
+  videoId: optional(string()),
+  start: timeSpan(),
+  end: optional(timeSpan()),
+  chunks: arrayOf(object({
+    chunkIndex: integer({ min: 0 }),
+    startTime: timeSpan(),
+    endTime: timeSpan(),
+    excerpt: string()
+  }))
+});
+
+/**
+ * Map a validated VideoResponse to the client video model
+ * @param {Object} dto - Validated VideoResponse
+ * @returns {{id: string, title: string, channel: string, duration: number, summary: string, keyPoints: string[], chapters: Array}} - Video
+ */
+function toVideo(dto) {
+  return {
+    id: dto.videoId,
+    title: dto.metadata.title,
+    channel: dto.metadata.channel,
+    duration: dto.metadata.duration,
+    summary: dto.summary,
+    keyPoints: [],
+    chapters: (dto.chapters || []).map(chapter => ({
+      title: chapter.title,
+      start: chapter.startTime,
+      end: chapter.endTime,
+      summary: chapter.summary
+    }))
+  };
+}
+
+/**
+ * Build the provider and model fields of a request body
+ * @param {{provider: string, model: string}|null} model - Chosen model, or null for the server default
+ * @returns {Object} - Fields to spread into the body (none for the default)
+ */
+function toModelFields(model) {
+  return model ? { provider: model.provider, model: model.model } : {};
+}
+
+/**
+ * Build a readable message from a failed response (ProblemDetails or { message })
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<string>} - Error message
+ */
+async function readErrorMessage(response) {
+  const errorData = await response.json().catch(() => ({}));
+  return errorData.detail || errorData.message || errorData.title || `HTTP error! status: ${response.status}`;
+}
+
+/**
+ * POST a JSON body and validate the JSON response against a schema
+ * @param {string} url - Endpoint
+ * @param {Object} payload - Request body
+ * @param {Function} schema - Schema the response must match
+ * @returns {Promise<Object>} - Validated response
+ * @throws {Error} - With the server's message, or naming the field that did not match
+ */
+async function postJson(url, payload, schema) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  return readJson(response, url, schema);
+}
 
 /**
- * Analyze a YouTube video
+ * GET a JSON resource and validate it against a schema
+ * @param {string} url - Endpoint
+ * @param {Function} schema - Schema the response must match
+ * @returns {Promise<Object>} - Validated response
+ * @throws {Error} - With the server's message, or naming the field that did not match
+ */
+async function getJson(url, schema) {
+  return readJson(await fetch(url), url, schema);
+}
+
+/**
+ * Read a JSON response and validate it against a schema
+ * @param {Response} response - Fetch response
+ * @param {string} url - Endpoint, for error messages
+ * @param {Function} schema - Schema the response must match
+ * @returns {Promise<Object>} - Validated response
+ * @throws {Error} - With the server's message, or naming the field that did not match
+ */
+async function readJson(response, url, schema) {
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+
+  const data = await response.json().catch(() => {
+    throw new Error(`The server sent an invalid response for ${url}`);
+  });
+
+  try {
+    return parse(schema, data);
+  } catch (error) {
+    if (error instanceof SchemaError) {
+      throw new Error(`The server sent an unexpected response for ${url}: ${error.message}`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Analyze a YouTube video, reporting each stage of the analysis as it starts and finishes.
+ * The server sends progress events for the metadata, transcript, chunking, summary and chapters
+ * stages, and ends with a result or an error event.
  * @param {string} videoUrl - YouTube video URL to analyze
- * @returns {Promise<Object>} - Video analysis response
+ * @param {{provider: string, model: string}|null} [model] - Model that writes the summary, or null for the server default
+ * @param {Object} [options] - Analysis options
+ * @param {Function} [options.onProgress] - Called with {stage, status, percent, message, chunkCount} for each progress event
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the analysis
+ * @returns {Promise<Object>} - Analyzed video
+ * @throws {Error} - AbortError when cancelled; otherwise an error whose stage property names the stage that failed, if known
  */
-export async function analyzeVideo(videoUrl) {
+export async function analyzeVideo(videoUrl, model = null, { onProgress = () => {}, signal } = {}) {
+  let result = null;
+  let stage = null;
+  let serverError = null;
+
+  /**
+   * Handle one event of the analysis stream
+   * @param {{type: string, data: string}} event - Server-sent event
+   * @returns {boolean} - True when the event ends the stream
+   */
+  function handleEvent({ type, data }) {
+    try {
+      const eventData = JSON.parse(data);
+
+      switch (type) {
+        case 'progress': {
+          const progress = parse(analysisProgressEventSchema, eventData);
+          stage = progress.stage;
+          onProgress(progress);
+          return false;
+        }
+        case 'result':
+          result = toVideo(parse(videoResponseSchema, eventData));
+          return true;
+        case 'error':
+          stage = eventData?.stage || stage;
+          serverError = eventData?.message || 'The server could not analyze the video';
+          return true;
+        default:
+          return false;
+      }
+    } catch (error) {
+      if (type === 'result') {
+        serverError = `The server sent an unexpected response for /api/youtube/analyze/stream: ${error.message}`;
+        return true;
+      }
+      console.warn(`Ignoring malformed ${type} event:`, data, error);
+      return false;
+    }
+  }
+
   try {
-    const response = await fetch(`/api/youtube/analyze`, {
+    await streamEvents('/api/youtube/analyze/stream', {
+      body: { videoUrl, ...toModelFields(model) },
+      onEvent: handleEvent,
+      readError: readErrorMessage,
+      signal,
+    });
+
+    if (serverError) {
+      throw new Error(serverError);
+    }
+    return result;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error analyzing video:', error);
+      error.stage = stage;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the videos of a YouTube playlist
+ * @param {string} playlistUrl - YouTube playlist URL
+ * @returns {Promise<Object>} - Playlist with its title and videos ({videoId, videoUrl, title, duration in seconds or null})
+ */
+export async function resolvePlaylist(playlistUrl) {
+  try {
+    return await postJson('/api/youtube/playlist', { playlistUrl }, playlistResponseSchema);
+  } catch (error) {
+    console.error('Error resolving playlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the timestamped transcript of an analyzed video
+ * @param {string} videoId - ID of the video
+ * @returns {Promise<Array<{chunkIndex: number, startTime: number, endTime: number, text: string}>>} - Transcript segments in order, times in seconds
+ */
+export async function fetchTranscript(videoId) {
+  try {
+    const transcript = await getJson(`/api/youtube/${encodeURIComponent(videoId)}/transcript`, transcriptResponseSchema);
+    return transcript.segments;
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the conversation the server keeps for a video, which is the context of follow-up questions
+ * @param {string} videoId - ID of the video
+ * @returns {Promise<{videoId: string, messages: Array<{id: string, parentId: ?string, role: string, content: string, timestamp: string, stopped: ?boolean}>, clearedAt: ?string}|null>} - Messages,
+ *   oldest first, and when the conversation was last cleared; or null if the video has no session
+ */
+export async function fetchConversation(videoId) {
+  const url = `/api/youtube/${encodeURIComponent(videoId)}/conversation`;
+
+  try {
+    const response = await fetch(url);
+    if (response.status === 404) {
+      return null;
+    }
+    return await readJson(response, url, conversationResponseSchema);
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear the conversation the server keeps for a video, so follow-up questions start without earlier context
+ * @param {string} videoId - ID of the video
+ * @returns {Promise<{videoId: string, messages: Array, clearedAt: ?string}|null>} - The emptied conversation and when it was cleared,
+ *   or null if the video has no session (and so no conversation)
+ */
+export async function clearConversation(videoId) {
+  const url = `/api/youtube/${encodeURIComponent(videoId)}/conversation`;
+
+  try {
+    const response = await fetch(url, { method: 'DELETE' });
+    if (response.status === 404) {
+      return null;
+    }
+    return await readJson(response, url, conversationResponseSchema);
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add the messages of the branch shown here that the server lacks to its copy of a video's conversation,
+ * so follow-up questions carry messages only this browser has. The server adds nothing if the
+ * conversation was cleared after clearedAt, so messages a clear removed do not come back.
+ * @param {string} videoId - ID of the video
+ * @param {Array<{id: string, role: string, content: string, timestamp?: string, stopped?: boolean}>} messages - Messages of the branch, oldest first
+ * @param {string|null} clearedAt - Last clear of the conversation this copy saw, or null if it saw none
+ * @returns {Promise<{videoId: string, messages: Array, clearedAt: ?string}|null>} - The server's conversation afterwards, or null if the video has no session
+ */
+export async function pushConversation(videoId, messages, clearedAt) {
+  const url = `/api/youtube/${encodeURIComponent(videoId)}/conversation`;
+
+  try {
+    const response = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ videoUrl }),
+      body: JSON.stringify({ messages, clearedAt }),
     });
+    if (response.status === 404) {
+      return null;
+    }
+    return await readJson(response, url, conversationResponseSchema);
+  } catch (error) {
+    console.error('Error pushing conversation:', error);
+    throw error;
+  }
+}
+
+// Most videos whose session status one request may check (mirrors the server's MaxVideosPerSessionCheck)
+const MAX_VIDEOS_PER_SESSION_CHECK = 100;
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+// Code of the error event sent when a video's server session has expired
+export const SESSION_NOT_FOUND_ERROR = 'session-not-found';
+
+/**
+ * Check which videos still have a session on the server. Sessions expire after a while; a video
+ * without one has to be analyzed again before it can answer questions.
+ * @param {string[]} videoIds - IDs of the videos to check
+ * @returns {Promise<Object<string, boolean>>} - Whether each video's session is active, by video ID
+ */
+export async function fetchSessionStatuses(videoIds) {
+  const statuses = {};
+
+  try {
+    for (let i = 0; i < videoIds.length; i += MAX_VIDEOS_PER_SESSION_CHECK) {
+      const query = videoIds
+        .slice(i, i + MAX_VIDEOS_PER_SESSION_CHECK)
+        .map(id => `videoIds=${encodeURIComponent(id)}`)
+        .join('&');
+      for (const status of await getJson(`/api/youtube/sessions?${query}`, sessionStatusesSchema)) {
+        statuses[status.videoId] = status.isActive;
+      }
     }
+    return statuses;
+  } catch (error) {
+    console.error('Error checking session status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Summarize an analyzed video again in another style, length or language
+ * @param {string} videoId - ID of the video
+ * @param {{style: string, length: string, language: string|null}} options - How to write the summary
+ * @param {{provider: string, model: string}|null} [model] - Model that writes the summary, or null for the server default
+ * @returns {Promise<Object>} - Summary ({videoId, summary, style, length, language, createdAt})
+ */
+export async function resummarizeVideo(videoId, options, model = null) {
+  try {
+    const payload = {
+      style: options.style,
+      length: options.length,
+      language: options.language || null,
+      ...toModelFields(model)
+    };
+    return await postJson(`/api/youtube/${encodeURIComponent(videoId)}/summaries`, payload, summaryResponseSchema);
+  } catch (error) {
+    console.error('Error summarizing video:', error);
+    throw error;
+  }
+}
+
+/**
+ * Write a detailed summary of one chapter of an analyzed video
+ * @param {string} videoId - ID of the video
+ * @param {number} chapterIndex - Zero-based position of the chapter
+ * @param {{provider: string, model: string}|null} [model] - Model that writes the summary, or null for the server default
+ * @returns {Promise<string>} - Chapter summary (markdown)
+ */
+export async function summarizeChapter(videoId, chapterIndex, model = null) {
+  try {
+    const url = `/api/youtube/${encodeURIComponent(videoId)}/chapters/${chapterIndex}/summary`;
+    const response = await postJson(url, { ...toModelFields(model) }, chapterSummaryResponseSchema);
+    return response.summary;
+  } catch (error) {
+    console.error('Error summarizing chapter:', error);
+    throw error;
+  }
+}
 
-    return await response.json();
+/**
+ * List the providers and models a request may choose from
+ * @returns {Promise<Object>} - Catalog ({defaultProvider, defaultModel, providers: [{name, models: [{id, displayName}]}]})
+ */
+export async function fetchModels() {
+  try {
+    return await getJson('/api/models', modelCatalogSchema);
   } catch (error) {
-    console.error('Error analyzing video:', error);
+    console.error('Error fetching models:', error);
     throw error;
   }
 }
@@ -34,123 +491,269 @@ export async function analyzeVideo(videoUrl) {
  * @param {string} question - Question to ask
  * @param {Function} onChunk - Callback function for each chunk of data
  * @param {Function} onComplete - Callback function when streaming is complete
- * @param {Function} onError - Callback function for errors
+ * @param {Function} onError - Callback function for errors; receives an AbortError when cancelled
+ * @param {AbortSignal} [signal] - Signal used to cancel the request
+ * @param {{provider: string, model: string}|null} [model] - Model that answers, or null for the server default
+ * @param {Object} [conversation] - Where the question sits in this copy of the conversation
+ * @param {string} [conversation.questionId] - ID the server stores the question under
+ * @param {string} [conversation.answerId] - ID the server stores the answer under
+ * @param {Array<{id: string, role: string, content: string, timestamp?: string, stopped?: boolean}>} [conversation.history] - Messages
+ *   of the branch shown before the question, oldest first; the server adds those it lacks, and follow-ups use this branch
+ * @param {string|null} [conversation.clearedAt] - Last clear of the conversation this copy saw; the server ignores the history if it was cleared since
  * @returns {Promise<void>}
  */
-export async function streamAnswer(videoId, question, onChunk, onComplete, onError) {
-  try {
-    const response = await fetch(`/api/youtube/ask`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        videoId,
-        question
-      }),
-    });
+export function streamAnswer(videoId, question, onChunk, onComplete, onError, signal, model = null, conversation = {}) {
+  const payload = {
+    videoId,
+    question,
+    ...toModelFields(model),
+    questionId: conversation.questionId,
+    answerId: conversation.answerId,
+    history: conversation.history,
+    conversationClearedAt: conversation.clearedAt
+  };
+  return streamQuestion('/api/youtube/ask', payload, onChunk, onComplete, onError, signal);
+}
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-    }
+/**
+ * Stream an answer to a question asked across several videos.
+ * The answer cites sources as [V1 04:35], where V1 is the first ID in videoIds.
+ * @param {string[]} videoIds - IDs of the videos, in citation-label order
+ * @param {string} question - Question to ask
+ * @param {Function} onChunk - Callback function for each chunk of data
+ * @param {Function} onComplete - Callback function when streaming is complete
+ * @param {Function} onError - Callback function for errors; receives an AbortError when cancelled
+ * @param {AbortSignal} [signal] - Signal used to cancel the request
+ * @param {{provider: string, model: string}|null} [model] - Model that answers, or null for the server default
+ * @returns {Promise<void>}
+ */
+export function streamAnswerAcrossVideos(videoIds, question, onChunk, onComplete, onError, signal, model = null) {
+  return streamQuestion('/api/youtube/ask-across', { videoIds, question, ...toModelFields(model) }, onChunk, onComplete, onError, signal);
+}
 
-    // Get the response body as a stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let fullContent = '';
+/**
+ * POST a question and read the server-sent answer stream.
+ * The server sends token events with the answer text, citation events for the timestamps the
+ * answer cites, and ends with a done or an error event.
+ * @param {string} url - Ask endpoint
+ * @param {Object} payload - Request body
+ * @param {Function} onChunk - Callback function for each chunk of data
+ * @param {Function} onComplete - Callback function when streaming is complete; receives the answer and its citations
+ *   ({label, videoLabel, videoId, start, end, chunks: [{chunkIndex, startTime, endTime, excerpt}]}, times in seconds)
+ * @param {Function} onError - Callback function for errors; receives an AbortError when cancelled. Errors the server
+ *   reports with a code carry it as error.code (SESSION_NOT_FOUND_ERROR also sets error.videoId)
+ * @param {AbortSignal} [signal] - Signal used to cancel the request
+ * @returns {Promise<void>}
+ */
+async function streamQuestion(url, payload, onChunk, onComplete, onError, signal) {
+  let fullContent = '';
+  let streamId = null;
+  const citations = [];
+  let serverError = null;
+  let serverErrorDetails = {};
 
+  /**
+   * Handle one event of the answer stream
+   * @param {{type: string, data: string}} event - Server-sent event
+   * @returns {boolean} - True when the event ends the stream
+   */
+  function handleEvent({ type, data }) {
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
-        }
+      const eventData = JSON.parse(data);
 
-        // Decode the chunk and add to buffer
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete SSE messages
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.trim() === '') {
-            continue; // Skip empty lines
-          }
-          
-          if (line.startsWith('data: ')) {
-            const data = line.substring(6); // Remove 'data: ' prefix
-            
-            if (data === '[DONE]') {
-              // Streaming is complete
-              if (onComplete) onComplete(fullContent);
-              return;
-            }
-            
-            try {
-              // Parse the JSON data
-              const parsedData = JSON.parse(data);
-              
-              // Extract content from the response
-              if (parsedData.content) {
-                fullContent += parsedData.content;
-                
-                // Call the chunk callback
-                if (onChunk) {
-                  onChunk(parsedData.content, fullContent);
-                }
-              }
-            } catch (parseError) {
-              console.warn('Failed to parse SSE data:', data, parseError);
-              // Try to use the data as-is if it's not valid JSON
-              if (data) {
-                fullContent += data;
-                if (onChunk) {
-                  onChunk(data, fullContent);
-                }
-              }
-            }
-          }
-        }
+      switch (type) {
+        case 'token':
+          fullContent += parse(tokenEventSchema, eventData).content;
+          if (onChunk) onChunk(eventData.content, fullContent);
+          return false;
+        case 'citation':
+          citations.push(parse(citationEventSchema, eventData));
+          return false;
+        case 'error':
+          serverError = eventData?.message || 'The server could not answer the question';
+          serverErrorDetails = {
+            code: typeof eventData?.code === 'string' ? eventData.code : null,
+            videoId: typeof eventData?.videoId === 'string' ? eventData.videoId : null
+          };
+          return true;
+        case 'done':
+          return true;
+        default:
+          return false;
       }
-      
-      // Handle any remaining content
-      if (buffer.trim() && buffer.startsWith('data: ')) {
-        const data = buffer.substring(6);
-        if (data !== '[DONE]') {
-          fullContent += data;
-          if (onChunk) {
-            onChunk(data, fullContent);
-          }
-        }
-      }
-      
-      // Signal completion
-      if (onComplete) onComplete(fullContent);
-    } finally {
-      reader.releaseLock();
+    } catch (error) {
+      // A malformed event is a protocol error, never part of the answer
+      console.warn(`Ignoring malformed ${type} event:`, data, error);
+      return false;
+    }
+  }
+
+  try {
+    await streamEvents(url, {
+      body: payload,
+      onEvent: handleEvent,
+      readError: readErrorMessage,
+      onEventId: (id) => { streamId = id.slice(0, id.lastIndexOf(':')) || null; },
+      signal,
+    });
+
+    if (serverError) {
+      throw Object.assign(new Error(serverError), serverErrorDetails);
     }
+
+    if (onComplete) onComplete(fullContent, citations);
   } catch (error) {
-    console.error('Error streaming answer:', error);
+    if (error.name === 'AbortError') {
+      // Stop the server from generating the rest of the answer
+      if (streamId) {
+        fetch(`/api/youtube/streams/${encodeURIComponent(streamId)}`, { method: 'DELETE' }).catch(() => {});
+      }
+    } else {
+      console.error('Error streaming answer:', error);
+    }
     if (onError) onError(error);
   }
 }
 
+// YouTube video IDs are exactly 11 URL-safe base64 characters
+const VIDEO_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
+
+// Hosts that serve videos at /watch?v={id} or /{prefix}/{id}
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+
+const SHORT_LINK_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+
+// Path prefixes followed by the video ID, e.g. /shorts/{id}
+const VIDEO_PATH_PREFIXES = new Set(['shorts', 'live', 'embed', 'v', 'e']);
+
+/**
+ * Parse a URL that may be missing its scheme
+ * @param {string} input - Trimmed URL
+ * @returns {URL|null} - Parsed http(s) URL or null
+ */
+function toHttpUrl(input) {
+  try {
+    const url = new URL(input.includes('://') ? input : `https://${input}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a start time such as "90", "90s", "1m30s" or "1h2m3s"
+ * @param {string|null} value - Value of a t or start parameter
+ * @returns {number|null} - Start time in seconds, or null if absent or invalid
+ */
+export function parseStartTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || (!match[1] && !match[2] && !match[3])) {
+    return null;
+  }
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Parse any common YouTube video URL, mirroring VideoId.TryParse on the server.
+ * Accepts watch, youtu.be, shorts, live and embed URLs on the YouTube, mobile, music and
+ * no-cookie hosts (with or without a scheme), as well as bare 11-character video IDs.
+ * @param {string} input - URL or video ID
+ * @returns {{videoId: string, startSeconds: number|null}|null} - Video ID and start time, or null if not a video URL
+ */
+export function parseYouTubeUrl(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const text = input.trim();
+  if (VIDEO_ID_REGEX.test(text)) {
+    return { videoId: text, startSeconds: null };
+  }
+
+  const url = toHttpUrl(text);
+  if (!url) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  let candidate = null;
+
+  if (SHORT_LINK_HOSTS.has(host)) {
+    candidate = segments.length === 1 ? segments[0] : null;
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    if (segments.length === 1 && segments[0].toLowerCase() === 'watch') {
+      candidate = url.searchParams.getAll('v').join(',');
+    } else if (segments.length === 2 && VIDEO_PATH_PREFIXES.has(segments[0].toLowerCase())) {
+      candidate = segments[1];
+    }
+  }
+
+  if (!candidate || !VIDEO_ID_REGEX.test(candidate)) {
+    return null;
+  }
+
+  // The start time may be in the query (t=, start=) or in the fragment (#t=)
+  const hash = new URLSearchParams(url.hash.slice(1));
+  const startSeconds = parseStartTime(url.searchParams.get('t'))
+    ?? parseStartTime(url.searchParams.get('start'))
+    ?? parseStartTime(hash.get('t'));
+
+  return { videoId: candidate, startSeconds };
+}
+
+/**
+ * Check whether a value is a YouTube video ID
+ * @param {*} videoId - Value to check
+ * @returns {boolean} - True if the value is an 11-character video ID
+ */
+export function isValidVideoId(videoId) {
+  return typeof videoId === 'string' && VIDEO_ID_REGEX.test(videoId);
+}
+
 /**
  * Validate YouTube URL
  * @param {string} url - URL to validate
  * @returns {boolean} - True if valid YouTube URL
  */
 export function isValidYouTubeUrl(url) {
-  if (!url || typeof url !== 'string') {
+  return parseYouTubeUrl(url) !== null;
+}
+
+/**
+ * Check whether a URL points to a playlist rather than a single video
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL has a playlist ID and no video ID
+ */
+export function isPlaylistUrl(url) {
+  if (!url || typeof url !== 'string' || isValidYouTubeUrl(url)) {
     return false;
   }
-  
-  const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
-  return youtubeRegex.test(url);
+
+  const parsed = toHttpUrl(url.trim());
+  if (!parsed || !YOUTUBE_HOSTS.has(parsed.hostname.toLowerCase())) {
+    return false;
+  }
+
+  const path = parsed.pathname.replace(/\/+$/, '').toLowerCase();
+  return (path === '/playlist' || path === '/watch') && /^[a-zA-Z0-9_-]+$/.test(parsed.searchParams.get('list') || '');
 }
 
 /**
@@ -159,13 +762,8 @@ export function isValidYouTubeUrl(url) {
  * @returns {string|null} - Video ID or null if not found
  */
 export function extractVideoId(url) {
-  if (!isValidYouTubeUrl(url)) {
-    return null;
-  }
-  
-  const regex = /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
-  const match = url.match(regex);
-  return match ? match[1] : null;
+  const parsed = parseYouTubeUrl(url);
+  return parsed ? parsed.videoId : null;
 }
 
 /**
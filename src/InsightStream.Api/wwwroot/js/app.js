@@ -1,30 +1,221 @@
 // App Module
 // Main application logic, event handlers, and initialization
 
-import state, { mutations } from './state.js';
-import { analyzeVideo, streamAnswer, isValidYouTubeUrl, extractVideoId } from './api.js';
+import state, { mutations, subscribe, selectors, ACTIONS, MAX_VIDEOS_PER_QUESTION, TAG_COLORS } from './state.js';
+import {
+  analyzeVideo,
+  resolvePlaylist,
+  streamAnswer,
+  streamAnswerAcrossVideos,
+  fetchTranscript,
+  fetchModels,
+  resummarizeVideo,
+  summarizeChapter,
+  fetchSessionStatuses,
+  fetchConversation,
+  clearConversation,
+  pushConversation,
+  parseYouTubeUrl,
+  isPlaylistUrl,
+  SESSION_NOT_FOUND_ERROR
+} from './api.js';
+import { loadWorkspace, onStorageError } from './storage.js';
+import {
+  exportVideoAsMarkdown,
+  exportVideoAsJson,
+  exportVideoAsHtml,
+  getExportFilename,
+  downloadFile,
+  openPrintView
+} from './export.js';
+import {
+  exportWorkspaceAsJson,
+  parseWorkspaceJson,
+  mergeWorkspace,
+  getWorkspaceFilename
+} from './workspace.js';
+import { createJobQueue, JOB_STATUS } from './queue.js';
+import { buildTranscriptRows, createTranscriptViewer } from './transcript.js';
+import { createChatList } from './chat-list.js';
+import { buildSearchIndex, searchIndex } from './search.js';
+import * as player from './player.js';
 import * as ui from './ui.js';
 import {
   renderVideoCard,
+  renderSidebarControls,
+  renderModelOptions,
+  renderCollectionList,
+  renderCollectionScope,
   renderSummary,
   renderChatMessage,
   renderChatWelcome,
-  formatTime
+  renderMessageContent,
+  renderQuestionScope,
+  renderImportReport,
+  renderAnalysisJob,
+  renderAnalysisProgress,
+  getAnalysisStageLabel,
+  renderSearchResults,
+  linkifyVideoCitations,
+  createStreamingMarkdownRenderer,
+  renderLoadingSpinner,
+  escapeHtml,
+  formatTime,
+  formatDuration
 } from './components.js';
 
+// Incremental markdown renderer for the answer currently being streamed
+let streamingRenderer = null;
+
+// Controller used to cancel the answer currently being streamed
+let activeStreamController = null;
+
+// ID of the user message being edited inline, if any
+let editingMessageId = null;
+
+// Video whose conversation was last reconciled with the server's copy
+let syncedConversationVideoId = null;
+
+// Videos analyzed in the background, a few at a time
+const analysisQueue = createJobQueue({
+  worker: analyzeQueuedVideo,
+  onChange: updateAnalysisQueue
+});
+
+// Videos that should be selected once their analysis finishes, with the position to start at
+const selectWhenAnalyzed = new Map();
+
+// Video whose analysis the add video modal is showing step by step, if any
+let modalAnalysisVideoId = null;
+
+// Videos being summarized again; the summarize button stays busy for them when they are reselected
+const summarizingVideoIds = new Set();
+
+// Whether the chapter timeline is collapsed, and the chapter whose detailed summary is open
+let chaptersCollapsed = false;
+let openChapter = null;
+
+// Chapters whose detailed summary is being written, as "videoId:index"
+const summarizingChapters = new Set();
+
+// Virtualized list of the selected conversation's messages, created at startup
+let chatList = null;
+
+// HTML of each chat message and what it was rendered from; rendering markdown for every
+// message on each change would make long conversations slow
+const chatMessageHTML = new WeakMap();
+
+// Tab shown on the summary card: 'summary' or 'transcript'
+let activeDetailsTab = 'summary';
+
+// Transcript viewer, created when the transcript tab is first opened
+let transcriptViewer = null;
+
+// Video whose transcript is shown (or loading) in the viewer
+let transcriptVideoId = null;
+
+// Transcript rows already fetched, by video ID
+const transcriptRowsCache = new Map();
+
+// Pending transcript search, run once typing pauses
+let transcriptSearchTimer = null;
+
+// Video whose card menu is open, whose name is being edited, and whose tags are being edited
+let openCardMenuId = null;
+let renamingVideoId = null;
+let taggingVideoId = null;
+
+// Collection whose name is being edited
+let renamingCollectionId = null;
+
+// Type of the drag data that carries a video ID from a card to a collection
+const VIDEO_DRAG_TYPE = 'application/x-insightstream-video';
+
+// Search index of the whole workspace, rebuilt each time the search palette opens
+let searchEntries = [];
+
+// Results shown in the search palette, and the index of the highlighted one
+let searchResults = [];
+let activeSearchResult = 0;
+
 /**
  * Initialize the application
  */
-function initApp() {
+async function initApp() {
   // Load theme from localStorage
   const savedTheme = mutations.loadTheme();
   ui.updateThemeButton(savedTheme);
+  mutations.loadSidebarView();
+  mutations.loadPreferredModel();
+  
+  // Only the messages near the visible part of the chat are rendered; the jump button
+  // shows while the reader is scrolled up and new messages are not followed
+  chatList = createChatList(document.getElementById('chat-messages'), {
+    onFollowChange: (following) => following
+      ? ui.hideElement('jump-to-latest-btn')
+      : ui.showElement('jump-to-latest-btn')
+  });
   
   // Attach event listeners
   attachEventListeners();
   
-  // Initial UI update
+  // Surface persistence failures (e.g. storage quota exceeded)
+  onStorageError((error) => {
+    console.error('Error saving workspace:', error);
+    ui.showError(error.message || 'Failed to save your changes');
+  });
+  
+  // Surface player failures (e.g. the YouTube script is blocked)
+  player.onPlayerError((error) => {
+    console.error('Error in the video player:', error);
+    ui.showError(error.message || 'The video player is not available');
+  });
+  
+  // Restore videos and conversations from IndexedDB
+  try {
+    const workspace = await loadWorkspace();
+    mutations.hydrate(workspace);
+  } catch (error) {
+    console.error('Error restoring workspace:', error);
+    ui.showError('Could not restore your saved videos. New changes may not be saved.');
+  }
+  
+  // Initial UI update; from here on each part of the page follows its slice of the state
   updateUI();
+  subscribeToState();
+  
+  // The model picker appears once the server has listed its models
+  loadModelCatalog();
+  
+  // Mark videos whose server session expired while the app was closed
+  checkSessionStatuses();
+}
+
+/**
+ * Ask the server which videos still have a session and badge the ones that expired
+ * @returns {Promise<void>}
+ */
+async function checkSessionStatuses() {
+  const videoIds = state.videos.map(video => video.id);
+  if (videoIds.length === 0) return;
+  
+  try {
+    mutations.setSessionStatuses(await fetchSessionStatuses(videoIds));
+  } catch {
+    // The badges are only a hint; asking about an expired video still recovers it
+  }
+}
+
+/**
+ * Fetch the models the server offers and show the model picker
+ * @returns {Promise<void>}
+ */
+async function loadModelCatalog() {
+  try {
+    mutations.setModelCatalog(await fetchModels());
+  } catch {
+    // Without a catalog every request uses the server's default model
+  }
 }
 
 /**
@@ -36,20 +227,22 @@ function attachEventListeners() {
     ui.showModal();
   });
   
-  // Modal close button
+  // Modal close button: an analysis in progress carries on in the sidebar
   ui.addEventListener('close-modal-btn', 'click', () => {
-    ui.hideModal();
+    closeAnalyzeModal();
   });
   
-  // Modal cancel button
+  // Modal cancel button: stops the analysis in progress, or closes the modal
   ui.addEventListener('cancel-btn', 'click', () => {
-    ui.hideModal();
+    if (!cancelModalAnalysis()) {
+      closeAnalyzeModal();
+    }
   });
   
   // Modal backdrop click
   ui.addEventListener('add-video-modal', 'click', (event) => {
     if (event.target.id === 'add-video-modal') {
-      ui.hideModal();
+      closeAnalyzeModal();
     }
   });
   
@@ -58,27 +251,395 @@ function attachEventListeners() {
   
   // Video URL input validation
   ui.addEventListener('video-url', 'input', (event) => {
-    const url = event.target.value.trim();
-    if (url && !isValidYouTubeUrl(url)) {
-      ui.showUrlError('Please enter a valid YouTube URL');
+    const { invalid } = parseUrlList(event.target.value);
+    if (invalid.length > 0) {
+      ui.showUrlError(formatInvalidUrls(invalid));
     } else {
       ui.hideUrlError();
     }
   });
   
-  // Video URL input enter key
-  ui.addEventListener('video-url', 'keypress', (event) => {
-    if (event.key === 'Enter') {
+  // Video URL input: Enter starts the analysis, Shift + Enter adds another line
+  ui.addEventListener('video-url', 'keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
       handleAnalyze();
     }
   });
   
+  // Retry, dismiss or cancel queued analyses
+  ui.addEventListener('analysis-queue', 'click', (event) => {
+    const button = event.target.closest('[data-job-action]');
+    if (!button) {
+      return;
+    }
+    
+    const jobId = Number(button.getAttribute('data-job-id'));
+    if (button.getAttribute('data-job-action') === 'retry') {
+      analysisQueue.retry(jobId);
+    } else {
+      analysisQueue.remove(jobId);
+    }
+  });
+  
+  // Video card clicks select the video; card menus, renaming and tag editing run their action
+  ui.addEventListener('sources-list', 'click', (event) => {
+    const button = event.target.closest('[data-card-action]');
+    const card = event.target.closest('.video-source-card');
+    if (!card) {
+      return;
+    }
+    
+    if (button) {
+      event.preventDefault();
+      handleCardAction(button.getAttribute('data-card-action'), card.getAttribute('data-video-id'), button);
+    } else if (!event.target.closest('.video-ask-toggle, .video-card-menu-container, .video-label-input, .video-tag-editor')) {
+      // The checkbox picks videos for a multi-video question without selecting the card,
+      // and the card's menu, name input and tag editor do not select it either
+      cancelMessageEdit();
+      mutations.selectVideo(card.getAttribute('data-video-id'));
+    }
+  });
+  
+  // Multi-video question checkboxes
+  ui.addEventListener('sources-list', 'change', (event) => {
+    const checkbox = event.target;
+    if (!checkbox.classList.contains('video-ask-checkbox')) {
+      return;
+    }
+    
+    const videoId = checkbox.getAttribute('data-video-id');
+    if (!mutations.toggleAskVideo(videoId)) {
+      checkbox.checked = false;
+      ui.showError(`A question can span at most ${MAX_VIDEOS_PER_QUESTION} videos`);
+      return;
+    }
+    
+    // Make sure there is a conversation to ask in
+    if (!mutations.getSelectedVideo()) {
+      mutations.selectVideo(videoId);
+    }
+  });
+  
+  ui.addEventListener('sources-list', 'contextmenu', (event) => {
+    const card = event.target.closest('.video-source-card');
+    if (card && !event.target.closest('input')) {
+      event.preventDefault();
+      openCardMenuId = card.getAttribute('data-video-id');
+      renderSourcesList();
+      focusCardElement(openCardMenuId, '.video-card-menu [role="menuitem"]');
+    }
+  });
+  
+  // Enter saves a new name or adds a tag, Escape cancels
+  ui.addEventListener('sources-list', 'keydown', (event) => {
+    const card = event.target.closest('.video-source-card');
+    const videoId = card ? card.getAttribute('data-video-id') : null;
+    
+    if (event.target.classList.contains('video-label-input')) {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        saveVideoLabel(videoId, event.target.value);
+      } else if (event.key === 'Escape') {
+        event.stopPropagation();
+        renamingVideoId = null;
+        renderSourcesList();
+      }
+    } else if (event.target.classList.contains('video-tag-input')) {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        if (mutations.addVideoTag(videoId, event.target.value)) {
+          focusCardElement(videoId, '.video-tag-input');
+        } else {
+          event.target.value = '';
+        }
+      } else if (event.key === 'Escape') {
+        event.stopPropagation();
+        taggingVideoId = null;
+        renderSourcesList();
+      }
+    }
+  });
+  
+  // Leaving the name input keeps what was typed
+  ui.addEventListener('sources-list', 'focusout', (event) => {
+    if (event.target.classList.contains('video-label-input')) {
+      const card = event.target.closest('.video-source-card');
+      saveVideoLabel(card.getAttribute('data-video-id'), event.target.value);
+    }
+  });
+  
+  // Collections: open, rename, export and delete
+  ui.addEventListener('new-collection-btn', 'click', () => {
+    cancelMessageEdit();
+    const collection = mutations.createCollection('New collection');
+    renamingCollectionId = collection.id;
+    mutations.setActiveCollection(collection.id);
+    focusCollectionNameInput();
+  });
+  
+  ui.addEventListener('collections-list', 'click', (event) => {
+    const button = event.target.closest('[data-collection-action]');
+    const item = event.target.closest('.collection-item');
+    if (button && item) {
+      handleCollectionAction(button.getAttribute('data-collection-action'), item.getAttribute('data-collection-id') || null);
+    }
+  });
+  
+  ui.addEventListener('collections-list', 'keydown', (event) => {
+    if (!event.target.classList.contains('collection-name-input')) {
+      return;
+    }
+    
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      saveCollectionName(event.target.value);
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      renamingCollectionId = null;
+      renderCollectionsList();
+    }
+  });
+  
+  ui.addEventListener('collections-list', 'focusout', (event) => {
+    if (event.target.classList.contains('collection-name-input')) {
+      saveCollectionName(event.target.value);
+    }
+  });
+  
+  // Drag a video card onto a collection to move it there ("All videos" takes it out of its collection)
+  ui.addEventListener('sources-list', 'dragstart', (event) => {
+    const card = event.target.closest('.video-source-card');
+    if (card) {
+      event.dataTransfer.setData(VIDEO_DRAG_TYPE, card.getAttribute('data-video-id'));
+      event.dataTransfer.effectAllowed = 'move';
+      card.classList.add('dragging');
+    }
+  });
+  
+  ui.addEventListener('sources-list', 'dragend', (event) => {
+    const card = event.target.closest('.video-source-card');
+    if (card) {
+      card.classList.remove('dragging');
+    }
+  });
+  
+  ui.addEventListener('collections-list', 'dragover', (event) => {
+    const item = event.target.closest('.collection-item');
+    if (item && event.dataTransfer.types.includes(VIDEO_DRAG_TYPE)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      item.classList.add('drop-target');
+    }
+  });
+  
+  ui.addEventListener('collections-list', 'dragleave', (event) => {
+    const item = event.target.closest('.collection-item');
+    if (item && !item.contains(event.relatedTarget)) {
+      item.classList.remove('drop-target');
+    }
+  });
+  
+  ui.addEventListener('collections-list', 'drop', (event) => {
+    const item = event.target.closest('.collection-item');
+    const videoId = event.dataTransfer.getData(VIDEO_DRAG_TYPE);
+    if (item && videoId) {
+      event.preventDefault();
+      mutations.moveVideoToCollection(videoId, item.getAttribute('data-collection-id') || null);
+    }
+  });
+  
+  // Clear the selected video's conversation here and on the server
+  ui.addEventListener('clear-chat-btn', 'click', handleClearConversation);
+  
+  // Model that answers the selected video's questions
+  ui.addEventListener('model-select', 'change', (event) => {
+    const selectedVideo = mutations.getSelectedVideo();
+    if (selectedVideo) {
+      const [provider, model] = JSON.parse(event.target.value);
+      mutations.setVideoModel(selectedVideo.id, { provider, model });
+    }
+  });
+  
+  // Sidebar sort order and tag filter
+  ui.addEventListener('sidebar-controls', 'change', (event) => {
+    if (event.target.id === 'sort-videos') {
+      mutations.setSidebarSort(event.target.value);
+    } else if (event.target.id === 'filter-tag') {
+      mutations.setSidebarTagFilter(event.target.value);
+    }
+  });
+  
   // Chat form submission
   ui.addEventListener('chat-form', 'submit', handleSendMessage);
   
   // Theme toggle
   ui.addEventListener('theme-toggle', 'click', toggleTheme);
   
+  // Timestamp links in the summary and chat seek the player;
+  // citations in multi-video answers open the cited video first
+  ui.addEventListener('content-state', 'click', (event) => {
+    const link = event.target.closest('.timestamp-link');
+    if (link) {
+      event.preventDefault();
+      const videoId = link.getAttribute('data-video-id');
+      if (videoId) {
+        player.showVideo(videoId);
+      }
+      player.seekTo(Number(link.getAttribute('data-seconds')));
+    }
+  });
+  
+  // Clear the multi-video question selection
+  ui.addEventListener('question-scope', 'click', (event) => {
+    if (event.target.closest('#clear-scope-btn')) {
+      mutations.clearAskVideos();
+    } else if (event.target.closest('#ask-collection-btn')) {
+      mutations.askAcrossActiveCollection();
+    }
+  });
+  
+  // Message actions: edit, regenerate and branch navigation
+  ui.addEventListener('chat-messages', 'click', handleChatAction);
+  
+  // Back to the newest message, following new ones again
+  ui.addEventListener('jump-to-latest-btn', 'click', () => chatList.scrollToEnd());
+  
+  // Ctrl/Cmd + Enter saves an edited question, Escape cancels the edit
+  ui.addEventListener('chat-messages', 'keydown', (event) => {
+    if (!event.target.classList.contains('message-edit-input')) {
+      return;
+    }
+    
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      handleEditSubmit(editingMessageId, event.target.value);
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      editingMessageId = null;
+      renderChatMessages();
+    }
+  });
+  
+  // Workspace export and import
+  ui.addEventListener('export-workspace-btn', 'click', handleExportWorkspace);
+  ui.addEventListener('import-workspace-btn', 'click', () => {
+    document.getElementById('import-workspace-input').click();
+  });
+  ui.addEventListener('import-workspace-input', 'change', (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) {
+      handleImportWorkspace(file);
+    }
+  });
+  
+  // Import report close button and backdrop
+  ui.addEventListener('close-import-report-btn', 'click', () => {
+    ui.hideElement('import-report-modal');
+  });
+  ui.addEventListener('import-report-modal', 'click', (event) => {
+    if (event.target.id === 'import-report-modal') {
+      ui.hideElement('import-report-modal');
+    }
+  });
+  
+  // Summary and transcript tabs on the summary card
+  ui.addEventListener('summary-tab', 'click', () => showDetailsTab('summary'));
+  ui.addEventListener('transcript-tab', 'click', () => showDetailsTab('transcript'));
+  
+  // Summarize again in another style, and switch between the summaries written so far.
+  // On the chapter timeline: collapse it, open a chapter's detailed summary, or ask about a chapter
+  ui.addEventListener('summary-style-form', 'submit', handleResummarize);
+  ui.addEventListener('summary-content', 'click', (event) => {
+    const versionButton = event.target.closest('[data-summary-version]');
+    const chapterButton = event.target.closest('[data-chapter-action]');
+    const selectedVideo = mutations.getSelectedVideo();
+    
+    if (versionButton && selectedVideo) {
+      mutations.setActiveSummaryVersion(selectedVideo.id, versionButton.dataset.summaryVersion || null);
+    } else if (chapterButton) {
+      handleChapterAction(chapterButton.dataset.chapterAction, Number(chapterButton.dataset.chapterIndex));
+    }
+  });
+  
+  // Transcript search: Enter and Shift+Enter step through matches, Escape clears the search
+  ui.addEventListener('transcript-search', 'input', () => {
+    clearTimeout(transcriptSearchTimer);
+    transcriptSearchTimer = setTimeout(runTranscriptSearch, 150);
+  });
+  
+  ui.addEventListener('transcript-search', 'keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (transcriptSearchTimer !== null) {
+        // Search right away; that selects the first match
+        runTranscriptSearch();
+      } else {
+        stepTranscriptSearch(event.shiftKey ? -1 : 1);
+      }
+    } else if (event.key === 'Escape' && event.target.value) {
+      event.stopPropagation();
+      event.target.value = '';
+      runTranscriptSearch();
+    }
+  });
+  
+  ui.addEventListener('transcript-prev', 'click', () => stepTranscriptSearch(-1));
+  ui.addEventListener('transcript-next', 'click', () => stepTranscriptSearch(1));
+  
+  // Export menu on the summary card
+  ui.addEventListener('export-btn', 'click', (event) => {
+    event.stopPropagation();
+    setExportMenuOpen(document.getElementById('export-menu').classList.contains('hidden'));
+  });
+  
+  ui.addEventListener('export-menu', 'click', (event) => {
+    const item = event.target.closest('[data-export-format]');
+    if (item) {
+      setExportMenuOpen(false);
+      handleExport(item.getAttribute('data-export-format'));
+    }
+  });
+  
+  // Clicking anywhere else closes the export menu and the video card menu
+  document.addEventListener('click', (event) => {
+    if (!event.target.closest('.export-menu-container')) {
+      setExportMenuOpen(false);
+    }
+    if (openCardMenuId && !event.target.closest('.video-card-menu-container')) {
+      openCardMenuId = null;
+      renderSourcesList();
+    }
+  });
+  
+  // Search palette: arrow keys move through the results, Enter opens one
+  ui.addEventListener('search-btn', 'click', openSearchPalette);
+  ui.addEventListener('search-palette-input', 'input', runGlobalSearch);
+  
+  ui.addEventListener('search-palette-input', 'keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      moveSearchSelection(event.key === 'ArrowDown' ? 1 : -1);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      openSearchResult(activeSearchResult);
+    }
+  });
+  
+  ui.addEventListener('search-palette-results', 'click', (event) => {
+    const item = event.target.closest('[data-result-index]');
+    if (item) {
+      openSearchResult(Number(item.getAttribute('data-result-index')));
+    }
+  });
+  
+  ui.addEventListener('search-palette', 'click', (event) => {
+    if (event.target.id === 'search-palette') {
+      ui.hideElement('search-palette');
+    }
+  });
+  
   // Error toast close button
   ui.addEventListener('close-toast-btn', 'click', () => {
     ui.hideElement('error-toast');
@@ -86,11 +647,18 @@ function attachEventListeners() {
   
   // Keyboard shortcuts
   document.addEventListener('keydown', (event) => {
-    // Escape key closes modal
+    // Escape key closes modal and menus
     if (event.key === 'Escape') {
       const modal = document.getElementById('add-video-modal');
       if (!modal.classList.contains('hidden')) {
-        ui.hideModal();
+        closeAnalyzeModal();
+      }
+      ui.hideElement('import-report-modal');
+      ui.hideElement('search-palette');
+      setExportMenuOpen(false);
+      if (openCardMenuId) {
+        openCardMenuId = null;
+        renderSourcesList();
       }
     }
     
@@ -102,143 +670,550 @@ function attachEventListeners() {
         chatInput.focus();
       }
     }
+    
+    // Ctrl/Cmd + Shift + F searches across all videos
+    if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      openSearchPalette();
+    }
   });
+  
+  // Sessions can expire while the tab sits in the background
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      checkSessionStatuses();
+      syncSelectedConversation(true);
+    }
+  });
+}
+
+/**
+ * Split pasted text into video URLs, playlist URLs and lines that are neither
+ * @param {string} text - One URL per line (spaces also separate URLs)
+ * @returns {{videos: Array<{url: string, videoId: string, startSeconds: number|null}>, playlists: string[], invalid: string[]}} - Parsed URLs
+ */
+function parseUrlList(text) {
+  const result = { videos: [], playlists: [], invalid: [] };
+  
+  for (const url of text.split(/\s+/).filter(Boolean)) {
+    const video = parseYouTubeUrl(url);
+    if (video) {
+      result.videos.push({ url, ...video });
+    } else if (isPlaylistUrl(url)) {
+      result.playlists.push(url);
+    } else {
+      result.invalid.push(url);
+    }
+  }
+  
+  return result;
 }
 
 /**
- * Handle video analysis
+ * Describe URLs that could not be recognized
+ * @param {string[]} invalid - Unrecognized URLs
+ * @returns {string} - Error message
+ */
+function formatInvalidUrls(invalid) {
+  if (invalid.length === 1) {
+    return `Not a YouTube video or playlist URL: ${invalid[0]}`;
+  }
+  return `${invalid.length} lines are not YouTube video or playlist URLs, e.g. ${invalid[0]}`;
+}
+
+/**
+ * Handle video analysis: queue every pasted video and the videos of every pasted playlist
  */
 async function handleAnalyze() {
-  const videoUrl = ui.getInputValue('video-url').trim();
+  const { videos, playlists, invalid } = parseUrlList(ui.getInputValue('video-url'));
   
-  // Validate URL
-  if (!videoUrl) {
+  // Validate URLs
+  if (videos.length === 0 && playlists.length === 0 && invalid.length === 0) {
     ui.showUrlError('Please enter a YouTube URL');
     return;
   }
   
-  if (!isValidYouTubeUrl(videoUrl)) {
-    ui.showUrlError('Please enter a valid YouTube URL');
+  if (invalid.length > 0) {
+    ui.showUrlError(formatInvalidUrls(invalid));
     return;
   }
   
   ui.hideUrlError();
   ui.hideAnalyzeError();
-  ui.setLoading(true);
   
-  try {
-    // Call the API to analyze the video
-    const response = await analyzeVideo(videoUrl);
-    
-    // Add video to state
-    mutations.addVideo(response);
-    
-    // Update UI
-    updateUI();
-    
-    // Close modal
-    ui.hideModal();
-    
-    // Show success feedback (optional)
-    console.log('Video analyzed successfully:', response);
-  } catch (error) {
-    console.error('Error analyzing video:', error);
+  const items = [...videos];
+  
+  if (playlists.length > 0) {
+    ui.setLoading(true);
+    try {
+      for (const playlistUrl of playlists) {
+        const playlist = await resolvePlaylist(playlistUrl);
+        if (playlist.isTruncated) {
+          ui.showError(`Only the first ${playlist.videos.length} videos of "${playlist.title}" were added`);
+        }
+        items.push(...playlist.videos.map(video => ({
+          url: video.videoUrl,
+          videoId: video.videoId,
+          title: video.title
+        })));
+      }
+    } catch (error) {
+      console.error('Error resolving playlist:', error);
+      ui.showAnalyzeError(error.message || 'Failed to load the playlist. Please try again.');
+      return;
+    } finally {
+      ui.setLoading(false);
+    }
+  }
+  
+  // Videos already in the library are not analyzed again; new ones join the collection being viewed
+  const known = new Set(state.videos.map(video => video.id));
+  const newItems = items
+    .filter(item => !known.has(item.videoId))
+    .map(item => ({ ...item, collectionId: state.activeCollectionId }));
+  
+  if (newItems.length === 0) {
+    if (items.length === 0) {
+      ui.showAnalyzeError('The playlist has no videos that can be analyzed');
+      return;
+    }
     
-    // Show error in modal
-    const errorMessage = error.message || 'Failed to analyze video. Please try again.';
-    ui.showAnalyzeError(errorMessage);
-  } finally {
-    ui.setLoading(false);
+    // Everything is already here: show the first video instead, at the pasted start time
+    mutations.selectVideo(items[0].videoId);
+    closeAnalyzeModal();
+    if (items[0].startSeconds) {
+      player.seekTo(items[0].startSeconds);
+    }
+    return;
+  }
+  
+  // A single pasted video opens once it is ready, as if it had been analyzed directly,
+  // and the modal stays open to show its progress
+  if (items.length === 1) {
+    selectWhenAnalyzed.set(newItems[0].videoId, newItems[0].startSeconds || null);
+    modalAnalysisVideoId = newItems[0].videoId;
+    analysisQueue.enqueue(newItems);
+    updateAnalysisModal(analysisQueue.getJobs());
+    return;
   }
+  
+  analysisQueue.enqueue(newItems);
+  closeAnalyzeModal();
 }
 
 /**
- * Handle sending a chat message
+ * Close the add video modal; an analysis it was showing carries on in the sidebar
  */
-async function handleSendMessage(event) {
-  if (event) {
-    event.preventDefault();
+function closeAnalyzeModal() {
+  modalAnalysisVideoId = null;
+  ui.hideModal();
+}
+
+/**
+ * Cancel the analysis the add video modal is showing and return to the URL input
+ * @returns {boolean} - True if an analysis was cancelled
+ */
+function cancelModalAnalysis() {
+  const job = analysisQueue.getJobs().find(item => item.videoId === modalAnalysisVideoId);
+  if (!job || job.status === JOB_STATUS.failed) {
+    return false;
   }
   
-  const question = ui.getInputValue('question-input').trim();
-  
-  if (!question) {
+  modalAnalysisVideoId = null;
+  selectWhenAnalyzed.delete(job.videoId);
+  analysisQueue.remove(job.id);
+  ui.hideAnalysisProgress();
+  return true;
+}
+
+/**
+ * Show the progress of the analysis the add video modal is following
+ * @param {Array} jobs - Jobs from the analysis queue
+ */
+function updateAnalysisModal(jobs) {
+  if (!modalAnalysisVideoId) {
     return;
   }
   
-  const selectedVideo = mutations.getSelectedVideo();
-  if (!selectedVideo) {
-    ui.showError('Please select a video first');
+  const job = jobs.find(item => item.videoId === modalAnalysisVideoId);
+  if (!job) {
+    // The analysis finished and its video is in the library
+    closeAnalyzeModal();
     return;
   }
   
-  // Clear input
-  ui.clearChatInput();
-  
-  // Disable input while streaming
-  ui.setChatInputEnabled(false);
+  ui.showAnalysisProgress(renderAnalysisProgress(job));
+  if (job.status === JOB_STATUS.failed) {
+    // Analyze tries the same video again
+    ui.setLoading(false);
+    ui.showAnalyzeError(job.error);
+  } else {
+    ui.setLoading(true);
+    ui.hideAnalyzeError();
+  }
+}
+
+/**
+ * Analyze one queued video and add it to the library
+ * @param {Object} job - Job from the analysis queue
+ * @param {Object} options - Options from the analysis queue
+ * @param {AbortSignal} options.signal - Aborts when the job is cancelled
+ * @param {Function} options.onProgress - Stores the progress on the job: {percent, stage, steps} with the latest update per stage
+ * @returns {Promise<void>}
+ * @throws {Error} - Naming the stage that failed
+ */
+async function analyzeQueuedVideo(job, { signal, onProgress }) {
+  const model = mutations.getAnalysisModel();
+  const steps = {};
+  let progress = { percent: 0, stage: null, steps };
   
-  // Add user message to state and UI
-  const userMessage = {
-    role: 'user',
+  let response;
+  try {
+    response = await analyzeVideo(job.url, model, {
+      signal,
+      onProgress: (update) => {
+        steps[update.stage] = update;
+        progress = { percent: update.percent, stage: update.stage, steps: { ...steps } };
+        onProgress(progress);
+      }
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' || !error.stage) {
+      throw error;
+    }
+    onProgress({ ...progress, stage: error.stage });
+    throw new Error(`${getAnalysisStageLabel(error.stage)} step failed: ${error.message}`, { cause: error });
+  }
+  
+  if (signal.aborted) {
+    return;
+  }
+  
+  if (model) {
+    response.model = model;
+  }
+  if (job.collectionId) {
+    response.collectionId = job.collectionId;
+  }
+  
+  // Don't pull the user away from a conversation that is in progress
+  const wanted = selectWhenAnalyzed.has(job.videoId);
+  const startSeconds = selectWhenAnalyzed.get(job.videoId);
+  selectWhenAnalyzed.delete(job.videoId);
+  
+  const select = !mutations.getSelectedVideo() || (wanted && !state.streaming);
+  if (select) {
+    cancelMessageEdit();
+  }
+  mutations.addVideo(response, select);
+  
+  if (select && startSeconds) {
+    player.seekTo(startSeconds);
+  }
+}
+
+/**
+ * Render the queued, running and failed analyses in the sidebar
+ * @param {Array} jobs - Jobs from the analysis queue
+ */
+function updateAnalysisQueue(jobs) {
+  updateAnalysisModal(jobs);
+  
+  if (jobs.length === 0) {
+    ui.setHTML('analysis-queue', '');
+    ui.hideElement('analysis-queue');
+    return;
+  }
+  
+  ui.setHTML('analysis-queue', jobs.map(renderAnalysisJob).join(''));
+  ui.showElement('analysis-queue');
+}
+
+/**
+ * Handle sending a chat message
+ */
+async function handleSendMessage(event) {
+  if (event) {
+    event.preventDefault();
+  }
+  
+  // While an answer is streaming the send button acts as a Stop button
+  if (state.streaming) {
+    stopStreaming();
+    return;
+  }
+  
+  const question = ui.getInputValue('question-input').trim();
+  
+  if (!question) {
+    return;
+  }
+  
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo) {
+    ui.showError('Please select a video first');
+    return;
+  }
+  
+  // Clear input
+  ui.clearChatInput();
+  
+  // Ask across the videos picked in the sidebar, if there are several
+  const sources = getQuestionSources();
+  
+  // Add user message to state and UI
+  mutations.addChatMessage({
+    role: 'user',
     content: question,
-    timestamp: new Date()
-  };
+    timestamp: new Date(),
+    ...(sources && { sources })
+  });
+  
+  await streamAssistantReply(question, null, sources);
+}
+
+/**
+ * Get the videos the next question should be asked across
+ * @returns {Array<{id: string, title: string}>|null} - Sources in citation-label order, or null for a single-video question
+ */
+function getQuestionSources() {
+  const videos = mutations.getAskVideos();
+  if (videos.length < 2) {
+    return null;
+  }
+  return videos.map(video => ({ id: video.id, title: video.title }));
+}
+
+/**
+ * Regenerate the latest assistant answer as a new branch next to the original
+ * @param {string} messageId - ID of the assistant message to regenerate
+ */
+async function handleRegenerate(messageId) {
+  if (state.streaming) {
+    return;
+  }
+  
+  const messages = mutations.getChatMessages();
+  const index = messages.findIndex(message => message.id === messageId);
+  const question = index > 0 ? messages[index - 1] : null;
+  
+  if (!question || question.role !== 'user' || index !== messages.findLastIndex(message => message.role === 'assistant')) {
+    return;
+  }
+  
+  // Re-ask the same set of videos the original answer used
+  await streamAssistantReply(question.content, messageId, messages[index].sources || null);
+}
+
+/**
+ * Resend an edited question as a new branch next to the original
+ * @param {string} messageId - ID of the user message being edited
+ * @param {string} content - Edited question
+ */
+async function handleEditSubmit(messageId, content) {
+  const question = content.trim();
+  if (!question || state.streaming) {
+    return;
+  }
+  
+  // The edited question keeps the videos the original was asked across
+  const original = mutations.getChatMessages().find(message => message.id === messageId);
+  const sources = original && original.sources ? original.sources : null;
+  
+  editingMessageId = null;
+  mutations.addChatBranch(messageId, {
+    role: 'user',
+    content: question,
+    timestamp: new Date(),
+    ...(sources && { sources })
+  });
+  
+  await streamAssistantReply(question, null, sources);
+}
+
+/**
+ * Handle clicks on message actions (edit, regenerate, branch navigation)
+ * @param {MouseEvent} event - Click event from the chat messages container
+ */
+function handleChatAction(event) {
+  const button = event.target.closest('[data-action]');
+  if (!button) {
+    return;
+  }
   
-  mutations.addChatMessage(userMessage);
-  renderChatMessages();
+  const messageId = button.closest('.chat-message')?.getAttribute('data-message-id');
+  if (!messageId) {
+    return;
+  }
+  
+  switch (button.getAttribute('data-action')) {
+    case 'edit':
+      editingMessageId = messageId;
+      renderChatMessages();
+      focusEditInput();
+      break;
+    case 'cancel-edit':
+      editingMessageId = null;
+      renderChatMessages();
+      break;
+    case 'save-edit': {
+      const input = document.querySelector('.message-edit-input');
+      handleEditSubmit(messageId, input ? input.value : '');
+      break;
+    }
+    case 'regenerate':
+      handleRegenerate(messageId);
+      break;
+    case 'branch-prev':
+      mutations.switchChatBranch(messageId, -1);
+      break;
+    case 'branch-next':
+      mutations.switchChatBranch(messageId, 1);
+      break;
+  }
+}
+
+/**
+ * Focus the inline edit box and place the cursor at the end
+ */
+function focusEditInput() {
+  const input = document.querySelector('.message-edit-input');
+  if (input) {
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+}
+
+/**
+ * Convert chat messages to the form the server stores them in
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Array<{id: string, role: string, content: string, timestamp?: string, stopped?: boolean}>} - Server messages, oldest first
+ */
+function toServerMessages(messages) {
+  return messages.map(message => {
+    const timestamp = new Date(message.timestamp);
+    return {
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      // The server stamps messages without a valid time itself
+      timestamp: Number.isNaN(timestamp.getTime()) ? undefined : timestamp.toISOString(),
+      ...(message.stopped ? { stopped: true } : {})
+    };
+  });
+}
+
+/**
+ * Get the messages shown before a message, in the form the server stores them
+ * @param {string} videoId - ID of the video whose conversation holds the message
+ * @param {string} messageId - ID of a message on the branch being shown
+ * @returns {Array<{id: string, role: string, content: string, timestamp?: string, stopped?: boolean}>} - Earlier messages, oldest first
+ */
+function getHistoryBefore(videoId, messageId) {
+  const messages = mutations.getChatMessages(videoId);
+  const index = messages.findIndex(message => message.id === messageId);
+  
+  return toServerMessages(messages.slice(0, Math.max(0, index)));
+}
+
+/**
+ * Stream an assistant answer to a question into a new message
+ * @param {string} question - Question to send to the server
+ * @param {string|null} regenerateFromId - Assistant message to add the answer next to, or null to append it
+ * @param {Array<{id: string, title: string}>|null} sources - Videos to ask across, or null for the selected video
+ * @param {boolean} recoverSession - Whether to re-analyze a video the server no longer has and ask again
+ * @param {string} videoId - ID of the video whose conversation holds the question, the selected one by default
+ */
+async function streamAssistantReply(question, regenerateFromId = null, sources = null, recoverSession = true, videoId = state.selectedVideoId) {
+  const video = state.videos.find(v => v.id === videoId);
+  const model = mutations.getVideoModel(video);
+  const modelName = mutations.getModelName(model);
+  editingMessageId = null;
   
-  // Create assistant message placeholder
-  const assistantMessageId = Date.now().toString();
-  const assistantMessage = {
+  // Disable input and show the Stop button while streaming
+  ui.setChatStreaming(true);
+  
+  // Create assistant message placeholder, naming the model so answers can be compared
+  const placeholder = {
     role: 'assistant',
     content: '',
     timestamp: new Date(),
-    id: assistantMessageId
+    ...(sources && { sources }),
+    ...(modelName && { model: modelName })
   };
   
-  mutations.addChatMessage(assistantMessage);
-  renderChatMessages();
+  const assistantMessage = regenerateFromId
+    ? mutations.addChatBranch(regenerateFromId, placeholder, videoId)
+    : mutations.addChatMessage(placeholder, videoId);
+  const assistantMessageId = assistantMessage.id;
+  
+  const renderStreamingMarkdown = createStreamingMarkdownRenderer();
+  streamingRenderer = (content) => linkifyVideoCitations(renderStreamingMarkdown(content), sources);
   
   // Set streaming state
   mutations.setStreaming(true);
   
+  activeStreamController = new AbortController();
+  let partialContent = '';
+  let expiredVideoId = null;
+  
   try {
     // Stream the answer
-    await streamAnswer(
-      selectedVideo.id,
-      question,
+    const ask = sources
+      ? (...callbacks) => streamAnswerAcrossVideos(sources.map(source => source.id), question, ...callbacks, model)
+      : (...callbacks) => streamAnswer(video.id, question, ...callbacks, model, {
+        // The server stores both messages under these IDs, so the two copies can be reconciled
+        questionId: assistantMessage.parentId,
+        answerId: assistantMessageId,
+        history: getHistoryBefore(videoId, assistantMessage.parentId),
+        clearedAt: video.conversationClearedAt || null
+      });
+    
+    await ask(
       // onChunk callback
       (chunk, fullContent) => {
-        // Update the assistant message in state
-        mutations.updateLastChatMessage(fullContent);
+        partialContent = fullContent;
+        
+        // Update the assistant message in the video asked about, which may no longer be selected
+        mutations.updateChatMessage(video.id, assistantMessageId, fullContent);
         
         // Update the UI
         updateStreamingMessage(assistantMessageId, fullContent);
       },
       // onComplete callback
-      (fullContent) => {
-        // Finalize the message
-        mutations.updateLastChatMessage(fullContent);
-        updateStreamingMessage(assistantMessageId, fullContent, false);
+      (fullContent, citations) => {
+        // Finalize the message with the transcript passages it cites
+        mutations.updateChatMessage(video.id, assistantMessageId, fullContent, citations);
         
-        // Reset streaming state
+        // Reset streaming state; the chat re-renders so message actions become available
         mutations.setStreaming(false);
         
         // Re-enable input
-        ui.setChatInputEnabled(true);
+        ui.setChatStreaming(false);
         
         // Focus back to input
         document.getElementById('question-input').focus();
       },
       // onError callback
       (error) => {
+        if (error.name === 'AbortError') {
+          finishStoppedMessage(video.id, assistantMessageId, partialContent);
+          return;
+        }
+        
+        // The server dropped the video's session: discard the failed answer and recover below,
+        // still streaming so the Stop button cancels the new analysis
+        if (error.code === SESSION_NOT_FOUND_ERROR && recoverSession) {
+          expiredVideoId = error.videoId || video.id;
+          mutations.removeChatMessage(video.id, assistantMessageId);
+          return;
+        }
+        
         console.error('Error streaming answer:', error);
         
         // Update the message with error
         const errorMessage = `Sorry, I encountered an error: ${error.message || 'Unknown error'}`;
-        mutations.updateLastChatMessage(errorMessage);
-        updateStreamingMessage(assistantMessageId, errorMessage, false);
+        mutations.updateChatMessage(video.id, assistantMessageId, errorMessage);
         
         // Show error toast
         ui.showError(errorMessage);
@@ -247,16 +1222,20 @@ async function handleSendMessage(event) {
         mutations.setStreaming(false);
         
         // Re-enable input
-        ui.setChatInputEnabled(true);
-      }
+        ui.setChatStreaming(false);
+      },
+      activeStreamController.signal
     );
+    
+    if (expiredVideoId) {
+      await recoverSessionAndAsk(expiredVideoId, question, regenerateFromId, sources, videoId);
+    }
   } catch (error) {
     console.error('Error in streaming:', error);
     
     // Handle any unexpected errors
     const errorMessage = `Sorry, I encountered an error: ${error.message || 'Unknown error'}`;
-    mutations.updateLastChatMessage(errorMessage);
-    updateStreamingMessage(assistantMessageId, errorMessage, false);
+    mutations.updateChatMessage(video.id, assistantMessageId, errorMessage);
     
     // Show error toast
     ui.showError(errorMessage);
@@ -265,37 +1244,719 @@ async function handleSendMessage(event) {
     mutations.setStreaming(false);
     
     // Re-enable input
-    ui.setChatInputEnabled(true);
+    ui.setChatStreaming(false);
+  } finally {
+    activeStreamController = null;
   }
 }
 
 /**
- * Update a streaming message in the UI
- * @param {string} messageId - ID of the message to update
- * @param {string} content - New content
- * @param {boolean} isStreaming - Whether the message is still streaming
+ * Analyze a video again after the server dropped its session, then ask the question once more.
+ * The Stop button stays available and cancels the new analysis.
+ * @param {string} videoId - ID of the video whose session expired
+ * @param {string} question - Question to ask again
+ * @param {string|null} regenerateFromId - Assistant message to add the answer next to, or null to append it
+ * @param {Array<{id: string, title: string}>|null} sources - Videos to ask across, or null for the selected video
+ * @param {string} conversationVideoId - ID of the video whose conversation holds the question
+ * @returns {Promise<void>}
+ */
+async function recoverSessionAndAsk(videoId, question, regenerateFromId, sources, conversationVideoId) {
+  const video = state.videos.find(v => v.id === videoId);
+  const title = video ? video.label || video.title : videoId;
+  
+  mutations.setSessionStatuses({ [videoId]: false });
+  ui.showSessionNotice(`The session for "${title}" expired. Analyzing the video again…`);
+  
+  try {
+    const analyzed = await analyzeVideo(`https://www.youtube.com/watch?v=${videoId}`, mutations.getVideoModel(video), {
+      signal: activeStreamController.signal
+    });
+    mutations.restoreVideoSession(analyzed);
+  } catch (error) {
+    ui.hideSessionNotice();
+    mutations.setStreaming(false);
+    ui.setChatStreaming(false);
+    if (error.name !== 'AbortError') {
+      console.error('Error analyzing video again:', error);
+      ui.showError(`Could not analyze "${title}" again: ${error.message || 'Unknown error'}`);
+    }
+    return;
+  }
+  
+  ui.hideSessionNotice();
+  
+  // The answer goes to the conversation it was asked in, even if another video was selected meanwhile,
+  // unless that video was removed
+  if (!state.videos.some(v => v.id === conversationVideoId)) {
+    mutations.setStreaming(false);
+    ui.setChatStreaming(false);
+    return;
+  }
+  
+  await streamAssistantReply(question, regenerateFromId, sources, false, conversationVideoId);
+}
+
+/**
+ * Show or hide the export menu
+ * @param {boolean} isOpen - Whether the menu should be visible
+ */
+function setExportMenuOpen(isOpen) {
+  const menu = document.getElementById('export-menu');
+  const button = document.getElementById('export-btn');
+  if (!menu || !button) {
+    return;
+  }
+  
+  menu.classList.toggle('hidden', !isOpen);
+  button.setAttribute('aria-expanded', String(isOpen));
+}
+
+/**
+ * Summarize the selected video again in the style, length and language chosen on the summary card.
+ * The new summary is kept next to the earlier ones and shown.
+ * @param {Event} event - Submit event of the summary style form
+ */
+async function handleResummarize(event) {
+  event.preventDefault();
+  
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo || summarizingVideoIds.has(selectedVideo.id)) {
+    return;
+  }
+  
+  const videoId = selectedVideo.id;
+  const model = mutations.getVideoModel(selectedVideo);
+  const options = {
+    style: ui.getInputValue('summary-style'),
+    length: ui.getInputValue('summary-length'),
+    language: ui.getInputValue('summary-language').trim() || null
+  };
+  
+  summarizingVideoIds.add(videoId);
+  updateSummaryForm();
+  
+  try {
+    const result = await resummarizeVideo(videoId, options, model);
+    mutations.addSummaryVersion(videoId, {
+      summary: result.summary,
+      style: result.style,
+      length: result.length,
+      language: result.language,
+      model: mutations.getModelName(model),
+      createdAt: result.createdAt
+    });
+  } catch (error) {
+    ui.showError(`Could not summarize the video: ${error.message}`);
+  } finally {
+    summarizingVideoIds.delete(videoId);
+    if (mutations.getSelectedVideo()?.id === videoId) {
+      updateSummary();
+    }
+  }
+}
+
+/**
+ * Handle an action on the chapter timeline of the selected video
+ * @param {string} action - 'toggle', 'open' or 'ask'
+ * @param {number} chapterIndex - Zero-based position of the chapter (unused for 'toggle')
+ */
+function handleChapterAction(action, chapterIndex) {
+  const selectedVideo = mutations.getSelectedVideo();
+  const chapter = selectedVideo?.chapters?.[chapterIndex];
+  
+  switch (action) {
+    case 'toggle':
+      chaptersCollapsed = !chaptersCollapsed;
+      updateSummary();
+      break;
+    case 'open':
+      if (!chapter) return;
+      if (openChapter && openChapter.videoId === selectedVideo.id && openChapter.index === chapterIndex) {
+        openChapter = null;
+        updateSummary();
+      } else {
+        openChapter = { videoId: selectedVideo.id, index: chapterIndex };
+        if (!chapter.details) {
+          loadChapterDetails(selectedVideo.id, chapterIndex);
+        }
+        updateSummary();
+      }
+      break;
+    case 'ask':
+      if (chapter) askAboutChapter(chapter);
+      break;
+  }
+}
+
+/**
+ * Fetch the detailed summary of a chapter and show it if the chapter is still open
+ * @param {string} videoId - ID of the video
+ * @param {number} chapterIndex - Zero-based position of the chapter
  */
-function updateStreamingMessage(messageId, content, isStreaming = true) {
-  // Find the message element
-  const messageElements = document.querySelectorAll('.chat-message.assistant');
-  const lastMessageElement = messageElements[messageElements.length - 1];
+async function loadChapterDetails(videoId, chapterIndex) {
+  const key = `${videoId}:${chapterIndex}`;
+  if (summarizingChapters.has(key)) {
+    return;
+  }
+  
+  const video = state.videos.find(v => v.id === videoId);
+  summarizingChapters.add(key);
   
-  if (lastMessageElement) {
-    const contentElement = lastMessageElement.querySelector('.message-content');
-    if (contentElement) {
-      contentElement.textContent = content;
+  try {
+    const details = await summarizeChapter(videoId, chapterIndex, mutations.getVideoModel(video));
+    mutations.setChapterDetails(videoId, chapterIndex, details);
+  } catch (error) {
+    ui.showError(`Could not summarize the chapter: ${error.message}`);
+    if (openChapter && openChapter.videoId === videoId && openChapter.index === chapterIndex) {
+      openChapter = null;
+    }
+  } finally {
+    summarizingChapters.delete(key);
+    if (mutations.getSelectedVideo()?.id === videoId) {
+      updateSummary();
     }
+  }
+}
+
+/**
+ * Pre-fill the chat with a question about the time range of a chapter
+ * @param {{title: string, start: number, end: number}} chapter - Chapter to ask about
+ */
+function askAboutChapter(chapter) {
+  const input = document.getElementById('question-input');
+  if (input.disabled) {
+    ui.showError('Wait for the current answer to finish before asking about a chapter');
+    return;
+  }
+  
+  input.value = `Between ${formatDuration(chapter.start)} and ${formatDuration(chapter.end)} ("${chapter.title}"), `;
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+/**
+ * Export the selected video's summary and conversation
+ * @param {string} format - 'markdown', 'json' or 'print'
+ */
+function handleExport(format) {
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo) {
+    ui.showError('Please select a video first');
+    return;
+  }
+  
+  switch (format) {
+    case 'markdown':
+      downloadFile(getExportFilename(selectedVideo, 'md'), exportVideoAsMarkdown(selectedVideo), 'text/markdown;charset=utf-8');
+      break;
+    case 'json':
+      downloadFile(getExportFilename(selectedVideo, 'json'), exportVideoAsJson(selectedVideo), 'application/json');
+      break;
+    case 'print':
+      if (!openPrintView(exportVideoAsHtml(selectedVideo))) {
+        ui.showError('Allow pop-ups for this site to print or save as PDF');
+      }
+      break;
+  }
+}
+
+/**
+ * Download every video and conversation as one workspace bundle
+ */
+function handleExportWorkspace() {
+  if (state.videos.length === 0) {
+    ui.showError('There are no videos to export yet');
+    return;
+  }
+  
+  downloadFile(getWorkspaceFilename(), exportWorkspaceAsJson(state.videos, state.selectedVideoId, state.collections), 'application/json');
+}
+
+/**
+ * Download one collection's videos and conversations as a workspace bundle
+ * @param {string} collectionId - ID of the collection
+ */
+function handleExportCollection(collectionId) {
+  const collection = state.collections.find(c => c.id === collectionId);
+  const videos = mutations.getCollectionVideos(collectionId);
+  if (!collection || videos.length === 0) {
+    ui.showError('There are no videos in this collection to export yet');
+    return;
+  }
+  
+  const selectedVideoId = videos.some(v => v.id === collection.selectedVideoId) ? collection.selectedVideoId : videos[0].id;
+  downloadFile(
+    getWorkspaceFilename(new Date(), collection.name),
+    exportWorkspaceAsJson(videos, selectedVideoId, [collection]),
+    'application/json'
+  );
+}
+
+/**
+ * Import a workspace bundle, merging it with the current library
+ * @param {File} file - Selected bundle file
+ */
+async function handleImportWorkspace(file) {
+  if (state.streaming) {
+    ui.showError('Wait for the current answer to finish before importing');
+    return;
+  }
+  
+  try {
+    const bundle = parseWorkspaceJson(await file.text());
+    const { videos, report } = mergeWorkspace(state.videos, bundle.videos);
     
-    // Add or remove streaming cursor
-    if (isStreaming) {
-      ui.addStreamingCursor(contentElement);
-    } else {
-      ui.removeStreamingCursor(contentElement);
+    mutations.importVideos(videos, bundle.selectedVideoId, bundle.collections);
+    
+    ui.setHTML('import-report-content', renderImportReport(report));
+    ui.showElement('import-report-modal');
+  } catch (error) {
+    console.error('Error importing workspace:', error);
+    ui.showError(`Import failed: ${error.message}`);
+  }
+}
+
+/**
+ * Run an action from a video card's menu or tag editor
+ * @param {string} action - Value of the button's data-card-action attribute
+ * @param {string} videoId - ID of the card's video
+ * @param {HTMLElement} button - Button that was clicked
+ */
+function handleCardAction(action, videoId, button) {
+  const video = state.videos.find(v => v.id === videoId);
+  if (!video) {
+    return;
+  }
+  
+  if (action !== 'menu') {
+    openCardMenuId = null;
+  }
+  
+  switch (action) {
+    case 'menu':
+      openCardMenuId = openCardMenuId === videoId ? null : videoId;
+      renderSourcesList();
+      focusCardElement(videoId, '.video-card-menu [role="menuitem"]');
+      return;
+    case 'pin':
+      mutations.setVideoPinned(videoId, !video.pinned);
+      break;
+    case 'rename':
+      renamingVideoId = videoId;
+      renderSourcesList();
+      focusCardElement(videoId, '.video-label-input');
+      return;
+    case 'tags':
+      taggingVideoId = videoId;
+      renderSourcesList();
+      focusCardElement(videoId, '.video-tag-input');
+      return;
+    case 'remove':
+      handleRemoveVideo(video);
+      return;
+    case 'move':
+      mutations.moveVideoToCollection(videoId, button.getAttribute('data-collection-id') || null);
+      break;
+    case 'remove-tag':
+      mutations.removeVideoTag(videoId, button.getAttribute('data-tag'));
+      break;
+    case 'cycle-tag-color': {
+      const name = button.getAttribute('data-tag');
+      const tag = (video.tags || []).find(t => t.name === name);
+      if (tag) {
+        mutations.setTagColor(name, TAG_COLORS[(TAG_COLORS.indexOf(tag.color) + 1) % TAG_COLORS.length]);
+      }
+      break;
+    }
+    case 'close-tags':
+      taggingVideoId = null;
+      break;
+  }
+  
+  renderSourcesList();
+}
+
+/**
+ * Save the name typed for a video and leave rename mode
+ * @param {string} videoId - ID of the video being renamed
+ * @param {string} label - Typed name; empty to go back to the video title
+ */
+function saveVideoLabel(videoId, label) {
+  // The input fires focusout as it is removed after Enter; only the first save counts
+  if (renamingVideoId !== videoId) {
+    return;
+  }
+  
+  renamingVideoId = null;
+  mutations.setVideoLabel(videoId, label);
+  renderSourcesList();
+}
+
+/**
+ * Remove a video from the library after confirmation
+ * @param {Object} video - Video to remove
+ */
+function handleRemoveVideo(video) {
+  if (state.streaming) {
+    ui.showError('Wait for the current answer to finish before removing a video');
+    return;
+  }
+  
+  const name = video.label || video.title || video.id;
+  if (!window.confirm(`Remove "${name}" and its conversation from your library? This cannot be undone.`)) {
+    renderSourcesList();
+    return;
+  }
+  
+  if (renamingVideoId === video.id) renamingVideoId = null;
+  if (taggingVideoId === video.id) taggingVideoId = null;
+  transcriptRowsCache.delete(video.id);
+  mutations.removeVideo(video.id);
+}
+
+/**
+ * Run an action from the collection list
+ * @param {string} action - Value of the button's data-collection-action attribute
+ * @param {string|null} collectionId - ID of the collection, or null for "All videos"
+ */
+function handleCollectionAction(action, collectionId) {
+  switch (action) {
+    case 'open':
+      if (collectionId !== state.activeCollectionId) {
+        cancelMessageEdit();
+        mutations.setActiveCollection(collectionId);
+      }
+      break;
+    case 'rename':
+      renamingCollectionId = collectionId;
+      renderCollectionsList();
+      focusCollectionNameInput();
+      break;
+    case 'export':
+      handleExportCollection(collectionId);
+      break;
+    case 'delete': {
+      const collection = state.collections.find(c => c.id === collectionId);
+      const count = mutations.getCollectionVideos(collectionId).length;
+      const videos = count === 1 ? '1 video' : `${count} videos`;
+      if (collection && window.confirm(`Delete the collection "${collection.name}"? Its ${videos} will stay in your library.`)) {
+        mutations.removeCollection(collectionId);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Save the name typed for the collection being renamed
+ * @param {string} name - Typed name; an empty name keeps the old one
+ */
+function saveCollectionName(name) {
+  // The input fires focusout as it is removed after Enter; only the first save counts
+  if (!renamingCollectionId) {
+    return;
+  }
+  
+  const collectionId = renamingCollectionId;
+  renamingCollectionId = null;
+  mutations.renameCollection(collectionId, name);
+  renderCollectionsList();
+}
+
+/**
+ * Focus and select the collection name input after it was rendered
+ */
+function focusCollectionNameInput() {
+  const input = document.querySelector('#collections-list .collection-name-input');
+  if (input) {
+    input.focus();
+    input.select();
+  }
+}
+
+/**
+ * Focus an element inside a video card after it was re-rendered
+ * @param {string} videoId - ID of the card's video
+ * @param {string} selector - Element to focus within the card
+ */
+function focusCardElement(videoId, selector) {
+  const card = document.querySelector(`.video-source-card[data-video-id="${CSS.escape(videoId)}"]`);
+  const element = card ? card.querySelector(selector) : null;
+  if (element) {
+    element.focus();
+    if (element.tagName === 'INPUT' && element.value) {
+      element.select();
+    }
+  }
+}
+
+/**
+ * Open the search palette with a fresh index of every video and conversation
+ */
+function openSearchPalette() {
+  searchEntries = buildSearchIndex(state.videos);
+  ui.showElement('search-palette');
+  
+  // Keep the previous query so it can be refined or replaced by typing
+  const input = document.getElementById('search-palette-input');
+  input.focus();
+  input.select();
+  runGlobalSearch();
+}
+
+/**
+ * Search the workspace for the text in the palette and show the results
+ */
+function runGlobalSearch() {
+  const query = ui.getInputValue('search-palette-input');
+  searchResults = searchIndex(searchEntries, query);
+  activeSearchResult = 0;
+  
+  ui.setHTML('search-palette-results', renderSearchResults(searchResults, activeSearchResult));
+  updateSearchSelection();
+  
+  let status = '';
+  if (state.videos.length === 0) {
+    status = 'Add a video to search its summary and conversation';
+  } else if (!query.trim()) {
+    status = `Search ${state.videos.length === 1 ? '1 video' : `${state.videos.length} videos`} and their conversations`;
+  } else if (searchResults.length === 0) {
+    status = `No matches for “${query.trim()}”`;
+  }
+  document.getElementById('search-palette-status').textContent = status;
+}
+
+/**
+ * Move the highlight to the next or previous search result
+ * @param {number} offset - 1 for the next result, -1 for the previous one
+ */
+function moveSearchSelection(offset) {
+  if (searchResults.length === 0) {
+    return;
+  }
+  
+  activeSearchResult = (activeSearchResult + offset + searchResults.length) % searchResults.length;
+  document.querySelectorAll('#search-palette-results .search-result').forEach((item, index) => {
+    const isActive = index === activeSearchResult;
+    item.classList.toggle('active', isActive);
+    item.setAttribute('aria-selected', String(isActive));
+  });
+  updateSearchSelection();
+}
+
+/**
+ * Point the palette input at the highlighted result and keep it in view
+ */
+function updateSearchSelection() {
+  const input = document.getElementById('search-palette-input');
+  const item = document.getElementById(`search-result-${activeSearchResult}`);
+  
+  if (item) {
+    input.setAttribute('aria-activedescendant', item.id);
+    item.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Close the palette and go to a search result: select its video and, for a chat message,
+ * show the branch containing it and scroll to it
+ * @param {number} index - Index of the result
+ */
+function openSearchResult(index) {
+  const result = searchResults[index];
+  if (!result) {
+    return;
+  }
+  
+  ui.hideElement('search-palette');
+  cancelMessageEdit();
+  mutations.selectVideo(result.videoId);
+  
+  // Switching branches would move the answer being streamed out of view
+  if (result.messageId && !state.streaming) {
+    mutations.showChatMessage(result.messageId);
+  }
+  if (!result.messageId && activeDetailsTab !== 'summary') {
+    showDetailsTab('summary');
+  }
+  
+  // Messages far from view are not rendered until the list scrolls to them
+  const target = result.messageId
+    ? chatList.scrollToItem(result.messageId)
+    : document.getElementById('summary-card');
+  if (target) {
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.remove('search-flash');
+    // Restart the highlight animation if the same element is flashed twice in a row
+    void target.offsetWidth;
+    target.classList.add('search-flash');
+    target.addEventListener('animationend', () => target.classList.remove('search-flash'), { once: true });
+  }
+}
+
+/**
+ * Switch the summary card between the summary and the transcript
+ * @param {string} tab - 'summary' or 'transcript'
+ */
+function showDetailsTab(tab) {
+  activeDetailsTab = tab;
+  const showTranscript = tab === 'transcript';
+  
+  for (const [id, isActive] of [['summary-tab', !showTranscript], ['transcript-tab', showTranscript]]) {
+    const button = document.getElementById(id);
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-selected', String(isActive));
+  }
+  
+  if (showTranscript) {
+    ui.hideElement('summary-content');
+    ui.hideElement('summary-style-form');
+    ui.showElement('transcript-panel');
+    
+    const selectedVideo = mutations.getSelectedVideo();
+    if (selectedVideo) {
+      loadTranscript(selectedVideo.id);
+    }
+  } else {
+    ui.showElement('summary-content');
+    ui.showElement('summary-style-form');
+    ui.hideElement('transcript-panel');
+  }
+}
+
+/**
+ * Show a video's transcript in the viewer, fetching it the first time
+ * @param {string} videoId - ID of the video
+ */
+async function loadTranscript(videoId) {
+  if (!transcriptViewer) {
+    transcriptViewer = createTranscriptViewer(document.getElementById('transcript-viewport'));
+  }
+  
+  if (transcriptVideoId === videoId) {
+    // Already shown; the viewer may just have become visible
+    transcriptViewer.refresh();
+    return;
+  }
+  
+  transcriptVideoId = videoId;
+  transcriptViewer.setRows([]);
+  updateTranscriptSearchStatus();
+  
+  let rows = transcriptRowsCache.get(videoId);
+  if (!rows) {
+    ui.setHTML('transcript-status', `${renderLoadingSpinner('sm')}<p class="text-center">Loading transcript...</p>`);
+    ui.showElement('transcript-status');
+    
+    try {
+      rows = buildTranscriptRows(await fetchTranscript(videoId));
+      transcriptRowsCache.set(videoId, rows);
+    } catch (error) {
+      if (transcriptVideoId === videoId) {
+        ui.setHTML('transcript-status', `Could not load the transcript: ${escapeHtml(error.message || 'Unknown error')}`);
+        // Let the next visit try again
+        transcriptVideoId = null;
+      }
+      return;
     }
     
-    // Scroll to bottom
-    ui.scrollToChatBottom();
+    // Another video was selected while this one was loading
+    if (transcriptVideoId !== videoId) {
+      return;
+    }
+  }
+  
+  if (rows.length === 0) {
+    ui.setHTML('transcript-status', 'This video has no transcript.');
+    ui.showElement('transcript-status');
+  } else {
+    ui.hideElement('transcript-status');
+  }
+  
+  transcriptViewer.setRows(rows);
+  runTranscriptSearch();
+}
+
+/**
+ * Highlight the transcript search query and select its first match
+ */
+function runTranscriptSearch() {
+  clearTimeout(transcriptSearchTimer);
+  transcriptSearchTimer = null;
+  
+  if (transcriptViewer) {
+    transcriptViewer.search(ui.getInputValue('transcript-search'));
+  }
+  updateTranscriptSearchStatus();
+}
+
+/**
+ * Select the next or previous transcript match
+ * @param {number} direction - 1 for the next match, -1 for the previous one
+ */
+function stepTranscriptSearch(direction) {
+  if (!transcriptViewer) return;
+  
+  if (direction < 0) {
+    transcriptViewer.previous();
+  } else {
+    transcriptViewer.next();
   }
+  updateTranscriptSearchStatus();
+}
+
+/**
+ * Show "3 of 17" next to the transcript search box and enable the match buttons
+ */
+function updateTranscriptSearchStatus() {
+  const query = ui.getInputValue('transcript-search').trim();
+  const { index, count } = transcriptViewer ? transcriptViewer.getSearchPosition() : { index: -1, count: 0 };
+  
+  let label = '';
+  if (query) {
+    label = count === 0 ? 'No matches' : `${index + 1} of ${count}`;
+  }
+  document.getElementById('transcript-search-count').textContent = label;
+  document.getElementById('transcript-prev').disabled = count === 0;
+  document.getElementById('transcript-next').disabled = count === 0;
+}
+
+/**
+ * Cancel the answer currently being streamed
+ */
+function stopStreaming() {
+  if (activeStreamController) {
+    activeStreamController.abort();
+  }
+}
+
+/**
+ * Finalize an answer that was stopped by the user, keeping its partial content
+ * @param {string} videoId - ID of the video whose conversation holds the message
+ * @param {string} messageId - ID of the stopped message
+ * @param {string} partialContent - Content received before the stop
+ */
+function finishStoppedMessage(videoId, messageId, partialContent) {
+  mutations.updateChatMessage(videoId, messageId, partialContent);
+  mutations.markChatMessageStopped(videoId, messageId);
+  mutations.setStreaming(false);
+  
+  ui.setChatStreaming(false);
+  document.getElementById('question-input').focus();
+}
+
+/**
+ * Update a streaming message in the UI
+ * @param {string} messageId - ID of the message to update
+ * @param {string} content - New content
+ */
+function updateStreamingMessage(messageId, content) {
+  // Chunks can arrive many times per frame; the list renders only the latest content, once per frame
+  chatList.updateContent(messageId, () => streamingRenderer
+    ? streamingRenderer(content)
+    : renderMessageContent(content));
 }
 
 /**
@@ -308,35 +1969,93 @@ function toggleTheme() {
 }
 
 /**
- * Update the entire UI based on current state
+ * Render every part of the page from the current state
  */
 function updateUI() {
-  updateSourcesList();
+  renderCollectionsList();
+  renderSourcesList();
   updateMainContent();
-  attachDynamicEventListeners();
+  updateSummary();
+  updateQuestionScope();
+  updateModelPicker();
+  renderChatMessages({ scrollToEnd: true });
+}
+
+/**
+ * Re-render each part of the page when the slice of the state it shows changes.
+ * Changes to what only this module tracks (open menus, edit modes) re-render the part directly.
+ */
+function subscribeToState() {
+  subscribe(selectors.collectionList, () => renderCollectionsList());
+  subscribe(selectors.sourcesList, () => renderSourcesList());
+  subscribe(selectors.selectedVideoId, () => updateMainContent());
+  subscribe(selectors.selectedVideo, () => updateSummary());
+  subscribe(selectors.questionScope, () => updateQuestionScope());
+  subscribe(selectors.modelPicker, () => updateModelPicker());
+  
+  subscribe(selectors.chat, (chat, previous, actions) => {
+    // Jump to a newly opened conversation and to a question just asked; otherwise the list
+    // follows changes only while the reader is at the bottom
+    renderChatMessages({
+      scrollToEnd: chat.videoId !== previous.videoId ||
+        actions.some(action => action.type === ACTIONS.MESSAGE_ADDED)
+    });
+  });
 }
 
 /**
- * Update the sources list in the sidebar
+ * Update the collection list in the sidebar
  */
-function updateSourcesList() {
-  const sourcesList = document.getElementById('sources-list');
-  const emptySources = document.getElementById('empty-sources');
+function renderCollectionsList() {
+  const counts = new Map();
+  for (const video of state.videos) {
+    if (video.collectionId) {
+      counts.set(video.collectionId, (counts.get(video.collectionId) || 0) + 1);
+    }
+  }
   
+  ui.patchList('collections-list', 'data-collection-id', renderCollectionList(state.collections, state.activeCollectionId, {
+    counts,
+    totalCount: state.videos.length,
+    renamingId: renamingCollectionId
+  }));
+}
+
+/**
+ * Update the sources list in the sidebar, patching only the cards that changed
+ */
+function renderSourcesList() {
   if (state.videos.length === 0) {
-    sourcesList.innerHTML = '';
+    ui.setHTML('sources-list', '');
     ui.showElement('empty-sources');
-  } else {
-    ui.hideElement('empty-sources');
-    
-    // Render video cards
-    const videosHTML = state.videos.map(video => {
-      const isSelected = video.id === state.selectedVideoId;
-      return renderVideoCard(video, isSelected);
-    }).join('');
-    
-    ui.setHTML('sources-list', videosHTML);
+    ui.hideElement('sidebar-controls');
+    return;
+  }
+  
+  ui.hideElement('empty-sources');
+  
+  const libraryTags = mutations.getTags();
+  ui.setHTMLIfChanged('sidebar-controls', renderSidebarControls(state.sidebar, libraryTags));
+  ui.showElement('sidebar-controls');
+  
+  // Render video cards: pinned first, then in the chosen order
+  const videos = mutations.getSidebarVideos();
+  if (videos.length === 0) {
+    ui.setHTML('sources-list', '<p class="collection-empty">No videos here yet. Add a video, or drag one onto this collection.</p>');
+    return;
   }
+  
+  ui.patchList('sources-list', 'data-video-id', videos.map(video => ({
+    key: video.id,
+    html: renderVideoCard(video, video.id === state.selectedVideoId, state.askVideoIds.includes(video.id), {
+      isMenuOpen: video.id === openCardMenuId,
+      isRenaming: video.id === renamingVideoId,
+      isTagging: video.id === taggingVideoId,
+      isSessionExpired: mutations.isSessionExpired(video.id),
+      libraryTags,
+      collections: state.collections
+    })
+  })));
 }
 
 /**
@@ -355,17 +2074,21 @@ function updateMainContent() {
     ui.hideElement('welcome-state');
     ui.showElement('content-state');
     
+    // Load the video into the embedded player
+    player.showVideo(selectedVideo.id);
+    
     // Show summary card
     ui.showElement('summary-card');
-    const summaryHTML = renderSummary(selectedVideo);
-    ui.setHTML('summary-content', summaryHTML);
+    if (activeDetailsTab === 'transcript') {
+      loadTranscript(selectedVideo.id);
+    }
     
     // Show chat card and enable input
     ui.showElement('chat-card');
-    ui.setChatInputEnabled(!state.streaming);
+    ui.setChatStreaming(state.streaming);
     
-    // Render chat messages
-    renderChatMessages();
+    // Add any messages the server has that this tab lacks
+    syncSelectedConversation();
   } else {
     // Show welcome state, hide content state
     ui.showElement('welcome-state');
@@ -378,44 +2101,222 @@ function updateMainContent() {
 }
 
 /**
- * Render chat messages
+ * Render the selected video's summary, showing the version chosen on the summary card
+ */
+function updateSummary() {
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo) {
+    return;
+  }
+  
+  const openIndex = openChapter && openChapter.videoId === selectedVideo.id ? openChapter.index : null;
+  ui.setHTMLIfChanged('summary-content', renderSummary(selectedVideo, mutations.getSummaryVersions(selectedVideo), {
+    collapsed: chaptersCollapsed,
+    openIndex,
+    loading: openIndex !== null && summarizingChapters.has(`${selectedVideo.id}:${openIndex}`)
+  }));
+  updateSummaryForm();
+}
+
+/**
+ * Disable the summary style form while the selected video is being summarized again
+ */
+function updateSummaryForm() {
+  const selectedVideo = mutations.getSelectedVideo();
+  const isBusy = Boolean(selectedVideo && summarizingVideoIds.has(selectedVideo.id));
+  const button = document.getElementById('summarize-btn');
+  
+  button.disabled = isBusy;
+  button.textContent = isBusy ? 'Summarizing...' : 'Summarize';
+  document.getElementById('summary-style-form').setAttribute('aria-busy', String(isBusy));
+}
+
+/**
+ * Show the model picker with the selected video's model, if the server offers a choice
  */
-function renderChatMessages() {
-  const chatMessages = document.getElementById('chat-messages');
+function updateModelPicker() {
+  const selectedVideo = mutations.getSelectedVideo();
+  const modelCount = state.models ? state.models.providers.reduce((count, p) => count + p.models.length, 0) : 0;
+  
+  if (!selectedVideo || modelCount < 2) {
+    ui.hideElement('model-picker');
+    return;
+  }
+  
+  ui.setHTMLIfChanged('model-select', renderModelOptions(state.models, mutations.getVideoModel(selectedVideo)));
+  ui.showElement('model-picker');
+}
+
+/**
+ * Show which videos the next question will be asked across
+ */
+function updateQuestionScope() {
+  const videos = mutations.getAskVideos();
+  const collection = mutations.getActiveCollection();
+  const input = document.getElementById('question-input');
+  
+  if (videos.length < 2) {
+    // Inside a collection, offer to ask across all of its videos
+    const collectionSize = collection ? mutations.getCollectionVideos(collection.id).length : 0;
+    if (collectionSize >= 2) {
+      ui.setHTMLIfChanged('question-scope', renderCollectionScope(collection, collectionSize, MAX_VIDEOS_PER_QUESTION));
+      ui.showElement('question-scope');
+    } else {
+      ui.hideElement('question-scope');
+    }
+    input.placeholder = 'Ask a question about this video...';
+    return;
+  }
+  
+  ui.setHTMLIfChanged('question-scope', renderQuestionScope(videos, collection));
+  ui.showElement('question-scope');
+  input.placeholder = `Ask a question across ${videos.length} videos...`;
+}
+
+/**
+ * Render chat messages; the list re-renders only the visible ones whose HTML changed
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.scrollToEnd] - Whether to scroll to the last message and follow new ones
+ */
+function renderChatMessages({ scrollToEnd = false } = {}) {
   const messages = mutations.getChatMessages();
   
+  // Edit and Regenerate are hidden by the stylesheet while an answer streams,
+  // so starting and finishing an answer does not re-render every message
+  document.getElementById('chat-messages').classList.toggle('chat-streaming', state.streaming);
+  
   if (messages.length === 0) {
     // Show welcome message
-    ui.setHTML('chat-messages', renderChatWelcome());
+    chatList.setItems([{ key: 'welcome', html: renderChatWelcome() }], { scrollToEnd });
   } else {
-    // Render all messages
-    const messagesHTML = messages.map((message, index) => {
+    // Only the latest answer can be regenerated; earlier ones are followed by questions that build on them
+    const lastAnswerIndex = messages.findLastIndex(message => message.role === 'assistant');
+    
+    chatList.setItems(messages.map((message, index) => {
       const isLastMessage = index === messages.length - 1;
       const isStreaming = isLastMessage && state.streaming && message.role === 'assistant';
-      return renderChatMessage(message, isStreaming);
-    }).join('');
-    
-    ui.setHTML('chat-messages', messagesHTML);
+      return {
+        key: message.id,
+        html: renderCachedChatMessage(message, isStreaming, {
+          isEditing: message.id === editingMessageId,
+          branch: mutations.getChatBranchInfo(message.id),
+          canEdit: message.role === 'user',
+          canRegenerate: index === lastAnswerIndex && index > 0
+        })
+      };
+    }), { scrollToEnd });
   }
   
-  // Scroll to bottom
-  ui.scrollToChatBottom();
+  document.getElementById('clear-chat-btn').disabled = messages.length === 0 || state.streaming;
 }
 
 /**
- * Attach event listeners to dynamically created elements
+ * Render a chat message, reusing its previous HTML if nothing it is rendered from has changed.
+ * Messages are updated in place, so their fields are compared rather than the message itself.
+ * @param {Object} message - Message to render
+ * @param {boolean} isStreaming - Whether the message is still streaming
+ * @param {Object} options - Options for renderChatMessage
+ * @returns {string} - HTML string for the message
  */
-function attachDynamicEventListeners() {
-  // Video card clicks
-  document.querySelectorAll('.video-source-card').forEach(card => {
-    card.addEventListener('click', () => {
-      const videoId = card.getAttribute('data-video-id');
-      if (videoId) {
-        mutations.selectVideo(videoId);
-        updateUI();
+function renderCachedChatMessage(message, isStreaming, options) {
+  const inputs = [
+    message.content, message.stopped, message.model, message.timestamp, message.citations, message.sources,
+    isStreaming, options.isEditing, options.branch?.index, options.branch?.count, options.canEdit, options.canRegenerate
+  ];
+  const cached = chatMessageHTML.get(message);
+  if (cached && cached.inputs.every((value, index) => value === inputs[index])) {
+    return cached.html;
+  }
+  
+  const html = renderChatMessage(message, isStreaming, options);
+  chatMessageHTML.set(message, { inputs, html });
+  return html;
+}
+
+/**
+ * Leave edit mode on a chat message, if one is being edited
+ */
+function cancelMessageEdit() {
+  if (editingMessageId) {
+    editingMessageId = null;
+    renderChatMessages();
+  }
+}
+
+/**
+ * Reconcile the selected video's conversation with the copy the server keeps, both ways:
+ * messages another tab added there are merged in here, and messages of the branch shown that
+ * the server lacks (e.g. imported ones) are added there. A clear made in another tab wins over both.
+ * @param {boolean} [force] - Sync even if this video's conversation was the last one synced
+ * @returns {Promise<void>}
+ */
+async function syncSelectedConversation(force = false) {
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo || state.streaming || (!force && selectedVideo.id === syncedConversationVideoId)) {
+    return;
+  }
+  syncedConversationVideoId = selectedVideo.id;
+  
+  try {
+    // A video without a session has no server copy to merge
+    const conversation = await fetchConversation(selectedVideo.id);
+    if (!conversation) {
+      return;
+    }
+    mutations.syncConversation(selectedVideo.id, conversation.messages, conversation.clearedAt);
+    
+    // A question asked meanwhile sends the branch itself; another video's branch is not this one's
+    if (state.streaming || mutations.getSelectedVideo()?.id !== selectedVideo.id) {
+      return;
+    }
+    
+    const serverIds = new Set(conversation.messages.map(message => message.id));
+    const branch = mutations.getChatMessages();
+    if (branch.some(message => !serverIds.has(message.id))) {
+      // The server adds nothing if another tab cleared the conversation in between; the clear then reaches this copy
+      const clearedAt = mutations.getSelectedVideo().conversationClearedAt || null;
+      const merged = await pushConversation(selectedVideo.id, toServerMessages(branch), clearedAt);
+      if (merged) {
+        mutations.syncConversation(selectedVideo.id, merged.messages, merged.clearedAt);
       }
-    });
-  });
+    }
+  } catch (error) {
+    // The local copy stays usable on its own; the next sync of this video tries again
+    console.error('Error syncing conversation:', error);
+    if (syncedConversationVideoId === selectedVideo.id) {
+      syncedConversationVideoId = null;
+    }
+  }
+}
+
+/**
+ * Clear the selected video's conversation on the server and here, so follow-up questions
+ * no longer carry its context
+ * @returns {Promise<void>}
+ */
+async function handleClearConversation() {
+  const selectedVideo = mutations.getSelectedVideo();
+  if (!selectedVideo || state.streaming) {
+    return;
+  }
+  
+  if (!window.confirm('Clear this conversation? Follow-up questions will start without its context.')) {
+    return;
+  }
+  
+  let cleared;
+  try {
+    // The server goes first, so a failure leaves both copies as they were
+    cleared = await clearConversation(selectedVideo.id);
+  } catch (error) {
+    ui.showError(`Could not clear the conversation: ${error.message || 'Unknown error'}`);
+    return;
+  }
+  
+  editingMessageId = null;
+  // Remembering the server's clear lets later syncs tell it apart from one made in another tab
+  mutations.clearConversation(selectedVideo.id, cleared ? cleared.clearedAt : null);
+  document.getElementById('question-input').focus();
 }
 
 // Initialize the app when DOM is loaded
@@ -0,0 +1,265 @@
+// Chat List Module
+// Virtualized chat message list: renders only the messages near the visible area, draws streamed
+// answers at most once per animation frame and follows new messages only while the reader is at the bottom
+
+import { createVirtualLayout } from './virtual-layout.js';
+
+// Height assumed for messages that have not been rendered yet
+const ESTIMATED_MESSAGE_HEIGHT = 120;
+
+// Extra height rendered above and below the visible area, so fast scrolling shows no gaps
+const OVERSCAN_PX = 800;
+
+// How close to the bottom the reader must be to count as following the conversation
+const BOTTOM_THRESHOLD_PX = 48;
+
+/**
+ * Create a virtualized chat list inside a scrollable element.
+ * Rendered messages sit in normal flow between spacers standing in for the rest; heights start as
+ * estimates and are remembered by key once measured, so reopening a conversation lays out exactly.
+ * @param {HTMLElement} viewport - Scrollable element that hosts the messages
+ * @param {Object} [options] - List options
+ * @param {Function} [options.onFollowChange] - Called with whether the reader is at the bottom, when that changes
+ * @returns {Object} - List with setItems, updateContent, scrollToEnd, scrollToItem, refresh and destroy methods
+ */
+export function createChatList(viewport, { onFollowChange = () => {} } = {}) {
+  const content = document.createElement('div');
+  content.className = 'chat-list-content';
+  viewport.replaceChildren(content);
+
+  let items = [];
+  let indexByKey = new Map();
+  let rows = new Map();
+  let following = true;
+  let frame = null;
+
+  // Message offsets; measured heights are kept by key across conversations
+  const layout = createVirtualLayout(ESTIMATED_MESSAGE_HEIGHT);
+
+  // Content streamed into a message, drawn over its HTML until the message is rendered again
+  const streamedContent = new Map();
+  const pendingContent = new Map();
+
+  /**
+   * Record whether the reader is at the bottom and report changes
+   * @param {boolean} value - Whether new messages should be followed
+   */
+  function setFollowing(value) {
+    if (following !== value) {
+      following = value;
+      onFollowChange(value);
+    }
+  }
+
+  /**
+   * Draw a message's streamed content, if any, into its row
+   * @param {HTMLElement} row - Rendered row of the message
+   * @param {string} key - Key of the message
+   */
+  function applyStreamedContent(row, key) {
+    const html = streamedContent.get(key);
+    const element = html === undefined ? null : row.querySelector('.message-content');
+    if (element) {
+      element.innerHTML = html;
+    }
+  }
+
+  /**
+   * Create the row of a message
+   * @param {{key: string, html: string}} item - Message to render
+   * @returns {HTMLElement} - Row element
+   */
+  function createRow(item) {
+    const row = document.createElement('div');
+    row.className = 'chat-row';
+    // Messages that scroll back into view are not faded in again
+    if (layout.hasHeight(item.key)) {
+      row.classList.add('seen');
+    }
+    row.innerHTML = item.html;
+    applyStreamedContent(row, item.key);
+    return row;
+  }
+
+  /**
+   * Size the spacers that stand in for the messages above and below the rendered ones
+   * @param {number} first - Index of the first rendered message
+   * @param {number} last - Index of the last rendered message
+   */
+  function sizeSpacers(first, last) {
+    content.style.paddingTop = `${layout.offset(first)}px`;
+    content.style.paddingBottom = `${layout.totalHeight() - layout.offset(last + 1)}px`;
+  }
+
+  /**
+   * Draw pending streamed content, render the messages near the visible area and correct the
+   * heights of the ones that were measured
+   */
+  function render() {
+    frame = null;
+
+    for (const [key, renderContent] of pendingContent) {
+      streamedContent.set(key, renderContent());
+      const row = rows.get(key)?.element;
+      if (row) {
+        applyStreamedContent(row, key);
+      }
+    }
+    pendingContent.clear();
+
+    if (items.length === 0) {
+      content.replaceChildren();
+      content.style.paddingTop = '';
+      content.style.paddingBottom = '';
+      rows = new Map();
+      return;
+    }
+
+    const top = following ? Math.max(0, layout.totalHeight() - viewport.clientHeight) : viewport.scrollTop;
+    const { first, last } = layout.range(top, viewport.clientHeight, OVERSCAN_PX);
+
+    // Rows whose HTML is unchanged are kept, so focus and text selection survive a render
+    const renderedRows = new Map();
+    let previous = null;
+    for (let i = first; i <= last; i++) {
+      const item = items[i];
+      let row = rows.get(item.key);
+      if (!row || row.html !== item.html) {
+        row = { element: createRow(item), html: item.html };
+      }
+      renderedRows.set(item.key, row);
+
+      const expected = previous ? previous.nextSibling : content.firstChild;
+      if (row.element !== expected) {
+        content.insertBefore(row.element, expected);
+      }
+      previous = row.element;
+    }
+    for (const [key, row] of rows) {
+      if (renderedRows.get(key) !== row) {
+        row.element.remove();
+      }
+    }
+    rows = renderedRows;
+    sizeSpacers(first, last);
+
+    // A hidden list has nothing to measure
+    if (viewport.clientHeight === 0) return;
+
+    if (layout.measure([...rows].map(([key, row]) => [key, row.element]))) {
+      const anchoredTop = layout.relayout(viewport.scrollTop);
+      sizeSpacers(first, last);
+
+      if (!following && Math.abs(anchoredTop - viewport.scrollTop) > 0.5) {
+        viewport.scrollTop = anchoredTop;
+      }
+    }
+
+    if (following) {
+      viewport.scrollTop = viewport.scrollHeight;
+    }
+  }
+
+  /**
+   * Render on the next animation frame
+   */
+  function scheduleRender() {
+    if (frame === null) {
+      frame = requestAnimationFrame(render);
+    }
+  }
+
+  /**
+   * Follow new messages again once the reader scrolls back to the bottom
+   */
+  function handleScroll() {
+    setFollowing(viewport.scrollHeight - viewport.scrollTop - viewport.clientHeight <= BOTTOM_THRESHOLD_PX);
+    scheduleRender();
+  }
+
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(scheduleRender) : null;
+  resizeObserver?.observe(viewport);
+  viewport.addEventListener('scroll', handleScroll, { passive: true });
+
+  return {
+    /**
+     * Show a list of messages, re-rendering only the ones whose HTML changed
+     * @param {Array<{key: string, html: string}>} newItems - Messages in order, keyed by a stable ID
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.scrollToEnd] - Whether to scroll to the last message and follow new ones
+     */
+    setItems(newItems, { scrollToEnd = false } = {}) {
+      const previousHtml = new Map(items.map(item => [item.key, item.html]));
+      items = newItems;
+      indexByKey = new Map(items.map((item, index) => [item.key, index]));
+
+      // A fresh render of a message already contains the content streamed into it
+      for (const key of [...streamedContent.keys(), ...pendingContent.keys()]) {
+        const index = indexByKey.get(key);
+        if (index === undefined || items[index].html !== previousHtml.get(key)) {
+          streamedContent.delete(key);
+          pendingContent.delete(key);
+        }
+      }
+
+      if (scrollToEnd) {
+        setFollowing(true);
+      }
+      layout.setKeys(items.map(item => item.key));
+      render();
+    },
+
+    /**
+     * Replace the content of a message on the next animation frame; of several updates
+     * before then, only the last is rendered
+     * @param {string} key - Key of the message
+     * @param {Function} renderContent - Returns the HTML of the message content
+     */
+    updateContent(key, renderContent) {
+      pendingContent.set(key, renderContent);
+      scheduleRender();
+    },
+
+    /**
+     * Scroll to the last message and follow new ones
+     */
+    scrollToEnd() {
+      setFollowing(true);
+      render();
+    },
+
+    /**
+     * Scroll a message into the upper third of the view
+     * @param {string} key - Key of the message
+     * @returns {HTMLElement|null} - Rendered message, or null if the list has no such message
+     */
+    scrollToItem(key) {
+      const index = indexByKey.get(key);
+      if (index === undefined) return null;
+
+      setFollowing(false);
+      // Rendering corrects estimated heights, which can move the message; a second pass settles it
+      for (let pass = 0; pass < 2; pass++) {
+        viewport.scrollTop = Math.max(0, layout.offset(index) - viewport.clientHeight / 3);
+        render();
+      }
+      return rows.get(key)?.element.firstElementChild ?? null;
+    },
+
+    /**
+     * Render again, e.g. after the list became visible
+     */
+    refresh() {
+      render();
+    },
+
+    /**
+     * Stop listening to scroll and resize events
+     */
+    destroy() {
+      resizeObserver?.disconnect();
+      viewport.removeEventListener('scroll', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    }
+  };
+}
\ No newline at end of file
@@ -32,25 +32,844 @@ export function formatTime(timestamp) {
   return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+/**
+ * Parse a transcript timestamp such as "04:05" or "1:02:03" into seconds
+ * @param {string} timestamp - Timestamp text (MM:SS or H:MM:SS)
+ * @returns {number|null} - Position in seconds or null if not a timestamp
+ */
+export function parseTimestamp(timestamp) {
+  if (!timestamp || typeof timestamp !== 'string') return null;
+
+  const parts = timestamp.trim().split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d{1,2}$/.test(part))) {
+    return null;
+  }
+
+  const [seconds, minutes, hours = 0] = parts.map(Number).reverse();
+  if (seconds >= 60 || (parts.length === 3 && minutes >= 60)) {
+    return null;
+  }
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Matches [mm:ss], [h:mm:ss] and ranges such as [mm:ss - mm:ss]
+const TIMESTAMP_REFERENCE_REGEX = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})(?:\s*[-–]\s*((?:\d{1,2}:)?\d{1,2}:\d{2}))?\]/g;
+
+/**
+ * Turn [mm:ss]-style references in already-escaped HTML into seek links
+ * @param {string} html - Escaped HTML text
+ * @returns {string} - HTML with timestamp references wrapped in buttons
+ */
+export function linkifyTimestamps(html) {
+  if (!html) return '';
+
+  return html.replace(TIMESTAMP_REFERENCE_REGEX, (match, start) => {
+    const seconds = parseTimestamp(start);
+    if (seconds === null) {
+      return match;
+    }
+    return `<button type="button" class="timestamp-link" data-seconds="${seconds}" title="Jump to ${start}">${match}</button>`;
+  });
+}
+
+// Matches multi-video citations such as [V2 04:35] or [V1 1:02:03 - 1:04:00]
+const VIDEO_CITATION_REGEX = /\[V(\d{1,2})\s+((?:\d{1,2}:)?\d{1,2}:\d{2})(?:\s*[-–]\s*((?:\d{1,2}:)?\d{1,2}:\d{2}))?\]/g;
+
+// Code in rendered HTML, which citations must not be linked inside
+const HTML_CODE_REGEX = /(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>)/;
+
+/**
+ * Turn [V2 04:35]-style citations in rendered HTML into links that open that video at that time
+ * @param {string} html - Rendered message HTML
+ * @param {Array<{id: string, title: string}>} sources - Videos in citation-label order (V1 first)
+ * @returns {string} - HTML with citations wrapped in buttons
+ */
+export function linkifyVideoCitations(html, sources) {
+  if (!html || !sources || sources.length === 0) return html || '';
+
+  return html
+    .split(HTML_CODE_REGEX)
+    .map((part, index) => index % 2 === 1 ? part : part.replace(VIDEO_CITATION_REGEX, (match, label, start) => {
+      const source = sources[Number(label) - 1];
+      const seconds = parseTimestamp(start);
+      if (!source || seconds === null) {
+        return match;
+      }
+      const title = escapeHtml(`Jump to ${start} in ${source.title || source.id}`);
+      return `<button type="button" class="timestamp-link video-citation" data-video-id="${escapeHtml(source.id)}" data-seconds="${seconds}" title="${title}">${match}</button>`;
+    }))
+    .join('');
+}
+
+// Block-level markdown patterns
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING_REGEX = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_REGEX = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE_REGEX = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Link targets allowed in rendered markdown; everything else is shown as plain text
+const SAFE_URL_REGEX = /^(https?:\/\/|mailto:|#|\/(?!\/))/i;
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean} - True if the line opens a heading, fence, list, quote or rule
+ */
+function isBlockStart(line) {
+  return FENCE_REGEX.test(line) ||
+    HEADING_REGEX.test(line) ||
+    HR_REGEX.test(line) ||
+    BLOCKQUOTE_REGEX.test(line) ||
+    LIST_ITEM_REGEX.test(line);
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - Table row source
+ * @returns {string[]} - Cell contents
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render inline markdown (code, links, emphasis, timestamps) to safe HTML
+ * @param {string} text - Inline markdown source
+ * @returns {string} - HTML string
+ */
+export function renderInlineMarkdown(text) {
+  if (!text) return '';
+
+  // Code spans and links are swapped for placeholders so later passes leave them alone
+  const placeholders = [];
+  const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+
+  let html = text.replace(/\u0000/g, '')
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+
+  html = escapeHtml(html)
+    .replace(/\[([^\]\n]+)\]\(\s*([^\s()]+)\s*\)/g, (match, label, url) => {
+      const decodedUrl = url.replace(/&amp;/g, '&');
+      if (!SAFE_URL_REGEX.test(decodedUrl)) {
+        return label;
+      }
+      // The label may hold a code span; a held link is not looked into again when placeholders are restored
+      return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${restore(label)}</a>`);
+    })
+    .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;!?)\]'"]/g, (url) => hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+  html = linkifyTimestamps(html)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?![_\w])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  return restore(html);
+}
+
+/**
+ * Render a list starting at the given line
+ * @param {string[]} lines - All source lines
+ * @param {number} start - Index of the first list item
+ * @returns {{html: string, next: number}} - Rendered list and the index after it
+ */
+function renderList(lines, start) {
+  const first = lines[start].match(LIST_ITEM_REGEX);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM_REGEX);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) {
+      break;
+    }
+
+    // Collect continuation lines and nested blocks indented past the marker
+    const body = [match[3]];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.trim() === '') {
+        const nextLine = lines.slice(i + 1).find(l => l.trim() !== '');
+        const nextIndent = nextLine ? nextLine.match(/^\s*/)[0].length : 0;
+        if (!nextLine || nextIndent <= indent) break;
+        body.push('');
+        i++;
+        continue;
+      }
+      const lineIndent = line.match(/^\s*/)[0].length;
+      if (lineIndent <= indent && (isBlockStart(line) || lineIndent < indent)) break;
+      body.push(line.slice(Math.min(lineIndent, indent + 2)));
+      i++;
+    }
+
+    items.push(body);
+
+    // Items separated by a single blank line stay in the same list
+    if (i < lines.length && lines[i].trim() === '' && i + 1 < lines.length) {
+      const nextMatch = lines[i + 1].match(LIST_ITEM_REGEX);
+      if (nextMatch && nextMatch[1].length === indent && /\d/.test(nextMatch[2]) === ordered) {
+        i++;
+      }
+    }
+  }
+
+  const itemsHtml = items.map(([firstLine, ...rest]) => {
+    const nestedIndex = rest.findIndex(line => isBlockStart(line) || line === '');
+    const inlineLines = nestedIndex === -1 ? rest : rest.slice(0, nestedIndex);
+    const nested = nestedIndex === -1 ? [] : rest.slice(nestedIndex);
+    const text = [firstLine, ...inlineLines].map(renderInlineMarkdown).join('<br>');
+    return `<li>${text}${nested.length ? renderMarkdownBlocks(nested) : ''}</li>`;
+  }).join('');
+
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+  return { html: `<${tag}${startAttribute}>${itemsHtml}</${tag}>`, next: i };
+}
+
+/**
+ * Render markdown source lines as block-level HTML
+ * @param {string[]} lines - Source lines
+ * @returns {string} - HTML string
+ */
+function renderMarkdownBlocks(lines) {
+  let html = '';
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // Fenced code block; an unterminated fence (e.g. while streaming) runs to the end
+    const fence = line.match(FENCE_REGEX);
+    if (fence) {
+      const marker = fence[1];
+      const language = fence[2];
+      const code = [];
+      i++;
+      const isClosingFence = (candidate) => {
+        const trimmed = candidate.trim();
+        return trimmed.length >= marker.length && trimmed === marker[0].repeat(trimmed.length);
+      };
+      while (i < lines.length && !isClosingFence(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+      html += `<pre><code${languageClass}>${escapeHtml(code.join('\n'))}</code></pre>`;
+      continue;
+    }
+
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+      const level = heading[1].length;
+      html += `<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`;
+      i++;
+      continue;
+    }
+
+    if (HR_REGEX.test(line)) {
+      html += '<hr>';
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE_REGEX.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() !== '') {
+        const match = lines[i].match(BLOCKQUOTE_REGEX);
+        quoted.push(match ? match[1] : lines[i]);
+        i++;
+      }
+      html += `<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`;
+      continue;
+    }
+
+    if (LIST_ITEM_REGEX.test(line)) {
+      const list = renderList(lines, i);
+      html += list.html;
+      i = list.next;
+      continue;
+    }
+
+    // GitHub-style table: header row followed by a separator row
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_REGEX.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const headers = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      const headHtml = headers.map(cell => `<th>${renderInlineMarkdown(cell)}</th>`).join('');
+      const bodyHtml = rows.map(row =>
+        `<tr>${headers.map((_, index) => `<td>${renderInlineMarkdown(row[index] || '')}</td>`).join('')}</tr>`
+      ).join('');
+      html += `<div class="markdown-table"><table><thead><tr>${headHtml}</tr></thead><tbody>${bodyHtml}</tbody></table></div>`;
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block starts
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html += `<p>${paragraph.map(text => renderInlineMarkdown(text.trim())).join('<br>')}</p>`;
+  }
+
+  return html;
+}
+
+/**
+ * Render markdown to safe HTML. Raw HTML in the source is escaped and only
+ * http(s), mailto, relative and fragment links are kept. Incomplete syntax
+ * (e.g. an unterminated code fence while streaming) renders gracefully.
+ * @param {string} text - Markdown source
+ * @returns {string} - HTML string
+ */
+export function renderMarkdown(text) {
+  if (!text) return '';
+  return renderMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
+}
+
+/**
+ * Find the end of the last complete top-level block in streamed markdown
+ * @param {string} text - Markdown received so far
+ * @param {number} from - Offset of the already-stable prefix (never inside a fence)
+ * @returns {number} - Offset after the last blank line outside a code fence
+ */
+function findStableBoundary(text, from) {
+  let boundary = from;
+  let inFence = false;
+  let offset = from;
+
+  for (const line of text.slice(from).split('\n')) {
+    const lineEnd = offset + line.length + 1;
+    if (lineEnd > text.length) break;
+
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && line.trim() === '') {
+      // A blank line followed by a list item or indented line may still continue a list,
+      // so wait until the next line is complete before deciding
+      const nextLineEnd = text.indexOf('\n', lineEnd);
+      const nextLine = nextLineEnd === -1 ? '' : text.slice(lineEnd, nextLineEnd);
+      if (nextLine && !LIST_ITEM_REGEX.test(nextLine) && !/^\s/.test(nextLine)) {
+        boundary = lineEnd;
+      }
+    }
+    offset = lineEnd;
+  }
+
+  return boundary;
+}
+
+/**
+ * Create a markdown renderer for streamed content. Blocks that can no longer
+ * change are rendered once and reused, so each update only re-renders the tail.
+ * @returns {Function} - render(fullText) returning the HTML for the text so far
+ */
+export function createStreamingMarkdownRenderer() {
+  let stableSource = '';
+  let stableHtml = '';
+
+  return (text) => {
+    const source = (text || '').replace(/\r\n?/g, '\n');
+
+    if (!source.startsWith(stableSource)) {
+      stableSource = '';
+      stableHtml = '';
+    }
+
+    const boundary = findStableBoundary(source, stableSource.length);
+    if (boundary > stableSource.length) {
+      stableHtml += renderMarkdown(source.slice(stableSource.length, boundary));
+      stableSource = source.slice(0, boundary);
+    }
+
+    return stableHtml + renderMarkdown(source.slice(stableSource.length));
+  };
+}
+
+/**
+ * Render the content of an assistant message
+ * @param {string} content - Raw message text
+ * @param {Array<{id: string, title: string}>|null} sources - Videos a multi-video answer cites, in label order
+ * @returns {string} - Rendered markdown with timestamp and citation links
+ */
+export function renderMessageContent(content, sources = null) {
+  return linkifyVideoCitations(renderMarkdown(content), sources);
+}
+
+/**
+ * Render a colored tag chip
+ * @param {{name: string, color: string}} tag - Tag
+ * @param {boolean} editable - Show buttons to change the color and remove the tag
+ * @returns {string} - HTML string for the chip
+ */
+function renderTagChip(tag, editable = false) {
+  const name = escapeHtml(tag.name);
+  if (!editable) {
+    return `<span class="video-tag tag-color-${escapeHtml(tag.color)}">${name}</span>`;
+  }
+
+  return `
+    <span class="video-tag tag-color-${escapeHtml(tag.color)}">
+      <button type="button" class="video-tag-color" data-card-action="cycle-tag-color" data-tag="${name}" aria-label="Change color of ${name}" title="Change color"></button>
+      ${name}
+      <button type="button" class="video-tag-remove" data-card-action="remove-tag" data-tag="${name}" aria-label="Remove tag ${name}">&times;</button>
+    </span>
+  `;
+}
+
 /**
  * Render a video source card
  * @param {Object} video - Video object
  * @param {boolean} isSelected - Whether the video is selected
+ * @param {boolean} isAskSelected - Whether the video is included in a multi-video question
+ * @param {Object} options - Display options
+ * @param {boolean} options.isMenuOpen - Show the card's action menu
+ * @param {boolean} options.isRenaming - Show the name as an input
+ * @param {boolean} options.isTagging - Show the tag editor
+ * @param {boolean} options.isSessionExpired - Mark the video as no longer known to the server
+ * @param {Array} options.libraryTags - Tags used in the library, suggested in the tag editor
+ * @param {Array} options.collections - Collections the video can be moved to from its menu
  * @returns {string} - HTML string for the video card
  */
-export function renderVideoCard(video, isSelected = false) {
-  const selectedClass = isSelected ? 'selected' : '';
+export function renderVideoCard(video, isSelected = false, isAskSelected = false, options = {}) {
+  const { isMenuOpen = false, isRenaming = false, isTagging = false, isSessionExpired = false, libraryTags = [], collections = [] } = options;
+  const cardClasses = [
+    isSelected ? 'selected' : '',
+    video.pinned ? 'pinned' : '',
+    isMenuOpen ? 'menu-open' : ''
+  ].filter(Boolean).join(' ');
   const thumbnailUrl = getThumbnailUrl(video.id, 'medium');
   const duration = formatDuration(video.duration);
+  const name = video.label || video.title;
+  const tags = video.tags || [];
+  
+  const moveTargets = [
+    ...collections.filter(c => c.id !== video.collectionId)
+      .map(c => `<button type="button" role="menuitem" data-card-action="move" data-collection-id="${escapeHtml(c.id)}">${escapeHtml(c.name)}</button>`),
+    video.collectionId ? '<button type="button" role="menuitem" data-card-action="move" data-collection-id="">No collection</button>' : ''
+  ].join('');
+  
+  const menu = isMenuOpen ? `
+    <div class="video-card-menu" role="menu">
+      <button type="button" role="menuitem" data-card-action="pin">${video.pinned ? 'Unpin' : 'Pin to top'}</button>
+      <button type="button" role="menuitem" data-card-action="rename">Rename</button>
+      <button type="button" role="menuitem" data-card-action="tags">Edit tags</button>
+      ${moveTargets ? `<div class="video-card-menu-heading">Move to</div>${moveTargets}` : ''}
+      <button type="button" role="menuitem" data-card-action="remove" class="danger">Remove</button>
+    </div>
+  ` : '';
+  
+  const title = isRenaming
+    ? `<input type="text" class="video-label-input" value="${escapeHtml(name)}" maxlength="120" aria-label="Name shown for this video" placeholder="${escapeHtml(video.title)}">`
+    : `<h4 class="font-medium text-sm mb-1 line-clamp-2"${video.label ? ` title="${escapeHtml(video.title)}"` : ''}>${escapeHtml(name)}</h4>`;
+  
+  let tagsHTML = '';
+  if (isTagging) {
+    const suggestions = libraryTags
+      .filter(tag => !tags.some(t => t.name === tag.name))
+      .map(tag => `<option value="${escapeHtml(tag.name)}"></option>`)
+      .join('');
+    tagsHTML = `
+      <div class="video-tag-editor">
+        <div class="video-tags">${tags.map(tag => renderTagChip(tag, true)).join('')}</div>
+        <div class="video-tag-editor-row">
+          <input type="text" class="video-tag-input" list="video-tag-suggestions" maxlength="30" placeholder="Add a tag..." aria-label="Add a tag">
+          <datalist id="video-tag-suggestions">${suggestions}</datalist>
+          <button type="button" class="video-tag-done" data-card-action="close-tags">Done</button>
+        </div>
+      </div>
+    `;
+  } else if (tags.length > 0) {
+    tagsHTML = `<div class="video-tags">${tags.map(tag => renderTagChip(tag)).join('')}</div>`;
+  }
   
   return `
-    <div class="video-source-card ${selectedClass}" data-video-id="${video.id}">
+    <div class="video-source-card ${cardClasses}" data-video-id="${escapeHtml(video.id)}" draggable="${!isRenaming && !isTagging}">
+      <label class="video-ask-toggle" title="Include in a question across videos">
+        <input type="checkbox" class="video-ask-checkbox" data-video-id="${escapeHtml(video.id)}" ${isAskSelected ? 'checked' : ''} aria-label="Ask across videos: ${escapeHtml(name)}">
+      </label>
+      <div class="video-card-menu-container">
+        <button type="button" class="video-card-menu-btn" data-card-action="menu" aria-label="Actions for ${escapeHtml(name)}" aria-haspopup="menu" aria-expanded="${isMenuOpen}">
+          <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
+            <path d="M6 10a2 2 0 11-4 0 2 2 0 014 0zM12 10a2 2 0 11-4 0 2 2 0 014 0zM16 12a2 2 0 100-4 2 2 0 000 4z"></path>
+          </svg>
+        </button>
+        ${menu}
+      </div>
       <div class="relative">
-        <img src="${thumbnailUrl}" alt="${video.title}" class="video-thumbnail" onerror="this.src='https://via.placeholder.com/320x180/374151/ffffff?text=Video+Not+Available'">
+        <img src="${escapeHtml(thumbnailUrl)}" alt="${escapeHtml(video.title)}" class="video-thumbnail" onerror="this.src='https://via.placeholder.com/320x180/374151/ffffff?text=Video+Not+Available'">
         <div class="video-duration">${duration}</div>
+        ${video.pinned ? '<div class="video-pin-badge" title="Pinned">📌</div>' : ''}
+        ${isSessionExpired ? '<div class="video-session-badge" title="The server no longer has this video. It is analyzed again when you ask a question.">Session expired</div>' : ''}
       </div>
-      <h4 class="font-medium text-sm mb-1 line-clamp-2">${escapeHtml(video.title)}</h4>
+      ${title}
       <p class="text-xs text-secondary-text">${escapeHtml(video.channel || 'Unknown Channel')}</p>
+      ${tagsHTML}
+    </div>
+  `;
+}
+
+/**
+ * Render the collection list of the sidebar
+ * @param {Array} collections - Collections in creation order
+ * @param {string|null} activeCollectionId - Collection shown in the sidebar, or null for all videos
+ * @param {Object} options - Display options
+ * @param {Map<string, number>} options.counts - Number of videos per collection ID
+ * @param {number} options.totalCount - Number of videos in the library
+ * @param {string|null} options.renamingId - Collection whose name is being edited
+ * @returns {Array<{key: string, html: string}>} - One list item per collection, keyed by collection ID; "All videos" comes first, keyed ''
+ */
+export function renderCollectionList(collections, activeCollectionId, options = {}) {
+  const { counts = new Map(), totalCount = 0, renamingId = null } = options;
+  
+  const allItem = {
+    key: '',
+    html: `
+    <li class="collection-item${activeCollectionId ? '' : ' active'}" data-collection-id="" title="Drop a video here to take it out of its collection">
+      <button type="button" class="collection-name" data-collection-action="open" aria-current="${!activeCollectionId}">All videos</button>
+      <span class="collection-count">${totalCount}</span>
+    </li>
+  `
+  };
+  
+  const items = collections.map(collection => {
+    const id = escapeHtml(collection.id);
+    const isActive = collection.id === activeCollectionId;
+    const name = collection.id === renamingId
+      ? `<input type="text" class="collection-name-input" value="${escapeHtml(collection.name)}" maxlength="60" aria-label="Collection name">`
+      : `<button type="button" class="collection-name" data-collection-action="open" aria-current="${isActive}">${escapeHtml(collection.name)}</button>`;
+    
+    return {
+      key: collection.id,
+      html: `
+      <li class="collection-item${isActive ? ' active' : ''}" data-collection-id="${id}">
+        ${name}
+        <span class="collection-count">${counts.get(collection.id) || 0}</span>
+        <div class="collection-actions">
+          <button type="button" data-collection-action="rename" aria-label="Rename ${escapeHtml(collection.name)}" title="Rename">✎</button>
+          <button type="button" data-collection-action="export" aria-label="Export ${escapeHtml(collection.name)}" title="Export collection">⤓</button>
+          <button type="button" data-collection-action="delete" aria-label="Delete ${escapeHtml(collection.name)}" title="Delete collection">&times;</button>
+        </div>
+      </li>
+    `
+    };
+  });
+  
+  return [allItem, ...items];
+}
+
+/**
+ * Render the offer to ask the next question across the active collection
+ * @param {Object} collection - Active collection
+ * @param {number} videoCount - Number of videos in the collection
+ * @param {number} maxVideos - Most videos one question may span
+ * @returns {string} - HTML string for the banner
+ */
+export function renderCollectionScope(collection, videoCount, maxVideos) {
+  const action = videoCount <= maxVideos
+    ? `<button type="button" id="ask-collection-btn" class="message-action">Ask across all ${videoCount}</button>`
+    : `<span class="text-xs text-secondary-text">Pick up to ${maxVideos} of its ${videoCount} videos to ask across them</span>`;
+  
+  return `
+    <div class="question-scope-header">
+      <span>Collection <span class="font-medium">${escapeHtml(collection.name)}</span></span>
+      ${action}
+    </div>
+  `;
+}
+
+/**
+ * Render the options of the model picker, grouped by provider
+ * @param {{defaultProvider: string, defaultModel: string, providers: Array}} catalog - Models offered by the server
+ * @param {{provider: string, model: string}|null} choice - Chosen model, or null for the server default
+ * @returns {string} - HTML string of optgroup elements
+ */
+export function renderModelOptions(catalog, choice) {
+  const selected = choice || { provider: catalog.defaultProvider, model: catalog.defaultModel };
+  
+  return catalog.providers.map(provider => {
+    const options = provider.models.map(model => {
+      const value = escapeHtml(JSON.stringify([provider.name, model.id]));
+      const isSelected = provider.name === selected.provider && model.id === selected.model;
+      const isDefault = provider.name === catalog.defaultProvider && model.id === catalog.defaultModel;
+      return `<option value="${value}" ${isSelected ? 'selected' : ''}>${escapeHtml(model.displayName || model.id)}${isDefault ? ' (default)' : ''}</option>`;
+    }).join('');
+    
+    return `<optgroup label="${escapeHtml(provider.name)}">${options}</optgroup>`;
+  }).join('');
+}
+
+/**
+ * Render the sort and tag filter options of the sidebar
+ * @param {{sortBy: string, filterTag: string|null}} view - Current sidebar view
+ * @param {Array} tags - Tags used in the library
+ * @returns {string} - HTML string for the controls
+ */
+export function renderSidebarControls(view, tags) {
+  const sortLabels = {
+    added: 'Date added',
+    title: 'Title',
+    channel: 'Channel',
+    duration: 'Duration'
+  };
+  
+  const sortOptions = Object.entries(sortLabels)
+    .map(([value, label]) => `<option value="${value}" ${view.sortBy === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+  const tagOptions = tags
+    .map(tag => `<option value="${escapeHtml(tag.name)}" ${view.filterTag === tag.name ? 'selected' : ''}>${escapeHtml(tag.name)} (${tag.count})</option>`)
+    .join('');
+  
+  return `
+    <label class="sidebar-control">
+      <span>Sort</span>
+      <select id="sort-videos" aria-label="Sort videos">${sortOptions}</select>
+    </label>
+    ${tags.length > 0 ? `
+      <label class="sidebar-control">
+        <span>Tag</span>
+        <select id="filter-tag" aria-label="Show videos with tag">
+          <option value="">All videos</option>
+          ${tagOptions}
+        </select>
+      </label>
+    ` : ''}
+  `;
+}
+
+// Stages of a video analysis, in the order the server runs them
+export const ANALYSIS_STAGES = [
+  { id: 'metadata', label: 'Video details' },
+  { id: 'transcript', label: 'Transcript' },
+  { id: 'chunking', label: 'Chunking' },
+  { id: 'summary', label: 'Summary' },
+  { id: 'chapters', label: 'Chapters' }
+];
+
+/**
+ * Get the display name of an analysis stage
+ * @param {string} stage - Stage ID
+ * @returns {string} - Stage name
+ */
+export function getAnalysisStageLabel(stage) {
+  return ANALYSIS_STAGES.find(item => item.id === stage)?.label || stage;
+}
+
+/**
+ * Render a determinate progress bar for an analysis
+ * @param {number} percent - Share of the analysis that is done
+ * @returns {string} - HTML string for the progress bar
+ */
+function renderAnalysisProgressBar(percent) {
+  const value = Math.max(0, Math.min(100, Math.round(percent)));
+  return `
+    <div class="analysis-job-progress" role="progressbar" aria-label="Analyzing" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${value}">
+      <div class="analysis-job-progress-bar determinate" style="width: ${value}%"></div>
+    </div>
+  `;
+}
+
+/**
+ * Render the step-by-step progress of an analysis
+ * @param {Object} job - Job from the analysis queue; its progress is {percent, stage, steps: {[stage]: {status, message, chunkCount}}}
+ * @returns {string} - HTML string for the progress view
+ */
+export function renderAnalysisProgress(job) {
+  const progress = job.progress || { percent: 0, stage: null, steps: {} };
+  const failed = job.status === 'failed';
+
+  const steps = ANALYSIS_STAGES.map(({ id, label }) => {
+    const step = progress.steps[id];
+    let state = 'pending';
+    if (step?.status === 'completed') {
+      state = 'done';
+    } else if (step) {
+      state = failed ? 'failed' : 'active';
+    } else if (failed && id === progress.stage) {
+      state = 'failed';
+    }
+
+    const detail = step ? escapeHtml(step.message) : '';
+    return `
+      <li class="analysis-step analysis-step-${state}">
+        <span class="analysis-step-icon" aria-hidden="true"></span>
+        <span class="analysis-step-label">${label}</span>
+        <span class="analysis-step-detail">${detail}</span>
+      </li>
+    `;
+  }).join('');
+
+  const status = job.status === 'queued'
+    ? 'Waiting for another analysis to finish'
+    : failed ? 'Analysis failed' : `${Math.round(progress.percent)}%`;
+
+  return `
+    <div class="analysis-progress-header">
+      <span class="analysis-progress-title">${escapeHtml(job.title || job.url)}</span>
+      <span class="analysis-progress-status">${status}</span>
+    </div>
+    ${failed ? '' : renderAnalysisProgressBar(progress.percent)}
+    <ol class="analysis-steps">${steps}</ol>
+  `;
+}
+
+/**
+ * Render a queued, running or failed video analysis for the sidebar
+ * @param {Object} job - Job from the analysis queue
+ * @returns {string} - HTML string for the job card
+ */
+export function renderAnalysisJob(job) {
+  const title = escapeHtml(job.title || job.url);
+  const statusLabels = {
+    queued: 'Waiting',
+    running: 'Analyzing...',
+    failed: 'Failed'
+  };
+
+  let status = statusLabels[job.status] || job.status;
+  if (job.status === 'running' && job.progress) {
+    status = `${getAnalysisStageLabel(job.progress.stage)} · ${Math.round(job.progress.percent)}%`;
+  }
+
+  let body = `<div class="analysis-job-status">${escapeHtml(status)}</div>`;
+  if (job.status === 'running') {
+    body += job.progress
+      ? renderAnalysisProgressBar(job.progress.percent)
+      : '<div class="analysis-job-progress" role="progressbar" aria-label="Analyzing"><div class="analysis-job-progress-bar"></div></div>';
+  }
+  if (job.status === 'failed') {
+    body += `
+      <p class="analysis-job-error">${escapeHtml(job.error || 'Analysis failed')}</p>
+      <div class="analysis-job-actions">
+        <button type="button" class="analysis-job-btn" data-job-action="retry" data-job-id="${job.id}">Retry</button>
+        <button type="button" class="analysis-job-btn" data-job-action="remove" data-job-id="${job.id}">Dismiss</button>
+      </div>
+    `;
+  } else {
+    body += `
+      <div class="analysis-job-actions">
+        <button type="button" class="analysis-job-btn" data-job-action="remove" data-job-id="${job.id}">Cancel</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="analysis-job analysis-job-${escapeHtml(job.status)}" data-job-id="${job.id}">
+      <img src="${escapeHtml(getThumbnailUrl(job.videoId, 'default'))}" alt="" class="analysis-job-thumbnail">
+      <div class="analysis-job-details">
+        <h4 class="text-sm font-medium line-clamp-2" title="${title}">${title}</h4>
+        ${body}
+      </div>
+    </div>
+  `;
+}
+
+// Names of the summary styles the server can write
+const SUMMARY_STYLE_LABELS = {
+  comprehensive: 'Comprehensive',
+  tldr: 'TL;DR',
+  outline: 'Detailed outline',
+  'executive-brief': 'Executive brief',
+  'study-notes': 'Study notes',
+  'action-items': 'Action items'
+};
+
+/**
+ * Render the buttons that switch between the summaries of a video
+ * @param {Array} versions - Summaries from mutations.getSummaryVersions, the analysis summary first
+ * @returns {string} - HTML string for the version switcher
+ */
+function renderSummaryVersions(versions) {
+  const buttons = versions.map(version => {
+    const parts = [SUMMARY_STYLE_LABELS[version.style] || version.style];
+    if (version.length) parts.push(version.length.charAt(0).toUpperCase() + version.length.slice(1));
+    if (version.language) parts.push(version.language);
+    
+    const title = version.id
+      ? `Written${version.model ? ` by ${version.model}` : ''} at ${formatTime(version.createdAt)}`
+      : 'Written during analysis';
+    
+    return `
+      <button type="button" class="summary-version${version.active ? ' active' : ''}" data-summary-version="${escapeHtml(version.id || '')}" aria-pressed="${version.active}" title="${escapeHtml(title)}">
+        ${escapeHtml(version.id ? parts.join(' · ') : 'Original')}
+      </button>
+    `;
+  }).join('');
+  
+  return `<div class="summary-versions" role="group" aria-label="Summary versions">${buttons}</div>`;
+}
+
+/**
+ * Render the chapters of a video as a collapsible timeline
+ * @param {Array<{title: string, start: number, end: number, summary: string, details?: string}>} chapters - Chapters in order, times in seconds
+ * @param {Object} [view] - Timeline state
+ * @param {boolean} [view.collapsed] - Show only the heading
+ * @param {number|null} [view.openIndex] - Chapter whose detailed summary is shown
+ * @param {boolean} [view.loading] - Whether the open chapter's detailed summary is being written
+ * @returns {string} - HTML string for the timeline
+ */
+function renderChapterTimeline(chapters, { collapsed = false, openIndex = null, loading = false } = {}) {
+  const items = chapters.map((chapter, index) => {
+    const isOpen = index === openIndex;
+    const range = `${formatDuration(chapter.start)} – ${formatDuration(chapter.end)}`;
+    
+    let details = '';
+    if (isOpen) {
+      const body = chapter.details
+        ? `<div class="markdown-body text-sm leading-relaxed">${renderMarkdown(chapter.details)}</div>`
+        : loading
+          ? '<p class="chapter-details-status">Summarizing this chapter...</p>'
+          : '';
+      details = `
+        <div class="chapter-details" id="chapter-details-${index}">
+          ${body}
+          <button type="button" class="chapter-ask-btn" data-chapter-action="ask" data-chapter-index="${index}">Ask about ${range}</button>
+        </div>
+      `;
+    }
+    
+    return `
+      <li class="chapter-item${isOpen ? ' open' : ''}">
+        <button type="button" class="timestamp-link chapter-time" data-seconds="${Math.floor(chapter.start)}" title="Jump to ${formatDuration(chapter.start)}">${formatDuration(chapter.start)}</button>
+        <div class="chapter-body">
+          <button type="button" class="chapter-title" data-chapter-action="open" data-chapter-index="${index}" aria-expanded="${isOpen}"${isOpen ? ` aria-controls="chapter-details-${index}"` : ''}>${escapeHtml(chapter.title)}</button>
+          ${chapter.summary ? `<p class="chapter-summary">${renderInlineMarkdown(chapter.summary)}</p>` : ''}
+          ${details}
+        </div>
+      </li>
+    `;
+  }).join('');
+  
+  return `
+    <div class="summary-section chapter-timeline">
+      <button type="button" class="chapter-timeline-toggle" data-chapter-action="toggle" aria-expanded="${!collapsed}" aria-controls="chapter-list">
+        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+        </svg>
+        <h4 class="text-md font-semibold">Chapters</h4>
+        <span class="chapter-count">${chapters.length}</span>
+      </button>
+      <ol id="chapter-list" class="chapter-list${collapsed ? ' hidden' : ''}">${items}</ol>
     </div>
   `;
 }
@@ -58,9 +877,11 @@ export function renderVideoCard(video, isSelected = false) {
 /**
  * Render video summary
  * @param {Object} video - Video object with summary data
+ * @param {Array} [versions] - Summaries from mutations.getSummaryVersions; the active one is shown
+ * @param {Object} [chapterView] - State of the chapter timeline (see renderChapterTimeline)
  * @returns {string} - HTML string for the video summary
  */
-export function renderSummary(video) {
+export function renderSummary(video, versions = [], chapterView = {}) {
   if (!video.summary && !video.keyPoints) {
     return `
       <div class="text-center py-8 text-secondary-text">
@@ -82,23 +903,31 @@ export function renderSummary(video) {
     </div>
   `;
   
-  // Summary section
-  if (video.summary) {
+  // Summary section, showing the chosen version when the video has been summarized again
+  const activeVersion = versions.find(version => version.active);
+  const summary = activeVersion ? activeVersion.summary : video.summary;
+  if (summary) {
     html += `
       <div class="summary-section">
         <h4 class="text-md font-semibold mb-2">Summary</h4>
-        <p class="text-sm leading-relaxed">${escapeHtml(video.summary)}</p>
+        ${versions.length > 1 ? renderSummaryVersions(versions) : ''}
+        <div class="markdown-body text-sm leading-relaxed">${renderMarkdown(summary)}</div>
       </div>
     `;
   }
   
+  // Chapter timeline
+  if (video.chapters && video.chapters.length > 0) {
+    html += renderChapterTimeline(video.chapters, chapterView);
+  }
+  
   // Key points section
   if (video.keyPoints && video.keyPoints.length > 0) {
     html += `
       <div class="summary-section">
         <h4 class="text-md font-semibold mb-2">Key Points</h4>
         <ul class="summary-bullet-points">
-          ${video.keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('')}
+          ${video.keyPoints.map(point => `<li>${renderInlineMarkdown(point)}</li>`).join('')}
         </ul>
       </div>
     `;
@@ -137,28 +966,247 @@ export function renderSummary(video) {
   return html;
 }
 
+/**
+ * Render the banner listing the videos a question will be asked across
+ * @param {Array} videos - Videos included in the question, in citation-label order
+ * @param {Object|null} [collection] - Active collection the videos were picked from
+ * @returns {string} - HTML string for the banner
+ */
+export function renderQuestionScope(videos, collection = null) {
+  const items = videos.map((video, index) => `
+    <li class="question-scope-item"><span class="question-scope-label">V${index + 1}</span> ${escapeHtml(video.title || video.id)}</li>
+  `).join('');
+  
+  return `
+    <div class="question-scope-header">
+      <span class="font-medium">Asking across ${videos.length} videos${collection ? ` in ${escapeHtml(collection.name)}` : ''}</span>
+      <button type="button" id="clear-scope-btn" class="message-action">Clear</button>
+    </div>
+    <ul class="question-scope-list">${items}</ul>
+  `;
+}
+
+/**
+ * Render the list of videos a multi-video answer cites
+ * @param {Array<{id: string, title: string}>} sources - Cited videos in label order
+ * @returns {string} - HTML string for the source list
+ */
+function renderMessageSources(sources) {
+  if (!sources || sources.length === 0) {
+    return '';
+  }
+  
+  const items = sources.map((source, index) => `
+    <li><span class="question-scope-label">V${index + 1}</span> ${escapeHtml(source.title || source.id)}</li>
+  `).join('');
+  
+  return `<ul class="message-sources" aria-label="Videos cited in this answer">${items}</ul>`;
+}
+
+/**
+ * Render the transcript passages an answer cites as expandable chips
+ * @param {Array} citations - Citations with their transcript chunks ({label, videoId, chunks: [{chunkIndex, startTime, endTime, excerpt}]})
+ * @returns {string} - HTML string for the chips, empty when no citation matched the transcript
+ */
+function renderMessageCitations(citations) {
+  const cited = (citations || []).filter(citation => citation.chunks && citation.chunks.length > 0);
+  if (cited.length === 0) {
+    return '';
+  }
+  
+  const chips = cited.map(citation => {
+    const videoAttribute = citation.videoId ? ` data-video-id="${escapeHtml(citation.videoId)}"` : '';
+    const excerpts = citation.chunks.map(chunk => {
+      // Citations can come from an imported file, so only numbers reach the markup
+      const startTime = Number(chunk.startTime);
+      const endTime = Number(chunk.endTime);
+      const chunkIndex = Number(chunk.chunkIndex);
+      const seconds = Number.isFinite(startTime) ? Math.max(0, Math.floor(startTime)) : 0;
+      const section = Number.isFinite(chunkIndex) ? `<span class="citation-chunk-index">Section ${chunkIndex + 1}</span>` : '';
+      return `
+      <blockquote class="citation-excerpt">
+        <div class="citation-excerpt-header">
+          <button type="button" class="timestamp-link"${videoAttribute} data-seconds="${seconds}" title="Jump to ${formatDuration(seconds)}">${formatDuration(seconds)} – ${formatDuration(Number.isFinite(endTime) ? endTime : 0)}</button>
+          ${section}
+        </div>
+        <p>${escapeHtml(chunk.excerpt)}</p>
+      </blockquote>
+    `;
+    }).join('');
+    
+    return `
+      <details class="citation-chip">
+        <summary>${escapeHtml(citation.label)}</summary>
+        <div class="citation-excerpts">${excerpts}</div>
+      </details>
+    `;
+  }).join('');
+  
+  return `<div class="message-citations" aria-label="Transcript passages cited in this answer">${chips}</div>`;
+}
+
+/**
+ * Render the "‹ 2/3 ›" navigator for a message with several branches
+ * @param {{index: number, count: number}} branch - Branch position of the message
+ * @returns {string} - HTML string for the navigator, empty for a single branch
+ */
+function renderBranchNavigator(branch) {
+  if (!branch || branch.count < 2) {
+    return '';
+  }
+  
+  return `
+    <div class="branch-nav" aria-label="Versions of this message">
+      <button type="button" class="message-action" data-action="branch-prev" aria-label="Previous version" ${branch.index <= 0 ? 'disabled' : ''}>‹</button>
+      <span class="branch-position">${branch.index + 1}/${branch.count}</span>
+      <button type="button" class="message-action" data-action="branch-next" aria-label="Next version" ${branch.index >= branch.count - 1 ? 'disabled' : ''}>›</button>
+    </div>
+  `;
+}
+
 /**
  * Render a chat message
- * @param {Object} message - Message object with role, content, and timestamp
+ * @param {Object} message - Message object with id, role, content, timestamp, and optional cited sources and citations
  * @param {boolean} isStreaming - Whether the message is currently streaming
+ * @param {Object} options - Display options
+ * @param {boolean} options.isEditing - Show the message as an inline edit box
+ * @param {{index: number, count: number}} options.branch - Branch position of the message
+ * @param {boolean} options.canEdit - Show the Edit action
+ * @param {boolean} options.canRegenerate - Show the Regenerate action
  * @returns {string} - HTML string for the chat message
  */
-export function renderChatMessage(message, isStreaming = false) {
+export function renderChatMessage(message, isStreaming = false, options = {}) {
+  const { isEditing = false, branch = null, canEdit = false, canRegenerate = false } = options;
   const isUser = message.role === 'user';
   const messageClass = isUser ? 'user' : 'assistant';
   const timestamp = formatTime(message.timestamp);
+  const idAttribute = message.id ? ` data-message-id="${escapeHtml(message.id)}"` : '';
+  
+  if (isEditing) {
+    return `
+      <div class="chat-message ${messageClass} editing"${idAttribute}>
+        <div class="chat-bubble">
+          <textarea class="message-edit-input" rows="3" aria-label="Edit question">${escapeHtml(message.content)}</textarea>
+          <div class="message-edit-actions">
+            <button type="button" class="message-action" data-action="cancel-edit">Cancel</button>
+            <button type="button" class="message-action primary" data-action="save-edit">Save &amp; send</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+  
+  const content = isUser ? escapeHtml(message.content) : renderMessageContent(message.content, message.sources);
+  const actions = [
+    canEdit ? '<button type="button" class="message-action" data-action="edit" aria-label="Edit question">Edit</button>' : '',
+    canRegenerate ? '<button type="button" class="message-action" data-action="regenerate" aria-label="Regenerate answer">↻ Regenerate</button>' : ''
+  ].join('');
+  const footer = isStreaming ? '' : `${renderBranchNavigator(branch)}${actions}`;
   
   return `
-    <div class="chat-message ${messageClass}">
+    <div class="chat-message ${messageClass}"${idAttribute}>
       <div class="chat-bubble">
-        <div class="message-content">${escapeHtml(message.content)}</div>
+        <div class="message-content${isUser ? '' : ' markdown-body'}">${content}</div>
         ${isStreaming ? '<span class="streaming-cursor"></span>' : ''}
-        <div class="timestamp">${timestamp}</div>
+        ${message.stopped ? '<div class="message-status">■ Stopped</div>' : ''}
+        ${isUser || isStreaming ? '' : renderMessageCitations(message.citations)}
+        ${isUser ? '' : renderMessageSources(message.sources)}
+        <div class="timestamp">${timestamp}${message.model ? ` · ${escapeHtml(message.model)}` : ''}</div>
+        ${footer.trim() ? `<div class="message-actions">${footer}</div>` : ''}
       </div>
     </div>
   `;
 }
 
+/**
+ * Render the outcome of a workspace import
+ * @param {Object} report - Report from mergeWorkspace with added, merged, unchanged and conflicts
+ * @returns {string} - HTML string for the report
+ */
+export function renderImportReport(report) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const fieldNames = {
+    title: 'title',
+    channel: 'channel',
+    duration: 'duration',
+    summary: 'summary',
+    keyPoints: 'key points'
+  };
+  
+  const conflicts = report.conflicts.map(conflict => {
+    const details = [
+      ...conflict.fields.map(field => fieldNames[field] || field),
+      conflict.messageCount > 0 ? plural(conflict.messageCount, 'message') : ''
+    ].filter(Boolean).join(', ');
+    return `<li><span class="font-medium">${escapeHtml(conflict.title)}</span> <span class="text-secondary-text">— ${escapeHtml(details)}</span></li>`;
+  }).join('');
+  
+  return `
+    <ul class="import-report-counts">
+      <li><strong>${report.added.length}</strong> added</li>
+      <li><strong>${report.merged.length}</strong> merged with new messages</li>
+      <li><strong>${report.unchanged.length}</strong> already up to date</li>
+    </ul>
+    ${report.conflicts.length > 0 ? `
+      <div class="import-report-conflicts">
+        <h4 class="font-semibold mb-1">${plural(report.conflicts.length, 'conflict')}</h4>
+        <p class="text-sm text-secondary-text mb-2">These videos differ from your copy. Your version was kept.</p>
+        <ul class="space-y-1 text-sm">${conflicts}</ul>
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render snippet text with its search hits marked
+ * @param {{text: string, hits: Array<{start: number, end: number}>}} snippet - Snippet from searchIndex
+ * @returns {string} - Escaped HTML
+ */
+function highlightSnippet(snippet) {
+  let html = '';
+  let position = 0;
+
+  for (const hit of snippet.hits) {
+    html += escapeHtml(snippet.text.slice(position, hit.start));
+    html += `<mark>${escapeHtml(snippet.text.slice(hit.start, hit.end))}</mark>`;
+    position = hit.end;
+  }
+
+  return html + escapeHtml(snippet.text.slice(position));
+}
+
+/**
+ * Render the results of a global search
+ * @param {Array} results - Results from searchIndex
+ * @param {number} activeIndex - Index of the highlighted result
+ * @returns {string} - HTML string for the result list items
+ */
+export function renderSearchResults(results, activeIndex = 0) {
+  const kindLabels = {
+    title: 'Title',
+    channel: 'Channel',
+    summary: 'Summary',
+    keyPoint: 'Key point'
+  };
+
+  return results.map((result, index) => {
+    const isActive = index === activeIndex;
+    const kind = result.kind === 'message'
+      ? (result.role === 'user' ? 'Question' : 'Answer')
+      : kindLabels[result.kind];
+
+    return `
+      <li id="search-result-${index}" class="search-result${isActive ? ' active' : ''}" role="option" aria-selected="${isActive}" data-result-index="${index}">
+        <div class="search-result-meta">
+          <span class="search-result-kind">${kind}</span>
+          <span class="search-result-video">${escapeHtml(result.videoTitle)}</span>
+        </div>
+        <p class="search-result-snippet">${highlightSnippet(result.snippet)}</p>
+      </li>
+    `;
+  }).join('');
+}
+
 /**
  * Render a welcome message for the chat
  * @returns {string} - HTML string for the welcome message
@@ -217,9 +1265,22 @@ export function formatDate(date) {
 export function escapeHtml(text) {
   if (!text) return '';
   
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  // Quotes are escaped too so the result is safe inside attribute values
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
@@ -0,0 +1,277 @@
+// Conversation Module
+// Tree-shaped chat history: every message points to its parent, and each
+// parent remembers which of its children (branches) is currently shown.
+
+// Key used for the children of the conversation root
+const ROOT = 'root';
+
+/**
+ * Generate a unique message ID
+ * @returns {string} - New message ID
+ */
+export function generateMessageId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Create an empty conversation
+ * @returns {Object} - Conversation with messages, children and activeChild maps
+ */
+export function createConversation() {
+  return {
+    messages: {},
+    children: {},
+    activeChild: {}
+  };
+}
+
+/**
+ * Add a message as the newest child of a parent and make it the active branch
+ * @param {Object} conversation - Conversation to modify
+ * @param {string|null} parentId - ID of the parent message, or null for the root
+ * @param {Object} message - Message with role, content and timestamp
+ * @returns {Object} - The stored message node
+ */
+export function appendMessage(conversation, parentId, message) {
+  const key = parentId || ROOT;
+  const node = {
+    ...message,
+    id: message.id || generateMessageId(),
+    parentId: parentId || null
+  };
+
+  conversation.messages[node.id] = node;
+  conversation.children[key] = [...(conversation.children[key] || []), node.id];
+  conversation.activeChild[key] = node.id;
+
+  return node;
+}
+
+/**
+ * Get the messages on the currently selected branch, from the root down
+ * @param {Object} conversation - Conversation to read
+ * @returns {Array} - Ordered message nodes
+ */
+export function getActivePath(conversation) {
+  const path = [];
+  let key = ROOT;
+
+  while (conversation.activeChild[key]) {
+    const message = conversation.messages[conversation.activeChild[key]];
+    if (!message) break;
+    path.push(message);
+    key = message.id;
+  }
+
+  return path;
+}
+
+/**
+ * Get the last message on the currently selected branch
+ * @param {Object} conversation - Conversation to read
+ * @returns {Object|null} - Last message or null if the conversation is empty
+ */
+export function getLastMessage(conversation) {
+  const path = getActivePath(conversation);
+  return path.length > 0 ? path[path.length - 1] : null;
+}
+
+/**
+ * Get the position of a message among its siblings
+ * @param {Object} conversation - Conversation to read
+ * @param {string} messageId - ID of the message
+ * @returns {{index: number, count: number}} - Zero-based index and number of siblings
+ */
+export function getBranchInfo(conversation, messageId) {
+  const message = conversation.messages[messageId];
+  if (!message) {
+    return { index: 0, count: 0 };
+  }
+
+  const siblings = conversation.children[message.parentId || ROOT] || [];
+  return { index: siblings.indexOf(messageId), count: siblings.length };
+}
+
+/**
+ * Show a sibling branch of a message instead of the message itself
+ * @param {Object} conversation - Conversation to modify
+ * @param {string} messageId - ID of the currently shown message
+ * @param {number} offset - -1 for the previous branch, 1 for the next
+ * @returns {boolean} - True if the active branch changed
+ */
+export function switchBranch(conversation, messageId, offset) {
+  const message = conversation.messages[messageId];
+  if (!message) {
+    return false;
+  }
+
+  const key = message.parentId || ROOT;
+  const siblings = conversation.children[key] || [];
+  const target = siblings[siblings.indexOf(messageId) + offset];
+  if (!target) {
+    return false;
+  }
+
+  conversation.activeChild[key] = target;
+  return true;
+}
+
+/**
+ * Select the branches leading to a message so that it is on the active path
+ * @param {Object} conversation - Conversation to modify
+ * @param {string} messageId - ID of the message to show
+ * @returns {boolean} - True if the active branch changed
+ */
+export function showMessage(conversation, messageId) {
+  let changed = false;
+  let message = conversation.messages[messageId];
+
+  while (message) {
+    const key = message.parentId || ROOT;
+    if (conversation.activeChild[key] !== message.id) {
+      conversation.activeChild[key] = message.id;
+      changed = true;
+    }
+    message = message.parentId ? conversation.messages[message.parentId] : null;
+  }
+
+  return changed;
+}
+
+/**
+ * Remove a message and everything below it
+ * @param {Object} conversation - Conversation to modify
+ * @param {string} messageId - ID of the message to remove
+ */
+export function removeMessage(conversation, messageId) {
+  const message = conversation.messages[messageId];
+  if (!message) {
+    return;
+  }
+
+  for (const childId of conversation.children[messageId] || []) {
+    removeMessage(conversation, childId);
+  }
+  delete conversation.children[messageId];
+  delete conversation.activeChild[messageId];
+  delete conversation.messages[messageId];
+
+  const key = message.parentId || ROOT;
+  const siblings = (conversation.children[key] || []).filter(id => id !== messageId);
+  if (siblings.length > 0) {
+    conversation.children[key] = siblings;
+  } else {
+    delete conversation.children[key];
+  }
+
+  if (conversation.activeChild[key] === messageId) {
+    if (siblings.length > 0) {
+      conversation.activeChild[key] = siblings[siblings.length - 1];
+    } else {
+      delete conversation.activeChild[key];
+    }
+  }
+}
+
+/**
+ * Build a single-branch conversation from a flat list of messages
+ * @param {Array} messages - Messages in chronological order
+ * @returns {Object} - Conversation containing the messages as one branch
+ */
+export function fromMessageList(messages) {
+  const conversation = createConversation();
+  let parentId = null;
+
+  for (const message of messages || []) {
+    parentId = appendMessage(conversation, parentId, message).id;
+  }
+
+  return conversation;
+}
+
+/**
+ * Check whether a value is a well-formed conversation, such as one read from an imported file.
+ * Every message must be listed once, under its own parent; every listed or active child must exist;
+ * and every message must be reachable from the root, so walking the tree cannot loop.
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a conversation tree that can be used as it is
+ */
+export function isConversationTree(value) {
+  const isMap = (map) => typeof map === 'object' && map !== null && !Array.isArray(map);
+  if (!isMap(value) || !isMap(value.messages) || !isMap(value.children) || !isMap(value.activeChild)) {
+    return false;
+  }
+
+  const { messages, children, activeChild } = value;
+  const listed = new Set();
+  for (const [key, childIds] of Object.entries(children)) {
+    if ((key !== ROOT && !Object.hasOwn(messages, key)) || !Array.isArray(childIds)) {
+      return false;
+    }
+    for (const childId of childIds) {
+      const message = Object.hasOwn(messages, childId) ? messages[childId] : null;
+      if (!message || message.id !== childId || (message.parentId || ROOT) !== key || listed.has(childId)) {
+        return false;
+      }
+      listed.add(childId);
+    }
+  }
+
+  for (const [key, childId] of Object.entries(activeChild)) {
+    if (!Array.isArray(children[key]) || !children[key].includes(childId)) {
+      return false;
+    }
+  }
+
+  // Each message is listed under one parent only, so this walk visits every reachable message once;
+  // a message it does not reach is unlisted or part of a cycle of parents
+  let reached = 0;
+  const pending = [...(children[ROOT] || [])];
+  while (pending.length > 0) {
+    reached++;
+    pending.push(...(children[pending.pop()] || []));
+  }
+  return reached === Object.keys(messages).length;
+}
+
+/**
+ * Merge another copy of a conversation into this one by message ID.
+ * Messages only in the incoming copy are added as extra branches; messages present in
+ * both are kept as they are here, and reported as conflicts if their content differs.
+ * @param {Object} target - Conversation to modify
+ * @param {Object} incoming - Conversation to merge in
+ * @returns {{added: number, conflicts: string[]}} - Number of added messages and IDs of conflicting messages
+ */
+export function mergeConversation(target, incoming) {
+  let added = 0;
+  const conflicts = [];
+
+  for (const message of Object.values(incoming.messages)) {
+    const existing = target.messages[message.id];
+    if (existing && (existing.role !== message.role || existing.content !== message.content)) {
+      conflicts.push(message.id);
+    }
+  }
+
+  // Walk parent keys in the incoming order so new children keep their relative order
+  for (const [key, childIds] of Object.entries(incoming.children)) {
+    for (const childId of childIds) {
+      if (target.messages[childId] || !incoming.messages[childId]) {
+        continue;
+      }
+
+      target.messages[childId] = { ...incoming.messages[childId] };
+      target.children[key] = [...(target.children[key] || []), childId];
+      added++;
+    }
+
+    if (!target.activeChild[key] && incoming.activeChild[key]) {
+      target.activeChild[key] = incoming.activeChild[key];
+    }
+  }
+
+  return { added, conflicts };
+}
@@ -0,0 +1,393 @@
+// Export Module
+// Serializes a video's summary and conversation to Markdown, JSON and printable HTML
+
+import { createConversation, getActivePath, fromMessageList, isConversationTree } from './conversation.js';
+import { isValidVideoId } from './api.js';
+import { SchemaError, string, integer, number, optional, arrayOf, object, parse } from './schema.js';
+import {
+  escapeHtml,
+  formatDuration,
+  renderMarkdown,
+  renderInlineMarkdown,
+  renderMessageContent
+} from './components.js';
+
+// Identifies InsightStream video exports and the version of their layout
+export const VIDEO_EXPORT_FORMAT = 'insightstream.video';
+export const VIDEO_EXPORT_VERSION = 1;
+
+// Transcript passages an answer cites, as stored on the message (times in seconds)
+const storedCitationsSchema = arrayOf(object({
+  label: string({ nonEmpty: true }),
+  videoLabel: optional(string()),
+  videoId: optional(string()),
+  start: number({ min: 0 }),
+  end: optional(number({ min: 0 })),
+  chunks: arrayOf(object({
+    chunkIndex: integer({ min: 0 }),
+    startTime: number({ min: 0 }),
+    endTime: number({ min: 0 }),
+    excerpt: string()
+  }))
+}));
+
+/**
+ * Get the YouTube watch URL of a video, optionally at a position
+ * @param {string} videoId - YouTube video ID
+ * @param {number} [seconds] - Start position in seconds
+ * @returns {string} - Watch URL
+ */
+function getWatchUrl(videoId, seconds) {
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+  return seconds ? `${url}&t=${seconds}s` : url;
+}
+
+/**
+ * Convert a plain-object date field back into a Date
+ * @param {string|number|Date|undefined} value - Serialized date
+ * @returns {Date|undefined} - Date, or undefined if the value is missing or invalid
+ */
+export function reviveDate(value) {
+  if (value === undefined || value === null) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Build the exportable representation of a video
+ * @param {Object} video - Video from state, including its conversation tree
+ * @returns {Object} - Plain object with the video record, full conversation tree and active Q&A path
+ */
+export function serializeVideo(video) {
+  const { conversation, ...record } = video;
+  const tree = conversation || createConversation();
+
+  return {
+    video: record,
+    conversation: tree,
+    // Convenience copy of the visible Q&A for tools that do not understand branches
+    messages: getActivePath(tree).map(({ parentId, ...message }) => message)
+  };
+}
+
+/**
+ * Validate a serialized video and rebuild the state object
+ * @param {Object} data - Object produced by serializeVideo
+ * @returns {Object} - Video with its conversation tree
+ * @throws {Error} - If the data is not a valid video export
+ */
+export function deserializeVideo(data) {
+  if (!data || typeof data !== 'object' || !data.video || typeof data.video !== 'object') {
+    throw new Error('Missing video data');
+  }
+
+  const { video } = data;
+  if (typeof video.id !== 'string' || !video.id) {
+    throw new Error('Video is missing its ID');
+  }
+  // The ID is used in URLs and markup, so only real YouTube IDs are accepted
+  if (!isValidVideoId(video.id)) {
+    throw new Error(`"${video.id.slice(0, 40)}" is not a YouTube video ID`);
+  }
+  if (video.keyPoints !== undefined && !Array.isArray(video.keyPoints)) {
+    throw new Error(`Key points of video ${video.id} must be a list`);
+  }
+  if (video.chapters !== undefined && (!Array.isArray(video.chapters) || video.chapters.some(chapter => !chapter || typeof chapter.title !== 'string' || typeof chapter.start !== 'number'))) {
+    throw new Error(`Chapters of video ${video.id} must be a list of timed chapters`);
+  }
+  if (video.tags !== undefined && (!Array.isArray(video.tags) || video.tags.some(tag => !tag || typeof tag.name !== 'string'))) {
+    throw new Error(`Tags of video ${video.id} must be a list of named tags`);
+  }
+
+  let conversation;
+  if (data.conversation !== undefined && data.conversation !== null) {
+    if (!isConversationTree(data.conversation)) {
+      throw new Error(`Conversation of video ${video.id} is not a valid conversation tree`);
+    }
+    conversation = data.conversation;
+  } else if (Array.isArray(data.messages)) {
+    conversation = fromMessageList(data.messages);
+  } else {
+    conversation = createConversation();
+  }
+
+  for (const message of Object.values(conversation.messages)) {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant') || typeof message.content !== 'string') {
+      throw new Error(`Conversation of video ${video.id} contains an invalid message`);
+    }
+    message.timestamp = reviveDate(message.timestamp) || new Date();
+    if (message.citations !== undefined) {
+      try {
+        message.citations = parse(storedCitationsSchema, message.citations);
+      } catch (error) {
+        if (!(error instanceof SchemaError)) {
+          throw error;
+        }
+        // Citations only add excerpts to the answer, so ones that do not match are dropped rather than failing the import
+        delete message.citations;
+      }
+    }
+  }
+
+  return {
+    ...video,
+    addedAt: reviveDate(video.addedAt) || new Date(),
+    conversation
+  };
+}
+
+/**
+ * Export a video as a JSON document that can be imported again
+ * @param {Object} video - Video from state
+ * @returns {string} - JSON text
+ */
+export function exportVideoAsJson(video) {
+  return JSON.stringify({
+    format: VIDEO_EXPORT_FORMAT,
+    version: VIDEO_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...serializeVideo(video)
+  }, null, 2);
+}
+
+/**
+ * Parse a JSON document produced by exportVideoAsJson
+ * @param {string} text - JSON text
+ * @returns {Object} - Video with its conversation tree
+ * @throws {Error} - If the text is not a supported video export
+ */
+export function parseVideoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!data || data.format !== VIDEO_EXPORT_FORMAT) {
+    throw new Error('The file is not an InsightStream video export');
+  }
+  if (typeof data.version !== 'number' || data.version > VIDEO_EXPORT_VERSION) {
+    throw new Error(`Unsupported export version: ${data.version}`);
+  }
+
+  return deserializeVideo(data);
+}
+
+/**
+ * Export a video's summary and visible Q&A as Markdown
+ * @param {Object} video - Video from state
+ * @returns {string} - Markdown text
+ */
+export function exportVideoAsMarkdown(video) {
+  const lines = [`# ${video.title || video.id}`, ''];
+
+  lines.push(`- **Channel:** ${video.channel || 'Unknown Channel'}`);
+  if (video.duration) {
+    lines.push(`- **Duration:** ${formatDuration(video.duration)}`);
+  }
+  lines.push(`- **Video:** ${getWatchUrl(video.id)}`);
+  lines.push('');
+
+  if (video.summary) {
+    lines.push('## Summary', '', video.summary.trim(), '');
+  }
+
+  if (video.chapters && video.chapters.length > 0) {
+    lines.push('## Chapters', '');
+    video.chapters.forEach(chapter => lines.push(`- **${formatDuration(chapter.start)}** ${chapter.title}${chapter.summary ? ` — ${chapter.summary}` : ''}`));
+    lines.push('');
+  }
+
+  if (video.keyPoints && video.keyPoints.length > 0) {
+    lines.push('## Key Points', '');
+    video.keyPoints.forEach(point => lines.push(`- ${point}`));
+    lines.push('');
+  }
+
+  const messages = getActivePath(video.conversation || createConversation());
+  if (messages.length > 0) {
+    lines.push('## Questions & Answers', '');
+    for (const message of messages) {
+      const speaker = message.role === 'user' ? 'You' : 'Assistant';
+      lines.push(`### ${speaker}`, '', (message.content || '').trim());
+      if (message.role === 'assistant' && message.sources && message.sources.length > 0) {
+        lines.push('', '**Sources:**');
+        message.sources.forEach((source, index) => {
+          lines.push(`- V${index + 1}: ${source.title || source.id} (${getWatchUrl(source.id)})`);
+        });
+      }
+      if (message.stopped) {
+        lines.push('', '_Answer stopped before it finished._');
+      }
+      lines.push('');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Replace in-app timestamp buttons with links that open YouTube at that position
+ * @param {string} html - Rendered HTML
+ * @param {string} videoId - Video the plain timestamps refer to
+ * @returns {string} - HTML with timestamp links
+ */
+function toWatchLinks(html, videoId) {
+  return html.replace(
+    /<button type="button" class="timestamp-link[^"]*"(?: data-video-id="([^"]*)")? data-seconds="(\d+)"[^>]*>([^<]*)<\/button>/g,
+    (match, citedVideoId, seconds, label) => {
+      const href = escapeHtml(getWatchUrl(citedVideoId || videoId, Number(seconds)));
+      return `<a class="timestamp" href="${href}">${label}</a>`;
+    }
+  );
+}
+
+// Styles for the standalone print page
+const PRINT_STYLES = `
+  body { font: 11pt/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 46rem; margin: 2rem auto; padding: 0 1.5rem; }
+  h1 { font-size: 1.6rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.2rem; margin: 2rem 0 0.75rem; padding-bottom: 0.25rem; border-bottom: 1px solid #e5e7eb; }
+  .meta { color: #6b7280; margin: 0 0 1.5rem; }
+  .meta a, a.timestamp { color: #4f46e5; }
+  a.timestamp { text-decoration: none; font-variant-numeric: tabular-nums; }
+  .message { margin: 0 0 1rem; padding: 0.75rem 1rem; border-radius: 0.5rem; break-inside: avoid; }
+  .message.user { background: #eef2ff; }
+  .message.assistant { border: 1px solid #e5e7eb; }
+  .speaker { font-weight: 600; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; margin-bottom: 0.25rem; }
+  .note { color: #b45309; font-size: 0.85rem; }
+  .sources { font-size: 0.85rem; color: #6b7280; }
+  pre { background: #f3f4f6; padding: 0.75rem; border-radius: 0.375rem; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #4b5563; }
+  @page { margin: 2cm; }
+  @media print { body { margin: 0; max-width: none; padding: 0; } a { color: inherit; } }
+`;
+
+/**
+ * Export a video's summary and visible Q&A as a standalone, print-optimized HTML page
+ * @param {Object} video - Video from state
+ * @returns {string} - HTML document
+ */
+export function exportVideoAsHtml(video) {
+  const title = escapeHtml(video.title || video.id);
+  const sections = [];
+
+  if (video.summary) {
+    sections.push(`<h2>Summary</h2>${renderMarkdown(video.summary)}`);
+  }
+
+  if (video.chapters && video.chapters.length > 0) {
+    const items = video.chapters.map(chapter =>
+      `<li><strong>${formatDuration(chapter.start)}</strong> ${escapeHtml(chapter.title)}${chapter.summary ? ` — ${renderInlineMarkdown(chapter.summary)}` : ''}</li>`
+    );
+    sections.push(`<h2>Chapters</h2><ul>${items.join('')}</ul>`);
+  }
+
+  if (video.keyPoints && video.keyPoints.length > 0) {
+    sections.push(`<h2>Key Points</h2><ul>${video.keyPoints.map(point => `<li>${renderInlineMarkdown(point)}</li>`).join('')}</ul>`);
+  }
+
+  const messages = getActivePath(video.conversation || createConversation());
+  if (messages.length > 0) {
+    const items = messages.map(message => {
+      const isUser = message.role === 'user';
+      const content = isUser
+        ? `<p>${escapeHtml(message.content)}</p>`
+        : renderMessageContent(message.content, message.sources);
+      const sources = !isUser && message.sources && message.sources.length > 0
+        ? `<p class="sources">Sources: ${message.sources.map((source, index) => `V${index + 1} ${escapeHtml(source.title || source.id)}`).join(' · ')}</p>`
+        : '';
+      const note = message.stopped ? '<p class="note">Answer stopped before it finished.</p>' : '';
+      return `<div class="message ${isUser ? 'user' : 'assistant'}"><div class="speaker">${isUser ? 'You' : 'Assistant'}</div>${content}${sources}${note}</div>`;
+    }).join('\n');
+    sections.push(`<h2>Questions &amp; Answers</h2>${items}`);
+  }
+
+  const metadata = [
+    escapeHtml(video.channel || 'Unknown Channel'),
+    video.duration ? formatDuration(video.duration) : '',
+    `<a href="${escapeHtml(getWatchUrl(video.id))}">${escapeHtml(getWatchUrl(video.id))}</a>`
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${metadata}</p>
+${toWatchLinks(sections.join('\n'), video.id)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a file name for an export from the video title
+ * @param {Object} video - Video from state
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - Safe file name
+ */
+export function getExportFilename(video, extension) {
+  const slug = (video.title || video.id)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 80);
+  return `${slug || video.id}.${extension}`;
+}
+
+/**
+ * Save text content as a file download
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open an HTML document in a new window and show the print dialog (for saving as PDF)
+ * @param {string} html - Complete HTML document
+ * @returns {boolean} - False if the window could not be opened (e.g. blocked pop-up)
+ */
+export function openPrintView(html) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    return false;
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+
+  // Some browsers do not fire load for written documents, so fall back to a timer
+  let printed = false;
+  const print = () => {
+    if (!printed) {
+      printed = true;
+      printWindow.focus();
+      printWindow.print();
+    }
+  };
+  printWindow.addEventListener('load', print, { once: true });
+  setTimeout(print, 500);
+  return true;
+}
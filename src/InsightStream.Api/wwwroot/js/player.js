@@ -0,0 +1,143 @@
+// Player Module
+// Embedded YouTube player for the selected video
+
+const IFRAME_API_URL = 'https://www.youtube.com/iframe_api';
+const PLAYER_ELEMENT_ID = 'youtube-player';
+
+let apiPromise = null;
+let player = null;
+let playerReady = false;
+let currentVideoId = null;
+let pendingSeek = null;
+let failedVideoId = null;
+let errorHandler = (error) => console.error('Player error:', error);
+
+/**
+ * Register a handler for player failures (e.g. the YouTube script is blocked)
+ * @param {Function} handler - Called with an Error whenever the player cannot load or seek
+ */
+export function onPlayerError(handler) {
+  errorHandler = handler;
+}
+
+/**
+ * Load the YouTube IFrame API once; after a failed load the next call tries again
+ * @returns {Promise<Object>} - Resolves with the global YT namespace, rejects if the script cannot be loaded
+ */
+function loadIframeApi() {
+  if (apiPromise) {
+    return apiPromise;
+  }
+
+  apiPromise = new Promise((resolve, reject) => {
+    if (window.YT && window.YT.Player) {
+      resolve(window.YT);
+      return;
+    }
+
+    // The API calls this global once it has finished loading
+    const previousCallback = window.onYouTubeIframeAPIReady;
+    window.onYouTubeIframeAPIReady = () => {
+      if (typeof previousCallback === 'function') previousCallback();
+      resolve(window.YT);
+    };
+
+    const script = document.createElement('script');
+    script.src = IFRAME_API_URL;
+    script.async = true;
+    script.onerror = () => {
+      script.remove();
+      apiPromise = null;
+      reject(new Error('The YouTube player could not be loaded. Check your connection or content blocker.'));
+    };
+    document.head.appendChild(script);
+  });
+
+  return apiPromise;
+}
+
+/**
+ * Show a video in the embedded player, creating the player on first use
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<void>}
+ */
+export async function showVideo(videoId) {
+  if (!videoId || videoId === currentVideoId) {
+    return;
+  }
+
+  currentVideoId = videoId;
+
+  if (player) {
+    if (playerReady) {
+      player.cueVideoById(videoId);
+    }
+    return;
+  }
+
+  let YT;
+  try {
+    YT = await loadIframeApi();
+  } catch (error) {
+    // Forget the video, so showing it again or seeking in it retries the load
+    failedVideoId = videoId;
+    currentVideoId = null;
+    const seeking = pendingSeek !== null;
+    pendingSeek = null;
+    errorHandler(seeking ? new Error(`Could not jump to the timestamp. ${error.message}`) : error);
+    return;
+  }
+  failedVideoId = null;
+
+  // Another call may have created the player while the API was loading
+  if (player) {
+    return;
+  }
+
+  player = new YT.Player(PLAYER_ELEMENT_ID, {
+    videoId: currentVideoId,
+    playerVars: {
+      modestbranding: 1,
+      rel: 0
+    },
+    events: {
+      onReady: () => {
+        playerReady = true;
+
+        if (player.getVideoData().video_id !== currentVideoId) {
+          player.cueVideoById(currentVideoId);
+        }
+
+        if (pendingSeek !== null) {
+          seekTo(pendingSeek);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Seek the player to a position and start playback
+ * @param {number} seconds - Position in seconds
+ */
+export function seekTo(seconds) {
+  if (!player || !playerReady) {
+    // Apply once the player has loaded
+    pendingSeek = seconds;
+
+    // The player failed to load: try again, reporting the seek if it fails once more
+    if (!player && !apiPromise && failedVideoId) {
+      showVideo(failedVideoId);
+    }
+    return;
+  }
+
+  pendingSeek = null;
+  player.seekTo(seconds, true);
+  player.playVideo();
+
+  const container = document.getElementById('player-card');
+  if (container) {
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+}
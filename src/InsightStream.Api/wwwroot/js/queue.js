@@ -0,0 +1,175 @@
+// Queue Module
+// Client-side job queue that analyzes several videos with bounded concurrency
+
+// Most analyses run at the same time; the rest wait their turn
+export const MAX_CONCURRENT_ANALYSES = 2;
+
+export const JOB_STATUS = {
+  queued: 'queued',
+  running: 'running',
+  failed: 'failed'
+};
+
+/**
+ * Create a job queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.worker - Called with a job and {signal, onProgress}; returns a promise that settles when the job is finished.
+ *   The signal aborts when the job is removed while running; onProgress stores a progress value on the job.
+ * @param {Function} [options.onChange] - Called with the job list whenever a job is added, starts, reports progress, finishes or is removed.
+ *   Jobs that succeed are removed; jobs that fail stay in the list until retried or removed.
+ * @param {number} [options.concurrency] - Most jobs that run at the same time
+ * @returns {Object} - Queue with enqueue, retry, remove and getJobs methods
+ */
+export function createJobQueue({ worker, onChange = () => {}, concurrency = MAX_CONCURRENT_ANALYSES }) {
+  const jobs = [];
+  const controllers = new Map();
+  let nextId = 1;
+
+  /**
+   * Notify the listener with a snapshot of the jobs
+   */
+  function notify() {
+    onChange(jobs.map(job => ({ ...job })));
+  }
+
+  /**
+   * Start queued jobs until the concurrency limit is reached
+   */
+  function pump() {
+    let running = jobs.filter(job => job.status === JOB_STATUS.running).length;
+
+    for (const job of jobs) {
+      if (running >= concurrency) break;
+      if (job.status !== JOB_STATUS.queued) continue;
+
+      running++;
+      run(job);
+    }
+  }
+
+  /**
+   * Run one job and record its outcome
+   * @param {Object} job - Job to run
+   */
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = JOB_STATUS.running;
+    job.error = null;
+    job.progress = null;
+    job.attempts++;
+    notify();
+
+    const onProgress = (progress) => {
+      if (!controller.signal.aborted) {
+        job.progress = progress;
+        notify();
+      }
+    };
+
+    try {
+      await worker({ ...job }, { signal: controller.signal, onProgress });
+      // Finished jobs leave the queue; the analyzed video takes their place
+      const index = jobs.indexOf(job);
+      if (index >= 0) jobs.splice(index, 1);
+    } catch (error) {
+      // A cancelled job has already left the queue
+      if (!controller.signal.aborted) {
+        job.status = JOB_STATUS.failed;
+        job.error = error.message || 'Analysis failed';
+      }
+    } finally {
+      controllers.delete(job.id);
+    }
+
+    notify();
+    pump();
+  }
+
+  return {
+    /**
+     * Add items to the end of the queue, skipping videos that are already in it
+     * @param {Array<{url: string, videoId: string, title?: string, collectionId?: string}>} items - Videos to analyze
+     * @returns {number} - Number of jobs added
+     */
+    enqueue(items) {
+      let added = 0;
+
+      for (const item of items) {
+        const existing = jobs.find(job => job.videoId === item.videoId);
+        if (existing) {
+          // Adding a video that failed before counts as a retry
+          if (existing.status === JOB_STATUS.failed) {
+            existing.status = JOB_STATUS.queued;
+            existing.error = null;
+            added++;
+          }
+          continue;
+        }
+
+        jobs.push({
+          id: nextId++,
+          url: item.url,
+          videoId: item.videoId,
+          title: item.title || null,
+          collectionId: item.collectionId || null,
+          status: JOB_STATUS.queued,
+          error: null,
+          progress: null,
+          attempts: 0
+        });
+        added++;
+      }
+
+      if (added > 0) {
+        notify();
+        pump();
+      }
+      return added;
+    },
+
+    /**
+     * Queue a failed job again
+     * @param {number} jobId - ID of the job
+     * @returns {boolean} - True if the job was queued again
+     */
+    retry(jobId) {
+      const job = jobs.find(j => j.id === jobId);
+      if (!job || job.status !== JOB_STATUS.failed) {
+        return false;
+      }
+
+      job.status = JOB_STATUS.queued;
+      job.error = null;
+      notify();
+      pump();
+      return true;
+    },
+
+    /**
+     * Remove a job, cancelling it if it is running
+     * @param {number} jobId - ID of the job
+     * @returns {boolean} - True if the job was removed
+     */
+    remove(jobId) {
+      const index = jobs.findIndex(j => j.id === jobId);
+      if (index < 0) {
+        return false;
+      }
+
+      jobs.splice(index, 1);
+      controllers.get(jobId)?.abort();
+      notify();
+      pump();
+      return true;
+    },
+
+    /**
+     * Get a snapshot of the jobs in queue order
+     * @returns {Array} - Jobs
+     */
+    getJobs() {
+      return jobs.map(job => ({ ...job }));
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+// Schema Module
+// Declarative response schemas: each schema checks a value and returns it normalized,
+// or throws a SchemaError that names the offending field
+
+/**
+ * Error raised when a value does not match its schema
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {string} path - Dotted path of the offending field, e.g. "metadata.duration"
+   * @param {string} expected - Description of the expected value
+   * @param {*} actual - Value that was found
+   */
+  constructor(path, expected, actual) {
+    super(`${path} should be ${expected}, but was ${describe(actual)}`);
+    this.name = 'SchemaError';
+    this.path = path;
+  }
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value to describe
+ * @returns {string} - Short description
+ */
+function describe(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}...` : value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+/**
+ * Join a parent path and a key
+ * @param {string} path - Parent path
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * A string
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.nonEmpty] - Reject empty and whitespace-only strings
+ * @returns {Function} - Schema
+ */
+export function string({ nonEmpty = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string' || (nonEmpty && !value.trim())) {
+      throw new SchemaError(path, nonEmpty ? 'a non-empty string' : 'a string', value);
+    }
+    return value;
+  };
+}
+
+/**
+ * A whole number
+ * @param {Object} [options] - Options
+ * @param {number} [options.min] - Smallest allowed value
+ * @returns {Function} - Schema
+ */
+export function integer({ min = -Infinity } = {}) {
+  return (value, path) => {
+    if (!Number.isInteger(value) || value < min) {
+      throw new SchemaError(path, Number.isFinite(min) ? `a whole number of at least ${min}` : 'a whole number', value);
+    }
+    return value;
+  };
+}
+
+/**
+ * A finite number
+ * @param {Object} [options] - Options
+ * @param {number} [options.min] - Smallest allowed value
+ * @returns {Function} - Schema
+ */
+export function number({ min = -Infinity } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+      throw new SchemaError(path, Number.isFinite(min) ? `a number of at least ${min}` : 'a number', value);
+    }
+    return value;
+  };
+}
+
+/**
+ * A boolean
+ * @returns {Function} - Schema
+ */
+export function boolean() {
+  return (value, path) => {
+    if (typeof value !== 'boolean') {
+      throw new SchemaError(path, 'true or false', value);
+    }
+    return value;
+  };
+}
+
+/**
+ * A .NET TimeSpan serialized as "[-][d.]hh:mm:ss[.fffffff]", normalized to seconds
+ * @returns {Function} - Schema
+ */
+export function timeSpan() {
+  return (value, path) => {
+    const match = typeof value === 'string'
+      && value.match(/^(-)?(?:(\d+)\.)?(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,7}))?$/);
+    if (!match) {
+      throw new SchemaError(path, 'a duration like "01:02:03"', value);
+    }
+
+    const [, negative, days = 0, hours, minutes, seconds, fraction = '0'] = match;
+    const total = Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60
+      + Number(seconds) + Number(`0.${fraction}`);
+    return negative ? -total : total;
+  };
+}
+
+/**
+ * A value that may be null or missing
+ * @param {Function} schema - Schema for the value when present
+ * @returns {Function} - Schema that returns null for absent values
+ */
+export function optional(schema) {
+  return (value, path) => (value === undefined || value === null ? null : schema(value, path));
+}
+
+/**
+ * A list whose items all match a schema
+ * @param {Function} itemSchema - Schema for each item
+ * @returns {Function} - Schema
+ */
+export function arrayOf(itemSchema) {
+  return (value, path) => {
+    if (!Array.isArray(value)) {
+      throw new SchemaError(path, 'a list', value);
+    }
+    return value.map((item, index) => itemSchema(item, childPath(path, index)));
+  };
+}
+
+/**
+ * An object with known fields; unknown fields are dropped
+ * @param {Object<string, Function>} shape - Schema for each field
+ * @returns {Function} - Schema
+ */
+export function object(shape) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new SchemaError(path || 'response', 'an object', value);
+    }
+
+    const result = {};
+    for (const [key, schema] of Object.entries(shape)) {
+      result[key] = schema(value[key], childPath(path, key));
+    }
+    return result;
+  };
+}
+
+/**
+ * Check a value against a schema
+ * @param {Function} schema - Schema to apply
+ * @param {*} value - Value to check
+ * @returns {*} - Normalized value
+ * @throws {SchemaError} - If the value does not match
+ */
+export function parse(schema, value) {
+  return schema(value, '');
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+// Search Module
+// Client-side search across every video in the workspace: titles, channels, summaries,
+// key points and chat messages, ranked by where the words were found
+
+import { escapeRegExp } from './components.js';
+
+// Weight of a hit by the field it is in; a title hit outranks one buried in a conversation
+const FIELD_WEIGHTS = {
+  title: 8,
+  channel: 5,
+  keyPoint: 4,
+  summary: 3,
+  message: 2
+};
+
+// Most results returned for one query
+const MAX_RESULTS = 30;
+
+// Characters of context shown before and after the first hit of a long text
+const SNIPPET_CONTEXT_BEFORE = 40;
+const SNIPPET_CONTEXT_AFTER = 120;
+
+/**
+ * Reduce markdown to the plain text a reader would see, on a single line
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+function toPlainText(text) {
+  return String(text || '')
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the search entries for a set of videos
+ * @param {Array} videos - Videos from the state, with their conversation trees
+ * @returns {Array<{videoId: string, videoTitle: string, kind: string, messageId: string|null, role: string|null, text: string}>} - One entry per searchable field
+ */
+export function buildSearchIndex(videos) {
+  const entries = [];
+
+  for (const video of videos) {
+    const add = (kind, text, message = null) => {
+      const plain = toPlainText(text);
+      if (plain) {
+        entries.push({
+          videoId: video.id,
+          videoTitle: video.label || video.title || video.id,
+          kind,
+          messageId: message ? message.id : null,
+          role: message ? message.role : null,
+          text: plain
+        });
+      }
+    };
+
+    add('title', video.label);
+    add('title', video.title);
+    add('channel', video.channel);
+    add('summary', video.summary);
+    (video.summaryVersions || []).forEach(version => add('summary', version.summary));
+    (video.keyPoints || []).forEach(point => add('keyPoint', point));
+    (video.chapters || []).forEach(chapter => {
+      add('keyPoint', chapter.title);
+      add('summary', chapter.summary);
+    });
+
+    // Messages on every branch are searchable, not only the ones currently shown
+    const messages = Object.values(video.conversation?.messages || {});
+    messages
+      .filter(message => message.content)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(message => add('message', message.content, message));
+  }
+
+  return entries;
+}
+
+/**
+ * Cut a window of text around its first hit, at word boundaries
+ * @param {string} text - Entry text
+ * @param {Array<{start: number, end: number}>} hits - Hits in the text, in order
+ * @returns {{text: string, hits: Array<{start: number, end: number}>}} - Snippet with hits relative to it
+ */
+function createSnippet(text, hits) {
+  const maxLength = SNIPPET_CONTEXT_BEFORE + SNIPPET_CONTEXT_AFTER;
+  if (text.length <= maxLength) {
+    return { text, hits };
+  }
+
+  let start = Math.max(0, hits[0].start - SNIPPET_CONTEXT_BEFORE);
+  let end = Math.min(text.length, start + maxLength);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < hits[0].start ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > hits[0].end ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    hits: hits
+      .filter(hit => hit.start >= start && hit.end <= end)
+      .map(hit => ({ start: hit.start + offset, end: hit.end + offset }))
+  };
+}
+
+/**
+ * Find the entries that contain every word of a query, best matches first
+ * @param {Array} index - Entries from buildSearchIndex
+ * @param {string} query - Words to find, case-insensitively and in any order
+ * @param {number} [limit] - Most results to return
+ * @returns {Array<Object>} - Matching entries with a score and a snippet of {text, hits}
+ */
+export function searchIndex(index, query, limit = MAX_RESULTS) {
+  const terms = [...new Set((query || '').toLowerCase().split(/\s+/).filter(Boolean))];
+  if (terms.length === 0) return [];
+
+  const patterns = terms.map(term => new RegExp(escapeRegExp(term), 'giu'));
+  const results = [];
+
+  index.forEach((entry, position) => {
+    const hits = [];
+    for (const pattern of patterns) {
+      const termHits = [...entry.text.matchAll(pattern)];
+      if (termHits.length === 0) return;
+      termHits.forEach(match => hits.push({ start: match.index, end: match.index + match[0].length }));
+    }
+
+    // Whole-word hits and exact phrase matches count for more than fragments
+    const lowerText = entry.text.toLowerCase();
+    const wholeWords = terms.filter(term =>
+      new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(lowerText)
+    ).length;
+    const phraseBonus = terms.length > 1 && lowerText.includes(terms.join(' ')) ? 2 : 0;
+    const score = FIELD_WEIGHTS[entry.kind] * (1 + wholeWords / terms.length) + phraseBonus;
+
+    hits.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    for (const hit of hits) {
+      const last = merged[merged.length - 1];
+      if (last && hit.start <= last.end) {
+        last.end = Math.max(last.end, hit.end);
+      } else {
+        merged.push({ ...hit });
+      }
+    }
+
+    results.push({ ...entry, score, position, snippet: createSnippet(entry.text, merged) });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, limit);
+}
\ No newline at end of file
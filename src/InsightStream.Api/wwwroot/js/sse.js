@@ -0,0 +1,219 @@
+// SSE Module
+// Server-sent events over fetch: a parser that follows the event stream format, and a reader
+// that POSTs a request and resumes the stream with Last-Event-ID when the connection drops
+
+// Reconnection attempts in a row without receiving an event before giving up
+export const MAX_RECONNECT_ATTEMPTS = 3;
+
+// Delay before reconnecting until the server sends its own retry value
+const DEFAULT_RETRY_DELAY_MS = 2000;
+
+/**
+ * Create an incremental event stream parser
+ * @param {Function} onEvent - Called with {type, data, id} for each dispatched event
+ * @param {Object} [callbacks] - Field callbacks
+ * @param {Function} [callbacks.onId] - Called with the last event ID whenever an event block sets it
+ * @param {Function} [callbacks.onRetry] - Called with the reconnection delay in milliseconds
+ * @returns {{push: Function}} - Parser; push() accepts decoded text in chunks of any size
+ */
+export function createSseParser(onEvent, { onId = () => {}, onRetry = () => {} } = {}) {
+  let buffer = '';
+  let data = [];
+  let type = '';
+  let lastEventId = '';
+  let pendingCarriageReturn = false;
+
+  /**
+   * Dispatch the event collected so far; blocks without data only update the event ID
+   */
+  function dispatch() {
+    onId(lastEventId);
+
+    if (data.length > 0) {
+      onEvent({ type: type || 'message', data: data.join('\n'), id: lastEventId });
+    }
+
+    data = [];
+    type = '';
+  }
+
+  /**
+   * Process one line of the stream
+   * @param {string} line - Line without its terminator
+   */
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Lines starting with a colon are comments, e.g. keep-alives
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'data':
+        data.push(value);
+        break;
+      case 'event':
+        type = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) onRetry(Number(value));
+        break;
+    }
+  }
+
+  return {
+    /**
+     * Feed decoded text to the parser
+     * @param {string} text - Next piece of the stream
+     */
+    push(text) {
+      buffer += text;
+
+      // A CRLF split across two chunks must not count as two line breaks
+      if (pendingCarriageReturn && buffer.startsWith('\n')) {
+        buffer = buffer.slice(1);
+      }
+      pendingCarriageReturn = false;
+
+      const pattern = /\r\n|\r|\n/g;
+      let start = 0;
+      let match;
+      while ((match = pattern.exec(buffer)) !== null) {
+        // A trailing \r may be the first half of \r\n; finish the line now and skip the \n later
+        if (match[0] === '\r' && match.index === buffer.length - 1) {
+          pendingCarriageReturn = true;
+        }
+        processLine(buffer.slice(start, match.index));
+        start = pattern.lastIndex;
+      }
+      buffer = buffer.slice(start);
+    }
+  };
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>} - Rejects with an AbortError when cancelled
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * POST a JSON body and read the server-sent events of the response.
+ * When the connection drops before the stream is finished, the request is sent again with
+ * a Last-Event-ID header so the server can continue after the last event that arrived.
+ * @param {string} url - Endpoint
+ * @param {Object} options - Stream options
+ * @param {Object} options.body - Request body
+ * @param {Function} options.onEvent - Called with {type, data, id}; returns true when the event ends the stream
+ * @param {Function} options.readError - Called with a failed response; resolves to its error message
+ * @param {Function} [options.onEventId] - Called with the last event ID whenever it changes
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+ * @param {number} [options.maxReconnectAttempts] - Reconnection attempts in a row before giving up
+ * @returns {Promise<void>} - Resolves when an event ends the stream
+ * @throws {Error} - AbortError when cancelled, or the reason the stream could not be read
+ */
+export async function streamEvents(url, {
+  body,
+  onEvent,
+  readError,
+  onEventId = () => {},
+  signal,
+  maxReconnectAttempts = MAX_RECONNECT_ATTEMPTS
+}) {
+  let lastEventId = '';
+  let retryDelay = DEFAULT_RETRY_DELAY_MS;
+  let attempts = 0;
+
+  while (true) {
+    let finished = false;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+        },
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        // The server answered; reconnecting would not change its mind
+        throw Object.assign(new Error(await readError(response)), { fatal: true });
+      }
+
+      const parser = createSseParser(
+        (event) => {
+          attempts = 0;
+          if (!finished && onEvent(event)) finished = true;
+        },
+        {
+          onId: (id) => {
+            if (id !== lastEventId) {
+              lastEventId = id;
+              onEventId(id);
+            }
+          },
+          onRetry: (ms) => { retryDelay = ms; }
+        }
+      );
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      try {
+        while (!finished) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          parser.push(decoder.decode(value, { stream: true }));
+        }
+      } finally {
+        reader.cancel().catch(() => {});
+      }
+
+      if (finished) return;
+      throw new Error('The connection closed before the answer was complete');
+    } catch (error) {
+      if (error.name === 'AbortError' || error.fatal) throw error;
+
+      // Without an event ID the server cannot tell which stream to resume
+      if (!lastEventId || attempts >= maxReconnectAttempts) throw error;
+
+      attempts++;
+      console.warn(`Stream interrupted; reconnecting (attempt ${attempts} of ${maxReconnectAttempts})`, error);
+      await delay(retryDelay, signal);
+    }
+  }
+}
\ No newline at end of file
@@ -1,22 +1,493 @@
 // State Management Module
 // Central state object for the application
 
+import {
+  saveVideo,
+  saveConversation,
+  saveSelectedVideoId,
+  deleteVideo,
+  saveCollection,
+  deleteCollection,
+  saveActiveCollectionId
+} from './storage.js';
+import {
+  createConversation,
+  appendMessage,
+  getActivePath,
+  getLastMessage,
+  getBranchInfo,
+  switchBranch,
+  showMessage,
+  removeMessage,
+  mergeConversation
+} from './conversation.js';
+
+// Most videos one question may span (mirrors the server's MaxVideosPerQuestion)
+export const MAX_VIDEOS_PER_QUESTION = 5;
+
+// Delay before a streamed message is written to storage
+const CONVERSATION_SAVE_DELAY_MS = 1000;
+
+// Colors a tag can have; the stylesheet has a tag-color-* class for each
+export const TAG_COLORS = ['blue', 'green', 'yellow', 'orange', 'red', 'pink', 'purple', 'indigo', 'teal', 'gray'];
+
+// Orders the sidebar can be sorted in
+export const SIDEBAR_SORTS = ['added', 'title', 'channel', 'duration'];
+
+// Longest custom label, tag name or collection name
+const MAX_LABEL_LENGTH = 120;
+const MAX_TAG_LENGTH = 30;
+const MAX_COLLECTION_NAME_LENGTH = 60;
+
+// Fields set by the user to organize and summarize the library, kept when a video is analyzed again
+const LIBRARY_FIELDS = ['pinned', 'label', 'tags', 'collectionId', 'model', 'summaryVersions', 'activeSummaryVersion'];
+
+// Kinds of change the mutations make. Subscribers receive the actions behind each change,
+// so a view can tell a new message from a switched branch.
+export const ACTIONS = Object.freeze({
+  LIBRARY_LOADED: 'library/loaded',
+  VIDEOS_IMPORTED: 'library/imported',
+  VIDEO_ADDED: 'video/added',
+  VIDEO_REMOVED: 'video/removed',
+  VIDEO_SELECTED: 'video/selected',
+  VIDEO_UPDATED: 'video/updated',
+  VIDEO_MOVED: 'video/moved',
+  TAG_COLOR_CHANGED: 'tag/colorChanged',
+  COLLECTION_CREATED: 'collection/created',
+  COLLECTION_RENAMED: 'collection/renamed',
+  COLLECTION_REMOVED: 'collection/removed',
+  COLLECTION_OPENED: 'collection/opened',
+  SIDEBAR_VIEW_CHANGED: 'sidebar/viewChanged',
+  ASK_VIDEOS_CHANGED: 'ask/videosChanged',
+  MODELS_LOADED: 'models/loaded',
+  MODEL_CHOSEN: 'models/chosen',
+  SESSIONS_CHECKED: 'sessions/checked',
+  THEME_CHANGED: 'theme/changed',
+  STREAMING_CHANGED: 'chat/streamingChanged',
+  MESSAGE_ADDED: 'chat/messageAdded',
+  MESSAGE_UPDATED: 'chat/messageUpdated',
+  MESSAGE_REMOVED: 'chat/messageRemoved',
+  BRANCH_SWITCHED: 'chat/branchSwitched',
+  CONVERSATION_SYNCED: 'chat/conversationSynced',
+  CONVERSATION_CLEARED: 'chat/conversationCleared',
+  STATE_CLEARED: 'state/cleared'
+});
+
+/**
+ * A change made by a mutation
+ * @typedef {Object} Action
+ * @property {string} type - One of ACTIONS
+ * @property {string} [videoId] - Video the change concerns
+ * @property {string} [collectionId] - Collection the change concerns
+ */
+
+const pendingConversationSaves = new Map();
+
+const subscribers = new Set();
+
+// Actions committed by the mutation that is running; subscribers hear of them once it returns
+let pendingActions = [];
+let mutationDepth = 0;
+
+/**
+ * Record a change made by the running mutation
+ * @param {string} type - One of ACTIONS
+ * @param {Object} [details] - What the change concerns, e.g. {videoId}
+ */
+function commit(type, details = {}) {
+  pendingActions.push({ type, ...details });
+}
+
+/**
+ * Compare two values, and the fields of two objects or arrays, by identity
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if they are the same, or have the same fields with the same values
+ */
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+}
+
+/**
+ * Tell every subscriber whose slice of the state changed
+ */
+function notifySubscribers() {
+  const actions = pendingActions;
+  pendingActions = [];
+
+  for (const subscriber of [...subscribers]) {
+    // A listener may have stopped another subscriber
+    if (!subscribers.has(subscriber)) continue;
+
+    const value = subscriber.selector(state);
+    if (!shallowEqual(value, subscriber.value)) {
+      const previous = subscriber.value;
+      subscriber.value = value;
+      subscriber.listener(value, previous, actions);
+    }
+  }
+}
+
+/**
+ * Make every mutation notify the subscribers once it returns. A mutation that calls
+ * another one notifies only when the outer one is done, so nobody sees half a change.
+ * @param {Object} definitions - Mutation functions by name
+ * @returns {Object} - The same functions, notifying
+ */
+function withNotifications(definitions) {
+  for (const [name, mutate] of Object.entries(definitions)) {
+    definitions[name] = function (...args) {
+      mutationDepth++;
+      try {
+        return mutate.apply(this, args);
+      } finally {
+        mutationDepth--;
+        if (mutationDepth === 0 && pendingActions.length > 0) {
+          notifySubscribers();
+        }
+      }
+    };
+  }
+  return definitions;
+}
+
+/**
+ * Call a listener whenever the slice of the state a selector picks changes.
+ * Slices are compared field by field, by identity: the mutations replace what they change
+ * instead of editing it in place.
+ * @param {Function} selector - Picks the slice from the state; see selectors
+ * @param {Function} listener - Called with the new slice, the previous one and the actions that changed it
+ * @returns {Function} - Stops calling the listener
+ */
+export function subscribe(selector, listener) {
+  const subscriber = { selector, listener, value: selector(state) };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Persist a video's conversation after a short delay, coalescing rapid updates
+ * @param {Object} video - Video whose conversation should be saved
+ */
+function scheduleConversationSave(video) {
+  clearTimeout(pendingConversationSaves.get(video.id));
+  pendingConversationSaves.set(video.id, setTimeout(() => {
+    pendingConversationSaves.delete(video.id);
+    saveConversation(video.id, getConversation(video));
+  }, CONVERSATION_SAVE_DELAY_MS));
+}
+
+/**
+ * Persist a video's conversation immediately, cancelling any pending save
+ * @param {Object} video - Video whose conversation should be saved
+ */
+function saveConversationNow(video) {
+  clearTimeout(pendingConversationSaves.get(video.id));
+  pendingConversationSaves.delete(video.id);
+  saveConversation(video.id, getConversation(video));
+}
+
+/**
+ * Get a video's conversation tree, creating it on first use
+ * @param {Object} video - Video object
+ * @returns {Object} - Conversation tree
+ */
+function getConversation(video) {
+  if (!video.conversation) {
+    video.conversation = createConversation();
+  }
+  return video.conversation;
+}
+
+/**
+ * Replace a video in the library with a copy that has some fields changed, and save it
+ * @param {Object} video - Video in the library
+ * @param {Object} changes - Fields to set; a field set to undefined is removed
+ * @returns {Object} - The new copy
+ */
+function updateVideo(video, changes) {
+  const updated = { ...video, ...changes };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) {
+      delete updated[field];
+    }
+  }
+
+  state.videos = state.videos.map(v => (v === video ? updated : v));
+  saveVideo(updated);
+  return updated;
+}
+
+/**
+ * Replace a collection with a copy that has some fields changed, and save it
+ * @param {Object} collection - Collection in the library
+ * @param {Object} changes - Fields to set
+ * @returns {Object} - The new copy
+ */
+function updateCollection(collection, changes) {
+  const updated = { ...collection, ...changes };
+  state.collections = state.collections.map(c => (c === collection ? updated : c));
+  saveCollection(updated);
+  return updated;
+}
+
+/**
+ * Mark a video's conversation as changed after it was edited in place.
+ * The conversation is a slice of its own: it gets a new top-level object, while the video
+ * keeps its identity, so its card and summary are not rendered again for every message.
+ * @param {Object} video - Video whose conversation changed
+ */
+function touchConversation(video) {
+  video.conversation = { ...getConversation(video) };
+}
+
+/**
+ * Get the name a video is shown under in the library
+ * @param {Object} video - Video object
+ * @returns {string} - Custom label, or the video title
+ */
+function getDisplayTitle(video) {
+  return video.label || video.title || video.id;
+}
+
+/**
+ * Clean up user-entered text: trim, collapse whitespace and limit the length
+ * @param {string} text - Raw text
+ * @param {number} maxLength - Longest allowed result
+ * @returns {string} - Cleaned text (empty if nothing is left)
+ */
+function normalizeText(text, maxLength) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, maxLength).trim();
+}
+
+// Comparers for each sidebar order; ties keep the order the videos were added in
+const sidebarComparers = {
+  added: (a, b) => new Date(a.addedAt || 0) - new Date(b.addedAt || 0),
+  title: (a, b) => getDisplayTitle(a).localeCompare(getDisplayTitle(b), undefined, { sensitivity: 'base', numeric: true }),
+  channel: (a, b) => (a.channel || '').localeCompare(b.channel || '', undefined, { sensitivity: 'base' }) ||
+    sidebarComparers.title(a, b),
+  duration: (a, b) => (a.duration || 0) - (b.duration || 0)
+};
+
+/**
+ * Generate a unique ID for a collection or a summary version
+ * @returns {string} - New ID
+ */
+function generateId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Make a video the selected one, and keep it in view: if it is outside the active
+ * collection, the sidebar switches to the video's own collection (or to all videos).
+ * The video's collection remembers it as its selected video.
+ * @param {Object|null} video - Video to select, or null to clear the selection
+ */
+function applySelection(video) {
+  state.selectedVideoId = video ? video.id : null;
+  saveSelectedVideoId(state.selectedVideoId);
+  commit(ACTIONS.VIDEO_SELECTED, { videoId: state.selectedVideoId });
+  if (!video) {
+    return;
+  }
+
+  if (state.activeCollectionId && video.collectionId !== state.activeCollectionId) {
+    state.activeCollectionId = video.collectionId || null;
+    saveActiveCollectionId(state.activeCollectionId);
+  }
+
+  const collection = state.collections.find(c => c.id === video.collectionId);
+  if (collection && collection.selectedVideoId !== video.id) {
+    updateCollection(collection, { selectedVideoId: video.id });
+  }
+}
+
+/**
+ * Persist the sidebar order and tag filter
+ */
+function saveSidebarView() {
+  localStorage.setItem('insightstream-sidebar', JSON.stringify(state.sidebar));
+}
+
+/**
+ * Look up a model choice in the catalog
+ * @param {{provider: string, model: string}|null} choice - Provider and model ID
+ * @returns {{id: string, displayName: string}|null} - The catalog entry, or null if the choice is not offered
+ */
+function findModel(choice) {
+  if (!choice || !state.models) {
+    return null;
+  }
+
+  const provider = state.models.providers.find(p => p.name === choice.provider);
+  return provider?.models.find(m => m.id === choice.model) || null;
+}
+
 const state = {
   videos: [],
+  collections: [],
+  activeCollectionId: null,
   selectedVideoId: null,
+  askVideoIds: [],
+  sidebar: {
+    sortBy: 'added',
+    filterTag: null
+  },
+  models: null,
+  preferredModel: null,
   theme: 'dark',
-  streaming: false
+  streaming: false,
+  // Videos whose server session has expired; not persisted, since the server is asked again on load
+  expiredVideoIds: []
+};
+
+// Slices of the state each part of the page renders; see subscribe
+export const selectors = {
+  collectionList: ({ collections, activeCollectionId, videos }) => ({ collections, activeCollectionId, videos }),
+
+  sourcesList: ({ videos, collections, activeCollectionId, selectedVideoId, askVideoIds, sidebar, expiredVideoIds }) =>
+    ({ videos, collections, activeCollectionId, selectedVideoId, askVideoIds, sidebar, expiredVideoIds }),
+
+  selectedVideoId: ({ selectedVideoId }) => selectedVideoId,
+
+  selectedVideo: ({ videos, selectedVideoId }) => videos.find(v => v.id === selectedVideoId) || null,
+
+  // The text of an answer being streamed is drawn as it arrives, not through this slice
+  chat: (current) => {
+    const video = selectors.selectedVideo(current);
+    return {
+      videoId: video ? video.id : null,
+      conversation: video ? video.conversation || null : null,
+      streaming: current.streaming
+    };
+  },
+
+  questionScope: ({ askVideoIds, videos, activeCollectionId, collections }) => ({ askVideoIds, videos, activeCollectionId, collections }),
+
+  modelPicker: (current) => ({ models: current.models, video: selectors.selectedVideo(current) })
 };
 
-// Mutation functions to update state
-export const mutations = {
+// Mutation functions to update state; each commits the actions it takes
+export const mutations = withNotifications({
   /**
-   * Add a new video to the state and set it as selected
+   * Add a new video to the state, replacing an earlier analysis of the same video
    * @param {Object} video - Video object to add
+   * @param {boolean} select - Whether to select the video (background analyses leave the selection alone)
    */
-  addVideo(video) {
-    state.videos.push(video);
-    state.selectedVideoId = video.id;
+  addVideo(video, select = true) {
+    if (!video.addedAt) {
+      video.addedAt = new Date();
+    }
+
+    // A collection deleted while the video was being analyzed no longer exists
+    if (video.collectionId && !state.collections.some(c => c.id === video.collectionId)) {
+      delete video.collectionId;
+    }
+
+    // A fresh analysis comes with a fresh session
+    state.expiredVideoIds = state.expiredVideoIds.filter(id => id !== video.id);
+
+    const index = state.videos.findIndex(v => v.id === video.id);
+    if (index >= 0) {
+      // Keep the conversation and the user's organization already held for this video
+      const existing = state.videos[index];
+      video.conversation = existing.conversation;
+      for (const field of LIBRARY_FIELDS) {
+        if (video[field] === undefined && existing[field] !== undefined) {
+          video[field] = existing[field];
+        }
+      }
+      state.videos = state.videos.map(v => (v === existing ? video : v));
+    } else {
+      state.videos = [...state.videos, video];
+    }
+
+    saveVideo(video);
+    commit(ACTIONS.VIDEO_ADDED, { videoId: video.id });
+
+    if (select) {
+      applySelection(video);
+    }
+  },
+
+  /**
+   * Restore videos, collections and selection loaded from persistent storage
+   * @param {Object} workspace - Object with videos, collections, selectedVideoId and activeCollectionId
+   */
+  hydrate(workspace) {
+    state.collections = workspace.collections || [];
+    const collectionIds = new Set(state.collections.map(c => c.id));
+
+    state.videos = workspace.videos.map(video => {
+      const conversation = video.conversation || createConversation();
+
+      // Drop placeholders left behind by an answer that was streaming during reload
+      Object.values(conversation.messages)
+        .filter(m => m.role === 'assistant' && !m.content && !m.stopped)
+        .forEach(m => removeMessage(conversation, m.id));
+
+      const restored = { ...video, conversation };
+      if (restored.collectionId && !collectionIds.has(restored.collectionId)) {
+        delete restored.collectionId;
+      }
+      return restored;
+    });
+
+    state.activeCollectionId = collectionIds.has(workspace.activeCollectionId) ? workspace.activeCollectionId : null;
+
+    const selected = state.videos.find(v => v.id === workspace.selectedVideoId);
+    const inView = selected && (!state.activeCollectionId || selected.collectionId === state.activeCollectionId);
+    state.selectedVideoId = inView ? selected.id : null;
+    commit(ACTIONS.LIBRARY_LOADED);
+  },
+
+  /**
+   * Add imported videos, replacing local videos with the same ID in place
+   * @param {Array} videos - Videos with their conversation trees
+   * @param {string|null} preferredVideoId - Video to select if nothing is selected yet
+   * @param {Array} [collections] - Collections from the bundle; ones not in the library are added
+   */
+  importVideos(videos, preferredVideoId = null, collections = []) {
+    for (const collection of collections) {
+      if (!state.collections.some(c => c.id === collection.id)) {
+        const added = { ...collection, selectedVideoId: null };
+        state.collections = [...state.collections, added];
+        saveCollection(added);
+      }
+    }
+
+    for (const video of videos) {
+      if (video.collectionId && !state.collections.some(c => c.id === video.collectionId)) {
+        delete video.collectionId;
+      }
+
+      const index = state.videos.findIndex(v => v.id === video.id);
+      if (index >= 0) {
+        state.videos = state.videos.map((v, i) => (i === index ? video : v));
+      } else {
+        state.videos = [...state.videos, video];
+      }
+
+      saveVideo(video);
+      saveConversationNow(video);
+    }
+    commit(ACTIONS.VIDEOS_IMPORTED);
+
+    if (!this.getSelectedVideo() && state.videos.length > 0) {
+      const preferred = state.videos.find(v => v.id === preferredVideoId);
+      this.selectVideo((preferred || state.videos[0]).id);
+    }
   },
 
   /**
@@ -24,9 +495,370 @@ export const mutations = {
    * @param {string} videoId - ID of the video to select
    */
   selectVideo(videoId) {
-    if (state.videos.find(v => v.id === videoId)) {
-      state.selectedVideoId = videoId;
+    const video = state.videos.find(v => v.id === videoId);
+    if (video) {
+      applySelection(video);
+    }
+  },
+
+  /**
+   * Remove a video and its conversation from the library.
+   * If it was selected, its neighbour in the sidebar is selected instead.
+   * @param {string} videoId - ID of the video to remove
+   * @returns {boolean} - False if there is no such video
+   */
+  removeVideo(videoId) {
+    const index = state.videos.findIndex(v => v.id === videoId);
+    if (index < 0) {
+      return false;
+    }
+
+    const visible = this.getSidebarVideos();
+    const position = visible.findIndex(v => v.id === videoId);
+
+    clearTimeout(pendingConversationSaves.get(videoId));
+    pendingConversationSaves.delete(videoId);
+    const removed = state.videos[index];
+    state.videos = state.videos.filter(v => v !== removed);
+    state.askVideoIds = state.askVideoIds.filter(id => id !== videoId);
+    state.expiredVideoIds = state.expiredVideoIds.filter(id => id !== videoId);
+    deleteVideo(videoId);
+    commit(ACTIONS.VIDEO_REMOVED, { videoId });
+
+    const collection = state.collections.find(c => c.id === removed.collectionId);
+    if (collection && collection.selectedVideoId === videoId) {
+      updateCollection(collection, { selectedVideoId: null });
+    }
+
+    if (state.selectedVideoId === videoId) {
+      const next = visible[position + 1] || visible[position - 1] || null;
+      applySelection(next);
+    }
+
+    // Stop filtering by a tag that no video has any more
+    if (state.sidebar.filterTag && !this.getTags().some(tag => tag.name === state.sidebar.filterTag)) {
+      this.setSidebarTagFilter(null);
+    }
+    return true;
+  },
+
+  /**
+   * Pin a video to the top of the sidebar, or unpin it
+   * @param {string} videoId - ID of the video
+   * @param {boolean} pinned - Whether the video should be pinned
+   */
+  setVideoPinned(videoId, pinned) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (video) {
+      updateVideo(video, { pinned: Boolean(pinned) });
+      commit(ACTIONS.VIDEO_UPDATED, { videoId });
+    }
+  },
+
+  /**
+   * Show a video under a custom name in the sidebar
+   * @param {string} videoId - ID of the video
+   * @param {string} label - Custom name; empty to go back to the video title
+   */
+  setVideoLabel(videoId, label) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video) {
+      return;
+    }
+
+    const cleaned = normalizeText(label, MAX_LABEL_LENGTH);
+    updateVideo(video, { label: cleaned && cleaned !== video.title ? cleaned : undefined });
+    commit(ACTIONS.VIDEO_UPDATED, { videoId });
+  },
+
+  /**
+   * Add a tag to a video. A tag already used elsewhere in the library keeps its color;
+   * a new tag gets a color no other tag has, while there are any left.
+   * @param {string} videoId - ID of the video
+   * @param {string} name - Tag name
+   * @returns {boolean} - False if the name is empty or the video already has the tag
+   */
+  addVideoTag(videoId, name) {
+    const video = state.videos.find(v => v.id === videoId);
+    const cleaned = normalizeText(name, MAX_TAG_LENGTH);
+    if (!video || !cleaned) {
+      return false;
+    }
+
+    const tags = video.tags || [];
+    const sameName = (tag) => tag.name.localeCompare(cleaned, undefined, { sensitivity: 'base' }) === 0;
+    if (tags.some(sameName)) {
+      return false;
+    }
+
+    const libraryTags = this.getTags();
+    const existing = libraryTags.find(sameName);
+    const usedColors = new Set(libraryTags.map(tag => tag.color));
+    const tag = existing
+      ? { name: existing.name, color: existing.color }
+      : { name: cleaned, color: TAG_COLORS.find(color => !usedColors.has(color)) || TAG_COLORS[libraryTags.length % TAG_COLORS.length] };
+
+    updateVideo(video, { tags: [...tags, tag] });
+    commit(ACTIONS.VIDEO_UPDATED, { videoId });
+    return true;
+  },
+
+  /**
+   * Remove a tag from a video
+   * @param {string} videoId - ID of the video
+   * @param {string} name - Tag name
+   */
+  removeVideoTag(videoId, name) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video || !(video.tags || []).some(tag => tag.name === name)) {
+      return;
+    }
+
+    updateVideo(video, { tags: video.tags.filter(tag => tag.name !== name) });
+    commit(ACTIONS.VIDEO_UPDATED, { videoId });
+
+    if (state.sidebar.filterTag === name && !this.getTags().some(tag => tag.name === name)) {
+      this.setSidebarTagFilter(null);
+    }
+  },
+
+  /**
+   * Change the color of a tag on every video that has it
+   * @param {string} name - Tag name
+   * @param {string} color - One of TAG_COLORS
+   */
+  setTagColor(name, color) {
+    if (!TAG_COLORS.includes(color)) {
+      return;
+    }
+
+    for (const video of state.videos) {
+      const tag = (video.tags || []).find(t => t.name === name);
+      if (tag && tag.color !== color) {
+        updateVideo(video, { tags: video.tags.map(t => (t === tag ? { ...t, color } : t)) });
+      }
+    }
+    commit(ACTIONS.TAG_COLOR_CHANGED, { tag: name });
+  },
+
+  /**
+   * Get every tag used in the library
+   * @returns {Array<{name: string, color: string, count: number}>} - Tags sorted by name, with the number of videos that have them
+   */
+  getTags() {
+    const tags = new Map();
+    for (const video of state.videos) {
+      for (const tag of video.tags || []) {
+        const entry = tags.get(tag.name) || { name: tag.name, color: tag.color, count: 0 };
+        entry.count++;
+        tags.set(tag.name, entry);
+      }
+    }
+
+    return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  },
+
+  /**
+   * Create an empty collection
+   * @param {string} name - Collection name
+   * @returns {Object} - The new collection
+   */
+  createCollection(name) {
+    const collection = {
+      id: generateId(),
+      name: normalizeText(name, MAX_COLLECTION_NAME_LENGTH) || 'Untitled collection',
+      createdAt: new Date(),
+      selectedVideoId: null
+    };
+
+    state.collections = [...state.collections, collection];
+    saveCollection(collection);
+    commit(ACTIONS.COLLECTION_CREATED, { collectionId: collection.id });
+    return collection;
+  },
+
+  /**
+   * Rename a collection; an empty name leaves it unchanged
+   * @param {string} collectionId - ID of the collection
+   * @param {string} name - New name
+   */
+  renameCollection(collectionId, name) {
+    const collection = state.collections.find(c => c.id === collectionId);
+    const cleaned = normalizeText(name, MAX_COLLECTION_NAME_LENGTH);
+    if (collection && cleaned && cleaned !== collection.name) {
+      updateCollection(collection, { name: cleaned });
+      commit(ACTIONS.COLLECTION_RENAMED, { collectionId });
+    }
+  },
+
+  /**
+   * Delete a collection. Its videos stay in the library, outside any collection.
+   * @param {string} collectionId - ID of the collection
+   * @returns {boolean} - False if there is no such collection
+   */
+  removeCollection(collectionId) {
+    const index = state.collections.findIndex(c => c.id === collectionId);
+    if (index < 0) {
+      return false;
+    }
+
+    state.collections = state.collections.filter(c => c.id !== collectionId);
+    deleteCollection(collectionId);
+    commit(ACTIONS.COLLECTION_REMOVED, { collectionId });
+
+    for (const video of state.videos) {
+      if (video.collectionId === collectionId) {
+        updateVideo(video, { collectionId: undefined });
+      }
+    }
+
+    if (state.activeCollectionId === collectionId) {
+      this.setActiveCollection(null);
+    }
+    return true;
+  },
+
+  /**
+   * Move a video into a collection, or out of every collection.
+   * A selected video that leaves the active collection is replaced by another one of its videos.
+   * @param {string} videoId - ID of the video
+   * @param {string|null} collectionId - Target collection ID, or null for none
+   */
+  moveVideoToCollection(videoId, collectionId) {
+    const video = state.videos.find(v => v.id === videoId);
+    const target = collectionId ? state.collections.find(c => c.id === collectionId) : null;
+    if (!video || (collectionId && !target) || (video.collectionId || null) === (collectionId || null)) {
+      return;
+    }
+
+    const source = state.collections.find(c => c.id === video.collectionId);
+    if (source && source.selectedVideoId === videoId) {
+      updateCollection(source, { selectedVideoId: null });
+    }
+
+    const moved = updateVideo(video, { collectionId: target ? target.id : undefined });
+    commit(ACTIONS.VIDEO_MOVED, { videoId, collectionId: moved.collectionId || null });
+
+    if (state.activeCollectionId && state.activeCollectionId !== moved.collectionId) {
+      state.askVideoIds = state.askVideoIds.filter(id => id !== videoId);
+      if (state.selectedVideoId === videoId) {
+        const next = this.getSidebarVideos()[0] || null;
+        applySelection(next);
+      }
+    }
+  },
+
+  /**
+   * Show one collection in the sidebar (or every video), restoring the video last selected in it.
+   * Videos picked for a question across videos stay picked only if they are in the collection.
+   * @param {string|null} collectionId - ID of the collection, or null for all videos
+   */
+  setActiveCollection(collectionId) {
+    const collection = state.collections.find(c => c.id === collectionId) || null;
+    state.activeCollectionId = collection ? collection.id : null;
+    saveActiveCollectionId(state.activeCollectionId);
+    commit(ACTIONS.COLLECTION_OPENED, { collectionId: state.activeCollectionId });
+
+    if (!collection) {
+      return;
+    }
+
+    const members = this.getCollectionVideos(collection.id);
+    state.askVideoIds = state.askVideoIds.filter(id => members.some(v => v.id === id));
+
+    const remembered = members.find(v => v.id === collection.selectedVideoId);
+    const current = members.find(v => v.id === state.selectedVideoId);
+    const next = remembered || current || this.getSidebarVideos()[0] || null;
+    applySelection(next);
+  },
+
+  /**
+   * Get the collection shown in the sidebar
+   * @returns {Object|null} - Active collection, or null when all videos are shown
+   */
+  getActiveCollection() {
+    return state.collections.find(c => c.id === state.activeCollectionId) || null;
+  },
+
+  /**
+   * Get the videos in a collection, in the order they were added
+   * @param {string} collectionId - ID of the collection
+   * @returns {Array} - Videos in the collection
+   */
+  getCollectionVideos(collectionId) {
+    return state.videos.filter(v => v.collectionId === collectionId);
+  },
+
+  /**
+   * Pick the active collection's videos, in sidebar order, as the sources of the next question
+   * @returns {boolean} - False if there is no active collection or it has too many videos for one question
+   */
+  askAcrossActiveCollection() {
+    if (!state.activeCollectionId) {
+      return false;
     }
+
+    const videos = this.getSidebarVideos().filter(v => v.collectionId === state.activeCollectionId);
+    if (videos.length > MAX_VIDEOS_PER_QUESTION) {
+      return false;
+    }
+
+    state.askVideoIds = videos.map(v => v.id);
+    commit(ACTIONS.ASK_VIDEOS_CHANGED);
+    return true;
+  },
+
+  /**
+   * Set the order of the sidebar
+   * @param {string} sortBy - One of SIDEBAR_SORTS
+   */
+  setSidebarSort(sortBy) {
+    if (SIDEBAR_SORTS.includes(sortBy)) {
+      state.sidebar = { ...state.sidebar, sortBy };
+      saveSidebarView();
+      commit(ACTIONS.SIDEBAR_VIEW_CHANGED);
+    }
+  },
+
+  /**
+   * Show only the videos with a tag in the sidebar
+   * @param {string|null} name - Tag name, or null to show every video
+   */
+  setSidebarTagFilter(name) {
+    state.sidebar = { ...state.sidebar, filterTag: name || null };
+    saveSidebarView();
+    commit(ACTIONS.SIDEBAR_VIEW_CHANGED);
+  },
+
+  /**
+   * Load the sidebar order and tag filter from localStorage
+   */
+  loadSidebarView() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('insightstream-sidebar') || '{}');
+      state.sidebar = {
+        sortBy: SIDEBAR_SORTS.includes(saved.sortBy) ? saved.sortBy : 'added',
+        filterTag: typeof saved.filterTag === 'string' ? saved.filterTag : null
+      };
+      commit(ACTIONS.SIDEBAR_VIEW_CHANGED);
+    } catch {
+      // A damaged setting only costs the saved order
+    }
+  },
+
+  /**
+   * Get the videos to show in the sidebar: pinned videos first, then the rest,
+   * each group in the chosen order and limited to the active collection and the tag filter
+   * @returns {Array} - Videos in display order
+   */
+  getSidebarVideos() {
+    const { sortBy, filterTag } = state.sidebar;
+    const compare = sidebarComparers[sortBy] || sidebarComparers.added;
+
+    return state.videos
+      .filter(video => !state.activeCollectionId || video.collectionId === state.activeCollectionId)
+      .filter(video => !filterTag || (video.tags || []).some(tag => tag.name === filterTag))
+      .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b));
   },
 
   /**
@@ -37,6 +869,242 @@ export const mutations = {
     return state.videos.find(v => v.id === state.selectedVideoId) || null;
   },
 
+  /**
+   * Store the providers and models the server offers
+   * @param {{defaultProvider: string, defaultModel: string, providers: Array}|null} catalog - Model catalog, or null if unavailable
+   */
+  setModelCatalog(catalog) {
+    state.models = catalog;
+    commit(ACTIONS.MODELS_LOADED);
+  },
+
+  /**
+   * Get the model a video's questions are answered with
+   * @param {Object|null} video - Video object
+   * @returns {{provider: string, model: string}|null} - The video's choice, or null for the server default
+   */
+  getVideoModel(video) {
+    return video && findModel(video.model) ? video.model : null;
+  },
+
+  /**
+   * Choose the model for a video's conversation; new videos are analyzed with the last choice
+   * @param {string} videoId - ID of the video
+   * @param {{provider: string, model: string}|null} choice - Provider and model ID, or null for the server default
+   */
+  setVideoModel(videoId, choice) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video || (choice && !findModel(choice))) {
+      return;
+    }
+
+    const isDefault = !choice || (choice.provider === state.models.defaultProvider && choice.model === state.models.defaultModel);
+    const updated = updateVideo(video, { model: isDefault ? undefined : { provider: choice.provider, model: choice.model } });
+    commit(ACTIONS.MODEL_CHOSEN, { videoId });
+
+    state.preferredModel = isDefault ? null : updated.model;
+    if (state.preferredModel) {
+      localStorage.setItem('insightstream-model', JSON.stringify(state.preferredModel));
+    } else {
+      localStorage.removeItem('insightstream-model');
+    }
+  },
+
+  /**
+   * Get the model new videos are analyzed with
+   * @returns {{provider: string, model: string}|null} - The last chosen model, or null for the server default
+   */
+  getAnalysisModel() {
+    return findModel(state.preferredModel) ? state.preferredModel : null;
+  },
+
+  /**
+   * Get the name of a model for display
+   * @param {{provider: string, model: string}|null} choice - Provider and model ID, or null for the server default
+   * @returns {string|null} - Display name, or null if the catalog is not loaded
+   */
+  getModelName(choice) {
+    if (!state.models) {
+      return null;
+    }
+
+    const model = findModel(choice || { provider: state.models.defaultProvider, model: state.models.defaultModel });
+    return model ? model.displayName : null;
+  },
+
+  /**
+   * Load the last chosen model from localStorage
+   */
+  loadPreferredModel() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('insightstream-model') || 'null');
+      state.preferredModel = saved && typeof saved.provider === 'string' && typeof saved.model === 'string'
+        ? { provider: saved.provider, model: saved.model }
+        : null;
+    } catch {
+      // A damaged setting only costs the saved choice
+    }
+  },
+
+  /**
+   * Keep the detailed summary of a chapter, so reopening the chapter does not ask for it again
+   * @param {string} videoId - ID of the video
+   * @param {number} chapterIndex - Zero-based position of the chapter
+   * @param {string} details - Detailed summary (markdown)
+   */
+  setChapterDetails(videoId, chapterIndex, details) {
+    const video = state.videos.find(v => v.id === videoId);
+    const chapter = video?.chapters?.[chapterIndex];
+    if (chapter) {
+      updateVideo(video, { chapters: video.chapters.map(c => (c === chapter ? { ...c, details } : c)) });
+      commit(ACTIONS.VIDEO_UPDATED, { videoId });
+    }
+  },
+
+  /**
+   * Keep another summary of a video and show it in the summary card
+   * @param {string} videoId - ID of the video
+   * @param {{summary: string, style: string, length: string, language: string|null, model: string|null, createdAt: string}} version - Summary and how it was written
+   * @returns {Object|null} - The stored version, or null if the video is gone
+   */
+  addSummaryVersion(videoId, version) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video) {
+      return null;
+    }
+
+    const stored = { ...version, id: generateId() };
+    updateVideo(video, {
+      summaryVersions: [...(video.summaryVersions || []), stored],
+      activeSummaryVersion: stored.id
+    });
+    commit(ACTIONS.VIDEO_UPDATED, { videoId });
+    return stored;
+  },
+
+  /**
+   * Choose which summary of a video the summary card shows
+   * @param {string} videoId - ID of the video
+   * @param {string|null} versionId - ID of a summary version, or null for the summary made during analysis
+   */
+  setActiveSummaryVersion(videoId, versionId) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video || (versionId && !(video.summaryVersions || []).some(v => v.id === versionId))) {
+      return;
+    }
+
+    updateVideo(video, { activeSummaryVersion: versionId || undefined });
+    commit(ACTIONS.VIDEO_UPDATED, { videoId });
+  },
+
+  /**
+   * Get every summary of a video, the one made during analysis first
+   * @param {Object} video - Video object
+   * @returns {Array<{id: string|null, summary: string, style: string, length: string|null, language: string|null, model: string|null, createdAt: string|null, active: boolean}>} - Summaries, oldest first
+   */
+  getSummaryVersions(video) {
+    const versions = video.summaryVersions || [];
+    const activeId = versions.some(v => v.id === video.activeSummaryVersion) ? video.activeSummaryVersion : null;
+    const original = {
+      id: null,
+      summary: video.summary,
+      style: 'comprehensive',
+      length: null,
+      language: null,
+      model: null,
+      createdAt: null
+    };
+
+    return [original, ...versions].map(version => ({ ...version, active: version.id === activeId }));
+  },
+
+  /**
+   * Record which videos still have a session on the server
+   * @param {Object<string, boolean>} statuses - Whether each video's session is active, by video ID; videos not listed keep their status
+   */
+  setSessionStatuses(statuses) {
+    const expired = new Set(state.expiredVideoIds);
+    for (const [videoId, isActive] of Object.entries(statuses)) {
+      if (isActive) {
+        expired.delete(videoId);
+      } else if (state.videos.some(v => v.id === videoId)) {
+        expired.add(videoId);
+      }
+    }
+    state.expiredVideoIds = [...expired];
+    commit(ACTIONS.SESSIONS_CHECKED);
+  },
+
+  /**
+   * Check whether a video's server session has expired
+   * @param {string} videoId - ID of the video
+   * @returns {boolean} - True if the video has to be analyzed again before it can answer questions
+   */
+  isSessionExpired(videoId) {
+    return state.expiredVideoIds.includes(videoId);
+  },
+
+  /**
+   * Take the new server session of a video that was analyzed again after its session expired.
+   * The summaries the user has read are kept; the chapters are replaced if the server divided the
+   * video differently, because chapter requests refer to the server's chapters by position.
+   * @param {Object} analyzed - Video returned by the new analysis
+   */
+  restoreVideoSession(analyzed) {
+    state.expiredVideoIds = state.expiredVideoIds.filter(id => id !== analyzed.id);
+    commit(ACTIONS.SESSIONS_CHECKED);
+
+    const video = state.videos.find(v => v.id === analyzed.id);
+    if (!video) {
+      return;
+    }
+
+    const chapterKey = chapters => (chapters || []).map(c => `${c.start}-${c.end}-${c.title}`).join('|');
+    if (chapterKey(video.chapters) !== chapterKey(analyzed.chapters)) {
+      updateVideo(video, { chapters: analyzed.chapters });
+      commit(ACTIONS.VIDEO_UPDATED, { videoId: video.id });
+    }
+  },
+
+  /**
+   * Add or remove a video from the set of sources a question is asked across
+   * @param {string} videoId - ID of the video to toggle
+   * @returns {boolean} - False if the video could not be added because the limit was reached
+   */
+  toggleAskVideo(videoId) {
+    if (state.askVideoIds.includes(videoId)) {
+      state.askVideoIds = state.askVideoIds.filter(id => id !== videoId);
+      commit(ACTIONS.ASK_VIDEOS_CHANGED);
+      return true;
+    }
+
+    if (state.askVideoIds.length >= MAX_VIDEOS_PER_QUESTION) {
+      return false;
+    }
+
+    state.askVideoIds = [...state.askVideoIds, videoId];
+    commit(ACTIONS.ASK_VIDEOS_CHANGED);
+    return true;
+  },
+
+  /**
+   * Clear the multi-video question selection
+   */
+  clearAskVideos() {
+    state.askVideoIds = [];
+    commit(ACTIONS.ASK_VIDEOS_CHANGED);
+  },
+
+  /**
+   * Get the videos a question is asked across, in the order they were picked
+   * @returns {Array} - Selected source videos (empty when asking about the selected video only)
+   */
+  getAskVideos() {
+    return state.askVideoIds
+      .map(id => state.videos.find(v => v.id === id))
+      .filter(Boolean);
+  },
+
   /**
    * Set the theme and update DOM
    * @param {string} theme - Theme name ('light' or 'dark')
@@ -45,6 +1113,7 @@ export const mutations = {
     state.theme = theme;
     document.documentElement.className = `theme-${theme}`;
     localStorage.setItem('insightstream-theme', theme);
+    commit(ACTIONS.THEME_CHANGED);
   },
 
   /**
@@ -54,6 +1123,7 @@ export const mutations = {
     const savedTheme = localStorage.getItem('insightstream-theme') || 'dark';
     state.theme = savedTheme;
     document.documentElement.className = `theme-${savedTheme}`;
+    commit(ACTIONS.THEME_CHANGED);
     return savedTheme;
   },
 
@@ -63,43 +1133,240 @@ export const mutations = {
    */
   setStreaming(isStreaming) {
     state.streaming = isStreaming;
+    commit(ACTIONS.STREAMING_CHANGED);
+
+    // Write the finished answer without waiting for the debounce, wherever it was streamed to
+    if (!isStreaming) {
+      for (const video of state.videos.filter(v => pendingConversationSaves.has(v.id))) {
+        saveConversationNow(video);
+      }
+    }
   },
 
   /**
-   * Add a chat message to the selected video
+   * Add a chat message to the end of a video's active branch
    * @param {Object} message - Message object with role, content, and timestamp
+   * @param {string} [videoId] - ID of the video, the selected one by default
+   * @returns {Object|null} - Stored message (with id and parentId) or null if the video is not in the library
    */
-  addChatMessage(message) {
+  addChatMessage(message, videoId = state.selectedVideoId) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video) {
+      return null;
+    }
+
+    const conversation = getConversation(video);
+    const parent = getLastMessage(conversation);
+    const node = appendMessage(conversation, parent ? parent.id : null, message);
+    touchConversation(video);
+    saveConversationNow(video);
+    commit(ACTIONS.MESSAGE_ADDED, { videoId: video.id, messageId: node.id });
+    return node;
+  },
+
+  /**
+   * Add a message as a new sibling branch of an existing message and show it.
+   * Used to regenerate an answer or resend an edited question.
+   * @param {string} messageId - ID of the message to branch from
+   * @param {Object} message - New message with role, content, and timestamp
+   * @param {string} [videoId] - ID of the video, the selected one by default
+   * @returns {Object|null} - Stored message or null if the message was not found
+   */
+  addChatBranch(messageId, message, videoId = state.selectedVideoId) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video) {
+      return null;
+    }
+
+    const conversation = getConversation(video);
+    const original = conversation.messages[messageId];
+    if (!original) {
+      return null;
+    }
+
+    const node = appendMessage(conversation, original.parentId, message);
+    touchConversation(video);
+    saveConversationNow(video);
+    commit(ACTIONS.MESSAGE_ADDED, { videoId: video.id, messageId: node.id });
+    return node;
+  },
+
+  /**
+   * Show the previous or next branch of a message
+   * @param {string} messageId - ID of the currently shown message
+   * @param {number} offset - -1 for the previous branch, 1 for the next
+   */
+  switchChatBranch(messageId, offset) {
     const selectedVideo = this.getSelectedVideo();
-    if (selectedVideo) {
-      if (!selectedVideo.chatMessages) {
-        selectedVideo.chatMessages = [];
-      }
-      selectedVideo.chatMessages.push(message);
+    if (selectedVideo && switchBranch(getConversation(selectedVideo), messageId, offset)) {
+      touchConversation(selectedVideo);
+      saveConversationNow(selectedVideo);
+      commit(ACTIONS.BRANCH_SWITCHED, { videoId: selectedVideo.id, messageId });
+    }
+  },
+
+  /**
+   * Switch the selected video's conversation to the branch that contains a message
+   * @param {string} messageId - ID of the message to show
+   * @returns {boolean} - False if the message is not in the selected video's conversation
+   */
+  showChatMessage(messageId) {
+    const selectedVideo = this.getSelectedVideo();
+    const conversation = selectedVideo ? getConversation(selectedVideo) : null;
+    if (!conversation || !conversation.messages[messageId]) {
+      return false;
+    }
+
+    if (showMessage(conversation, messageId)) {
+      touchConversation(selectedVideo);
+      saveConversationNow(selectedVideo);
+      commit(ACTIONS.BRANCH_SWITCHED, { videoId: selectedVideo.id, messageId });
     }
+    return true;
   },
 
   /**
-   * Update the last chat message (used for streaming)
-   * @param {string} content - New content for the last message
+   * Get the branch position of a message in the selected video's conversation
+   * @param {string} messageId - ID of the message
+   * @returns {{index: number, count: number}} - Zero-based index and number of branches
    */
-  updateLastChatMessage(content) {
+  getChatBranchInfo(messageId) {
     const selectedVideo = this.getSelectedVideo();
-    if (selectedVideo && selectedVideo.chatMessages && selectedVideo.chatMessages.length > 0) {
-      const lastMessage = selectedVideo.chatMessages[selectedVideo.chatMessages.length - 1];
-      if (lastMessage.role === 'assistant') {
-        lastMessage.content = content;
+    return selectedVideo
+      ? getBranchInfo(getConversation(selectedVideo), messageId)
+      : { index: 0, count: 0 };
+  },
+
+  /**
+   * Update an assistant message (used for streaming). The message is looked up in the video the
+   * answer was asked about, which need not be the one selected by the time a chunk arrives.
+   * While an answer streams the chat draws each chunk itself, so the conversation is only marked
+   * as changed once streaming has stopped.
+   * @param {string} videoId - ID of the video whose conversation holds the message
+   * @param {string} messageId - ID of the assistant message
+   * @param {string} content - New content for the message
+   * @param {Array|null} [citations] - Transcript passages the finished answer cites
+   */
+  updateChatMessage(videoId, messageId, content, citations = null) {
+    const video = state.videos.find(v => v.id === videoId);
+    const message = video ? getConversation(video).messages[messageId] : null;
+    if (message && message.role === 'assistant') {
+      message.content = content;
+      if (citations) {
+        message.citations = citations;
+      }
+      if (!state.streaming) {
+        touchConversation(video);
+      }
+      scheduleConversationSave(video);
+      commit(ACTIONS.MESSAGE_UPDATED, { videoId, messageId });
+    }
+  },
+
+  /**
+   * Mark an assistant message as stopped by the user
+   * @param {string} videoId - ID of the video whose conversation holds the message
+   * @param {string} messageId - ID of the assistant message
+   */
+  markChatMessageStopped(videoId, messageId) {
+    const video = state.videos.find(v => v.id === videoId);
+    const message = video ? getConversation(video).messages[messageId] : null;
+    if (message && message.role === 'assistant') {
+      message.stopped = true;
+      touchConversation(video);
+      saveConversationNow(video);
+      commit(ACTIONS.MESSAGE_UPDATED, { videoId, messageId });
+    }
+  },
+
+  /**
+   * Remove a message and its replies from a video's conversation
+   * @param {string} videoId - ID of the video whose conversation holds the message
+   * @param {string} messageId - ID of the message to remove
+   */
+  removeChatMessage(videoId, messageId) {
+    const video = state.videos.find(v => v.id === videoId);
+    const conversation = video ? getConversation(video) : null;
+    if (conversation && conversation.messages[messageId]) {
+      removeMessage(conversation, messageId);
+      touchConversation(video);
+      saveConversationNow(video);
+      commit(ACTIONS.MESSAGE_REMOVED, { videoId, messageId });
+    }
+  },
+
+  /**
+   * Reconcile a video's conversation with the copy the server keeps, by message ID.
+   * A message only the server has is placed under its parent, or after the message before it
+   * in the server's list if its parent is not there. Messages only this copy has stay as they are,
+   * and the branch being shown does not change. If the server's copy was cleared since this one
+   * last saw it (e.g. in another tab), the clear wins and the server's copy replaces this one.
+   * @param {string} videoId - ID of the video
+   * @param {Array<{id: string, parentId: ?string, role: string, content: string, timestamp: string, stopped?: boolean}>} serverMessages - Server messages, oldest first
+   * @param {string|null} [clearedAt] - When the server's copy was last cleared, or null if it never was
+   * @returns {number} - Number of messages added from the server
+   */
+  syncConversation(videoId, serverMessages, clearedAt = null) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (!video) {
+      return 0;
+    }
+
+    const incoming = createConversation();
+    let previousId = null;
+    for (const message of serverMessages) {
+      const parentId = message.parentId === null || incoming.messages[message.parentId] ? message.parentId : previousId;
+      // A regenerated answer repeats its question, which is already in the list
+      if (!incoming.messages[message.id]) {
+        appendMessage(incoming, parentId, {
+          id: message.id,
+          role: message.role,
+          content: message.content,
+          timestamp: new Date(message.timestamp),
+          ...(message.stopped ? { stopped: true } : {})
+        });
       }
+      previousId = message.id;
     }
+
+    if (clearedAt && clearedAt !== video.conversationClearedAt) {
+      video.conversation = incoming;
+      saveConversationNow(updateVideo(video, { conversationClearedAt: clearedAt }));
+      commit(ACTIONS.CONVERSATION_CLEARED, { videoId });
+      return Object.keys(incoming.messages).length;
+    }
+
+    const { added } = mergeConversation(getConversation(video), incoming);
+    if (added > 0) {
+      touchConversation(video);
+      saveConversationNow(video);
+      commit(ACTIONS.CONVERSATION_SYNCED, { videoId });
+    }
+    return added;
   },
 
   /**
-   * Get all chat messages for the selected video
+   * Remove every message from a video's conversation
+   * @param {string} videoId - ID of the video
+   * @param {string|null} [clearedAt] - When the server cleared its copy, so later syncs know this copy has seen that clear
+   */
+  clearConversation(videoId, clearedAt = null) {
+    const video = state.videos.find(v => v.id === videoId);
+    if (video) {
+      video.conversation = createConversation();
+      saveConversationNow(clearedAt ? updateVideo(video, { conversationClearedAt: clearedAt }) : video);
+      commit(ACTIONS.CONVERSATION_CLEARED, { videoId });
+    }
+  },
+
+  /**
+   * Get the chat messages on a video's active branch
+   * @param {string} [videoId] - ID of the video, the selected one by default
    * @returns {Array} - Array of chat messages
    */
-  getChatMessages() {
-    const selectedVideo = this.getSelectedVideo();
-    return selectedVideo ? (selectedVideo.chatMessages || []) : [];
+  getChatMessages(videoId = state.selectedVideoId) {
+    const video = state.videos.find(v => v.id === videoId);
+    return video ? getActivePath(getConversation(video)) : [];
   },
 
   /**
@@ -107,10 +1374,16 @@ export const mutations = {
    */
   clearState() {
     state.videos = [];
+    state.collections = [];
+    state.activeCollectionId = null;
     state.selectedVideoId = null;
+    state.askVideoIds = [];
+    state.sidebar = { sortBy: 'added', filterTag: null };
     state.streaming = false;
+    state.expiredVideoIds = [];
+    commit(ACTIONS.STATE_CLEARED);
   }
-};
+});
 
 // Export the state object directly for read access
 export default state;
\ No newline at end of file
@@ -0,0 +1,338 @@
+// Storage Module
+// IndexedDB persistence for videos, summaries, conversations and collections
+
+import { fromMessageList } from './conversation.js';
+
+const DB_NAME = 'insightstream';
+const DB_VERSION = 3;
+
+const STORES = {
+  videos: 'videos',
+  conversations: 'conversations',
+  collections: 'collections',
+  settings: 'settings'
+};
+
+// Schema migrations keyed by the version they upgrade to.
+// Each migration receives the database and the upgrade transaction.
+const migrations = {
+  1(db) {
+    db.createObjectStore(STORES.videos, { keyPath: 'id' });
+    db.createObjectStore(STORES.conversations, { keyPath: 'videoId' });
+    db.createObjectStore(STORES.settings, { keyPath: 'key' });
+  },
+
+  // Version 2: flat message lists become conversation trees (for branching)
+  2(db, tx) {
+    const store = tx.objectStore(STORES.conversations);
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      const { messages, ...record } = cursor.value;
+      if (Array.isArray(messages)) {
+        cursor.update({ ...record, conversation: fromMessageList(messages) });
+      }
+      cursor.continue();
+    };
+  },
+
+  // Version 3: named collections that group videos into research projects
+  3(db) {
+    db.createObjectStore(STORES.collections, { keyPath: 'id' });
+  }
+};
+
+let dbPromise = null;
+let errorHandler = (error) => console.error('Storage error:', error);
+
+/**
+ * Register a handler for persistence failures (e.g. quota exceeded)
+ * @param {Function} handler - Called with an Error whenever a write fails
+ */
+export function onStorageError(handler) {
+  errorHandler = handler;
+}
+
+/**
+ * Check whether IndexedDB is available in this browser
+ * @returns {boolean} - True if IndexedDB can be used
+ */
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade if needed) the application database
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        const migrate = migrations[version];
+        if (migrate) {
+          migrate(db, request.transaction);
+        }
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onblocked = () => {
+      reject(new Error('Storage upgrade is blocked by another open InsightStream tab. Please close other tabs and reload.'));
+    };
+
+    request.onerror = () => {
+      reject(request.error);
+    };
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Convert a low-level IndexedDB error into a readable Error
+ * @param {DOMException|Error} error - Original error
+ * @returns {Error} - Error with a user-facing message
+ */
+function toStorageError(error) {
+  if (error && error.name === 'QuotaExceededError') {
+    const quotaError = new Error('Browser storage is full. Remove some videos to keep saving your research.');
+    quotaError.name = 'QuotaExceededError';
+    quotaError.cause = error;
+    return quotaError;
+  }
+  return error instanceof Error ? error : new Error(error?.message || 'Unknown storage error');
+}
+
+/**
+ * Run a callback inside a transaction and resolve when it completes
+ * @param {string[]} storeNames - Object stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; may return a request or an array of requests
+ * @returns {Promise<any>} - Request result(s) once the transaction completes
+ */
+async function withTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    let result;
+    let tx;
+
+    try {
+      tx = db.transaction(storeNames, mode);
+      result = callback(tx);
+    } catch (error) {
+      reject(toStorageError(error));
+      return;
+    }
+
+    tx.oncomplete = () => {
+      if (Array.isArray(result)) {
+        resolve(result.map(request => request.result));
+      } else {
+        resolve(result ? result.result : undefined);
+      }
+    };
+    tx.onabort = () => reject(toStorageError(tx.error));
+    tx.onerror = () => reject(toStorageError(tx.error));
+  });
+}
+
+/**
+ * Run a write and report failures to the registered error handler
+ * @param {Promise} promise - Pending write
+ * @returns {Promise<void>}
+ */
+async function reportFailures(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    errorHandler(toStorageError(error));
+  }
+}
+
+/**
+ * Strip runtime-only fields before a video is written
+ * @param {Object} video - Video object from state
+ * @returns {Object} - Plain record for the videos store
+ */
+function toVideoRecord(video) {
+  const { conversation, ...record } = video;
+  return { ...record, savedAt: new Date() };
+}
+
+/**
+ * Load every persisted video with its conversation, the collections and the last selection
+ * @returns {Promise<{videos: Object[], collections: Object[], selectedVideoId: string|null, activeCollectionId: string|null}>} - Persisted workspace
+ */
+export async function loadWorkspace() {
+  if (!isStorageAvailable()) {
+    return { videos: [], collections: [], selectedVideoId: null, activeCollectionId: null };
+  }
+
+  const [videos, conversations, collections, selected, activeCollection] = await withTransaction(
+    [STORES.videos, STORES.conversations, STORES.collections, STORES.settings],
+    'readonly',
+    (tx) => [
+      tx.objectStore(STORES.videos).getAll(),
+      tx.objectStore(STORES.conversations).getAll(),
+      tx.objectStore(STORES.collections).getAll(),
+      tx.objectStore(STORES.settings).get('selectedVideoId'),
+      tx.objectStore(STORES.settings).get('activeCollectionId')
+    ]
+  );
+
+  const conversationsByVideo = new Map(conversations.map(c => [c.videoId, c.conversation]));
+
+  const restored = videos
+    .sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0))
+    .map(({ savedAt, ...video }) => ({
+      ...video,
+      conversation: conversationsByVideo.get(video.id) || null
+    }));
+
+  return {
+    videos: restored,
+    collections: collections.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)),
+    selectedVideoId: selected ? selected.value : null,
+    activeCollectionId: activeCollection ? activeCollection.value : null
+  };
+}
+
+/**
+ * Persist a video record (metadata, summary and key points)
+ * @param {Object} video - Video object from state
+ * @returns {Promise<void>}
+ */
+export function saveVideo(video) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.videos], 'readwrite', (tx) => {
+    tx.objectStore(STORES.videos).put(toVideoRecord(video));
+  }));
+}
+
+/**
+ * Persist the conversation tree of a video
+ * @param {string} videoId - ID of the video
+ * @param {Object} conversation - Conversation tree to store
+ * @returns {Promise<void>}
+ */
+export function saveConversation(videoId, conversation) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.conversations], 'readwrite', (tx) => {
+    tx.objectStore(STORES.conversations).put({
+      videoId,
+      conversation,
+      updatedAt: new Date()
+    });
+  }));
+}
+
+/**
+ * Remove a video record and its conversation
+ * @param {string} videoId - ID of the video
+ * @returns {Promise<void>}
+ */
+export function deleteVideo(videoId) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.videos, STORES.conversations], 'readwrite', (tx) => {
+    tx.objectStore(STORES.videos).delete(videoId);
+    tx.objectStore(STORES.conversations).delete(videoId);
+  }));
+}
+
+/**
+ * Persist the selected video ID
+ * @param {string|null} videoId - Selected video ID
+ * @returns {Promise<void>}
+ */
+export function saveSelectedVideoId(videoId) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.settings], 'readwrite', (tx) => {
+    tx.objectStore(STORES.settings).put({ key: 'selectedVideoId', value: videoId });
+  }));
+}
+
+/**
+ * Persist a collection (name and remembered selection)
+ * @param {Object} collection - Collection from state
+ * @returns {Promise<void>}
+ */
+export function saveCollection(collection) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.collections], 'readwrite', (tx) => {
+    tx.objectStore(STORES.collections).put({ ...collection });
+  }));
+}
+
+/**
+ * Remove a collection record; its videos are saved separately
+ * @param {string} collectionId - ID of the collection
+ * @returns {Promise<void>}
+ */
+export function deleteCollection(collectionId) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.collections], 'readwrite', (tx) => {
+    tx.objectStore(STORES.collections).delete(collectionId);
+  }));
+}
+
+/**
+ * Persist the collection shown in the sidebar
+ * @param {string|null} collectionId - Active collection ID, or null for all videos
+ * @returns {Promise<void>}
+ */
+export function saveActiveCollectionId(collectionId) {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction([STORES.settings], 'readwrite', (tx) => {
+    tx.objectStore(STORES.settings).put({ key: 'activeCollectionId', value: collectionId });
+  }));
+}
+
+/**
+ * Remove every persisted record
+ * @returns {Promise<void>}
+ */
+export function clearWorkspace() {
+  if (!isStorageAvailable()) return Promise.resolve();
+
+  return reportFailures(withTransaction(
+    [STORES.videos, STORES.conversations, STORES.collections, STORES.settings],
+    'readwrite',
+    (tx) => {
+      tx.objectStore(STORES.videos).clear();
+      tx.objectStore(STORES.conversations).clear();
+      tx.objectStore(STORES.collections).clear();
+      tx.objectStore(STORES.settings).clear();
+    }
+  ));
+}
@@ -0,0 +1,297 @@
+// Transcript Module
+// Timestamped transcript viewer: splits transcript segments into short rows, renders only the
+// rows near the visible area, and highlights search hits with next/previous navigation
+
+import { escapeHtml, escapeRegExp, formatDuration } from './components.js';
+import { createVirtualLayout } from './virtual-layout.js';
+
+// Longest row of transcript text; auto-generated captions rarely have punctuation,
+// so long sentences are broken at word boundaries
+const MAX_ROW_LENGTH = 220;
+
+// Height assumed for rows that have not been rendered yet
+const ESTIMATED_ROW_HEIGHT = 56;
+
+// Extra height rendered above and below the visible area, so fast scrolling shows no gaps
+const OVERSCAN_PX = 400;
+
+// Ends of sentences, where a row may end early
+const SENTENCE_END_REGEX = /[.!?]["')\]]?$/;
+
+/**
+ * Split transcript segments into rows of at most MAX_ROW_LENGTH characters.
+ * Each row's start time is interpolated from its position in the segment.
+ * @param {Array<{startTime: number, endTime: number, text: string}>} segments - Transcript segments, times in seconds
+ * @returns {Array<{start: number, text: string}>} - Rows in transcript order
+ */
+export function buildTranscriptRows(segments) {
+  const rows = [];
+
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    const duration = Math.max(0, segment.endTime - segment.startTime);
+    let row = '';
+    let rowOffset = 0;
+    let offset = 0;
+
+    const pushRow = () => {
+      if (!row) return;
+      rows.push({
+        start: segment.startTime + (text.length > 0 ? duration * rowOffset / text.length : 0),
+        text: row
+      });
+      row = '';
+    };
+
+    for (const word of text.split(/\s+/)) {
+      if (!word) continue;
+
+      const position = text.indexOf(word, offset);
+      offset = position + word.length;
+
+      if (row && row.length + 1 + word.length > MAX_ROW_LENGTH) {
+        pushRow();
+      }
+      if (!row) {
+        rowOffset = position;
+      }
+      row = row ? `${row} ${word}` : word;
+
+      // Prefer ending rows at sentence ends once they are reasonably long
+      if (row.length >= MAX_ROW_LENGTH / 2 && SENTENCE_END_REGEX.test(word)) {
+        pushRow();
+      }
+    }
+
+    pushRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Find every case-insensitive occurrence of a query in the transcript rows
+ * @param {Array<{text: string}>} rows - Transcript rows
+ * @param {string} query - Text to find; surrounding whitespace is ignored
+ * @returns {Array<{row: number, start: number, end: number}>} - Hits in transcript order, as character ranges within their row
+ */
+export function findTranscriptMatches(rows, query) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return [];
+
+  const pattern = new RegExp(escapeRegExp(trimmed).replace(/\s+/g, '\\s+'), 'giu');
+  const hits = [];
+
+  rows.forEach((row, index) => {
+    for (const match of row.text.matchAll(pattern)) {
+      hits.push({ row: index, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  return hits;
+}
+
+/**
+ * Render row text with its search hits marked
+ * @param {string} text - Row text
+ * @param {Array<{start: number, end: number, index: number}>} hits - Hits in this row, in order
+ * @param {number} currentHit - Index of the selected hit across the whole transcript
+ * @returns {string} - Escaped HTML
+ */
+function highlightRow(text, hits, currentHit) {
+  let html = '';
+  let position = 0;
+
+  for (const hit of hits) {
+    const currentClass = hit.index === currentHit ? ' current' : '';
+    html += escapeHtml(text.slice(position, hit.start));
+    html += `<mark class="transcript-hit${currentClass}">${escapeHtml(text.slice(hit.start, hit.end))}</mark>`;
+    position = hit.end;
+  }
+
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Create a virtualized transcript viewer inside a scrollable element.
+ * Rows are positioned absolutely; heights start as estimates and are corrected as rows are rendered.
+ * @param {HTMLElement} viewport - Scrollable element that hosts the transcript
+ * @returns {Object} - Viewer with setRows, search, next, previous, getSearchPosition, refresh and destroy methods
+ */
+export function createTranscriptViewer(viewport) {
+  const content = document.createElement('div');
+  content.className = 'transcript-content';
+  viewport.replaceChildren(content);
+
+  let rows = [];
+  let hits = [];
+  let hitsByRow = new Map();
+  let currentHit = -1;
+  let frame = null;
+
+  // Row offsets, keyed by row index
+  const layout = createVirtualLayout(ESTIMATED_ROW_HEIGHT);
+
+  /**
+   * Size the content to the height of every row
+   */
+  function sizeContent() {
+    content.style.height = `${layout.totalHeight()}px`;
+  }
+
+  /**
+   * Render the rows near the visible area and correct the heights of the ones that were measured
+   */
+  function render() {
+    frame = null;
+
+    if (rows.length === 0) {
+      content.innerHTML = '';
+      return;
+    }
+
+    const top = viewport.scrollTop;
+    const { first, last } = layout.range(top, viewport.clientHeight, OVERSCAN_PX);
+
+    let html = '';
+    for (let i = first; i <= last; i++) {
+      const row = rows[i];
+      html += `
+        <div class="transcript-row" data-row="${i}" style="top: ${layout.offset(i)}px">
+          <button type="button" class="timestamp-link" data-seconds="${Math.floor(row.start)}" title="Jump to ${formatDuration(row.start)}">${formatDuration(row.start)}</button>
+          <p class="transcript-text">${highlightRow(row.text, hitsByRow.get(i) || [], currentHit)}</p>
+        </div>
+      `;
+    }
+    content.innerHTML = html;
+
+    // A hidden viewer has nothing to measure
+    if (viewport.clientHeight === 0) return;
+
+    if (layout.measure([...content.children].map(element => [Number(element.dataset.row), element]))) {
+      const anchoredTop = layout.relayout(top);
+      sizeContent();
+      for (const element of content.children) {
+        element.style.top = `${layout.offset(Number(element.dataset.row))}px`;
+      }
+
+      if (Math.abs(anchoredTop - viewport.scrollTop) > 0.5) {
+        viewport.scrollTop = anchoredTop;
+      }
+    }
+  }
+
+  /**
+   * Render on the next animation frame
+   */
+  function scheduleRender() {
+    if (frame === null) {
+      frame = requestAnimationFrame(render);
+    }
+  }
+
+  /**
+   * Scroll a row into the upper third of the view
+   * @param {number} index - Row index
+   */
+  function scrollToRow(index) {
+    // Rendering corrects estimated heights, which can move the row; a second pass settles it
+    for (let pass = 0; pass < 2; pass++) {
+      viewport.scrollTop = Math.max(0, layout.offset(index) - viewport.clientHeight / 3);
+      render();
+    }
+  }
+
+  /**
+   * Select a hit, scroll to it and re-render the highlights
+   * @param {number} index - Hit index
+   */
+  function selectHit(index) {
+    if (hits.length === 0) return;
+
+    currentHit = (index + hits.length) % hits.length;
+    scrollToRow(hits[currentHit].row);
+  }
+
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(scheduleRender) : null;
+  resizeObserver?.observe(viewport);
+  viewport.addEventListener('scroll', scheduleRender, { passive: true });
+
+  return {
+    /**
+     * Show a new transcript and clear the search
+     * @param {Array<{start: number, text: string}>} newRows - Rows from buildTranscriptRows
+     */
+    setRows(newRows) {
+      rows = newRows;
+      layout.clear();
+      layout.setKeys(rows.map((row, index) => index));
+      sizeContent();
+      hits = [];
+      hitsByRow = new Map();
+      currentHit = -1;
+      viewport.scrollTop = 0;
+      render();
+    },
+
+    /**
+     * Highlight every occurrence of a query and select the first one
+     * @param {string} query - Text to find
+     * @returns {number} - Number of hits
+     */
+    search(query) {
+      hits = findTranscriptMatches(rows, query);
+      hitsByRow = new Map();
+      hits.forEach((hit, index) => {
+        if (!hitsByRow.has(hit.row)) hitsByRow.set(hit.row, []);
+        hitsByRow.get(hit.row).push({ ...hit, index });
+      });
+
+      currentHit = -1;
+      if (hits.length > 0) {
+        selectHit(0);
+      } else {
+        render();
+      }
+      return hits.length;
+    },
+
+    /**
+     * Select the next hit, wrapping around at the end
+     */
+    next() {
+      selectHit(currentHit + 1);
+    },
+
+    /**
+     * Select the previous hit, wrapping around at the start
+     */
+    previous() {
+      selectHit(currentHit - 1);
+    },
+
+    /**
+     * Get the position of the selected hit
+     * @returns {{index: number, count: number}} - Zero-based index of the selected hit (-1 if none) and the hit count
+     */
+    getSearchPosition() {
+      return { index: currentHit, count: hits.length };
+    },
+
+    /**
+     * Render again, e.g. after the viewer became visible
+     */
+    refresh() {
+      render();
+    },
+
+    /**
+     * Stop listening to scroll and resize events
+     */
+    destroy() {
+      resizeObserver?.disconnect();
+      viewport.removeEventListener('scroll', scheduleRender);
+      if (frame !== null) cancelAnimationFrame(frame);
+    }
+  };
+}
\ No newline at end of file
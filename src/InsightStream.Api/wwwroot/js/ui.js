@@ -34,6 +34,9 @@ export function toggleElement(id) {
   }
 }
 
+// HTML each element was last rendered from, so unchanged content can be left alone
+const renderedHTML = new WeakMap();
+
 /**
  * Set the inner HTML of an element
  * @param {string} id - Element ID
@@ -43,6 +46,112 @@ export function setHTML(id, html) {
   const element = document.getElementById(id);
   if (element) {
     element.innerHTML = html;
+    renderedHTML.delete(element);
+  }
+}
+
+/**
+ * Set the inner HTML of an element unless it already shows exactly that HTML.
+ * If the element had the focus on a descendant with an ID, that ID gets it back.
+ * @param {string} id - Element ID
+ * @param {string} html - HTML content
+ */
+export function setHTMLIfChanged(id, html) {
+  const element = document.getElementById(id);
+  if (!element || renderedHTML.get(element) === html) {
+    return;
+  }
+  
+  const focused = document.activeElement;
+  const focusedId = focused && focused !== element && element.contains(focused) ? focused.id : '';
+  
+  element.innerHTML = html;
+  renderedHTML.set(element, html);
+  
+  const target = focusedId ? document.getElementById(focusedId) : null;
+  if (target && element.contains(target)) {
+    target.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Replace an element, moving the focus from inside it to the element at the same place in the replacement
+ * @param {Element} element - Element in the document
+ * @param {Element} replacement - Element to put in its place
+ */
+function replaceKeepingFocus(element, replacement) {
+  const focused = document.activeElement;
+  const path = [];
+  const hasFocus = Boolean(focused) && element.contains(focused);
+  if (hasFocus) {
+    for (let node = focused; node !== element; node = node.parentElement) {
+      path.unshift([...node.parentElement.children].indexOf(node));
+    }
+  }
+  
+  element.replaceWith(replacement);
+  
+  let target = hasFocus ? replacement : null;
+  for (const index of path) {
+    target = target ? target.children[index] : null;
+  }
+  if (target && target.tagName === focused.tagName && typeof target.focus === 'function') {
+    target.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Update a list of keyed elements in place. Elements whose HTML did not change are kept,
+ * changed ones are replaced, and the rest are added, removed or moved into order,
+ * so the list keeps its scroll position and the focus.
+ * Children without the key attribute (such as an empty-list message) are removed.
+ * @param {string} id - ID of the list element
+ * @param {string} keyAttribute - Attribute that identifies the element of each item
+ * @param {Array<{key: string, html: string}>} items - Items in display order, each rendering one element
+ */
+export function patchList(id, keyAttribute, items) {
+  const list = document.getElementById(id);
+  if (!list) {
+    return;
+  }
+  renderedHTML.delete(list);
+  
+  const focused = document.activeElement;
+  const wanted = new Set(items.map(item => item.key));
+  const existing = new Map();
+  for (const child of [...list.childNodes]) {
+    const key = child.nodeType === Node.ELEMENT_NODE ? child.getAttribute(keyAttribute) : null;
+    if (key === null || !wanted.has(key) || existing.has(key)) {
+      child.remove();
+    } else {
+      existing.set(key, child);
+    }
+  }
+  
+  const template = document.createElement('template');
+  let previous = null;
+  for (const { key, html } of items) {
+    let element = existing.get(key);
+    if (!element || renderedHTML.get(element) !== html) {
+      template.innerHTML = html;
+      const fresh = template.content.firstElementChild;
+      renderedHTML.set(fresh, html);
+      if (element) {
+        replaceKeepingFocus(element, fresh);
+      }
+      element = fresh;
+    }
+    
+    const next = previous ? previous.nextElementSibling : list.firstElementChild;
+    if (element !== next) {
+      list.insertBefore(element, next);
+    }
+    previous = element;
+  }
+  
+  // Moving an element takes the focus away from it
+  if (focused && focused.isConnected && document.activeElement !== focused) {
+    focused.focus({ preventScroll: true });
   }
 }
 
@@ -118,6 +227,46 @@ export function hideModal() {
     analyzeError.textContent = '';
     analyzeError.classList.add('hidden');
   }
+  hideAnalysisProgress();
+}
+
+/**
+ * Show the progress of an analysis in the add video modal instead of the URL input
+ * @param {string} html - Rendered progress view
+ */
+export function showAnalysisProgress(html) {
+  setHTML('analysis-progress', html);
+  showElement('analysis-progress');
+  hideElement('video-url-group');
+}
+
+/**
+ * Hide the analysis progress and show the URL input of the add video modal again
+ */
+export function hideAnalysisProgress() {
+  setHTML('analysis-progress', '');
+  hideElement('analysis-progress');
+  showElement('video-url-group');
+  setLoading(false);
+}
+
+/**
+ * Show a notice above the chat, e.g. while an expired video is analyzed again
+ * @param {string} message - Notice text
+ */
+export function showSessionNotice(message) {
+  const notice = document.getElementById('session-notice');
+  if (notice) {
+    notice.textContent = message;
+    notice.classList.remove('hidden');
+  }
+}
+
+/**
+ * Hide the notice above the chat
+ */
+export function hideSessionNotice() {
+  hideElement('session-notice');
 }
 
 /**
@@ -208,24 +357,40 @@ export function setChatInputEnabled(enabled) {
 }
 
 /**
- * Clear the chat input
+ * Switch the chat form between its idle and streaming states.
+ * While streaming, the input is disabled and the send button becomes a Stop button.
+ * @param {boolean} isStreaming - Whether an answer is being streamed
  */
-export function clearChatInput() {
+export function setChatStreaming(isStreaming) {
   const questionInput = document.getElementById('question-input');
+  const sendBtn = document.getElementById('send-btn');
+  
   if (questionInput) {
-    questionInput.value = '';
+    questionInput.disabled = isStreaming;
+  }
+  
+  if (sendBtn) {
+    sendBtn.disabled = false;
+    sendBtn.classList.toggle('btn-stop', isStreaming);
+    sendBtn.setAttribute('aria-label', isStreaming ? 'Stop generating' : 'Send question');
+  }
+  
+  if (isStreaming) {
+    hideElement('send-btn-label');
+    showElement('stop-btn-label');
+  } else {
+    showElement('send-btn-label');
+    hideElement('stop-btn-label');
   }
 }
 
 /**
- * Scroll chat messages to the bottom
+ * Clear the chat input
  */
-export function scrollToChatBottom() {
-  const chatMessages = document.getElementById('chat-messages');
-  if (chatMessages) {
-    setTimeout(() => {
-      chatMessages.scrollTop = chatMessages.scrollHeight;
-    }, 100);
+export function clearChatInput() {
+  const questionInput = document.getElementById('question-input');
+  if (questionInput) {
+    questionInput.value = '';
   }
 }
 
@@ -242,33 +407,6 @@ export function updateThemeButton(theme) {
   }
 }
 
-/**
- * Add a streaming cursor to an element
- * @param {string} elementId - ID of the element
- */
-export function addStreamingCursor(elementId) {
-  const element = document.getElementById(elementId);
-  if (element && !element.querySelector('.streaming-cursor')) {
-    const cursor = document.createElement('span');
-    cursor.className = 'streaming-cursor';
-    element.appendChild(cursor);
-  }
-}
-
-/**
- * Remove the streaming cursor from an element
- * @param {string} elementId - ID of the element
- */
-export function removeStreamingCursor(elementId) {
-  const element = document.getElementById(elementId);
-  if (element) {
-    const cursor = element.querySelector('.streaming-cursor');
-    if (cursor) {
-      cursor.remove();
-    }
-  }
-}
-
 /**
  * Get the value of an input element
  * @param {string} id - Element ID
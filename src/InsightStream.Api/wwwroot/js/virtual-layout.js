@@ -0,0 +1,135 @@
+// Virtual Layout Module
+// Measuring and layout core of the virtualized lists: item offsets from measured or estimated heights,
+// lookup of the items near a scroll position, and anchoring while measured heights replace estimates
+
+/**
+ * Create the layout of a virtualized list.
+ * Heights start as estimates and are remembered by key once measured, so items laid out again keep them.
+ * @param {number} estimatedHeight - Height assumed for items that have not been measured yet
+ * @returns {Object} - Layout with setKeys, offset, totalHeight, itemAt, range, hasHeight, measure, relayout and clear methods
+ */
+export function createVirtualLayout(estimatedHeight) {
+  let keys = [];
+  let offsets = [0];
+  const heights = new Map();
+
+  /**
+   * Recompute item offsets from the measured or estimated heights
+   */
+  function layout() {
+    offsets = new Array(keys.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < keys.length; i++) {
+      offsets[i + 1] = offsets[i] + (heights.get(keys[i]) ?? estimatedHeight);
+    }
+  }
+
+  /**
+   * Find the item at a vertical position
+   * @param {number} y - Position from the top of the list, in pixels
+   * @returns {number} - Item index, clamped to the list
+   */
+  function itemAt(y) {
+    let low = 0;
+    let high = keys.length - 1;
+
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] <= y) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return Math.max(0, low);
+  }
+
+  return {
+    /**
+     * Lay out a new list of items
+     * @param {Array<string|number>} newKeys - Keys of the items in order
+     */
+    setKeys(newKeys) {
+      keys = newKeys;
+      layout();
+    },
+
+    /**
+     * Get the position of an item
+     * @param {number} index - Item index; the item count gives the end of the list
+     * @returns {number} - Position of the top of the item, in pixels
+     */
+    offset(index) {
+      return offsets[index];
+    },
+
+    /**
+     * Get the height of the whole list
+     * @returns {number} - Height in pixels
+     */
+    totalHeight() {
+      return offsets[keys.length];
+    },
+
+    itemAt,
+
+    /**
+     * Find the items to render for a visible area
+     * @param {number} top - Scroll position of the visible area, in pixels
+     * @param {number} height - Height of the visible area, in pixels
+     * @param {number} overscan - Extra height to cover above and below it, in pixels
+     * @returns {{first: number, last: number}} - Indexes of the first and last item to render
+     */
+    range(top, height, overscan) {
+      return { first: itemAt(Math.max(0, top - overscan)), last: itemAt(top + height + overscan) };
+    },
+
+    /**
+     * Check whether an item has been measured
+     * @param {string|number} key - Key of the item
+     * @returns {boolean} - True if the item's height is known
+     */
+    hasHeight(key) {
+      return heights.has(key);
+    },
+
+    /**
+     * Record the heights of rendered items; hidden items, which measure zero, are skipped
+     * @param {Iterable<[string|number, HTMLElement]>} elements - Rendered elements by item key
+     * @returns {boolean} - True if any height changed, so the list needs a relayout
+     */
+    measure(elements) {
+      let changed = false;
+      for (const [key, element] of elements) {
+        const height = element.offsetHeight;
+        if (height > 0 && Math.abs(height - (heights.get(key) ?? -1)) > 0.5) {
+          heights.set(key, height);
+          changed = true;
+        }
+      }
+      return changed;
+    },
+
+    /**
+     * Recompute offsets after measuring, keeping the item at the top of the view in place
+     * while the items above it change height
+     * @param {number} scrollTop - Scroll position before the relayout, in pixels
+     * @returns {number} - Scroll position that keeps the top item in place
+     */
+    relayout(scrollTop) {
+      const anchor = itemAt(scrollTop);
+      const delta = scrollTop - offsets[anchor];
+      layout();
+      return offsets[anchor] + delta;
+    },
+
+    /**
+     * Forget every measured height, e.g. when the keys are reused for different items
+     */
+    clear() {
+      heights.clear();
+      layout();
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Workspace Module
+// Versioned JSON bundle of the whole library, and merging an imported bundle into it
+
+import { serializeVideo, deserializeVideo, parseVideoJson, reviveDate, VIDEO_EXPORT_FORMAT } from './export.js';
+import { createConversation, mergeConversation } from './conversation.js';
+
+// Identifies InsightStream workspace bundles and the version of their layout
+export const WORKSPACE_EXPORT_FORMAT = 'insightstream.workspace';
+export const WORKSPACE_EXPORT_VERSION = 1;
+
+// Video fields compared when a bundle contains a video that already exists locally
+const COMPARED_FIELDS = ['title', 'channel', 'duration', 'summary', 'keyPoints'];
+
+/**
+ * Export videos with their summaries, key points and conversations as one bundle
+ * @param {Array} videos - Videos from state (the whole library, or one collection)
+ * @param {string|null} selectedVideoId - Currently selected video ID
+ * @param {Array} [collections] - Collections the videos belong to
+ * @returns {string} - JSON text
+ */
+export function exportWorkspaceAsJson(videos, selectedVideoId, collections = []) {
+  return JSON.stringify({
+    format: WORKSPACE_EXPORT_FORMAT,
+    version: WORKSPACE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    selectedVideoId,
+    collections: collections.map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+    videos: videos.map(serializeVideo)
+  }, null, 2);
+}
+
+/**
+ * Parse and validate a workspace bundle (a single-video export is accepted too)
+ * @param {string} text - JSON text
+ * @returns {{videos: Array, collections: Array, selectedVideoId: string|null}} - Videos with their conversation trees, and their collections
+ * @throws {Error} - If the text is not a valid bundle
+ */
+export function parseWorkspaceJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data && data.format === VIDEO_EXPORT_FORMAT) {
+    const video = parseVideoJson(text);
+    return { videos: [video], collections: [], selectedVideoId: video.id };
+  }
+
+  if (!data || data.format !== WORKSPACE_EXPORT_FORMAT) {
+    throw new Error('The file is not an InsightStream workspace export');
+  }
+  if (typeof data.version !== 'number' || data.version > WORKSPACE_EXPORT_VERSION) {
+    throw new Error(`Unsupported workspace version: ${data.version}`);
+  }
+  if (!Array.isArray(data.videos)) {
+    throw new Error('The workspace export contains no video list');
+  }
+
+  const seen = new Set();
+  const videos = data.videos.map((entry, index) => {
+    let video;
+    try {
+      video = deserializeVideo(entry);
+    } catch (error) {
+      throw new Error(`Video ${index + 1} in the bundle is invalid: ${error.message}`);
+    }
+    if (seen.has(video.id)) {
+      throw new Error(`Video ${video.id} appears more than once in the bundle`);
+    }
+    seen.add(video.id);
+    return video;
+  });
+
+  // Bundles from before collections existed have none; malformed entries are skipped
+  const collections = (Array.isArray(data.collections) ? data.collections : [])
+    .filter(c => c && typeof c.id === 'string' && c.id && typeof c.name === 'string')
+    .map(c => ({ id: c.id, name: c.name, createdAt: reviveDate(c.createdAt) || new Date() }));
+
+  return {
+    videos,
+    collections,
+    selectedVideoId: typeof data.selectedVideoId === 'string' ? data.selectedVideoId : null
+  };
+}
+
+/**
+ * Merge imported videos into the local library by video ID.
+ * New videos are added; for videos that exist on both sides the local summary and
+ * metadata win, new messages are added to the conversation, and differences are reported.
+ * @param {Array} localVideos - Videos currently in state (not modified)
+ * @param {Array} importedVideos - Videos from parseWorkspaceJson
+ * @returns {{videos: Array, report: Object}} - Videos to store, and a report with added, merged, unchanged and conflicts
+ */
+export function mergeWorkspace(localVideos, importedVideos) {
+  const localById = new Map(localVideos.map(video => [video.id, video]));
+  const videos = [];
+  const report = { added: [], merged: [], unchanged: [], conflicts: [] };
+
+  for (const imported of importedVideos) {
+    const local = localById.get(imported.id);
+
+    if (!local) {
+      videos.push(imported);
+      report.added.push(imported.id);
+      continue;
+    }
+
+    const fields = COMPARED_FIELDS.filter(field =>
+      imported[field] !== undefined && JSON.stringify(local[field]) !== JSON.stringify(imported[field]));
+
+    const conversation = structuredClone(local.conversation || createConversation());
+    const { added, conflicts } = mergeConversation(conversation, imported.conversation || createConversation());
+
+    if (fields.length > 0 || conflicts.length > 0) {
+      report.conflicts.push({
+        videoId: local.id,
+        title: local.title || local.id,
+        fields,
+        messageCount: conflicts.length
+      });
+    }
+
+    if (added > 0) {
+      videos.push({ ...local, conversation });
+      report.merged.push(local.id);
+    } else if (fields.length === 0 && conflicts.length === 0) {
+      report.unchanged.push(local.id);
+    }
+  }
+
+  return { videos, report };
+}
+
+/**
+ * Build the file name of a workspace bundle
+ * @param {Date} [date] - Export date
+ * @param {string} [collectionName] - Name of the exported collection, if only one was exported
+ * @returns {string} - File name
+ */
+export function getWorkspaceFilename(date = new Date(), collectionName = null) {
+  const slug = (collectionName || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 40);
+  return `insightstream-${slug ? `collection-${slug}` : 'workspace'}-${date.toISOString().slice(0, 10)}.json`;
+}
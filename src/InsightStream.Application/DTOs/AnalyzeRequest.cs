@@ -3,4 +3,6 @@ namespace InsightStream.Application.DTOs;
 public sealed record AnalyzeRequest
 {
     public required string VideoUrl { get; init; }
+    public string? Provider { get; init; }
+    public string? Model { get; init; }
 }
\ No newline at end of file
@@ -0,0 +1,11 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record AnswerCitation
+{
+    public required string Label { get; init; }
+    public string? VideoLabel { get; init; }
+    public string? VideoId { get; init; }
+    public required TimeSpan Start { get; init; }
+    public TimeSpan? End { get; init; }
+    public IReadOnlyList<CitedChunk> Chunks { get; init; } = Array.Empty<CitedChunk>();
+}
\ No newline at end of file
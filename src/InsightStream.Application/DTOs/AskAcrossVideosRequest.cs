@@ -0,0 +1,9 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record AskAcrossVideosRequest
+{
+    public required IReadOnlyList<string> VideoIds { get; init; }
+    public required string Question { get; init; }
+    public string? Provider { get; init; }
+    public string? Model { get; init; }
+}
\ No newline at end of file
@@ -4,4 +4,10 @@ public sealed record AskQuestionRequest
 {
     public required string VideoId { get; init; }
     public required string Question { get; init; }
+    public string? Provider { get; init; }
+    public string? Model { get; init; }
+    public string? QuestionId { get; init; }
+    public string? AnswerId { get; init; }
+    public IReadOnlyList<ConversationMessageRequest>? History { get; init; } // The browser's active branch before the question
+    public DateTimeOffset? ConversationClearedAt { get; init; } // The last clear of the conversation the browser saw; null if it saw none
 }
\ No newline at end of file
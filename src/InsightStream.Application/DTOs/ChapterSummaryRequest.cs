@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ChapterSummaryRequest
+{
+    public string? Provider { get; init; }
+    public string? Model { get; init; }
+}
\ No newline at end of file
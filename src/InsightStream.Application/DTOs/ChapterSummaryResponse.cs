@@ -0,0 +1,8 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ChapterSummaryResponse
+{
+    public required string VideoId { get; init; }
+    public required int ChapterIndex { get; init; }
+    public required string Summary { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,9 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record CitedChunk
+{
+    public required int ChunkIndex { get; init; }
+    public required TimeSpan StartTime { get; init; }
+    public required TimeSpan EndTime { get; init; }
+    public required string Excerpt { get; init; }
+}
\ No newline at end of file
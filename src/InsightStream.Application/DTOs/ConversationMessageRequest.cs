@@ -0,0 +1,10 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ConversationMessageRequest
+{
+    public required string Id { get; init; }
+    public required string Role { get; init; }
+    public string? Content { get; init; }
+    public DateTimeOffset? Timestamp { get; init; }
+    public bool Stopped { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ConversationMessageResponse
+{
+    public required string Id { get; init; }
+    public string? ParentId { get; init; }
+    public required string Role { get; init; }
+    public required string Content { get; init; }
+    public required DateTimeOffset Timestamp { get; init; }
+    public bool Stopped { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,8 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ConversationResponse
+{
+    public required string VideoId { get; init; }
+    public required IReadOnlyList<ConversationMessageResponse> Messages { get; init; }
+    public DateTimeOffset? ClearedAt { get; init; } // When the conversation was last cleared; null if it never was
+}
\ No newline at end of file
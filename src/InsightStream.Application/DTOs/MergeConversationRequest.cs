@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record MergeConversationRequest
+{
+    public required IReadOnlyList<ConversationMessageRequest> Messages { get; init; } // The branch the browser shows, oldest first
+    public DateTimeOffset? ClearedAt { get; init; } // The last clear the browser saw; null if it saw none
+}
\ No newline at end of file
@@ -0,0 +1,8 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ModelCatalogResponse
+{
+    public required string DefaultProvider { get; init; }
+    public required string DefaultModel { get; init; }
+    public required IReadOnlyList<ModelProviderResponse> Providers { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ModelOptionResponse
+{
+    public required string Id { get; init; }
+    public required string DisplayName { get; init; }
+}
\ No newline at end of file
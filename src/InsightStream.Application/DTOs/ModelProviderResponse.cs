@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record ModelProviderResponse
+{
+    public required string Name { get; init; }
+    public required IReadOnlyList<ModelOptionResponse> Models { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,9 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record PlaylistItemResponse
+{
+    public required string VideoId { get; init; }
+    public required string VideoUrl { get; init; }
+    public required string Title { get; init; }
+    public TimeSpan? Duration { get; init; }
+}
\ No newline at end of file
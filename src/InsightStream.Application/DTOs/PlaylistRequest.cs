@@ -0,0 +1,6 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record PlaylistRequest
+{
+    public required string PlaylistUrl { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,9 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record PlaylistResponse
+{
+    public required string PlaylistId { get; init; }
+    public required string Title { get; init; }
+    public required IReadOnlyList<PlaylistItemResponse> Videos { get; init; }
+    public required bool IsTruncated { get; init; }
+}
\ No newline at end of file
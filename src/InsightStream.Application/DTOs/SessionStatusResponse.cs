@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record SessionStatusResponse
+{
+    public required string VideoId { get; init; }
+    public required bool IsActive { get; init; }
+}
\ No newline at end of file
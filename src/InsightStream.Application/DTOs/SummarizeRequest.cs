@@ -0,0 +1,10 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record SummarizeRequest
+{
+    public string? Style { get; init; }
+    public string? Length { get; init; }
+    public string? Language { get; init; }
+    public string? Provider { get; init; }
+    public string? Model { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record SummaryResponse
+{
+    public required string VideoId { get; init; }
+    public required string Summary { get; init; }
+    public required string Style { get; init; }
+    public required string Length { get; init; }
+    public string? Language { get; init; }
+    public required DateTimeOffset CreatedAt { get; init; }
+}
\ No newline at end of file
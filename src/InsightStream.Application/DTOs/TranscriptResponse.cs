@@ -0,0 +1,7 @@
+namespace InsightStream.Application.DTOs;
+
+public sealed record TranscriptResponse
+{
+    public required string VideoId { get; init; }
+    public required IReadOnlyList<TranscriptSegmentResponse> Segments { get; init; }
+}
\ No newline at end of file
@@ -7,4 +7,5 @@ public sealed record VideoResponse
     public required string VideoId { get; init; }
     public required VideoMetadata Metadata { get; init; }
     public required string Summary { get; init; }
+    public IReadOnlyList<VideoChapter> Chapters { get; init; } = [];
 }
\ No newline at end of file
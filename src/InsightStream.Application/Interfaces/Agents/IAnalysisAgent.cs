@@ -1,3 +1,5 @@
+using InsightStream.Domain.Models;
+
 namespace InsightStream.Application.Interfaces.Agents;
 
 /// <summary>
@@ -9,7 +11,43 @@ public interface IAnalysisAgent
     /// Generates a summary for the specified video content.
     /// </summary>
     /// <param name="videoId">The ID of the video to analyze.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    Task<string> GenerateSummaryAsync(string videoId, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes a new summary in the requested style, even if the video already has one.
+    /// The cached summary is left unchanged.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="options">The style, target length and language of the summary.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    Task<string> RegenerateSummaryAsync(string videoId, SummaryOptions options, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Divides the video into chapters with a title and a one-line summary each.
+    /// Returns the cached chapters if the video already has them.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to divide.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapters in order; empty if the model's answer contained none.</returns>
+    Task<IReadOnlyList<VideoChapter>> GenerateChaptersAsync(string videoId, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes a detailed summary of one chapter of the video, from the transcript sections it covers.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="chapter">The chapter to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The generated summary text.</returns>
-    Task<string> GenerateSummaryAsync(string videoId, CancellationToken cancellationToken = default);
+    Task<string> SummarizeChapterAsync(string videoId, VideoChapter chapter, string? providerName, string? modelId, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -11,7 +11,8 @@ public interface IContentExtractionAgent
     /// Extracts video metadata and transcript from a YouTube URL.
     /// </summary>
     /// <param name="videoUrl">The YouTube video URL.</param>
+    /// <param name="progress">Receives the start and end of each extraction stage.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A tuple containing video metadata and transcript chunks.</returns>
-    Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractContentAsync(string videoUrl, CancellationToken cancellationToken = default);
+    Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractContentAsync(string videoUrl, IProgress<AnalysisProgress>? progress = null, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -10,7 +10,21 @@ public interface IQuestionAnsweringAgent
     /// </summary>
     /// <param name="videoId">The ID of the video.</param>
     /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="questionId">The ID the question was stored under, whose branch is the context; null if unknown.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A streaming response with the answer.</returns>
-    IAsyncEnumerable<string> AnswerQuestionAsync(string videoId, string question, CancellationToken cancellationToken = default);
+    IAsyncEnumerable<string> AnswerQuestionAsync(string videoId, string question, string? providerName, string? modelId, string? questionId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Answers a question using the content of several videos, citing the video each claim comes from.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos, in the order their citation labels are assigned (V1, V2, ...).</param>
+    /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A streaming response with the answer.</returns>
+    IAsyncEnumerable<string> AnswerQuestionAcrossVideosAsync(IReadOnlyList<string> videoIds, string question, string? providerName, string? modelId, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
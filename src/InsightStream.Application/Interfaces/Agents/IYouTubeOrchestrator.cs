@@ -11,24 +11,73 @@ public interface IYouTubeOrchestrator
     /// Extracts video content including metadata and transcript chunks.
     /// </summary>
     /// <param name="videoUrl">The YouTube video URL.</param>
+    /// <param name="progress">Receives the start and end of each extraction stage.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A tuple containing video metadata and transcript chunks.</returns>
-    Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractVideoContentAsync(string videoUrl, CancellationToken cancellationToken = default);
+    Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractVideoContentAsync(string videoUrl, IProgress<AnalysisProgress>? progress = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Generates a summary for the specified video.
     /// </summary>
     /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The generated summary text.</returns>
-    Task<string> GenerateSummaryAsync(string videoId, CancellationToken cancellationToken = default);
+    Task<string> GenerateSummaryAsync(string videoId, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes a new summary of the specified video in the requested style.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="options">The style, target length and language of the summary.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    Task<string> RegenerateSummaryAsync(string videoId, SummaryOptions options, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Divides the specified video into chapters, reusing the cached chapters if there are any.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to divide.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapters in order.</returns>
+    Task<IReadOnlyList<VideoChapter>> GenerateChaptersAsync(string videoId, string? providerName, string? modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes a detailed summary of one chapter of the specified video.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="chapter">The chapter to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    Task<string> SummarizeChapterAsync(string videoId, VideoChapter chapter, string? providerName, string? modelId, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Answers a question about the video content.
     /// </summary>
     /// <param name="videoId">The ID of the video.</param>
     /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="questionId">The ID the question was stored under, whose branch is the context; null if unknown.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A streaming response with the answer.</returns>
+    IAsyncEnumerable<string> AnswerQuestionAsync(string videoId, string question, string? providerName, string? modelId, string? questionId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Answers a question across the content of several videos.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos, in the order their citation labels are assigned (V1, V2, ...).</param>
+    /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A streaming response with the answer.</returns>
-    IAsyncEnumerable<string> AnswerQuestionAsync(string videoId, string question, CancellationToken cancellationToken = default);
+    IAsyncEnumerable<string> AnswerQuestionAcrossVideosAsync(IReadOnlyList<string> videoIds, string question, string? providerName, string? modelId, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+using InsightStream.Application.DTOs;
+
+namespace InsightStream.Application.Interfaces.Services;
+
+/// <summary>
+/// Service interface for linking the timestamps an answer cites to the transcript chunks they refer to.
+/// </summary>
+public interface IAnswerCitationService
+{
+    /// <summary>
+    /// Finds the citations in an answer and attaches the cited transcript chunks.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos the answer is about, in citation-label order (V1 first).</param>
+    /// <param name="answer">The answer text.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The citations in order of first appearance; citations that match no video have no chunks.</returns>
+    Task<IReadOnlyList<AnswerCitation>> ResolveCitationsAsync(
+        IReadOnlyList<string> videoIds,
+        string answer,
+        CancellationToken cancellationToken = default);
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+namespace InsightStream.Application.Interfaces.Services;
+
+/// <summary>
+/// Service interface for running streamed answers in the background and keeping their events,
+/// so a client that loses its connection can resume from the last event it received.
+/// </summary>
+public interface IAnswerStreamRegistry
+{
+    /// <summary>
+    /// Starts producing an answer in its own service scope.
+    /// Once the answer is complete, the stream sends the transcript chunks its citations refer to.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos the answer is about, in citation-label order (V1 first).</param>
+    /// <param name="producer">Produces the answer text in chunks, using the given services and cancellation token.</param>
+    /// <returns>The started stream.</returns>
+    IAnswerStream Start(
+        IReadOnlyList<string> videoIds,
+        Func<IServiceProvider, CancellationToken, IAsyncEnumerable<string>> producer);
+
+    /// <summary>
+    /// Finds a running or recently finished stream.
+    /// </summary>
+    /// <param name="streamId">The stream ID.</param>
+    /// <returns>The stream, or null if it is unknown or has expired.</returns>
+    IAnswerStream? Find(string streamId);
+
+    /// <summary>
+    /// Stops producing a stream.
+    /// </summary>
+    /// <param name="streamId">The stream ID.</param>
+    /// <returns>True if the stream was found; otherwise, false.</returns>
+    bool Cancel(string streamId);
+}
+
+/// <summary>
+/// A streamed answer whose events can be read from any position.
+/// </summary>
+public interface IAnswerStream
+{
+    /// <summary>
+    /// Gets the stream ID.
+    /// </summary>
+    string Id { get; }
+
+    /// <summary>
+    /// Reads the events after a sequence number, waiting for new events until the stream ends.
+    /// </summary>
+    /// <param name="afterSequence">The last sequence number already received, or 0 to read from the start.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The events in order.</returns>
+    IAsyncEnumerable<AnswerStreamEvent> ReadAsync(long afterSequence, CancellationToken cancellationToken = default);
+}
+
+public sealed record AnswerStreamEvent
+{
+    public required long Sequence { get; init; }
+    public required string Type { get; init; }
+    public required object Data { get; init; }
+}
+
+/// <summary>
+/// Names of the events in a streamed answer.
+/// </summary>
+public static class AnswerStreamEventTypes
+{
+    public const string Token = "token";
+    public const string Citation = "citation";
+    public const string Error = "error";
+    public const string Done = "done";
+}
+
+/// <summary>
+/// Codes carried by error events that the client can act on.
+/// </summary>
+public static class AnswerStreamErrorCodes
+{
+    // The video's session has expired or was never created; analyzing the video again restores it
+    public const string SessionNotFound = "session-not-found";
+}
\ No newline at end of file
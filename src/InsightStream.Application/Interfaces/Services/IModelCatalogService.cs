@@ -0,0 +1,15 @@
+using InsightStream.Application.DTOs;
+
+namespace InsightStream.Application.Interfaces.Services;
+
+/// <summary>
+/// Service interface for listing the chat providers and models a request may choose from.
+/// </summary>
+public interface IModelCatalogService
+{
+    /// <summary>
+    /// Lists the configured providers and their models, without any credentials or endpoints.
+    /// </summary>
+    /// <returns>The providers, their models and the default choice.</returns>
+    ModelCatalogResponse GetCatalog();
+}
\ No newline at end of file
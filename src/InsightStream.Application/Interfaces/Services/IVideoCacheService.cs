@@ -38,6 +38,14 @@ public interface IVideoCacheService
     /// <param name="cancellationToken">Cancellation token.</param>
     Task UpdateSummaryAsync(string videoId, string summary, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Updates the chapters for a video session.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to update.</param>
+    /// <param name="chapters">The chapters of the video, in order.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    Task UpdateChaptersAsync(string videoId, IReadOnlyList<VideoChapter> chapters, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Adds a conversation message to a video session.
     /// </summary>
@@ -45,4 +53,28 @@ public interface IVideoCacheService
     /// <param name="message">The conversation message to add.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     Task AddConversationMessageAsync(string videoId, ConversationMessage message, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds the conversation messages a video session does not have yet, matched by ID, in order.
+    /// Messages it already has are kept as they are. Nothing is added if the conversation was cleared
+    /// after the caller last saw it, since the messages may be ones the clear removed.
+    /// </summary>
+    /// <param name="videoId">The ID of the video session.</param>
+    /// <param name="messages">The conversation messages, oldest first.</param>
+    /// <param name="clearedAt">When the caller last saw the conversation cleared; null if it never saw a clear.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the messages were merged; false if the conversation was cleared since.</returns>
+    Task<bool> MergeConversationAsync(
+        string videoId,
+        IReadOnlyList<ConversationMessage> messages,
+        DateTimeOffset? clearedAt,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Removes every conversation message from a video session and records when.
+    /// </summary>
+    /// <param name="videoId">The ID of the video session.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>When the conversation was cleared.</returns>
+    Task<DateTimeOffset> ClearConversationAsync(string videoId, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -0,0 +1,34 @@
+namespace InsightStream.Application.Interfaces.Services;
+
+/// <summary>
+/// Service interface for listing the videos of a YouTube playlist.
+/// </summary>
+public interface IYouTubePlaylistService
+{
+    /// <summary>
+    /// Lists the videos of a playlist, in playlist order.
+    /// </summary>
+    /// <param name="playlistUrl">The YouTube playlist URL (or a watch URL with a list parameter).</param>
+    /// <param name="maxVideos">The maximum number of videos to return.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The playlist title and its videos.</returns>
+    Task<PlaylistExtractionResult> GetPlaylistAsync(
+        string playlistUrl,
+        int maxVideos,
+        CancellationToken cancellationToken = default);
+}
+
+public sealed record PlaylistExtractionResult
+{
+    public required string PlaylistId { get; init; }
+    public required string Title { get; init; }
+    public required IReadOnlyList<PlaylistVideoInfo> Videos { get; init; }
+    public required bool IsTruncated { get; init; }
+}
+
+public sealed record PlaylistVideoInfo
+{
+    public required string VideoId { get; init; }
+    public required string Title { get; init; }
+    public TimeSpan? Duration { get; init; }
+}
\ No newline at end of file
@@ -6,6 +6,7 @@ public interface IYouTubeTranscriptService
 {
     Task<VideoExtractionResult> ExtractTranscriptAsync(
         string videoUrl, 
+        IProgress<AnalysisProgress>? progress = null,
         CancellationToken cancellationToken = default);
 }
 
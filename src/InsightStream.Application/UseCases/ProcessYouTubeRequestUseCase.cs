@@ -1,8 +1,11 @@
 using System.Runtime.CompilerServices;
 using System.Linq;
+using System.Text.RegularExpressions;
 using InsightStream.Application.DTOs;
 using InsightStream.Application.Interfaces.Agents;
 using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Constants;
+using InsightStream.Domain.Exceptions;
 using InsightStream.Domain.Models;
 using Microsoft.Extensions.Logging;
 
@@ -13,6 +16,24 @@ namespace InsightStream.Application.UseCases;
 /// </summary>
 public sealed class ProcessYouTubeRequestUseCase
 {
+    /// <summary>
+    /// Maximum number of videos a single question may span, keeping the combined transcripts within the model's context.
+    /// </summary>
+    public const int MaxVideosPerQuestion = 5;
+
+    /// <summary>
+    /// Maximum number of videos whose session status can be checked in one request.
+    /// </summary>
+    public const int MaxVideosPerSessionCheck = 100;
+
+    /// <summary>
+    /// Maximum number of earlier messages kept from the history sent with a question; only the newest few are used as context.
+    /// </summary>
+    public const int MaxHistoryMessages = 200;
+
+    // Message IDs sent by the browser, e.g. UUIDs
+    private static readonly Regex MessageIdPattern = new("^[A-Za-z0-9_-]{1,64}$", RegexOptions.Compiled);
+
     private readonly IYouTubeOrchestrator _orchestrator;
     private readonly IVideoCacheService _cacheService;
     private readonly ILogger<ProcessYouTubeRequestUseCase> _logger;
@@ -29,11 +50,17 @@ public sealed class ProcessYouTubeRequestUseCase
 
     /// <summary>
     /// Analyzes a YouTube video by extracting content and generating a summary.
+    /// A cached video is returned as it is; a cached video without a summary, e.g. after a cancelled
+    /// analysis, is summarized without extracting its transcript again.
     /// </summary>
     /// <param name="request">The analysis request containing the video URL.</param>
+    /// <param name="progress">Receives the start and end of each pipeline stage, or null to report nothing.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A video response containing metadata and summary.</returns>
-    public async Task<VideoResponse> AnalyzeVideoAsync(AnalyzeRequest request, CancellationToken cancellationToken)
+    public async Task<VideoResponse> AnalyzeVideoAsync(
+        AnalyzeRequest request,
+        IProgress<AnalysisProgress>? progress,
+        CancellationToken cancellationToken)
     {
         if (!VideoId.TryParse(request.VideoUrl, out var videoId))
         {
@@ -47,55 +74,70 @@ public sealed class ProcessYouTubeRequestUseCase
         try
         {
             // Check if video already cached
+            VideoSession? session = null;
             if (await _cacheService.VideoExistsAsync(videoIdString, cancellationToken))
             {
                 _logger.LogInformation("Video found in cache for VideoId: {VideoId}", videoIdString);
                 
-                var cachedSession = await _cacheService.GetVideoSessionAsync(videoIdString, cancellationToken);
-                if (cachedSession is not null)
+                session = await _cacheService.GetVideoSessionAsync(videoIdString, cancellationToken);
+                if (session?.Summary is not null)
                 {
                     return new VideoResponse
                     {
-                        VideoId = cachedSession.VideoId,
-                        Metadata = cachedSession.Metadata,
-                        Summary = cachedSession.Summary ?? string.Empty
+                        VideoId = session.VideoId,
+                        Metadata = session.Metadata,
+                        Summary = session.Summary,
+                        Chapters = session.Chapters
+                            ?? await GenerateChaptersOrNoneAsync(videoIdString, request.Provider, request.Model, progress, cancellationToken)
                     };
                 }
             }
 
-            _logger.LogInformation("Extracting video content for VideoId: {VideoId}", videoIdString);
-            
-            // Extract content from YouTube
-            var (metadata, chunks) = await _orchestrator.ExtractVideoContentAsync(request.VideoUrl, cancellationToken);
-            
-            // Create new video session
-            var session = new VideoSession
+            if (session is null)
             {
-                VideoId = videoIdString,
-                Metadata = metadata,
-                Chunks = chunks,
-                ConversationHistory = new List<ConversationMessage>()
-            };
+                _logger.LogInformation("Extracting video content for VideoId: {VideoId}", videoIdString);
 
-            // Cache the session
-            await _cacheService.SetVideoSessionAsync(session, cancellationToken);
-            _logger.LogInformation("Video session cached for VideoId: {VideoId}", videoIdString);
+                // Extract content from YouTube, using the canonical URL so every accepted URL shape works downstream
+                var (metadata, chunks) = await _orchestrator.ExtractVideoContentAsync(videoId.WatchUrl, progress, cancellationToken);
+
+                // Create new video session
+                session = new VideoSession
+                {
+                    VideoId = videoIdString,
+                    Metadata = metadata,
+                    Chunks = chunks,
+                    ConversationHistory = new List<ConversationMessage>()
+                };
+
+                // Cache the session
+                await _cacheService.SetVideoSessionAsync(session, cancellationToken);
+                _logger.LogInformation("Video session cached for VideoId: {VideoId}", videoIdString);
+            }
 
             // Generate summary
             _logger.LogInformation("Generating summary for VideoId: {VideoId}", videoIdString);
-            var summary = await _orchestrator.GenerateSummaryAsync(videoIdString, cancellationToken);
+            progress?.Report(AnalysisProgress.Started(
+                AnalysisConstants.SummaryStage,
+                $"Summarizing {session.Chunks.Count} transcript chunks",
+                session.Chunks.Count));
+            var summary = await _orchestrator.GenerateSummaryAsync(videoIdString, request.Provider, request.Model, cancellationToken);
             
             // Update cached session with summary
             await _cacheService.UpdateSummaryAsync(videoIdString, summary, cancellationToken);
             session.Summary = summary;
+            progress?.Report(AnalysisProgress.Completed(AnalysisConstants.SummaryStage, "Summary ready", session.Chunks.Count));
+
+            // Divide the video into chapters
+            var chapters = await GenerateChaptersOrNoneAsync(videoIdString, request.Provider, request.Model, progress, cancellationToken);
 
             _logger.LogInformation("Video analysis completed for VideoId: {VideoId}", videoIdString);
 
             return new VideoResponse
             {
                 VideoId = videoIdString,
-                Metadata = metadata,
-                Summary = summary
+                Metadata = session.Metadata,
+                Summary = summary,
+                Chapters = chapters
             };
         }
         catch (Exception ex)
@@ -105,6 +147,340 @@ public sealed class ProcessYouTubeRequestUseCase
         }
     }
 
+    /// <summary>
+    /// Checks which videos still have a cached session. Sessions expire after a while, and a video
+    /// without one has to be analyzed again before questions about it can be answered.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos to check.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The status of each distinct video, in request order.</returns>
+    public async Task<IReadOnlyList<SessionStatusResponse>> GetSessionStatusesAsync(
+        IEnumerable<string>? videoIds,
+        CancellationToken cancellationToken)
+    {
+        var ids = NormalizeVideoIds(videoIds);
+        if (ids.Count > MaxVideosPerSessionCheck)
+        {
+            throw new ArgumentException($"At most {MaxVideosPerSessionCheck} videos can be checked at once.");
+        }
+
+        var statuses = new List<SessionStatusResponse>(ids.Count);
+        foreach (var id in ids)
+        {
+            if (!VideoId.TryParse(id, out var parsedVideoId))
+            {
+                _logger.LogWarning("Invalid video ID for session status request: {VideoId}", id);
+                throw new InvalidOperationException("Invalid YouTube video ID");
+            }
+
+            statuses.Add(new SessionStatusResponse
+            {
+                VideoId = parsedVideoId!.Value,
+                IsActive = await _cacheService.VideoExistsAsync(parsedVideoId.Value, cancellationToken)
+            });
+        }
+
+        return statuses;
+    }
+
+    /// <summary>
+    /// Gets the timestamped transcript of a previously analyzed video.
+    /// Chunks overlap so each one carries context from the previous; the overlapping text is
+    /// removed so every part of the transcript appears once, in order.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The transcript, or null if the video has not been analyzed or its session has expired.</returns>
+    public async Task<TranscriptResponse?> GetTranscriptAsync(string videoId, CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for transcript request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var session = await _cacheService.GetVideoSessionAsync(parsedVideoId!.Value, cancellationToken);
+        if (session is null)
+        {
+            _logger.LogInformation("No cached session for transcript request: {VideoId}", parsedVideoId.Value);
+            return null;
+        }
+
+        var segments = new List<TranscriptSegmentResponse>(session.Chunks.Count);
+        TranscriptChunk? previous = null;
+
+        foreach (var chunk in session.Chunks.OrderBy(c => c.ChunkIndex))
+        {
+            var text = previous is null ? chunk.Text : RemoveOverlap(previous.Text, chunk.Text);
+
+            if (!string.IsNullOrWhiteSpace(text))
+            {
+                segments.Add(new TranscriptSegmentResponse
+                {
+                    ChunkIndex = chunk.ChunkIndex,
+                    // The new part of a chunk starts where the previous chunk ended
+                    StartTime = previous is null || text.Length == chunk.Text.Length
+                        ? chunk.StartTime
+                        : previous.EndTime,
+                    EndTime = chunk.EndTime,
+                    Text = text
+                });
+            }
+
+            previous = chunk;
+        }
+
+        return new TranscriptResponse
+        {
+            VideoId = session.VideoId,
+            Segments = segments
+        };
+    }
+
+    /// <summary>
+    /// Gets the conversation the server keeps for a video, which is the context of follow-up questions.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The messages in the order they were added, or null if the video has not been analyzed or its session has expired.</returns>
+    /// <exception cref="InvalidOperationException">If the video ID is invalid.</exception>
+    public async Task<ConversationResponse?> GetConversationAsync(string videoId, CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for conversation request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var session = await _cacheService.GetVideoSessionAsync(parsedVideoId!.Value, cancellationToken);
+        if (session is null)
+        {
+            _logger.LogInformation("No cached session for conversation request: {VideoId}", parsedVideoId.Value);
+            return null;
+        }
+
+        return new ConversationResponse
+        {
+            VideoId = session.VideoId,
+            Messages = session.ConversationHistory
+                .Select(message => new ConversationMessageResponse
+                {
+                    Id = message.Id,
+                    ParentId = message.ParentId,
+                    Role = message.Role,
+                    Content = message.Content,
+                    Timestamp = message.Timestamp,
+                    Stopped = message.Stopped
+                })
+                .ToList(),
+            ClearedAt = session.ConversationClearedAt
+        };
+    }
+
+    /// <summary>
+    /// Clears the conversation the server keeps for a video, so follow-up questions start without earlier context.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The emptied conversation with the time it was cleared, or null if the video has not been analyzed or its session has expired.</returns>
+    /// <exception cref="InvalidOperationException">If the video ID is invalid.</exception>
+    public async Task<ConversationResponse?> ClearConversationAsync(string videoId, CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for clear conversation request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var videoIdString = parsedVideoId!.Value;
+        if (!await _cacheService.VideoExistsAsync(videoIdString, cancellationToken))
+        {
+            _logger.LogInformation("No cached session for clear conversation request: {VideoId}", videoIdString);
+            return null;
+        }
+
+        var clearedAt = await _cacheService.ClearConversationAsync(videoIdString, cancellationToken);
+
+        _logger.LogInformation("Cleared conversation for VideoId: {VideoId}", videoIdString);
+        return new ConversationResponse
+        {
+            VideoId = videoIdString,
+            Messages = Array.Empty<ConversationMessageResponse>(),
+            ClearedAt = clearedAt
+        };
+    }
+
+    /// <summary>
+    /// Adds the messages of the branch the browser shows that the server lacks, so messages only the browser has
+    /// become context for follow-up questions. Nothing is added if the conversation was cleared since the browser
+    /// last saw it, so a tab holding the old messages cannot bring them back.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="request">The messages of the branch and the clear the browser last saw.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The conversation after the merge, or null if the video has not been analyzed or its session has expired.</returns>
+    /// <exception cref="InvalidOperationException">If the video ID is invalid.</exception>
+    public async Task<ConversationResponse?> MergeConversationAsync(
+        string videoId,
+        MergeConversationRequest request,
+        CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for merge conversation request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var videoIdString = parsedVideoId!.Value;
+        if (!await _cacheService.VideoExistsAsync(videoIdString, cancellationToken))
+        {
+            _logger.LogInformation("No cached session for merge conversation request: {VideoId}", videoIdString);
+            return null;
+        }
+
+        var conversation = ToConversationMessages(request.Messages);
+        if (await _cacheService.MergeConversationAsync(videoIdString, conversation, request.ClearedAt, cancellationToken))
+        {
+            _logger.LogInformation("Merged {MessageCount} messages into conversation for VideoId: {VideoId}", conversation.Count, videoIdString);
+        }
+        else
+        {
+            _logger.LogInformation("Conversation for VideoId: {VideoId} was cleared since the browser last synced; nothing merged", videoIdString);
+        }
+
+        return await GetConversationAsync(videoIdString, cancellationToken);
+    }
+
+    /// <summary>
+    /// Writes a new summary of a previously analyzed video in the requested style, target length and language.
+    /// The summary made during analysis stays the one used as context for questions.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="request">The style, target length, language and model of the summary; missing values use the defaults.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The new summary, or null if the video has not been analyzed or its session has expired.</returns>
+    public async Task<SummaryResponse?> ResummarizeAsync(string videoId, SummarizeRequest request, CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for summary request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var options = NormalizeSummaryOptions(request);
+        var videoIdString = parsedVideoId!.Value;
+
+        if (!await _cacheService.VideoExistsAsync(videoIdString, cancellationToken))
+        {
+            _logger.LogInformation("No cached session for summary request: {VideoId}", videoIdString);
+            return null;
+        }
+
+        var summary = await _orchestrator.RegenerateSummaryAsync(videoIdString, options, request.Provider, request.Model, cancellationToken);
+
+        _logger.LogInformation("Generated {Style} summary for VideoId: {VideoId}", options.Style, videoIdString);
+
+        return new SummaryResponse
+        {
+            VideoId = videoIdString,
+            Summary = summary,
+            Style = options.Style,
+            Length = options.Length,
+            Language = options.Language,
+            CreatedAt = DateTimeOffset.UtcNow
+        };
+    }
+
+    /// <summary>
+    /// Writes a detailed summary of one chapter of an analyzed video.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="chapterIndex">The zero-based position of the chapter.</param>
+    /// <param name="request">The model to write the summary with.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapter summary, or null if the video's session is not cached.</returns>
+    /// <exception cref="InvalidOperationException">If the video ID is invalid.</exception>
+    /// <exception cref="ArgumentException">If the video has no chapter at that position.</exception>
+    public async Task<ChapterSummaryResponse?> SummarizeChapterAsync(
+        string videoId,
+        int chapterIndex,
+        ChapterSummaryRequest request,
+        CancellationToken cancellationToken)
+    {
+        if (!VideoId.TryParse(videoId, out var parsedVideoId))
+        {
+            _logger.LogWarning("Invalid video ID for chapter summary request: {VideoId}", videoId);
+            throw new InvalidOperationException("Invalid YouTube video ID");
+        }
+
+        var videoIdString = parsedVideoId!.Value;
+        var session = await _cacheService.GetVideoSessionAsync(videoIdString, cancellationToken);
+        if (session is null)
+        {
+            _logger.LogInformation("No cached session for chapter summary request: {VideoId}", videoIdString);
+            return null;
+        }
+
+        var chapters = session.Chapters ?? [];
+        if (chapterIndex < 0 || chapterIndex >= chapters.Count)
+        {
+            throw new ArgumentException($"This video has no chapter {chapterIndex + 1}.");
+        }
+
+        var summary = await _orchestrator.SummarizeChapterAsync(videoIdString, chapters[chapterIndex], request.Provider, request.Model, cancellationToken);
+
+        _logger.LogInformation("Summarized chapter {ChapterIndex} of VideoId: {VideoId}", chapterIndex, videoIdString);
+
+        return new ChapterSummaryResponse
+        {
+            VideoId = videoIdString,
+            ChapterIndex = chapterIndex,
+            Summary = summary
+        };
+    }
+
+    /// <summary>
+    /// Validates the options of a summary request and fills in the defaults.
+    /// </summary>
+    /// <param name="request">The summary request.</param>
+    /// <returns>The summary options.</returns>
+    /// <exception cref="ArgumentException">If the style, length or language is not supported.</exception>
+    public static SummaryOptions NormalizeSummaryOptions(SummarizeRequest request)
+    {
+        var style = string.IsNullOrWhiteSpace(request.Style)
+            ? SummaryConstants.ComprehensiveStyle
+            : request.Style.Trim().ToLowerInvariant();
+        if (!SummaryConstants.Styles.Contains(style))
+        {
+            throw new ArgumentException(
+                $"Unknown summary style '{request.Style}'. Supported styles: {string.Join(", ", SummaryConstants.Styles)}");
+        }
+
+        var length = string.IsNullOrWhiteSpace(request.Length)
+            ? SummaryConstants.MediumLength
+            : request.Length.Trim().ToLowerInvariant();
+        if (!SummaryConstants.LengthWordCounts.ContainsKey(length))
+        {
+            throw new ArgumentException(
+                $"Unknown summary length '{request.Length}'. Supported lengths: {string.Join(", ", SummaryConstants.LengthWordCounts.Keys)}");
+        }
+
+        // The language is written into the prompt, so only plain language names are accepted
+        var language = string.IsNullOrWhiteSpace(request.Language) ? null : request.Language.Trim();
+        if (language is not null &&
+            (language.Length > SummaryConstants.MaxLanguageLength || !language.All(c => char.IsLetter(c) || c is ' ' or '-' or '(' or ')')))
+        {
+            throw new ArgumentException($"'{request.Language}' is not a supported language name.");
+        }
+
+        return new SummaryOptions
+        {
+            Style = style,
+            Length = length,
+            Language = language
+        };
+    }
+
     /// <summary>
     /// Answers a question about a previously analyzed video.
     /// </summary>
@@ -139,15 +515,16 @@ public sealed class ProcessYouTubeRequestUseCase
 
         if (!videoExists)
         {
+            // The client can recover from this by analyzing the video again, so it is reported as an error rather than as answer text
             var errorMessage = $"Video must be analyzed before asking questions. VideoId: {request.VideoId}";
             _logger.LogWarning(errorMessage);
-            yield return $"Error: {errorMessage}";
-            yield break;
+            throw new VideoSessionNotFoundException(request.VideoId, errorMessage);
         }
 
         // Add user question to conversation history
         var userMessage = new ConversationMessage
         {
+            Id = ToMessageId(request.QuestionId),
             Role = "user",
             Content = request.Question,
             Timestamp = DateTimeOffset.UtcNow
@@ -156,7 +533,28 @@ public sealed class ProcessYouTubeRequestUseCase
         Exception? saveQuestionException = null;
         try
         {
-            await _cacheService.AddConversationMessageAsync(request.VideoId, userMessage, cancellationToken);
+            if (request.History is null)
+            {
+                // Without the browser's branch, the question follows the newest stored message
+                var session = await _cacheService.GetVideoSessionAsync(request.VideoId, cancellationToken);
+                userMessage = userMessage with { ParentId = session?.ConversationHistory.LastOrDefault()?.Id };
+                await _cacheService.AddConversationMessageAsync(request.VideoId, userMessage, cancellationToken);
+            }
+            else
+            {
+                // Messages of the browser's branch the server lacks are added; those other tabs stored are kept.
+                // The question's branch, not the whole list, is the context of the answer.
+                var history = ToConversationMessages(request.History);
+                userMessage = userMessage with { ParentId = history.Count > 0 ? history[^1].Id : null };
+                var merged = await _cacheService.MergeConversationAsync(
+                    request.VideoId, history.Append(userMessage).ToList(), request.ConversationClearedAt, cancellationToken);
+                if (!merged)
+                {
+                    // The conversation was cleared after the browser last saw it, so the question starts it afresh
+                    userMessage = userMessage with { ParentId = null };
+                    await _cacheService.AddConversationMessageAsync(request.VideoId, userMessage, cancellationToken);
+                }
+            }
             _logger.LogDebug("Added user question to conversation history for VideoId: {VideoId}", request.VideoId);
         }
         catch (Exception ex)
@@ -176,7 +574,7 @@ public sealed class ProcessYouTubeRequestUseCase
         Exception? streamException = null;
         try
         {
-            responseStream = _orchestrator.AnswerQuestionAsync(request.VideoId, request.Question, cancellationToken);
+            responseStream = _orchestrator.AnswerQuestionAsync(request.VideoId, request.Question, request.Provider, request.Model, userMessage.Id, cancellationToken);
         }
         catch (Exception ex)
         {
@@ -200,14 +598,28 @@ public sealed class ProcessYouTubeRequestUseCase
 
         // Stream the response once, collecting it while yielding to the caller
         var responseBuilder = new System.Text.StringBuilder();
+        var completed = false;
         
-        await foreach (var chunk in responseStream.WithCancellation(cancellationToken))
+        try
         {
-            // Collect the chunk for conversation history
-            responseBuilder.Append(chunk);
-            
-            // Stream the chunk to the caller
-            yield return chunk;
+            await foreach (var chunk in responseStream.WithCancellation(cancellationToken))
+            {
+                // Collect the chunk for conversation history
+                responseBuilder.Append(chunk);
+                
+                // Stream the chunk to the caller
+                yield return chunk;
+            }
+
+            completed = true;
+        }
+        finally
+        {
+            // A stopped answer is kept as far as it got, as the browser keeps it, so the question is not left unanswered
+            if (!completed && cancellationToken.IsCancellationRequested)
+            {
+                await SaveStoppedAnswerAsync(request, userMessage.Id, responseBuilder.ToString());
+            }
         }
 
         var fullResponse = responseBuilder.ToString();
@@ -218,6 +630,8 @@ public sealed class ProcessYouTubeRequestUseCase
         {
             var assistantMessage = new ConversationMessage
             {
+                Id = ToMessageId(request.AnswerId),
+                ParentId = userMessage.Id,
                 Role = "assistant",
                 Content = fullResponse,
                 Timestamp = DateTimeOffset.UtcNow
@@ -237,4 +651,235 @@ public sealed class ProcessYouTubeRequestUseCase
             // Don't yield here since the response was already streamed
         }
     }
+
+    /// <summary>
+    /// Stores the part of an answer streamed before the user stopped it, marked as stopped.
+    /// </summary>
+    /// <param name="request">The question the answer belongs to.</param>
+    /// <param name="questionId">The ID the question was stored under.</param>
+    /// <param name="partialResponse">The answer text streamed so far.</param>
+    private async Task SaveStoppedAnswerAsync(AskQuestionRequest request, string questionId, string partialResponse)
+    {
+        try
+        {
+            var assistantMessage = new ConversationMessage
+            {
+                Id = ToMessageId(request.AnswerId),
+                ParentId = questionId,
+                Role = "assistant",
+                Content = partialResponse,
+                Timestamp = DateTimeOffset.UtcNow,
+                Stopped = true
+            };
+
+            // The request's token is already cancelled
+            await _cacheService.AddConversationMessageAsync(request.VideoId, assistantMessage, CancellationToken.None);
+            _logger.LogInformation("Saved stopped answer for VideoId: {VideoId}", request.VideoId);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save stopped answer for VideoId: {VideoId}", request.VideoId);
+        }
+    }
+
+    /// <summary>
+    /// Removes the start of a chunk that repeats the end of the previous chunk.
+    /// </summary>
+    /// <param name="previousText">The text of the previous chunk.</param>
+    /// <param name="text">The text of the chunk.</param>
+    /// <returns>The text that is new in the chunk.</returns>
+    private static string RemoveOverlap(string previousText, string text)
+    {
+        // The longest overlap starts at the earliest word of the previous chunk that the chunk begins with
+        for (var start = Math.Max(0, previousText.Length - text.Length); start < previousText.Length; start++)
+        {
+            if (start > 0 && previousText[start - 1] != ' ')
+            {
+                continue;
+            }
+
+            var suffix = previousText.AsSpan(start);
+            if (text.AsSpan().StartsWith(suffix, StringComparison.Ordinal))
+            {
+                return text[suffix.Length..].TrimStart();
+            }
+        }
+
+        return text;
+    }
+
+    /// <summary>
+    /// Converts the conversation branch sent by the browser, dropping messages with an unknown role
+    /// and keeping the newest <see cref="MaxHistoryMessages"/>. Each message follows the one before it.
+    /// </summary>
+    /// <param name="history">The messages sent by the browser, oldest first.</param>
+    /// <returns>The messages to store, oldest first.</returns>
+    public static IReadOnlyList<ConversationMessage> ToConversationMessages(IEnumerable<ConversationMessageRequest> history)
+    {
+        var messages = new List<ConversationMessage>();
+        string? parentId = null;
+        foreach (var message in history.Where(message => message is not null && message.Role is "user" or "assistant"))
+        {
+            var converted = new ConversationMessage
+            {
+                Id = ToMessageId(message.Id),
+                ParentId = parentId,
+                Role = message.Role,
+                Content = message.Content ?? string.Empty,
+                Timestamp = message.Timestamp ?? DateTimeOffset.UtcNow,
+                Stopped = message.Stopped
+            };
+            messages.Add(converted);
+            parentId = converted.Id;
+        }
+
+        return messages.TakeLast(MaxHistoryMessages).ToList();
+    }
+
+    /// <summary>
+    /// Keeps the browser's ID of a conversation message so both copies of the conversation can be matched.
+    /// </summary>
+    /// <param name="clientId">The ID sent by the browser, if any.</param>
+    /// <returns>The browser's ID, or a new ID if it is missing or malformed.</returns>
+    private static string ToMessageId(string? clientId)
+    {
+        return clientId is not null && MessageIdPattern.IsMatch(clientId)
+            ? clientId
+            : Guid.NewGuid().ToString();
+    }
+
+    /// <summary>
+    /// Removes blank and repeated IDs from a multi-video question, keeping the first occurrence of each.
+    /// The position of an ID in the result is its citation label (V1 first).
+    /// </summary>
+    /// <param name="videoIds">The requested video IDs.</param>
+    /// <returns>The distinct video IDs in request order.</returns>
+    public static IReadOnlyList<string> NormalizeVideoIds(IEnumerable<string>? videoIds)
+    {
+        return (videoIds ?? Array.Empty<string>())
+            .Where(id => !string.IsNullOrWhiteSpace(id))
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Answers a question across several previously analyzed videos.
+    /// </summary>
+    /// <param name="request">The question request containing the video IDs and question.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A streaming response with the answer, citing the video each claim comes from.</returns>
+    public async IAsyncEnumerable<string> AskQuestionAcrossVideosAsync(
+        AskAcrossVideosRequest request,
+        [EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        var videoIds = NormalizeVideoIds(request.VideoIds);
+
+        _logger.LogInformation("Processing question across videos: {VideoIds}", string.Join(", ", videoIds));
+
+        if (videoIds.Count == 0)
+        {
+            _logger.LogWarning("Question across videos received without any video IDs");
+            yield return "Error: Select at least one video to ask about.";
+            yield break;
+        }
+
+        if (videoIds.Count > MaxVideosPerQuestion)
+        {
+            _logger.LogWarning("Question across videos exceeds the limit of {MaxVideos} videos: {VideoCount}", MaxVideosPerQuestion, videoIds.Count);
+            yield return $"Error: A question can span at most {MaxVideosPerQuestion} videos.";
+            yield break;
+        }
+
+        // Validate cached sessions exist before streaming
+        var missingVideoIds = new List<string>();
+        Exception? validationException = null;
+        try
+        {
+            foreach (var videoId in videoIds)
+            {
+                if (!await _cacheService.VideoExistsAsync(videoId, cancellationToken))
+                {
+                    missingVideoIds.Add(videoId);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            validationException = ex;
+        }
+
+        if (validationException != null)
+        {
+            _logger.LogError(validationException, "Failed to check if videos exist for VideoIds: {VideoIds}", string.Join(", ", videoIds));
+            yield return $"Error: Failed to check video existence - {validationException.Message}";
+            yield break;
+        }
+
+        if (missingVideoIds.Count > 0)
+        {
+            var errorMessage = $"Videos must be analyzed before asking questions. VideoIds: {string.Join(", ", missingVideoIds)}";
+            _logger.LogWarning(errorMessage);
+            yield return $"Error: {errorMessage}";
+            yield break;
+        }
+
+        // Get the streaming response from orchestrator
+        IAsyncEnumerable<string>? responseStream = null;
+        Exception? streamException = null;
+        try
+        {
+            responseStream = _orchestrator.AnswerQuestionAcrossVideosAsync(videoIds, request.Question, request.Provider, request.Model, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            streamException = ex;
+        }
+
+        if (streamException != null || responseStream == null)
+        {
+            _logger.LogError(streamException, "Failed to start answer stream for VideoIds: {VideoIds}", string.Join(", ", videoIds));
+            yield return $"Error: Failed to process question - {streamException?.Message}";
+            yield break;
+        }
+
+        await foreach (var chunk in responseStream.WithCancellation(cancellationToken))
+        {
+            yield return chunk;
+        }
+
+        _logger.LogInformation("Completed question processing across videos: {VideoIds}", string.Join(", ", videoIds));
+    }
+
+    /// <summary>
+    /// Divides a video into chapters. Chapters are an extra on top of the summary,
+    /// so a failure is logged and the video is analyzed without them.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="progress">Receives the start and end of the chapters stage, or null to report nothing.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapters, or an empty list if they could not be generated.</returns>
+    private async Task<IReadOnlyList<VideoChapter>> GenerateChaptersOrNoneAsync(
+        string videoId,
+        string? providerName,
+        string? modelId,
+        IProgress<AnalysisProgress>? progress,
+        CancellationToken cancellationToken)
+    {
+        progress?.Report(AnalysisProgress.Started(AnalysisConstants.ChaptersStage, "Dividing the video into chapters"));
+
+        try
+        {
+            var chapters = await _orchestrator.GenerateChaptersAsync(videoId, providerName, modelId, cancellationToken);
+            progress?.Report(AnalysisProgress.Completed(AnalysisConstants.ChaptersStage, $"{chapters.Count} chapters"));
+            return chapters;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Could not generate chapters for VideoId: {VideoId}", videoId);
+            progress?.Report(AnalysisProgress.Completed(AnalysisConstants.ChaptersStage, "Chapters are not available for this video"));
+            return [];
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using Microsoft.Extensions.Logging;
+
+namespace InsightStream.Application.UseCases;
+
+/// <summary>
+/// Use case for expanding a YouTube playlist into the video URLs it contains, so they can be analyzed one by one.
+/// </summary>
+public sealed class ResolvePlaylistUseCase
+{
+    /// <summary>
+    /// Maximum number of videos returned for one playlist.
+    /// </summary>
+    public const int MaxPlaylistVideos = 50;
+
+    private readonly IYouTubePlaylistService _playlistService;
+    private readonly ILogger<ResolvePlaylistUseCase> _logger;
+
+    public ResolvePlaylistUseCase(
+        IYouTubePlaylistService playlistService,
+        ILogger<ResolvePlaylistUseCase> logger)
+    {
+        _playlistService = playlistService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Lists the videos of a playlist.
+    /// </summary>
+    /// <param name="request">The request containing the playlist URL.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The playlist with the watch URL of each video.</returns>
+    /// <exception cref="ArgumentException">Thrown when the URL is not a playlist URL.</exception>
+    public async Task<PlaylistResponse> ResolveAsync(PlaylistRequest request, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(request.PlaylistUrl))
+        {
+            throw new ArgumentException("Playlist URL is required", nameof(request));
+        }
+
+        _logger.LogInformation("Resolving playlist: {PlaylistUrl}", request.PlaylistUrl);
+
+        var playlist = await _playlistService.GetPlaylistAsync(request.PlaylistUrl, MaxPlaylistVideos, cancellationToken);
+
+        _logger.LogInformation(
+            "Resolved playlist {PlaylistId} with {VideoCount} videos (truncated: {IsTruncated})",
+            playlist.PlaylistId,
+            playlist.Videos.Count,
+            playlist.IsTruncated);
+
+        return new PlaylistResponse
+        {
+            PlaylistId = playlist.PlaylistId,
+            Title = playlist.Title,
+            IsTruncated = playlist.IsTruncated,
+            Videos = playlist.Videos
+                .Select(video => new PlaylistItemResponse
+                {
+                    VideoId = video.VideoId,
+                    VideoUrl = $"https://www.youtube.com/watch?v={video.VideoId}",
+                    Title = video.Title,
+                    Duration = video.Duration
+                })
+                .ToList()
+        };
+    }
+}
\ No newline at end of file
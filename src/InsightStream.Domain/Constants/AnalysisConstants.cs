@@ -0,0 +1,25 @@
+namespace InsightStream.Domain.Constants;
+
+public static class AnalysisConstants
+{
+    // Stages of the analysis pipeline, in the order they run
+    public const string MetadataStage = "metadata";
+    public const string TranscriptStage = "transcript";
+    public const string ChunkingStage = "chunking";
+    public const string SummaryStage = "summary";
+    public const string ChaptersStage = "chapters";
+
+    // Share of the whole analysis completed when each stage starts; a stage ends where the next one starts
+    public static readonly IReadOnlyDictionary<string, int> StageStartPercents = new Dictionary<string, int>
+    {
+        [MetadataStage] = 0,
+        [TranscriptStage] = 10,
+        [ChunkingStage] = 40,
+        [SummaryStage] = 50,
+        [ChaptersStage] = 85
+    };
+
+    // Statuses of a stage
+    public const string StartedStatus = "started";
+    public const string CompletedStatus = "completed";
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+namespace InsightStream.Domain.Constants;
+
+public static class SummaryConstants
+{
+    // Styles a summary can be written in; "comprehensive" is the style of the summary made during analysis
+    public const string ComprehensiveStyle = "comprehensive";
+    public const string TldrStyle = "tldr";
+    public const string OutlineStyle = "outline";
+    public const string ExecutiveBriefStyle = "executive-brief";
+    public const string StudyNotesStyle = "study-notes";
+    public const string ActionItemsStyle = "action-items";
+
+    public static readonly IReadOnlyList<string> Styles = new[]
+    {
+        ComprehensiveStyle,
+        TldrStyle,
+        OutlineStyle,
+        ExecutiveBriefStyle,
+        StudyNotesStyle,
+        ActionItemsStyle
+    };
+
+    // Target lengths, as approximate word counts
+    public const string ShortLength = "short";
+    public const string MediumLength = "medium";
+    public const string LongLength = "long";
+
+    public static readonly IReadOnlyDictionary<string, int> LengthWordCounts = new Dictionary<string, int>
+    {
+        [ShortLength] = 150,
+        [MediumLength] = 400,
+        [LongLength] = 900
+    };
+
+    // Longest language name accepted, e.g. "Brazilian Portuguese"
+    public const int MaxLanguageLength = 40;
+}
\ No newline at end of file
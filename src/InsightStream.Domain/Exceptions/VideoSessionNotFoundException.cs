@@ -0,0 +1,32 @@
+namespace InsightStream.Domain.Exceptions;
+
+/// <summary>
+/// Thrown when a video has no cached session, because it was never analyzed or its session has expired.
+/// </summary>
+public sealed class VideoSessionNotFoundException : InvalidOperationException
+{
+    /// <summary>
+    /// Initializes a new instance of the VideoSessionNotFoundException class.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    public VideoSessionNotFoundException(string videoId)
+        : this(videoId, $"Video session not found for video ID: {videoId}")
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the VideoSessionNotFoundException class with a specific message.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="message">The error message.</param>
+    public VideoSessionNotFoundException(string videoId, string message)
+        : base(message)
+    {
+        VideoId = videoId;
+    }
+
+    /// <summary>
+    /// Gets the ID of the video without a session.
+    /// </summary>
+    public string VideoId { get; }
+}
\ No newline at end of file
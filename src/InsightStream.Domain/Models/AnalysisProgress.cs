@@ -0,0 +1,51 @@
+using InsightStream.Domain.Constants;
+
+namespace InsightStream.Domain.Models;
+
+/// <summary>
+/// Represents a step of the analysis pipeline starting or finishing.
+/// </summary>
+public sealed record AnalysisProgress
+{
+    public required string Stage { get; init; }
+    public required string Status { get; init; }
+    public required int Percent { get; init; }
+    public required string Message { get; init; }
+    public int? ChunkCount { get; init; }
+
+    /// <summary>
+    /// Creates the progress reported when a stage starts.
+    /// </summary>
+    /// <param name="stage">The stage, one of the AnalysisConstants stages.</param>
+    /// <param name="message">A short description of the work being done.</param>
+    /// <param name="chunkCount">The number of transcript chunks involved, if known.</param>
+    /// <returns>The progress.</returns>
+    public static AnalysisProgress Started(string stage, string message, int? chunkCount = null) => new()
+    {
+        Stage = stage,
+        Status = AnalysisConstants.StartedStatus,
+        Percent = AnalysisConstants.StageStartPercents[stage],
+        Message = message,
+        ChunkCount = chunkCount
+    };
+
+    /// <summary>
+    /// Creates the progress reported when a stage finishes.
+    /// </summary>
+    /// <param name="stage">The stage, one of the AnalysisConstants stages.</param>
+    /// <param name="message">A short description of the result.</param>
+    /// <param name="chunkCount">The number of transcript chunks involved, if known.</param>
+    /// <returns>The progress.</returns>
+    public static AnalysisProgress Completed(string stage, string message, int? chunkCount = null) => new()
+    {
+        Stage = stage,
+        Status = AnalysisConstants.CompletedStatus,
+        Percent = AnalysisConstants.StageStartPercents
+            .Where(entry => entry.Value > AnalysisConstants.StageStartPercents[stage])
+            .Select(entry => entry.Value)
+            .DefaultIfEmpty(100)
+            .Min(),
+        Message = message,
+        ChunkCount = chunkCount
+    };
+}
\ No newline at end of file
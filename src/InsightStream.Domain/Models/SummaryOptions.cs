@@ -0,0 +1,10 @@
+namespace InsightStream.Domain.Models;
+
+public sealed record SummaryOptions
+{
+    public required string Style { get; init; }
+    public required string Length { get; init; }
+
+    // Null keeps the language of the transcript
+    public string? Language { get; init; }
+}
\ No newline at end of file
@@ -0,0 +1,9 @@
+namespace InsightStream.Domain.Models;
+
+public sealed record VideoChapter
+{
+    public required string Title { get; init; }
+    public required TimeSpan StartTime { get; init; }
+    public required TimeSpan EndTime { get; init; }
+    public required string Summary { get; init; }
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+using System.Text.RegularExpressions;
+
 namespace InsightStream.Domain.Models;
 
 /// <summary>
@@ -5,10 +7,40 @@ namespace InsightStream.Domain.Models;
 /// </summary>
 public sealed record VideoId
 {
+    private static readonly Regex IdPattern = new("^[A-Za-z0-9_-]{11}$", RegexOptions.Compiled);
+
+    // Hosts that serve videos at /watch?v={id} or /{prefix}/{id}
+    private static readonly HashSet<string> YouTubeHosts = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "youtube.com",
+        "www.youtube.com",
+        "m.youtube.com",
+        "music.youtube.com",
+        "youtube-nocookie.com",
+        "www.youtube-nocookie.com"
+    };
+
+    // Path prefixes followed by the video ID, e.g. /shorts/{id}
+    private static readonly HashSet<string> VideoPathPrefixes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "shorts",
+        "live",
+        "embed",
+        "v",
+        "e"
+    };
+
     public required string Value { get; init; }
 
+    /// <summary>
+    /// Gets the canonical watch URL of the video.
+    /// </summary>
+    public string WatchUrl => $"https://www.youtube.com/watch?v={Value}";
+
     /// <summary>
     /// Attempts to parse a YouTube URL to extract the video ID.
+    /// Accepts watch, youtu.be, shorts, live and embed URLs on the YouTube, mobile, music and
+    /// no-cookie hosts (with or without a scheme), as well as bare 11-character video IDs.
     /// </summary>
     /// <param name="videoUrl">The YouTube URL to parse.</param>
     /// <param name="videoId">The parsed video ID if successful.</param>
@@ -16,30 +48,48 @@ public sealed record VideoId
     public static bool TryParse(string videoUrl, out VideoId? videoId)
     {
         videoId = null;
-        
+
         if (string.IsNullOrWhiteSpace(videoUrl))
             return false;
 
-        // Basic YouTube URL parsing logic
-        // This is a simplified implementation - in a real scenario, 
-        // this would be more robust or use YoutubeExplode in the infrastructure layer
-        var uri = new Uri(videoUrl);
-        var query = System.Web.HttpUtility.ParseQueryString(uri.Query);
-        var id = query["v"];
-
-        if (!string.IsNullOrEmpty(id))
-        {
-            videoId = new VideoId { Value = id };
-            return true;
-        }
-
-        // Handle youtu.be short URLs
-        if (uri.Host.Contains("youtu.be") && !string.IsNullOrEmpty(uri.AbsolutePath))
-        {
-            videoId = new VideoId { Value = uri.AbsolutePath.Trim('/') };
-            return true;
-        }
-
-        return false;
+        var input = videoUrl.Trim();
+        var candidate = IdPattern.IsMatch(input) ? input : ExtractCandidate(input);
+
+        if (candidate is null || !IdPattern.IsMatch(candidate))
+            return false;
+
+        videoId = new VideoId { Value = candidate };
+        return true;
+    }
+
+    /// <summary>
+    /// Finds the part of a URL that should hold the video ID.
+    /// </summary>
+    /// <param name="input">The trimmed URL, optionally without a scheme.</param>
+    /// <returns>The candidate video ID, or null if the URL is not a YouTube video URL.</returns>
+    private static string? ExtractCandidate(string input)
+    {
+        var absolute = input.Contains("://", StringComparison.Ordinal) ? input : $"https://{input}";
+
+        if (!Uri.TryCreate(absolute, UriKind.Absolute, out var uri) ||
+            (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            return null;
+
+        var segments = uri.AbsolutePath.Split('/', StringSplitOptions.RemoveEmptyEntries);
+
+        if (uri.Host.Equals("youtu.be", StringComparison.OrdinalIgnoreCase) ||
+            uri.Host.Equals("www.youtu.be", StringComparison.OrdinalIgnoreCase))
+            return segments.Length == 1 ? segments[0] : null;
+
+        if (!YouTubeHosts.Contains(uri.Host))
+            return null;
+
+        if (segments.Length == 1 && segments[0].Equals("watch", StringComparison.OrdinalIgnoreCase))
+            return System.Web.HttpUtility.ParseQueryString(uri.Query)["v"];
+
+        if (segments.Length == 2 && VideoPathPrefixes.Contains(segments[0]))
+            return segments[1];
+
+        return null;
     }
 }
\ No newline at end of file
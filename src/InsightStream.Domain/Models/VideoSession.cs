@@ -6,12 +6,17 @@ public sealed class VideoSession
     public required VideoMetadata Metadata { get; init; }
     public required IReadOnlyList<TranscriptChunk> Chunks { get; init; }
     public string? Summary { get; set; }
+    public IReadOnlyList<VideoChapter>? Chapters { get; set; }
     public required List<ConversationMessage> ConversationHistory { get; init; }
+    public DateTimeOffset? ConversationClearedAt { get; init; } // When the conversation was last cleared; null if it never was
 }
 
 public sealed record ConversationMessage
 {
+    public required string Id { get; init; } // Shared with the browser's copy of the conversation
+    public string? ParentId { get; init; } // The message this one follows on its branch; null for the first message
     public required string Role { get; init; } // "user" or "assistant"
     public required string Content { get; init; }
     public required DateTimeOffset Timestamp { get; init; }
+    public bool Stopped { get; init; } // An answer the user stopped before it finished
 }
\ No newline at end of file
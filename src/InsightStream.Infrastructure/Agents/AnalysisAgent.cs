@@ -1,6 +1,9 @@
 using InsightStream.Application.Interfaces.Agents;
 using InsightStream.Application.Interfaces.Factories;
 using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Constants;
+using InsightStream.Domain.Exceptions;
+using InsightStream.Domain.Models;
 using Microsoft.Extensions.AI;
 using Microsoft.Extensions.Logging;
 
@@ -11,6 +14,17 @@ namespace InsightStream.Infrastructure.Agents;
 /// </summary>
 public class AnalysisAgent : IAnalysisAgent
 {
+    // What each summary style asks the model for
+    private static readonly IReadOnlyDictionary<string, string> StyleInstructions = new Dictionary<string, string>
+    {
+        [SummaryConstants.ComprehensiveStyle] = "Please provide a well-structured summary that captures the main points, key insights, and overall message of the video.",
+        [SummaryConstants.TldrStyle] = "Write a TL;DR: the core message of the video in two or three sentences, without headings or lists.",
+        [SummaryConstants.OutlineStyle] = "Write a detailed outline that follows the structure of the video, as nested bullet points with a timestamp for each section.",
+        [SummaryConstants.ExecutiveBriefStyle] = "Write an executive brief for a busy decision maker: the bottom line first, then the key findings, their implications and any recommendations.",
+        [SummaryConstants.StudyNotesStyle] = "Write study notes for a learner: the key concepts with short definitions and examples, followed by a few review questions.",
+        [SummaryConstants.ActionItemsStyle] = "List the concrete action items, recommendations and next steps the video suggests, as a Markdown checklist. If it suggests none, say so."
+    };
+
     private readonly IVideoCacheService _videoCacheService;
     private readonly IChatClientFactory _chatClientFactory;
     private readonly ILogger<AnalysisAgent> _logger;
@@ -35,10 +49,14 @@ public class AnalysisAgent : IAnalysisAgent
     /// Generates a summary for the specified video content.
     /// </summary>
     /// <param name="videoId">The ID of the video to analyze.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The generated summary text.</returns>
     public async Task<string> GenerateSummaryAsync(
         string videoId, 
+        string? providerName,
+        string? modelId,
         CancellationToken cancellationToken = default)
     {
         try
@@ -49,7 +67,7 @@ public class AnalysisAgent : IAnalysisAgent
             if (videoSession == null)
             {
                 _logger.LogWarning("Video session not found for video ID: {VideoId}", videoId);
-                throw new InvalidOperationException($"Video session not found for video ID: {videoId}");
+                throw new VideoSessionNotFoundException(videoId);
             }
 
             // Check if summary already exists
@@ -59,37 +77,239 @@ public class AnalysisAgent : IAnalysisAgent
                 return videoSession.Summary;
             }
 
-            // Combine transcript chunks for analysis
-            var fullTranscript = string.Join(" ", videoSession.Chunks.Select(c => c.Text));
-            
             // Create chat client and generate summary
-            var chatClient = _chatClientFactory.CreateClient();
+            var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
             
+            var prompt = BuildSummaryPrompt(
+                videoSession,
+                videoSession.Chunks,
+                "Please provide a comprehensive summary of the following YouTube video transcript.",
+                StyleInstructions[SummaryConstants.ComprehensiveStyle]);
+
+            var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
+            var response = await chatClient.GetResponseAsync(messages, cancellationToken: cancellationToken);
+            var summary = response.Text ?? string.Empty;
+
+            // Cache the summary
+            await _videoCacheService.UpdateSummaryAsync(videoId, summary, cancellationToken);
+
+            _logger.LogInformation("Successfully generated and cached summary for video: {VideoId}", videoId);
+            return summary;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error generating summary for video: {VideoId}", videoId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Writes a new summary in the requested style, even if the video already has one.
+    /// The cached summary is left unchanged.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="options">The style, target length and language of the summary.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    public async Task<string> RegenerateSummaryAsync(
+        string videoId,
+        SummaryOptions options,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+
+        try
+        {
+            _logger.LogInformation("Generating {Style} summary ({Length}) for video: {VideoId}", options.Style, options.Length, videoId);
+
+            var videoSession = await _videoCacheService.GetVideoSessionAsync(videoId, cancellationToken);
+            if (videoSession == null)
+            {
+                _logger.LogWarning("Video session not found for video ID: {VideoId}", videoId);
+                throw new VideoSessionNotFoundException(videoId);
+            }
+
+            var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
+
+            var prompt = BuildSummaryPrompt(
+                videoSession,
+                videoSession.Chunks,
+                "Please summarize the following YouTube video transcript.",
+                BuildStyleInstructions(options));
+
+            var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
+            var response = await chatClient.GetResponseAsync(messages, cancellationToken: cancellationToken);
+
+            _logger.LogInformation("Successfully generated {Style} summary for video: {VideoId}", options.Style, videoId);
+            return response.Text ?? string.Empty;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error generating {Style} summary for video: {VideoId}", options.Style, videoId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Divides the video into chapters with a title and a one-line summary each.
+    /// Returns the cached chapters if the video already has them.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to divide.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapters in order; empty if the model's answer contained none.</returns>
+    public async Task<IReadOnlyList<VideoChapter>> GenerateChaptersAsync(
+        string videoId,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            _logger.LogInformation("Generating chapters for video: {VideoId}", videoId);
+
+            var videoSession = await _videoCacheService.GetVideoSessionAsync(videoId, cancellationToken);
+            if (videoSession == null)
+            {
+                _logger.LogWarning("Video session not found for video ID: {VideoId}", videoId);
+                throw new VideoSessionNotFoundException(videoId);
+            }
+
+            if (videoSession.Chapters is not null)
+            {
+                _logger.LogInformation("Returning existing chapters for video: {VideoId}", videoId);
+                return videoSession.Chapters;
+            }
+
+            var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
+
             var prompt = $"""
-                Please provide a comprehensive summary of the following YouTube video transcript.
+                Please divide the following YouTube video transcript into chapters.
                 The video title is: "{videoSession.Metadata.Title}"
                 The channel is: "{videoSession.Metadata.Channel}"
                 
                 Transcript:
-                {fullTranscript}
+                {TranscriptPromptFormatter.FormatTranscript(videoSession.Chunks)}
                 
-                Please provide a well-structured summary that captures the main points, key insights, and overall message of the video.
+                {TranscriptPromptFormatter.ChapterListInstruction}
                 """;
 
             var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
             var response = await chatClient.GetResponseAsync(messages, cancellationToken: cancellationToken);
-            var summary = response.Text ?? string.Empty;
+            var chapters = TranscriptPromptFormatter.ParseChapters(response.Text ?? string.Empty, videoSession.Chunks);
 
-            // Cache the summary
-            await _videoCacheService.UpdateSummaryAsync(videoId, summary, cancellationToken);
+            await _videoCacheService.UpdateChaptersAsync(videoId, chapters, cancellationToken);
 
-            _logger.LogInformation("Successfully generated and cached summary for video: {VideoId}", videoId);
-            return summary;
+            _logger.LogInformation("Successfully generated and cached {ChapterCount} chapters for video: {VideoId}", chapters.Count, videoId);
+            return chapters;
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error generating summary for video: {VideoId}", videoId);
+            _logger.LogError(ex, "Error generating chapters for video: {VideoId}", videoId);
             throw;
         }
     }
+
+    /// <summary>
+    /// Writes a detailed summary of one chapter of the video, from the transcript sections it covers.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="chapter">The chapter to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    public async Task<string> SummarizeChapterAsync(
+        string videoId,
+        VideoChapter chapter,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(chapter);
+
+        try
+        {
+            _logger.LogInformation("Summarizing chapter at {StartTime} of video: {VideoId}", chapter.StartTime, videoId);
+
+            var videoSession = await _videoCacheService.GetVideoSessionAsync(videoId, cancellationToken);
+            if (videoSession == null)
+            {
+                _logger.LogWarning("Video session not found for video ID: {VideoId}", videoId);
+                throw new VideoSessionNotFoundException(videoId);
+            }
+
+            var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
+
+            var prompt = BuildSummaryPrompt(
+                videoSession,
+                TranscriptPromptFormatter.GetChunksInRange(videoSession.Chunks, chapter.StartTime, chapter.EndTime),
+                $"Please write a detailed summary of the chapter \"{chapter.Title}\" " +
+                $"({TranscriptPromptFormatter.FormatTimestamp(chapter.StartTime)} - {TranscriptPromptFormatter.FormatTimestamp(chapter.EndTime)}) of the following YouTube video.",
+                "Cover the arguments, examples and conclusions of this part of the video in order, using short paragraphs or bullet points.");
+
+            var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
+            var response = await chatClient.GetResponseAsync(messages, cancellationToken: cancellationToken);
+
+            _logger.LogInformation("Successfully summarized chapter at {StartTime} of video: {VideoId}", chapter.StartTime, videoId);
+            return response.Text ?? string.Empty;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error summarizing chapter at {StartTime} of video: {VideoId}", chapter.StartTime, videoId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Builds the instructions for a summary style, target length and language.
+    /// </summary>
+    /// <param name="options">The summary options; the style and length must be known values.</param>
+    /// <returns>The instructions to end the prompt with.</returns>
+    private static string BuildStyleInstructions(SummaryOptions options)
+    {
+        var instructions = new List<string>
+        {
+            StyleInstructions[options.Style],
+            $"Aim for about {SummaryConstants.LengthWordCounts[options.Length]} words."
+        };
+
+        if (!string.IsNullOrWhiteSpace(options.Language))
+        {
+            instructions.Add($"Write the summary in {options.Language}, whatever the language of the transcript.");
+        }
+
+        return string.Join("\n", instructions);
+    }
+
+    /// <summary>
+    /// Builds a summary prompt around the video's transcript.
+    /// </summary>
+    /// <param name="videoSession">The cached video session.</param>
+    /// <param name="chunks">The transcript chunks to summarize.</param>
+    /// <param name="task">The opening line that states the task.</param>
+    /// <param name="instructions">What the summary should look like.</param>
+    /// <returns>The prompt text.</returns>
+    private static string BuildSummaryPrompt(VideoSession videoSession, IEnumerable<TranscriptChunk> chunks, string task, string instructions)
+    {
+        // Combine transcript chunks for analysis, keeping their time ranges for citations
+        var fullTranscript = TranscriptPromptFormatter.FormatTranscript(chunks);
+
+        return $"""
+            {task}
+            The video title is: "{videoSession.Metadata.Title}"
+            The channel is: "{videoSession.Metadata.Channel}"
+            
+            Transcript:
+            {fullTranscript}
+            
+            {instructions}
+            {TranscriptPromptFormatter.TimestampCitationInstruction}
+            """;
+    }
 }
\ No newline at end of file
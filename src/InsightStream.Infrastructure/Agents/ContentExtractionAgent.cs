@@ -30,17 +30,19 @@ public class ContentExtractionAgent : IContentExtractionAgent
     /// Extracts video metadata and transcript from a YouTube URL.
     /// </summary>
     /// <param name="videoUrl">The YouTube video URL.</param>
+    /// <param name="progress">Receives the start and end of each extraction stage.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A tuple containing video metadata and transcript chunks.</returns>
     public async Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractContentAsync(
         string videoUrl, 
+        IProgress<AnalysisProgress>? progress = null,
         CancellationToken cancellationToken = default)
     {
         try
         {
             _logger.LogInformation("Extracting content from YouTube URL: {VideoUrl}", videoUrl);
 
-            var result = await _transcriptService.ExtractTranscriptAsync(videoUrl, cancellationToken);
+            var result = await _transcriptService.ExtractTranscriptAsync(videoUrl, progress, cancellationToken);
             
             _logger.LogInformation(
                 "Successfully extracted content for video {VideoId} with {ChunkCount} transcript chunks",
@@ -0,0 +1,52 @@
+using InsightStream.Domain.Models;
+
+namespace InsightStream.Infrastructure.Agents;
+
+/// <summary>
+/// Picks the conversation a question follows out of the messages stored for a video.
+/// The stored list holds every branch the browser tabs asked on, so a question's context is
+/// found by following parent IDs back from it rather than by taking the newest messages.
+/// </summary>
+public static class ConversationBranch
+{
+    /// <summary>
+    /// Gets the messages on the branch of a question, before the question.
+    /// </summary>
+    /// <param name="history">The stored conversation messages, oldest first.</param>
+    /// <param name="questionId">The ID the question was stored under, or null if unknown.</param>
+    /// <param name="question">The question text.</param>
+    /// <returns>The messages before the question on its branch, oldest first.</returns>
+    public static IReadOnlyList<ConversationMessage> GetMessagesBefore(
+        IReadOnlyList<ConversationMessage> history,
+        string? questionId,
+        string question)
+    {
+        var messagesById = new Dictionary<string, ConversationMessage>();
+        foreach (var message in history)
+        {
+            messagesById.TryAdd(message.Id, message);
+        }
+
+        if (questionId is null || !messagesById.TryGetValue(questionId, out var current))
+        {
+            // Without its ID, the question is the newest message if the caller has stored it
+            return history.Count > 0 && history[^1].Role == "user" && history[^1].Content == question
+                ? history.Take(history.Count - 1).ToList()
+                : history;
+        }
+
+        // The visited set guards against parent IDs that loop
+        var branch = new List<ConversationMessage>();
+        var visited = new HashSet<string> { current.Id };
+        while (current.ParentId is not null &&
+               messagesById.TryGetValue(current.ParentId, out var parent) &&
+               visited.Add(parent.Id))
+        {
+            branch.Add(parent);
+            current = parent;
+        }
+
+        branch.Reverse();
+        return branch;
+    }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 using InsightStream.Application.Interfaces.Agents;
 using InsightStream.Application.Interfaces.Factories;
 using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Exceptions;
 using InsightStream.Domain.Models;
 using Microsoft.Extensions.AI;
 using Microsoft.Extensions.Logging;
@@ -37,11 +38,17 @@ public class QuestionAnsweringAgent : IQuestionAnsweringAgent
     /// </summary>
     /// <param name="videoId">The ID of the video.</param>
     /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="questionId">The ID the question was stored under, whose branch is the context; null if unknown.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A streaming response with the answer.</returns>
     public async IAsyncEnumerable<string> AnswerQuestionAsync(
         string videoId,
         string question,
+        string? providerName,
+        string? modelId,
+        string? questionId,
         [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken = default)
     {
         _logger.LogInformation("Answering question for video: {VideoId}, Question: {Question}", videoId, question);
@@ -50,17 +57,18 @@ public class QuestionAnsweringAgent : IQuestionAnsweringAgent
         if (videoSession == null)
         {
             _logger.LogWarning("Video session not found for video ID: {VideoId}", videoId);
-            throw new InvalidOperationException($"Video session not found for video ID: {videoId}");
+            throw new VideoSessionNotFoundException(videoId);
         }
 
-        // Combine transcript chunks for context
-        var fullTranscript = string.Join(" ", videoSession.Chunks.Select(c => c.Text));
+        // Combine transcript chunks for context, keeping their time ranges for citations
+        var fullTranscript = TranscriptPromptFormatter.FormatTranscript(videoSession.Chunks);
         
         // Create chat client
-        var chatClient = _chatClientFactory.CreateClient();
+        var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
         
-        // Build conversation history context
-        var conversationHistory = videoSession.ConversationHistory
+        // Build conversation history context from the question's branch, leaving out other branches
+        var previousMessages = ConversationBranch.GetMessagesBefore(videoSession.ConversationHistory, questionId, question);
+        var conversationHistory = previousMessages
             .TakeLast(10) // Limit to last 10 messages to avoid context overflow
             .Select(msg => $"{msg.Role}: {msg.Content}")
             .ToList();
@@ -84,37 +92,82 @@ public class QuestionAnsweringAgent : IQuestionAnsweringAgent
             User Question: {question}
             
             Please provide a helpful and accurate answer based on the video content. If the information is not available in the transcript, please indicate that clearly.
+            {TranscriptPromptFormatter.TimestampCitationInstruction}
             """;
 
-        // Store the user question in conversation history
-        var userMessage = new ConversationMessage
-        {
-            Role = "user",
-            Content = question,
-            Timestamp = DateTimeOffset.UtcNow
-        };
-        await _videoCacheService.AddConversationMessageAsync(videoId, userMessage, cancellationToken);
-
         // Stream the response
-        var fullResponse = new System.Text.StringBuilder();
-        
         var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
         await foreach (var chunk in chatClient.GetStreamingResponseAsync(messages, cancellationToken: cancellationToken))
         {
-            var text = chunk.Text ?? string.Empty;
-            fullResponse.Append(text);
-            yield return text;
+            yield return chunk.Text ?? string.Empty;
         }
 
-        // Store the assistant response in conversation history
-        var assistantMessage = new ConversationMessage
+        _logger.LogInformation("Successfully answered question for video: {VideoId}", videoId);
+    }
+
+    /// <summary>
+    /// Answers a question using the content of several videos, citing the video each claim comes from.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos, in the order their citation labels are assigned (V1, V2, ...).</param>
+    /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A streaming response with the answer.</returns>
+    public async IAsyncEnumerable<string> AnswerQuestionAcrossVideosAsync(
+        IReadOnlyList<string> videoIds,
+        string question,
+        string? providerName,
+        string? modelId,
+        [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(videoIds);
+
+        _logger.LogInformation("Answering question across {VideoCount} videos: {VideoIds}, Question: {Question}",
+            videoIds.Count, string.Join(", ", videoIds), question);
+
+        // Describe each video under its citation label so the answer can say where every claim comes from
+        var videoSections = new List<string>();
+        for (var i = 0; i < videoIds.Count; i++)
         {
-            Role = "assistant",
-            Content = fullResponse.ToString(),
-            Timestamp = DateTimeOffset.UtcNow
-        };
-        await _videoCacheService.AddConversationMessageAsync(videoId, assistantMessage, cancellationToken);
+            var videoSession = await _videoCacheService.GetVideoSessionAsync(videoIds[i], cancellationToken);
+            if (videoSession == null)
+            {
+                _logger.LogWarning("Video session not found for video ID: {VideoId}", videoIds[i]);
+                throw new VideoSessionNotFoundException(videoIds[i]);
+            }
 
-        _logger.LogInformation("Successfully answered question for video: {VideoId}", videoId);
+            videoSections.Add($"""
+                Video {TranscriptPromptFormatter.FormatVideoLabel(i)}:
+                Title: "{videoSession.Metadata.Title}"
+                Channel: "{videoSession.Metadata.Channel}"
+                Duration: {videoSession.Metadata.Duration}
+                {(!string.IsNullOrEmpty(videoSession.Summary) ? $"Summary: {videoSession.Summary}\n" : "")}
+                Transcript:
+                {TranscriptPromptFormatter.FormatTranscript(videoSession.Chunks)}
+                """);
+        }
+
+        // Create chat client
+        var chatClient = _chatClientFactory.CreateClient(providerName, modelId);
+
+        var prompt = $"""
+            You are an AI assistant helping answer a question across several YouTube videos.
+            
+            {string.Join("\n", videoSections)}
+            User Question: {question}
+            
+            Please provide a helpful and accurate answer based on the content of these videos, comparing them where they agree or differ. If the information is not available in any transcript, please indicate that clearly.
+            {TranscriptPromptFormatter.MultiVideoCitationInstruction}
+            """;
+
+        // Stream the response
+        var messages = new[] { new ChatMessage(ChatRole.User, prompt) };
+        await foreach (var chunk in chatClient.GetStreamingResponseAsync(messages, cancellationToken: cancellationToken))
+        {
+            yield return chunk.Text ?? string.Empty;
+        }
+
+        _logger.LogInformation("Successfully answered question across {VideoCount} videos", videoIds.Count);
     }
 }
\ No newline at end of file
@@ -0,0 +1,252 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using InsightStream.Application.DTOs;
+using InsightStream.Domain.Models;
+
+namespace InsightStream.Infrastructure.Agents;
+
+/// <summary>
+/// Formats transcript chunks for use in LLM prompts.
+/// </summary>
+public static class TranscriptPromptFormatter
+{
+    // Matches [04:35], [1:02:03], [04:35 - 05:10] and [V2 04:35] citations in an answer
+    private static readonly Regex CitationPattern = new(
+        @"\[(?:(V\d{1,2})\s+)?((?:\d{1,2}:)?\d{1,2}:\d{2})(?:\s*[-–]\s*((?:\d{1,2}:)?\d{1,2}:\d{2}))?\]",
+        RegexOptions.Compiled);
+
+    /// <summary>
+    /// Instruction asking the model to cite transcript positions in a format the UI can link.
+    /// </summary>
+    public const string TimestampCitationInstruction =
+        "When you refer to a specific part of the video, cite where it was said using the section timestamps in square brackets, e.g. [04:35] (use [h:mm:ss] for positions past one hour).";
+
+    // Matches a chapter line such as "[04:35] Title | One-line summary", optionally as a list item
+    private static readonly Regex ChapterPattern = new(
+        @"^\s*(?:[-*]|\d{1,2}[.)])?\s*\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\s*[-–:]?\s*(.+?)\s*\|\s*(.+?)\s*$",
+        RegexOptions.Compiled | RegexOptions.Multiline);
+
+    /// <summary>
+    /// Most chapters kept from a chapter list.
+    /// </summary>
+    public const int MaxChapters = 20;
+
+    /// <summary>
+    /// Instruction asking the model to list chapters in a format <see cref="ParseChapters"/> can read.
+    /// </summary>
+    public const string ChapterListInstruction =
+        "Divide the video into chapters where the topic changes: a few for a short video, up to 15 for a long talk. " +
+        "Write one line per chapter and nothing else, in the form [mm:ss] Chapter title | One-sentence summary of the chapter " +
+        "(use [h:mm:ss] for positions past one hour). Start each chapter at the timestamp of the transcript section where it begins; the first chapter starts at the beginning of the video.";
+
+    /// <summary>
+    /// Instruction asking the model to cite both the video and the transcript position when answering across videos.
+    /// </summary>
+    public const string MultiVideoCitationInstruction =
+        "Cite the source of every claim using the video label and the section timestamp in square brackets, e.g. [V2 04:35] (use [V2 h:mm:ss] for positions past one hour). Never cite a timestamp without its video label.";
+
+    /// <summary>
+    /// Formats the citation label of a video in a multi-video prompt (V1, V2, ...).
+    /// </summary>
+    /// <param name="index">The zero-based position of the video in the request.</param>
+    /// <returns>The video label.</returns>
+    public static string FormatVideoLabel(int index)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegative(index);
+
+        return $"V{index + 1}";
+    }
+
+    /// <summary>
+    /// Formats a time position as mm:ss, or h:mm:ss when it is an hour or longer.
+    /// </summary>
+    /// <param name="time">The time position.</param>
+    /// <returns>The formatted timestamp.</returns>
+    public static string FormatTimestamp(TimeSpan time)
+    {
+        if (time < TimeSpan.Zero)
+        {
+            time = TimeSpan.Zero;
+        }
+
+        return time.TotalHours >= 1
+            ? $"{(int)time.TotalHours}:{time.Minutes:D2}:{time.Seconds:D2}"
+            : $"{time.Minutes:D2}:{time.Seconds:D2}";
+    }
+
+    /// <summary>
+    /// Formats transcript chunks as sections prefixed with their time range.
+    /// </summary>
+    /// <param name="chunks">The transcript chunks.</param>
+    /// <returns>The timestamped transcript text.</returns>
+    public static string FormatTranscript(IEnumerable<TranscriptChunk> chunks)
+    {
+        ArgumentNullException.ThrowIfNull(chunks);
+
+        var builder = new StringBuilder();
+
+        foreach (var chunk in chunks.OrderBy(c => c.ChunkIndex))
+        {
+            if (builder.Length > 0)
+            {
+                builder.AppendLine();
+            }
+
+            builder
+                .Append('[')
+                .Append(FormatTimestamp(chunk.StartTime))
+                .Append(" - ")
+                .Append(FormatTimestamp(chunk.EndTime))
+                .Append("] ")
+                .AppendLine(chunk.Text);
+        }
+
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// Finds the timestamp citations in an answer, in order of first appearance.
+    /// </summary>
+    /// <param name="answer">The answer text.</param>
+    /// <returns>The distinct citations.</returns>
+    public static IReadOnlyList<AnswerCitation> ExtractCitations(string answer)
+    {
+        ArgumentNullException.ThrowIfNull(answer);
+
+        var citations = new List<AnswerCitation>();
+        var seen = new HashSet<string>(StringComparer.Ordinal);
+
+        foreach (Match match in CitationPattern.Matches(answer))
+        {
+            var label = match.Value[1..^1];
+            if (!TryParseTimestamp(match.Groups[2].Value, out var start) || !seen.Add(label))
+            {
+                continue;
+            }
+
+            TimeSpan? end = TryParseTimestamp(match.Groups[3].Value, out var parsedEnd) ? parsedEnd : null;
+
+            citations.Add(new AnswerCitation
+            {
+                Label = label,
+                VideoLabel = match.Groups[1].Success ? match.Groups[1].Value : null,
+                Start = start,
+                End = end
+            });
+        }
+
+        return citations;
+    }
+
+    /// <summary>
+    /// Reads the chapters from a chapter list written by the model.
+    /// Chapter starts are moved to the start of the transcript section they fall in, so every chapter covers
+    /// whole sections; the first chapter starts with the transcript and each chapter ends where the next begins.
+    /// </summary>
+    /// <param name="chapterList">The chapter list, one "[mm:ss] Title | Summary" line per chapter.</param>
+    /// <param name="chunks">The transcript chunks the chapters divide.</param>
+    /// <returns>The chapters in order; empty if the list has no readable chapters or the transcript is empty.</returns>
+    public static IReadOnlyList<VideoChapter> ParseChapters(string chapterList, IReadOnlyList<TranscriptChunk> chunks)
+    {
+        ArgumentNullException.ThrowIfNull(chapterList);
+        ArgumentNullException.ThrowIfNull(chunks);
+
+        if (chunks.Count == 0)
+        {
+            return [];
+        }
+
+        var ordered = chunks.OrderBy(c => c.StartTime).ToList();
+        var transcriptEnd = ordered.Max(c => c.EndTime);
+        var starts = new List<(TimeSpan Start, string Title, string Summary)>();
+
+        foreach (Match match in ChapterPattern.Matches(chapterList))
+        {
+            if (!TryParseTimestamp(match.Groups[1].Value, out var time))
+            {
+                continue;
+            }
+
+            var start = ordered.LastOrDefault(c => c.StartTime <= time)?.StartTime ?? ordered[0].StartTime;
+            var title = match.Groups[2].Value.Trim('*', '_', '"', ' ');
+            var summary = match.Groups[3].Value.Trim('*', '_', ' ');
+
+            // Two chapters that land in the same section are one chapter
+            if (title.Length > 0 && starts.All(s => s.Start != start))
+            {
+                starts.Add((start, title, summary));
+            }
+        }
+
+        var chapters = starts
+            .OrderBy(s => s.Start)
+            .Take(MaxChapters)
+            .ToList();
+
+        return chapters
+            .Select((chapter, index) => new VideoChapter
+            {
+                Title = chapter.Title,
+                StartTime = index == 0 ? ordered[0].StartTime : chapter.Start,
+                EndTime = index + 1 < chapters.Count ? chapters[index + 1].Start : transcriptEnd,
+                Summary = chapter.Summary
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Gets the transcript chunks that overlap a time range.
+    /// </summary>
+    /// <param name="chunks">The transcript chunks.</param>
+    /// <param name="start">The start of the range.</param>
+    /// <param name="end">The end of the range.</param>
+    /// <returns>The overlapping chunks, in transcript order.</returns>
+    public static IReadOnlyList<TranscriptChunk> GetChunksInRange(IEnumerable<TranscriptChunk> chunks, TimeSpan start, TimeSpan end)
+    {
+        ArgumentNullException.ThrowIfNull(chunks);
+
+        return chunks
+            .Where(c => c.StartTime < end && c.EndTime > start)
+            .OrderBy(c => c.ChunkIndex)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Parses a timestamp formatted by <see cref="FormatTimestamp"/>.
+    /// </summary>
+    /// <param name="timestamp">The timestamp (mm:ss or h:mm:ss).</param>
+    /// <param name="time">The parsed time position.</param>
+    /// <returns>True if the timestamp is valid; otherwise, false.</returns>
+    private static bool TryParseTimestamp(string timestamp, out TimeSpan time)
+    {
+        time = TimeSpan.Zero;
+        var parts = timestamp.Split(':');
+
+        if (parts.Length is < 2 or > 3)
+        {
+            return false;
+        }
+
+        var values = new int[parts.Length];
+        for (var i = 0; i < parts.Length; i++)
+        {
+            if (!int.TryParse(parts[i], NumberStyles.None, CultureInfo.InvariantCulture, out values[i]))
+            {
+                return false;
+            }
+        }
+
+        var seconds = values[^1];
+        var minutes = values[^2];
+        var hours = parts.Length == 3 ? values[0] : 0;
+
+        if (seconds >= 60 || (parts.Length == 3 && minutes >= 60))
+        {
+            return false;
+        }
+
+        time = new TimeSpan(hours, minutes, seconds);
+        return true;
+    }
+}
@@ -42,10 +42,12 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
     /// Extracts video content including metadata and transcript chunks.
     /// </summary>
     /// <param name="videoUrl">The YouTube video URL.</param>
+    /// <param name="progress">Receives the start and end of each extraction stage.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A tuple containing video metadata and transcript chunks.</returns>
     public async Task<(VideoMetadata Metadata, IReadOnlyList<TranscriptChunk> Chunks)> ExtractVideoContentAsync(
         string videoUrl, 
+        IProgress<AnalysisProgress>? progress = null,
         CancellationToken cancellationToken = default)
     {
         try
@@ -53,7 +55,7 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
             _logger.LogInformation("Extracting video content from URL: {VideoUrl}", videoUrl);
 
             // Extract content using the content extraction agent
-            var (metadata, chunks) = await _contentExtractionAgent.ExtractContentAsync(videoUrl, cancellationToken);
+            var (metadata, chunks) = await _contentExtractionAgent.ExtractContentAsync(videoUrl, progress, cancellationToken);
 
             // Extract video ID from the result (we'll need to modify this based on actual implementation)
             // For now, we'll assume the video URL contains the ID or we can extract it from metadata
@@ -99,10 +101,14 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
     /// Generates a summary for the specified video.
     /// </summary>
     /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The generated summary text.</returns>
     public async Task<string> GenerateSummaryAsync(
         string videoId, 
+        string? providerName,
+        string? modelId,
         CancellationToken cancellationToken = default)
     {
         try
@@ -118,7 +124,7 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
             }
 
             // Generate summary using the analysis agent
-            var summary = await _analysisAgent.GenerateSummaryAsync(videoId, cancellationToken);
+            var summary = await _analysisAgent.GenerateSummaryAsync(videoId, providerName, modelId, cancellationToken);
 
             _logger.LogInformation("Successfully generated summary for video: {VideoId}", videoId);
             return summary;
@@ -130,16 +136,131 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
         }
     }
 
+    /// <summary>
+    /// Writes a new summary of the specified video in the requested style.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to summarize.</param>
+    /// <param name="options">The style, target length and language of the summary.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    public async Task<string> RegenerateSummaryAsync(
+        string videoId,
+        SummaryOptions options,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            _logger.LogInformation("Regenerating summary for video: {VideoId}", videoId);
+
+            // Check if video exists
+            var videoExists = await _videoCacheService.VideoExistsAsync(videoId, cancellationToken);
+            if (!videoExists)
+            {
+                _logger.LogWarning("Video not found for ID: {VideoId}", videoId);
+                throw new InvalidOperationException($"Video not found for ID: {videoId}");
+            }
+
+            return await _analysisAgent.RegenerateSummaryAsync(videoId, options, providerName, modelId, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error regenerating summary for video: {VideoId}", videoId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Divides the specified video into chapters, reusing the cached chapters if there are any.
+    /// </summary>
+    /// <param name="videoId">The ID of the video to divide.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The chapters in order.</returns>
+    public async Task<IReadOnlyList<VideoChapter>> GenerateChaptersAsync(
+        string videoId,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            _logger.LogInformation("Generating chapters for video: {VideoId}", videoId);
+
+            // Check if video exists
+            var videoExists = await _videoCacheService.VideoExistsAsync(videoId, cancellationToken);
+            if (!videoExists)
+            {
+                _logger.LogWarning("Video not found for ID: {VideoId}", videoId);
+                throw new InvalidOperationException($"Video not found for ID: {videoId}");
+            }
+
+            return await _analysisAgent.GenerateChaptersAsync(videoId, providerName, modelId, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error generating chapters for video: {VideoId}", videoId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Writes a detailed summary of one chapter of the specified video.
+    /// </summary>
+    /// <param name="videoId">The ID of the video.</param>
+    /// <param name="chapter">The chapter to summarize.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The generated summary text.</returns>
+    public async Task<string> SummarizeChapterAsync(
+        string videoId,
+        VideoChapter chapter,
+        string? providerName,
+        string? modelId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            _logger.LogInformation("Summarizing chapter of video: {VideoId}", videoId);
+
+            // Check if video exists
+            var videoExists = await _videoCacheService.VideoExistsAsync(videoId, cancellationToken);
+            if (!videoExists)
+            {
+                _logger.LogWarning("Video not found for ID: {VideoId}", videoId);
+                throw new InvalidOperationException($"Video not found for ID: {videoId}");
+            }
+
+            return await _analysisAgent.SummarizeChapterAsync(videoId, chapter, providerName, modelId, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error summarizing chapter of video: {VideoId}", videoId);
+            throw;
+        }
+    }
+
     /// <summary>
     /// Answers a question about the video content.
     /// </summary>
     /// <param name="videoId">The ID of the video.</param>
     /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="questionId">The ID the question was stored under, whose branch is the context; null if unknown.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A streaming response with the answer.</returns>
     public async IAsyncEnumerable<string> AnswerQuestionAsync(
         string videoId,
         string question,
+        string? providerName,
+        string? modelId,
+        string? questionId,
         [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken = default)
     {
         _logger.LogInformation("Answering question for video: {VideoId}, Question: {Question}", videoId, question);
@@ -153,7 +274,7 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
         }
 
         // Answer question using the question answering agent
-        await foreach (var response in _questionAnsweringAgent.AnswerQuestionAsync(videoId, question, cancellationToken))
+        await foreach (var response in _questionAnsweringAgent.AnswerQuestionAsync(videoId, question, providerName, modelId, questionId, cancellationToken))
         {
             yield return response;
         }
@@ -161,6 +282,44 @@ public class YouTubeOrchestratorAgent : IYouTubeOrchestrator
         _logger.LogInformation("Successfully answered question for video: {VideoId}", videoId);
     }
 
+    /// <summary>
+    /// Answers a question across the content of several videos.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos, in the order their citation labels are assigned (V1, V2, ...).</param>
+    /// <param name="question">The question to answer.</param>
+    /// <param name="providerName">The provider to use, or null for the default provider.</param>
+    /// <param name="modelId">The model to use, or null for the provider's first model.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A streaming response with the answer.</returns>
+    public async IAsyncEnumerable<string> AnswerQuestionAcrossVideosAsync(
+        IReadOnlyList<string> videoIds,
+        string question,
+        string? providerName,
+        string? modelId,
+        [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Answering question across videos: {VideoIds}, Question: {Question}", string.Join(", ", videoIds), question);
+
+        // Check that every video exists
+        foreach (var videoId in videoIds)
+        {
+            var videoExists = await _videoCacheService.VideoExistsAsync(videoId, cancellationToken);
+            if (!videoExists)
+            {
+                _logger.LogWarning("Video not found for ID: {VideoId}", videoId);
+                throw new InvalidOperationException($"Video not found for ID: {videoId}");
+            }
+        }
+
+        // Answer question using the question answering agent
+        await foreach (var response in _questionAnsweringAgent.AnswerQuestionAcrossVideosAsync(videoIds, question, providerName, modelId, cancellationToken))
+        {
+            yield return response;
+        }
+
+        _logger.LogInformation("Successfully answered question across {VideoCount} videos", videoIds.Count);
+    }
+
     /// <summary>
     /// Extracts video ID from YouTube URL.
     /// </summary>
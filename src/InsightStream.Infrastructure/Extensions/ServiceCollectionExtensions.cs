@@ -31,12 +31,24 @@ public static class ServiceCollectionExtensions
         // Register chat client factory
         services.AddSingleton<IChatClientFactory, ChatClientFactory>();
 
+        // Register model catalog service (lists the providers and models clients may pick)
+        services.AddSingleton<IModelCatalogService, ModelCatalogService>();
+
         // Register YouTube transcript service
         services.AddSingleton<IYouTubeTranscriptService, YouTubeTranscriptService>();
 
+        // Register YouTube playlist service
+        services.AddSingleton<IYouTubePlaylistService, YouTubePlaylistService>();
+
         // Register video cache service
         services.AddSingleton<IVideoCacheService, VideoCacheService>();
 
+        // Register answer citation service
+        services.AddSingleton<IAnswerCitationService, AnswerCitationService>();
+
+        // Register answer stream registry (keeps streamed answers resumable across reconnects)
+        services.AddSingleton<IAnswerStreamRegistry, AnswerStreamRegistry>();
+
         // Register agents (Scoped lifetime)
         services.AddScoped<IYouTubeOrchestrator, YouTubeOrchestratorAgent>();
         services.AddScoped<IContentExtractionAgent, ContentExtractionAgent>();
@@ -45,6 +57,7 @@ public static class ServiceCollectionExtensions
 
         // Register use cases (Scoped lifetime)
         services.AddScoped<ProcessYouTubeRequestUseCase>();
+        services.AddScoped<ResolvePlaylistUseCase>();
 
         return services;
     }
@@ -0,0 +1,140 @@
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Models;
+using InsightStream.Infrastructure.Agents;
+
+namespace InsightStream.Infrastructure.Services;
+
+/// <summary>
+/// Service implementation that links answer citations to the transcript chunks of the cached video sessions.
+/// </summary>
+public sealed class AnswerCitationService : IAnswerCitationService
+{
+    // Most chunks attached to one citation, so a wide range does not resend the whole transcript
+    private const int MaxChunksPerCitation = 5;
+
+    // Longest excerpt sent for a chunk; the rest is available in the transcript itself
+    private const int MaxExcerptLength = 400;
+
+    private readonly IVideoCacheService _videoCacheService;
+    private readonly ILogger<AnswerCitationService> _logger;
+
+    public AnswerCitationService(IVideoCacheService videoCacheService, ILogger<AnswerCitationService> logger)
+    {
+        _videoCacheService = videoCacheService ?? throw new ArgumentNullException(nameof(videoCacheService));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<AnswerCitation>> ResolveCitationsAsync(
+        IReadOnlyList<string> videoIds,
+        string answer,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(videoIds);
+        ArgumentNullException.ThrowIfNull(answer);
+
+        var citations = TranscriptPromptFormatter.ExtractCitations(answer);
+        var sessions = new Dictionary<string, VideoSession?>(StringComparer.Ordinal);
+        var resolved = new List<AnswerCitation>(citations.Count);
+
+        foreach (var citation in citations)
+        {
+            var videoId = ResolveVideoId(videoIds, citation.VideoLabel);
+            if (videoId is null)
+            {
+                _logger.LogDebug("Citation {Label} does not match any of the {VideoCount} videos", citation.Label, videoIds.Count);
+                resolved.Add(citation);
+                continue;
+            }
+
+            if (!sessions.TryGetValue(videoId, out var session))
+            {
+                session = await _videoCacheService.GetVideoSessionAsync(videoId, cancellationToken);
+                sessions[videoId] = session;
+            }
+
+            resolved.Add(citation with
+            {
+                VideoId = videoId,
+                Chunks = session is null
+                    ? Array.Empty<CitedChunk>()
+                    : FindCitedChunks(session.Chunks, citation.Start, citation.End)
+            });
+        }
+
+        return resolved;
+    }
+
+    /// <summary>
+    /// Finds the video a citation refers to.
+    /// </summary>
+    /// <param name="videoIds">The IDs of the videos, in citation-label order.</param>
+    /// <param name="videoLabel">The citation's video label (V1, V2, ...), or null for a single-video citation.</param>
+    /// <returns>The video ID, or null if the label does not match a video.</returns>
+    private static string? ResolveVideoId(IReadOnlyList<string> videoIds, string? videoLabel)
+    {
+        if (videoLabel is null)
+        {
+            // Timestamps without a label are only unambiguous when the answer is about one video
+            return videoIds.Count == 1 ? videoIds[0] : null;
+        }
+
+        if (!int.TryParse(videoLabel.AsSpan(1), NumberStyles.None, CultureInfo.InvariantCulture, out var number) ||
+            number < 1 || number > videoIds.Count)
+        {
+            return null;
+        }
+
+        return videoIds[number - 1];
+    }
+
+    /// <summary>
+    /// Finds the chunks a cited position or range falls in.
+    /// Chunks overlap, so a position belongs to the latest chunk that starts at or before it,
+    /// and a range also includes the later chunks that lie entirely inside it.
+    /// </summary>
+    /// <param name="chunks">The transcript chunks of the video.</param>
+    /// <param name="start">The cited position.</param>
+    /// <param name="end">The end of the cited range, if any.</param>
+    /// <returns>The cited chunks in transcript order.</returns>
+    private static IReadOnlyList<CitedChunk> FindCitedChunks(IReadOnlyList<TranscriptChunk> chunks, TimeSpan start, TimeSpan? end)
+    {
+        var ordered = chunks.OrderBy(c => c.StartTime).ToList();
+        var first = ordered.LastOrDefault(c => c.StartTime <= start) ?? ordered.FirstOrDefault();
+        if (first is null)
+        {
+            return Array.Empty<CitedChunk>();
+        }
+
+        return ordered
+            .Where(c => c == first || (end is not null && c.StartTime > first.StartTime && c.EndTime <= end))
+            .Take(MaxChunksPerCitation)
+            .Select(c => new CitedChunk
+            {
+                ChunkIndex = c.ChunkIndex,
+                StartTime = c.StartTime,
+                EndTime = c.EndTime,
+                Excerpt = CreateExcerpt(c.Text)
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Shortens chunk text to an excerpt, cutting at a word boundary.
+    /// </summary>
+    /// <param name="text">The chunk text.</param>
+    /// <returns>The excerpt.</returns>
+    private static string CreateExcerpt(string text)
+    {
+        if (text.Length <= MaxExcerptLength)
+        {
+            return text;
+        }
+
+        var cut = text.LastIndexOf(' ', MaxExcerptLength);
+        return $"{text[..(cut > 0 ? cut : MaxExcerptLength)].TrimEnd()}…";
+    }
+}
\ No newline at end of file
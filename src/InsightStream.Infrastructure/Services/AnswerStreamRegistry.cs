@@ -0,0 +1,317 @@
+using System.Collections.Concurrent;
+using System.Runtime.CompilerServices;
+using System.Text;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Exceptions;
+
+namespace InsightStream.Infrastructure.Services;
+
+/// <summary>
+/// Runs streamed answers in the background and keeps their events in memory.
+/// An answer keeps generating while no client is reading it for a short grace period,
+/// so a client whose connection dropped can reconnect and resume where it left off.
+/// </summary>
+public sealed class AnswerStreamRegistry : IAnswerStreamRegistry
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<AnswerStreamRegistry> _logger;
+    private readonly TimeSpan _reconnectGracePeriod;
+    private readonly TimeSpan _retention;
+    private readonly ConcurrentDictionary<string, AnswerStream> _streams = new(StringComparer.Ordinal);
+
+    public AnswerStreamRegistry(
+        IServiceScopeFactory scopeFactory,
+        ILogger<AnswerStreamRegistry> logger,
+        TimeSpan? reconnectGracePeriod = null,
+        TimeSpan? retention = null)
+    {
+        _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        _reconnectGracePeriod = reconnectGracePeriod ?? TimeSpan.FromSeconds(30);
+        _retention = retention ?? TimeSpan.FromMinutes(2);
+    }
+
+    /// <inheritdoc />
+    public IAnswerStream Start(
+        IReadOnlyList<string> videoIds,
+        Func<IServiceProvider, CancellationToken, IAsyncEnumerable<string>> producer)
+    {
+        ArgumentNullException.ThrowIfNull(videoIds);
+        ArgumentNullException.ThrowIfNull(producer);
+
+        var stream = new AnswerStream(Guid.NewGuid().ToString("N"), this);
+        _streams[stream.Id] = stream;
+
+        _ = Task.Run(() => RunAsync(stream, videoIds, producer));
+
+        _logger.LogDebug("Started answer stream {StreamId}", stream.Id);
+        return stream;
+    }
+
+    /// <inheritdoc />
+    public IAnswerStream? Find(string streamId)
+    {
+        ArgumentNullException.ThrowIfNull(streamId);
+
+        return _streams.TryGetValue(streamId, out var stream) ? stream : null;
+    }
+
+    /// <inheritdoc />
+    public bool Cancel(string streamId)
+    {
+        ArgumentNullException.ThrowIfNull(streamId);
+
+        if (!_streams.TryGetValue(streamId, out var stream))
+        {
+            return false;
+        }
+
+        stream.Cancel();
+        _logger.LogInformation("Answer stream {StreamId} cancelled by client", streamId);
+        return true;
+    }
+
+    /// <summary>
+    /// Produces the answer and records its token, citation, error and done events.
+    /// </summary>
+    /// <param name="stream">The stream to write to.</param>
+    /// <param name="videoIds">The IDs of the videos the answer cites, in citation-label order.</param>
+    /// <param name="producer">Produces the answer text.</param>
+    private async Task RunAsync(
+        AnswerStream stream,
+        IReadOnlyList<string> videoIds,
+        Func<IServiceProvider, CancellationToken, IAsyncEnumerable<string>> producer)
+    {
+        var cancellationToken = stream.CancellationToken;
+        var answer = new StringBuilder();
+
+        try
+        {
+            await using var scope = _scopeFactory.CreateAsyncScope();
+
+            await foreach (var chunk in producer(scope.ServiceProvider, cancellationToken).WithCancellation(cancellationToken))
+            {
+                answer.Append(chunk);
+                stream.Append(AnswerStreamEventTypes.Token, new { content = chunk });
+            }
+
+            foreach (var citation in await ResolveCitationsAsync(scope.ServiceProvider, stream, videoIds, answer.ToString(), cancellationToken))
+            {
+                stream.Append(AnswerStreamEventTypes.Citation, citation);
+            }
+
+            stream.Append(AnswerStreamEventTypes.Done, new { });
+            _logger.LogDebug("Answer stream {StreamId} completed", stream.Id);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Answer stream {StreamId} stopped before it finished", stream.Id);
+        }
+        catch (VideoSessionNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Answer stream {StreamId} needs a session for video {VideoId}", stream.Id, ex.VideoId);
+            stream.Append(AnswerStreamEventTypes.Error, new
+            {
+                message = ex.Message,
+                code = AnswerStreamErrorCodes.SessionNotFound,
+                videoId = ex.VideoId
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error while producing answer stream {StreamId}", stream.Id);
+            stream.Append(AnswerStreamEventTypes.Error, new { message = ex.Message });
+        }
+        finally
+        {
+            stream.Complete();
+            ScheduleRemoval(stream);
+        }
+    }
+
+    /// <summary>
+    /// Links the answer's citations to transcript chunks. The answer is complete at this point,
+    /// so a failure only costs the citations.
+    /// </summary>
+    /// <param name="services">The services of the stream's scope.</param>
+    /// <param name="stream">The stream the answer belongs to.</param>
+    /// <param name="videoIds">The IDs of the videos the answer cites, in citation-label order.</param>
+    /// <param name="answer">The complete answer text.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The citations, or none if they could not be resolved.</returns>
+    private async Task<IReadOnlyList<AnswerCitation>> ResolveCitationsAsync(
+        IServiceProvider services,
+        AnswerStream stream,
+        IReadOnlyList<string> videoIds,
+        string answer,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            return await services.GetRequiredService<IAnswerCitationService>()
+                .ResolveCitationsAsync(videoIds, answer, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Failed to resolve citations for answer stream {StreamId}", stream.Id);
+            return Array.Empty<AnswerCitation>();
+        }
+    }
+
+    /// <summary>
+    /// Forgets a finished stream once clients have had time to read its last events.
+    /// </summary>
+    /// <param name="stream">The finished stream.</param>
+    private void ScheduleRemoval(AnswerStream stream)
+    {
+        _ = Task.Delay(_retention).ContinueWith(
+            _ => _streams.TryRemove(stream.Id, out AnswerStream? _),
+            TaskScheduler.Default);
+    }
+
+    /// <summary>
+    /// Cancels a stream that nobody has read for the whole grace period.
+    /// </summary>
+    /// <param name="stream">The stream without readers.</param>
+    /// <param name="detachCount">The number of times a reader had detached when the stream lost its last reader.</param>
+    private void ScheduleAbandonCheck(AnswerStream stream, int detachCount)
+    {
+        _ = Task.Delay(_reconnectGracePeriod).ContinueWith(
+            _ =>
+            {
+                if (stream.IsAbandonedSince(detachCount))
+                {
+                    _logger.LogInformation("Answer stream {StreamId} abandoned; no client reconnected", stream.Id);
+                    stream.Cancel();
+                }
+            },
+            TaskScheduler.Default);
+    }
+
+    /// <summary>
+    /// Events of one answer, readable from any position by any number of clients.
+    /// </summary>
+    private sealed class AnswerStream : IAnswerStream
+    {
+        private readonly object _gate = new();
+        private readonly List<AnswerStreamEvent> _events = new();
+        private readonly CancellationTokenSource _cancellation = new();
+        private readonly AnswerStreamRegistry _registry;
+        private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
+        private bool _completed;
+        private int _readers;
+        private int _detachCount;
+
+        public AnswerStream(string id, AnswerStreamRegistry registry)
+        {
+            Id = id;
+            _registry = registry;
+        }
+
+        public string Id { get; }
+
+        public CancellationToken CancellationToken => _cancellation.Token;
+
+        /// <summary>
+        /// Checks whether the stream is still running without readers and nobody has read it since.
+        /// </summary>
+        public bool IsAbandonedSince(int detachCount)
+        {
+            lock (_gate)
+            {
+                return !_completed && _readers == 0 && _detachCount == detachCount;
+            }
+        }
+
+        public void Append(string type, object data)
+        {
+            lock (_gate)
+            {
+                _events.Add(new AnswerStreamEvent { Sequence = _events.Count + 1, Type = type, Data = data });
+                Signal();
+            }
+        }
+
+        public void Complete()
+        {
+            lock (_gate)
+            {
+                _completed = true;
+                Signal();
+            }
+        }
+
+        public void Cancel() => _cancellation.Cancel();
+
+        public async IAsyncEnumerable<AnswerStreamEvent> ReadAsync(
+            long afterSequence,
+            [EnumeratorCancellation] CancellationToken cancellationToken = default)
+        {
+            lock (_gate)
+            {
+                _readers++;
+            }
+
+            try
+            {
+                var next = afterSequence;
+
+                while (true)
+                {
+                    AnswerStreamEvent[] pending;
+                    Task changed;
+                    bool completed;
+
+                    lock (_gate)
+                    {
+                        pending = _events.Where(e => e.Sequence > next).ToArray();
+                        changed = _changed.Task;
+                        completed = _completed;
+                    }
+
+                    foreach (var streamEvent in pending)
+                    {
+                        yield return streamEvent;
+                        next = streamEvent.Sequence;
+                    }
+
+                    if (pending.Length == 0)
+                    {
+                        if (completed)
+                        {
+                            yield break;
+                        }
+
+                        await changed.WaitAsync(cancellationToken);
+                    }
+                }
+            }
+            finally
+            {
+                bool abandoned;
+                int detachCount;
+                lock (_gate)
+                {
+                    _readers--;
+                    detachCount = ++_detachCount;
+                    abandoned = _readers == 0 && !_completed;
+                }
+
+                if (abandoned)
+                {
+                    _registry.ScheduleAbandonCheck(this, detachCount);
+                }
+            }
+        }
+
+        private void Signal()
+        {
+            var changed = _changed;
+            _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+            changed.TrySetResult();
+        }
+    }
+}
\ No newline at end of file
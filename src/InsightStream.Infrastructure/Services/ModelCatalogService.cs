@@ -0,0 +1,58 @@
+using Microsoft.Extensions.Options;
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using InsightStream.Infrastructure.Configuration;
+
+namespace InsightStream.Infrastructure.Services;
+
+/// <summary>
+/// Service implementation that lists the providers and models from the provider configuration.
+/// Only names and display names are exposed; API keys and endpoints stay on the server.
+/// </summary>
+public sealed class ModelCatalogService : IModelCatalogService
+{
+    private readonly ProvidersConfiguration _providersConfig;
+    private readonly string _defaultProvider;
+
+    public ModelCatalogService(
+        IOptions<ProvidersConfiguration> providersConfig,
+        IOptions<AppConfiguration> appConfig)
+    {
+        _providersConfig = providersConfig.Value;
+        _defaultProvider = appConfig.Value.DefaultProvider;
+    }
+
+    /// <inheritdoc />
+    public ModelCatalogResponse GetCatalog()
+    {
+        // Providers without models cannot serve a request, so they are not offered
+        var providers = (_providersConfig.Providers ?? new Dictionary<string, ProviderSettings>())
+            .Where(provider => provider.Value?.Models is { Count: > 0 })
+            .Select(provider => new ModelProviderResponse
+            {
+                Name = provider.Key,
+                Models = provider.Value.Models
+                    .Where(model => !string.IsNullOrWhiteSpace(model.Id))
+                    .Select(model => new ModelOptionResponse
+                    {
+                        Id = model.Id,
+                        DisplayName = string.IsNullOrWhiteSpace(model.DisplayName) ? model.Id : model.DisplayName
+                    })
+                    .ToList()
+            })
+            .Where(provider => provider.Models.Count > 0)
+            .ToList();
+
+        // The default matches what the chat client factory uses when a request names no model
+        var defaultProvider = providers.FirstOrDefault(p => p.Name == _defaultProvider)
+            ?? throw new InvalidOperationException(
+                $"Default provider '{_defaultProvider}' is not configured or has no models.");
+
+        return new ModelCatalogResponse
+        {
+            DefaultProvider = defaultProvider.Name,
+            DefaultModel = defaultProvider.Models[0].Id,
+            Providers = providers
+        };
+    }
+}
\ No newline at end of file
@@ -96,7 +96,9 @@ public sealed class VideoCacheService : IVideoCacheService, IDisposable
                     Metadata = session.Metadata,
                     Chunks = session.Chunks,
                     Summary = summary,
-                    ConversationHistory = new List<ConversationMessage>(session.ConversationHistory)
+                    Chapters = session.Chapters,
+                    ConversationHistory = new List<ConversationMessage>(session.ConversationHistory),
+                    ConversationClearedAt = session.ConversationClearedAt
                 };
                 
                 _cache.Set(cacheKey, updatedSession, _cacheOptions);
@@ -113,6 +115,48 @@ public sealed class VideoCacheService : IVideoCacheService, IDisposable
         }
     }
 
+    /// <inheritdoc />
+    public async Task UpdateChaptersAsync(string videoId, IReadOnlyList<VideoChapter> chapters, CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(videoId);
+        ArgumentNullException.ThrowIfNull(chapters);
+        
+        // Get or create a semaphore for this video ID to ensure thread safety
+        var semaphore = _semaphores.GetOrAdd(videoId, _ => new SemaphoreSlim(1, 1));
+        
+        await semaphore.WaitAsync(cancellationToken);
+        try
+        {
+            var cacheKey = GetCacheKey(videoId);
+            
+            if (_cache.TryGetValue(cacheKey, out VideoSession? session) && session != null)
+            {
+                // Create a copy with updated chapters to ensure thread safety
+                var updatedSession = new VideoSession
+                {
+                    VideoId = session.VideoId,
+                    Metadata = session.Metadata,
+                    Chunks = session.Chunks,
+                    Summary = session.Summary,
+                    Chapters = chapters,
+                    ConversationHistory = new List<ConversationMessage>(session.ConversationHistory),
+                    ConversationClearedAt = session.ConversationClearedAt
+                };
+                
+                _cache.Set(cacheKey, updatedSession, _cacheOptions);
+                _logger.LogInformation("Updated chapters for video session: {VideoId}", videoId);
+                return;
+            }
+            
+            _logger.LogWarning("Attempted to update chapters for non-existent video session: {VideoId}", videoId);
+            throw new InvalidOperationException($"Video session with ID '{videoId}' not found in cache.");
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
     /// <inheritdoc />
     public async Task AddConversationMessageAsync(string videoId, ConversationMessage message, CancellationToken cancellationToken = default)
     {
@@ -142,7 +186,9 @@ public sealed class VideoCacheService : IVideoCacheService, IDisposable
                     Metadata = session.Metadata,
                     Chunks = session.Chunks,
                     Summary = session.Summary,
-                    ConversationHistory = updatedConversationHistory
+                    Chapters = session.Chapters,
+                    ConversationHistory = updatedConversationHistory,
+                    ConversationClearedAt = session.ConversationClearedAt
                 };
                 
                 _cache.Set(cacheKey, updatedSession, _cacheOptions);
@@ -159,6 +205,105 @@ public sealed class VideoCacheService : IVideoCacheService, IDisposable
         }
     }
 
+    /// <inheritdoc />
+    public async Task<bool> MergeConversationAsync(
+        string videoId,
+        IReadOnlyList<ConversationMessage> messages,
+        DateTimeOffset? clearedAt,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(videoId);
+        ArgumentNullException.ThrowIfNull(messages);
+        
+        // Get or create a semaphore for this video ID to ensure thread safety
+        var semaphore = _semaphores.GetOrAdd(videoId, _ => new SemaphoreSlim(1, 1));
+        
+        await semaphore.WaitAsync(cancellationToken);
+        try
+        {
+            var cacheKey = GetCacheKey(videoId);
+            
+            if (_cache.TryGetValue(cacheKey, out VideoSession? session) && session != null)
+            {
+                // Messages from before a clear the caller has not seen would bring the cleared conversation back
+                if (session.ConversationClearedAt is not null && session.ConversationClearedAt != clearedAt)
+                {
+                    _logger.LogDebug("Skipped merging conversation messages cleared since into video session: {VideoId}", videoId);
+                    return false;
+                }
+                
+                // Messages another tab added stay; only the ones this session lacks are appended
+                var knownIds = session.ConversationHistory.Select(m => m.Id).ToHashSet();
+                var updatedConversationHistory = new List<ConversationMessage>(session.ConversationHistory);
+                updatedConversationHistory.AddRange(messages.Where(m => knownIds.Add(m.Id)));
+                
+                // Create a copy with the merged conversation history to ensure thread safety
+                var updatedSession = new VideoSession
+                {
+                    VideoId = session.VideoId,
+                    Metadata = session.Metadata,
+                    Chunks = session.Chunks,
+                    Summary = session.Summary,
+                    Chapters = session.Chapters,
+                    ConversationHistory = updatedConversationHistory,
+                    ConversationClearedAt = session.ConversationClearedAt
+                };
+                
+                _cache.Set(cacheKey, updatedSession, _cacheOptions);
+                _logger.LogDebug("Merged conversation messages into video session: {VideoId}", videoId);
+                return true;
+            }
+            
+            _logger.LogWarning("Attempted to merge conversation messages into non-existent video session: {VideoId}", videoId);
+            throw new InvalidOperationException($"Video session with ID '{videoId}' not found in cache.");
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<DateTimeOffset> ClearConversationAsync(string videoId, CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(videoId);
+        
+        // Get or create a semaphore for this video ID to ensure thread safety
+        var semaphore = _semaphores.GetOrAdd(videoId, _ => new SemaphoreSlim(1, 1));
+        
+        await semaphore.WaitAsync(cancellationToken);
+        try
+        {
+            var cacheKey = GetCacheKey(videoId);
+            
+            if (_cache.TryGetValue(cacheKey, out VideoSession? session) && session != null)
+            {
+                // Create a copy with an empty conversation history to ensure thread safety
+                var updatedSession = new VideoSession
+                {
+                    VideoId = session.VideoId,
+                    Metadata = session.Metadata,
+                    Chunks = session.Chunks,
+                    Summary = session.Summary,
+                    Chapters = session.Chapters,
+                    ConversationHistory = new List<ConversationMessage>(),
+                    ConversationClearedAt = DateTimeOffset.UtcNow
+                };
+                
+                _cache.Set(cacheKey, updatedSession, _cacheOptions);
+                _logger.LogInformation("Cleared conversation history for video session: {VideoId}", videoId);
+                return updatedSession.ConversationClearedAt.Value;
+            }
+            
+            _logger.LogWarning("Attempted to clear conversation history of non-existent video session: {VideoId}", videoId);
+            throw new InvalidOperationException($"Video session with ID '{videoId}' not found in cache.");
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
     /// <summary>
     /// Generates the cache key for a video ID.
     /// </summary>
@@ -0,0 +1,85 @@
+using Microsoft.Extensions.Logging;
+using YoutubeExplode;
+using YoutubeExplode.Common;
+using YoutubeExplode.Exceptions;
+using YoutubeExplode.Playlists;
+using InsightStream.Application.Interfaces.Services;
+
+namespace InsightStream.Infrastructure.Services;
+
+/// <summary>
+/// Service for listing the videos of a YouTube playlist.
+/// </summary>
+public sealed class YouTubePlaylistService : IYouTubePlaylistService
+{
+    private readonly YoutubeClient _youtubeClient;
+    private readonly ILogger<YouTubePlaylistService> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the YouTubePlaylistService class.
+    /// </summary>
+    /// <param name="logger">The logger.</param>
+    public YouTubePlaylistService(ILogger<YouTubePlaylistService> logger)
+    {
+        _youtubeClient = new YoutubeClient();
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Lists the videos of a playlist, in playlist order.
+    /// </summary>
+    /// <param name="playlistUrl">The YouTube playlist URL (or a watch URL with a list parameter).</param>
+    /// <param name="maxVideos">The maximum number of videos to return.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>The playlist title and its videos.</returns>
+    /// <exception cref="ArgumentException">Thrown when the URL is not a playlist URL.</exception>
+    /// <exception cref="InvalidOperationException">Thrown when the playlist is unavailable.</exception>
+    public async Task<PlaylistExtractionResult> GetPlaylistAsync(
+        string playlistUrl,
+        int maxVideos,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxVideos);
+
+        var playlistId = PlaylistId.TryParse(playlistUrl);
+        if (playlistId is null)
+        {
+            throw new ArgumentException(
+                "❌ Invalid YouTube playlist URL. Please provide a link that contains a playlist.",
+                nameof(playlistUrl));
+        }
+
+        try
+        {
+            var playlist = await _youtubeClient.Playlists.GetAsync(playlistId.Value, cancellationToken);
+
+            // Fetch one extra video to know whether the playlist was cut off
+            var videos = await _youtubeClient.Playlists
+                .GetVideosAsync(playlistId.Value, cancellationToken)
+                .CollectAsync(maxVideos + 1);
+
+            return new PlaylistExtractionResult
+            {
+                PlaylistId = playlistId.Value,
+                Title = playlist.Title,
+                IsTruncated = videos.Count > maxVideos,
+                Videos = videos
+                    .Take(maxVideos)
+                    .Select(video => new PlaylistVideoInfo
+                    {
+                        VideoId = video.Id.Value,
+                        Title = video.Title,
+                        Duration = video.Duration
+                    })
+                    .ToList()
+            };
+        }
+        catch (PlaylistUnavailableException ex)
+        {
+            _logger.LogWarning(ex, "Playlist {PlaylistId} is unavailable", playlistId.Value);
+            throw new InvalidOperationException(
+                "❌ Playlist is unavailable. It may be private or deleted.",
+                ex);
+        }
+    }
+}
\ No newline at end of file
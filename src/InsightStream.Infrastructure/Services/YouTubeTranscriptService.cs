@@ -32,23 +32,35 @@ public sealed class YouTubeTranscriptService : IYouTubeTranscriptService
     /// Extracts transcript from a YouTube video and chunks it intelligently.
     /// </summary>
     /// <param name="videoUrl">The YouTube video URL.</param>
+    /// <param name="progress">Receives the start and end of the metadata, transcript and chunking stages.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>The video extraction result containing metadata and transcript chunks.</returns>
     public async Task<VideoExtractionResult> ExtractTranscriptAsync(
         string videoUrl, 
+        IProgress<AnalysisProgress>? progress = null,
         CancellationToken cancellationToken = default)
     {
+        progress?.Report(AnalysisProgress.Started(AnalysisConstants.MetadataStage, "Fetching video details"));
+
         // 1. Extract and validate video ID
         var videoId = ExtractVideoId(videoUrl);
         
         // 2. Fetch video metadata
         var metadata = await FetchMetadataAsync(videoId, cancellationToken);
+        progress?.Report(AnalysisProgress.Completed(AnalysisConstants.MetadataStage, metadata.Title));
         
         // 3. Fetch transcript with timestamps
+        progress?.Report(AnalysisProgress.Started(AnalysisConstants.TranscriptStage, "Downloading captions"));
         var captions = await FetchTranscriptAsync(videoId, cancellationToken);
+        progress?.Report(AnalysisProgress.Completed(AnalysisConstants.TranscriptStage, $"{captions.Count} captions downloaded"));
         
         // 4. Chunk transcript with overlap
+        progress?.Report(AnalysisProgress.Started(AnalysisConstants.ChunkingStage, "Splitting the transcript into chunks"));
         var chunks = ChunkTranscript(captions);
+        progress?.Report(AnalysisProgress.Completed(
+            AnalysisConstants.ChunkingStage,
+            $"{chunks.Count} transcript chunks",
+            chunks.Count));
         
         // 5. Return result
         return new VideoExtractionResult
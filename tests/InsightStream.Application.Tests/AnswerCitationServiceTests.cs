@@ -0,0 +1,142 @@
+using Microsoft.Extensions.Logging;
+using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Models;
+using InsightStream.Infrastructure.Services;
+using Moq;
+
+namespace InsightStream.Application.Tests;
+
+public class AnswerCitationServiceTests
+{
+    private readonly Mock<IVideoCacheService> _mockVideoCacheService;
+    private readonly Mock<ILogger<AnswerCitationService>> _mockLogger;
+    private readonly AnswerCitationService _service;
+
+    public AnswerCitationServiceTests()
+    {
+        _mockVideoCacheService = new Mock<IVideoCacheService>();
+        _mockLogger = new Mock<ILogger<AnswerCitationService>>();
+        _service = new AnswerCitationService(_mockVideoCacheService.Object, _mockLogger.Object);
+    }
+
+    #region ResolveCitationsAsync Tests
+
+    [Fact]
+    public async Task ResolveCitationsAsync_WithSectionTimestamp_ShouldAttachChunkContainingIt()
+    {
+        // Arrange
+        SetupSession("test1234567",
+            CreateChunk(0, 0, 100, "Welcome to the talk."),
+            CreateChunk(1, 90, 200, "Now the main topic."),
+            CreateChunk(2, 190, 300, "Closing remarks."));
+
+        // Act
+        var citations = await _service.ResolveCitationsAsync(new[] { "test1234567" }, "It starts at [01:30].");
+
+        // Assert
+        var citation = Assert.Single(citations);
+        Assert.Equal("test1234567", citation.VideoId);
+        var chunk = Assert.Single(citation.Chunks);
+        Assert.Equal(1, chunk.ChunkIndex);
+        Assert.Equal(TimeSpan.FromSeconds(90), chunk.StartTime);
+        Assert.Equal(TimeSpan.FromSeconds(200), chunk.EndTime);
+        Assert.Equal("Now the main topic.", chunk.Excerpt);
+    }
+
+    [Fact]
+    public async Task ResolveCitationsAsync_WithRange_ShouldAttachChunksInsideRangeButNotOverlappingNeighbours()
+    {
+        // Arrange
+        SetupSession("test1234567",
+            CreateChunk(0, 0, 100, "Intro."),
+            CreateChunk(1, 90, 200, "Middle."),
+            CreateChunk(2, 190, 300, "End."));
+
+        // Act
+        var citations = await _service.ResolveCitationsAsync(new[] { "test1234567" }, "See [00:00 - 03:20].");
+
+        // Assert
+        var citation = Assert.Single(citations);
+        Assert.Equal(new[] { 0, 1 }, citation.Chunks.Select(c => c.ChunkIndex));
+    }
+
+    [Fact]
+    public async Task ResolveCitationsAsync_WithVideoLabels_ShouldUseVideoAtLabelPosition()
+    {
+        // Arrange
+        SetupSession("first123456", CreateChunk(0, 0, 100, "First video."));
+        SetupSession("second12345", CreateChunk(0, 0, 100, "Second video."));
+
+        // Act
+        var citations = await _service.ResolveCitationsAsync(
+            new[] { "first123456", "second12345" }, "Both agree [V2 00:30] and [V1 00:10].");
+
+        // Assert
+        Assert.Equal(new[] { "second12345", "first123456" }, citations.Select(c => c.VideoId));
+        Assert.Equal("Second video.", citations[0].Chunks.Single().Excerpt);
+    }
+
+    [Fact]
+    public async Task ResolveCitationsAsync_WithUnknownVideoLabel_ShouldKeepCitationWithoutChunks()
+    {
+        // Act
+        var citations = await _service.ResolveCitationsAsync(new[] { "first123456" }, "See [V3 00:30].");
+
+        // Assert
+        var citation = Assert.Single(citations);
+        Assert.Null(citation.VideoId);
+        Assert.Empty(citation.Chunks);
+        _mockVideoCacheService.Verify(x => x.GetVideoSessionAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ResolveCitationsAsync_WithLongChunk_ShouldShortenExcerptAtWordBoundary()
+    {
+        // Arrange
+        var text = string.Join(" ", Enumerable.Repeat("word", 200));
+        SetupSession("test1234567", CreateChunk(0, 0, 100, text));
+
+        // Act
+        var citations = await _service.ResolveCitationsAsync(new[] { "test1234567" }, "[00:10]");
+
+        // Assert
+        var excerpt = citations.Single().Chunks.Single().Excerpt;
+        Assert.True(excerpt.Length <= 401);
+        Assert.EndsWith("word…", excerpt);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private void SetupSession(string videoId, params TranscriptChunk[] chunks)
+    {
+        _mockVideoCacheService
+            .Setup(x => x.GetVideoSessionAsync(videoId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new VideoSession
+            {
+                VideoId = videoId,
+                Metadata = new VideoMetadata
+                {
+                    Title = "Test Video",
+                    Channel = "Test Channel",
+                    Duration = TimeSpan.FromMinutes(10)
+                },
+                Chunks = chunks,
+                ConversationHistory = new List<ConversationMessage>()
+            });
+    }
+
+    private static TranscriptChunk CreateChunk(int index, int startSeconds, int endSeconds, string text)
+    {
+        return new TranscriptChunk
+        {
+            Text = text,
+            StartTime = TimeSpan.FromSeconds(startSeconds),
+            EndTime = TimeSpan.FromSeconds(endSeconds),
+            ChunkIndex = index
+        };
+    }
+
+    #endregion
+}
\ No newline at end of file
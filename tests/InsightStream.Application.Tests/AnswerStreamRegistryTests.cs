@@ -0,0 +1,292 @@
+using System.Runtime.CompilerServices;
+using System.Text.Json;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using InsightStream.Application.DTOs;
+using InsightStream.Application.Interfaces.Services;
+using InsightStream.Domain.Exceptions;
+using InsightStream.Infrastructure.Services;
+using Moq;
+
+namespace InsightStream.Application.Tests;
+
+public class AnswerStreamRegistryTests
+{
+    private static readonly TimeSpan ReadTimeout = TimeSpan.FromSeconds(5);
+
+    private static readonly string[] VideoIds = { "test1234567" };
+
+    private readonly Mock<IAnswerCitationService> _mockCitationService;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly Mock<ILogger<AnswerStreamRegistry>> _mockLogger;
+
+    public AnswerStreamRegistryTests()
+    {
+        _mockCitationService = new Mock<IAnswerCitationService>();
+        _mockCitationService
+            .Setup(x => x.ResolveCitationsAsync(It.IsAny<IReadOnlyList<string>>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Array.Empty<AnswerCitation>());
+
+        _scopeFactory = new ServiceCollection()
+            .AddSingleton(_mockCitationService.Object)
+            .BuildServiceProvider()
+            .GetRequiredService<IServiceScopeFactory>();
+        _mockLogger = new Mock<ILogger<AnswerStreamRegistry>>();
+    }
+
+    #region Start Tests
+
+    [Fact]
+    public async Task Start_ShouldRecordTokenEventsFollowedByDone()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+
+        // Act
+        var stream = registry.Start(VideoIds, (_, token) => Produce(token, "Hello", " world"));
+        var events = await ReadAllAsync(stream);
+
+        // Assert
+        Assert.Equal(new[] { "token", "token", "done" }, events.Select(e => e.Type));
+        Assert.Equal(new long[] { 1, 2, 3 }, events.Select(e => e.Sequence));
+        Assert.Contains("\"content\":\" world\"", JsonSerializer.Serialize(events[1].Data));
+    }
+
+    [Fact]
+    public async Task Start_WithTimestampsInAnswer_ShouldSendResolvedCitationEventsBeforeDone()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+        var citations = new[]
+        {
+            new AnswerCitation { Label = "04:35", Start = TimeSpan.FromSeconds(275) },
+            new AnswerCitation { Label = "10:00", Start = TimeSpan.FromMinutes(10) }
+        };
+        _mockCitationService
+            .Setup(x => x.ResolveCitationsAsync(VideoIds, "See [04:35] and [10:00].", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(citations);
+
+        // Act
+        var stream = registry.Start(VideoIds, (_, token) => Produce(token, "See [04:", "35] and [10:00]."));
+        var events = await ReadAllAsync(stream);
+
+        // Assert
+        Assert.Equal(new[] { "token", "token", "citation", "citation", "done" }, events.Select(e => e.Type));
+        Assert.Same(citations[0], events[2].Data);
+    }
+
+    [Fact]
+    public async Task Start_WhenCitationsCannotBeResolved_ShouldStillSendDone()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+        _mockCitationService
+            .Setup(x => x.ResolveCitationsAsync(It.IsAny<IReadOnlyList<string>>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Cache unavailable"));
+
+        // Act
+        var stream = registry.Start(VideoIds, (_, token) => Produce(token, "See [04:35]."));
+        var events = await ReadAllAsync(stream);
+
+        // Assert
+        Assert.Equal(new[] { "token", "done" }, events.Select(e => e.Type));
+    }
+
+    [Fact]
+    public async Task Start_WhenProducerThrows_ShouldEndWithErrorEvent()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+
+        // Act
+        var stream = registry.Start(VideoIds, (_, token) => ProduceThenThrow(token, "Partial", new InvalidOperationException("Video session not found")));
+        var events = await ReadAllAsync(stream);
+
+        // Assert
+        Assert.Equal(new[] { "token", "error" }, events.Select(e => e.Type));
+        Assert.Contains("Video session not found", JsonSerializer.Serialize(events[1].Data));
+    }
+
+    [Fact]
+    public async Task Start_WhenSessionIsMissing_ShouldSendErrorWithCodeAndVideoId()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+
+        // Act
+        var stream = registry.Start(VideoIds, (_, token) => ProduceThenThrow(token, "Partial", new VideoSessionNotFoundException("test1234567")));
+        var events = await ReadAllAsync(stream);
+
+        // Assert
+        Assert.Equal(new[] { "token", "error" }, events.Select(e => e.Type));
+        using var error = JsonDocument.Parse(JsonSerializer.Serialize(events[1].Data));
+        Assert.Equal(AnswerStreamErrorCodes.SessionNotFound, error.RootElement.GetProperty("code").GetString());
+        Assert.Equal("test1234567", error.RootElement.GetProperty("videoId").GetString());
+    }
+
+    [Fact]
+    public void Find_WithUnknownStreamId_ShouldReturnNull()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+
+        // Act & Assert
+        Assert.Null(registry.Find("unknown"));
+        Assert.False(registry.Cancel("unknown"));
+    }
+
+    #endregion
+
+    #region ReadAsync Tests
+
+    [Fact]
+    public async Task ReadAsync_AfterSequence_ShouldReplayOnlyLaterEvents()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+        var stream = registry.Start(VideoIds, (_, token) => Produce(token, "one", "two", "three"));
+        await ReadAllAsync(stream);
+
+        // Act - A reconnecting client that already received the first two events
+        var resumed = await ReadAllAsync(registry.Find(stream.Id)!, afterSequence: 2);
+
+        // Assert
+        Assert.Equal(new long[] { 3, 4 }, resumed.Select(e => e.Sequence));
+        Assert.Equal(new[] { "token", "done" }, resumed.Select(e => e.Type));
+    }
+
+    [Fact]
+    public async Task ReadAsync_WhenReaderReconnectsWithinGracePeriod_ShouldKeepProducing()
+    {
+        // Arrange
+        var registry = CreateRegistry(reconnectGracePeriod: TimeSpan.FromSeconds(10));
+        var release = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        var stream = registry.Start(VideoIds, (_, token) => ProduceAfter(token, release.Task, "first", "second"));
+
+        using (var disconnect = new CancellationTokenSource())
+        {
+            // Act - Read the first token, then drop the connection
+            await foreach (var _ in stream.ReadAsync(0, disconnect.Token))
+            {
+                disconnect.Cancel();
+                break;
+            }
+        }
+
+        release.SetResult();
+        var resumed = await ReadAllAsync(stream, afterSequence: 1);
+
+        // Assert
+        Assert.Equal(new[] { "token", "done" }, resumed.Select(e => e.Type));
+    }
+
+    [Fact]
+    public async Task ReadAsync_WhenNobodyReconnects_ShouldStopProducingAfterGracePeriod()
+    {
+        // Arrange
+        var registry = CreateRegistry(reconnectGracePeriod: TimeSpan.FromMilliseconds(50));
+        var stopped = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        var stream = registry.Start(VideoIds, (_, token) => ProduceUntilCancelled(token, stopped));
+
+        // Act - Read the first token, then go away
+        await foreach (var _ in stream.ReadAsync(0))
+        {
+            break;
+        }
+
+        // Assert
+        await stopped.Task.WaitAsync(ReadTimeout);
+        var events = await ReadAllAsync(stream);
+        Assert.DoesNotContain(events, e => e.Type == "done");
+    }
+
+    #endregion
+
+    #region Cancel Tests
+
+    [Fact]
+    public async Task Cancel_ShouldStopProducingAndEndStreamWithoutDone()
+    {
+        // Arrange
+        var registry = CreateRegistry();
+        var stopped = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        var stream = registry.Start(VideoIds, (_, token) => ProduceUntilCancelled(token, stopped));
+
+        // Act
+        var result = registry.Cancel(stream.Id);
+
+        // Assert
+        Assert.True(result);
+        await stopped.Task.WaitAsync(ReadTimeout);
+        var events = await ReadAllAsync(stream);
+        Assert.DoesNotContain(events, e => e.Type == "done");
+    }
+
+    #endregion
+
+    #region Helpers
+
+    private AnswerStreamRegistry CreateRegistry(TimeSpan? reconnectGracePeriod = null)
+    {
+        return new AnswerStreamRegistry(_scopeFactory, _mockLogger.Object, reconnectGracePeriod);
+    }
+
+    private static async Task<List<AnswerStreamEvent>> ReadAllAsync(IAnswerStream stream, long afterSequence = 0)
+    {
+        using var timeout = new CancellationTokenSource(ReadTimeout);
+        var events = new List<AnswerStreamEvent>();
+
+        await foreach (var streamEvent in stream.ReadAsync(afterSequence, timeout.Token))
+        {
+            events.Add(streamEvent);
+        }
+
+        return events;
+    }
+
+    private static async IAsyncEnumerable<string> Produce(
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        params string[] chunks)
+    {
+        foreach (var chunk in chunks)
+        {
+            await Task.Yield();
+            cancellationToken.ThrowIfCancellationRequested();
+            yield return chunk;
+        }
+    }
+
+    private static async IAsyncEnumerable<string> ProduceThenThrow(
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        string chunk,
+        Exception exception)
+    {
+        await Task.Yield();
+        yield return chunk;
+        throw exception;
+    }
+
+    private static async IAsyncEnumerable<string> ProduceAfter(
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        Task release,
+        string first,
+        string second)
+    {
+        yield return first;
+        await release.WaitAsync(cancellationToken);
+        yield return second;
+    }
+
+    private static async IAsyncEnumerable<string> ProduceUntilCancelled(
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        TaskCompletionSource stopped)
+    {
+        using var registration = cancellationToken.Register(() => stopped.TrySetResult());
+
+        yield return "Thinking";
+        await Task.Delay(Timeout.Infinite, cancellationToken);
+        yield return "never";
+    }
+
+    #endregion
+}
\ No newline at end of file
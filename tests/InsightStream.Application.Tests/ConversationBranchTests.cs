@@ -0,0 +1,79 @@
+using InsightStream.Domain.Models;
+using InsightStream.Infrastructure.Agents;
+
+namespace InsightStream.Application.Tests;
+
+public class ConversationBranchTests
+{
+    #region GetMessagesBefore Tests
+
+    [Fact]
+    public void GetMessagesBefore_WithSeveralBranches_ShouldReturnOnlyTheQuestionsBranch()
+    {
+        // Arrange
+        var history = new[]
+        {
+            CreateMessage("q1", null, "user", "What happens first?"),
+            CreateMessage("a1", "q1", "assistant", "The first answer."),
+            CreateMessage("a1b", "q1", "assistant", "The regenerated answer."),
+            CreateMessage("q2", "a1", "user", "Asked in another tab."),
+            CreateMessage("q3", "a1b", "user", "And after that?")
+        };
+
+        // Act
+        var messages = ConversationBranch.GetMessagesBefore(history, "q3", "And after that?");
+
+        // Assert
+        Assert.Equal(new[] { "q1", "a1b" }, messages.Select(m => m.Id));
+    }
+
+    [Fact]
+    public void GetMessagesBefore_WithUnknownQuestionId_ShouldDropTheNewestMessageIfItIsTheQuestion()
+    {
+        // Arrange
+        var history = new[]
+        {
+            CreateMessage("q1", null, "user", "What happens first?"),
+            CreateMessage("a1", "q1", "assistant", "The first answer."),
+            CreateMessage("q2", "a1", "user", "And after that?")
+        };
+
+        // Act
+        var messages = ConversationBranch.GetMessagesBefore(history, null, "And after that?");
+
+        // Assert
+        Assert.Equal(new[] { "q1", "a1" }, messages.Select(m => m.Id));
+    }
+
+    [Fact]
+    public void GetMessagesBefore_WithLoopingParentIds_ShouldStopAtTheLoop()
+    {
+        // Arrange
+        var history = new[]
+        {
+            CreateMessage("q1", "a1", "user", "What happens first?"),
+            CreateMessage("a1", "q1", "assistant", "The first answer."),
+            CreateMessage("q2", "a1", "user", "And after that?")
+        };
+
+        // Act
+        var messages = ConversationBranch.GetMessagesBefore(history, "q2", "And after that?");
+
+        // Assert
+        Assert.Equal(new[] { "q1", "a1" }, messages.Select(m => m.Id));
+    }
+
+    #endregion
+
+    private static ConversationMessage CreateMessage(string id, string? parentId, string role, string content)
+    {
+        return new ConversationMessage
+        {
+            Id = id,
+            ParentId = parentId,
+            Role = role,
+            Content = content,
+            Timestamp = DateTimeOffset.UtcNow
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,103 @@
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+using InsightStream.Infrastructure.Configuration;
+using InsightStream.Infrastructure.Services;
+
+namespace InsightStream.Application.Tests;
+
+public class ModelCatalogServiceTests
+{
+    #region GetCatalog Tests
+
+    [Fact]
+    public void GetCatalog_ShouldListProvidersAndModelsWithDefaultFirstModel()
+    {
+        // Arrange
+        var service = CreateService("OpenRouter", new Dictionary<string, ProviderSettings>
+        {
+            ["OpenRouter"] = CreateProvider(("google/gemini-flash", "Gemini Flash"), ("anthropic/claude", "Claude")),
+            ["NanoGPT"] = CreateProvider(("gpt-mini", "GPT Mini"))
+        });
+
+        // Act
+        var catalog = service.GetCatalog();
+
+        // Assert
+        Assert.Equal("OpenRouter", catalog.DefaultProvider);
+        Assert.Equal("google/gemini-flash", catalog.DefaultModel);
+        Assert.Equal(new[] { "OpenRouter", "NanoGPT" }, catalog.Providers.Select(p => p.Name));
+        Assert.Equal(new[] { "Gemini Flash", "Claude" }, catalog.Providers[0].Models.Select(m => m.DisplayName));
+    }
+
+    [Fact]
+    public void GetCatalog_ShouldNotExposeApiKeysOrEndpoints()
+    {
+        // Arrange
+        var service = CreateService("OpenRouter", new Dictionary<string, ProviderSettings>
+        {
+            ["OpenRouter"] = CreateProvider(("google/gemini-flash", "Gemini Flash"))
+        });
+
+        // Act
+        var json = JsonSerializer.Serialize(service.GetCatalog());
+
+        // Assert
+        Assert.DoesNotContain("secret-key", json);
+        Assert.DoesNotContain("https://api.example.com", json);
+    }
+
+    [Fact]
+    public void GetCatalog_ShouldSkipProvidersWithoutModels()
+    {
+        // Arrange
+        var service = CreateService("OpenRouter", new Dictionary<string, ProviderSettings>
+        {
+            ["OpenRouter"] = CreateProvider(("google/gemini-flash", "Gemini Flash")),
+            ["Empty"] = CreateProvider()
+        });
+
+        // Act
+        var catalog = service.GetCatalog();
+
+        // Assert
+        var provider = Assert.Single(catalog.Providers);
+        Assert.Equal("OpenRouter", provider.Name);
+    }
+
+    [Fact]
+    public void GetCatalog_WhenDefaultProviderMissing_ShouldThrowInvalidOperationException()
+    {
+        // Arrange
+        var service = CreateService("Missing", new Dictionary<string, ProviderSettings>
+        {
+            ["OpenRouter"] = CreateProvider(("google/gemini-flash", "Gemini Flash"))
+        });
+
+        // Act & Assert
+        var exception = Assert.Throws<InvalidOperationException>(() => service.GetCatalog());
+        Assert.Contains("Missing", exception.Message);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static ModelCatalogService CreateService(string defaultProvider, Dictionary<string, ProviderSettings> providers)
+    {
+        return new ModelCatalogService(
+            Options.Create(new ProvidersConfiguration { Providers = providers }),
+            Options.Create(new AppConfiguration { DefaultProvider = defaultProvider }));
+    }
+
+    private static ProviderSettings CreateProvider(params (string Id, string DisplayName)[] models)
+    {
+        return new ProviderSettings
+        {
+            ApiKey = "secret-key",
+            Endpoint = "https://api.example.com",
+            Models = models.Select(m => new ModelConfiguration { Id = m.Id, DisplayName = m.DisplayName }).ToList()
+        };
+    }
+
+    #endregion
+}
\ No newline at end of file
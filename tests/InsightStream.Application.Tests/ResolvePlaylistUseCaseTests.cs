@@ -0,0 +1,115 @@
+using Microsoft.Extensions.Logging;
+using InsightStream.Application.DTOs;
+using InsightStream.Application.UseCases;
+using InsightStream.Application.Interfaces.Services;
+using Moq;
+
+namespace InsightStream.Application.Tests;
+
+public class ResolvePlaylistUseCaseTests
+{
+    private readonly Mock<IYouTubePlaylistService> _mockPlaylistService;
+    private readonly Mock<ILogger<ResolvePlaylistUseCase>> _mockLogger;
+    private readonly ResolvePlaylistUseCase _useCase;
+
+    public ResolvePlaylistUseCaseTests()
+    {
+        _mockPlaylistService = new Mock<IYouTubePlaylistService>();
+        _mockLogger = new Mock<ILogger<ResolvePlaylistUseCase>>();
+
+        _useCase = new ResolvePlaylistUseCase(
+            _mockPlaylistService.Object,
+            _mockLogger.Object);
+    }
+
+    #region ResolveAsync Tests
+
+    [Fact]
+    public async Task ResolveAsync_WithValidPlaylist_ShouldReturnVideosInOrderWithWatchUrls()
+    {
+        // Arrange
+        var request = new PlaylistRequest { PlaylistUrl = "https://www.youtube.com/playlist?list=PL123" };
+        var cancellationToken = CancellationToken.None;
+
+        _mockPlaylistService
+            .Setup(x => x.GetPlaylistAsync(request.PlaylistUrl, ResolvePlaylistUseCase.MaxPlaylistVideos, cancellationToken))
+            .ReturnsAsync(new PlaylistExtractionResult
+            {
+                PlaylistId = "PL123",
+                Title = "Test Playlist",
+                IsTruncated = false,
+                Videos = new[]
+                {
+                    new PlaylistVideoInfo { VideoId = "dQw4w9WgXcQ", Title = "First", Duration = TimeSpan.FromMinutes(3) },
+                    new PlaylistVideoInfo { VideoId = "jNQXAC9IVRw", Title = "Second" }
+                }
+            });
+
+        // Act
+        var result = await _useCase.ResolveAsync(request, cancellationToken);
+
+        // Assert
+        Assert.Equal("PL123", result.PlaylistId);
+        Assert.Equal("Test Playlist", result.Title);
+        Assert.False(result.IsTruncated);
+        Assert.Equal(2, result.Videos.Count);
+        Assert.Equal("dQw4w9WgXcQ", result.Videos[0].VideoId);
+        Assert.Equal("https://www.youtube.com/watch?v=dQw4w9WgXcQ", result.Videos[0].VideoUrl);
+        Assert.Equal(TimeSpan.FromMinutes(3), result.Videos[0].Duration);
+        Assert.Equal("jNQXAC9IVRw", result.Videos[1].VideoId);
+        Assert.Null(result.Videos[1].Duration);
+    }
+
+    [Fact]
+    public async Task ResolveAsync_WhenPlaylistIsTruncated_ShouldReportIt()
+    {
+        // Arrange
+        var request = new PlaylistRequest { PlaylistUrl = "https://www.youtube.com/playlist?list=PL123" };
+
+        _mockPlaylistService
+            .Setup(x => x.GetPlaylistAsync(It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new PlaylistExtractionResult
+            {
+                PlaylistId = "PL123",
+                Title = "Long Playlist",
+                IsTruncated = true,
+                Videos = Array.Empty<PlaylistVideoInfo>()
+            });
+
+        // Act
+        var result = await _useCase.ResolveAsync(request, CancellationToken.None);
+
+        // Assert
+        Assert.True(result.IsTruncated);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("   ")]
+    public async Task ResolveAsync_WithEmptyUrl_ShouldThrowArgumentException(string playlistUrl)
+    {
+        // Arrange
+        var request = new PlaylistRequest { PlaylistUrl = playlistUrl };
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => _useCase.ResolveAsync(request, CancellationToken.None));
+        _mockPlaylistService.Verify(x => x.GetPlaylistAsync(It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ResolveAsync_WhenServiceThrows_ShouldPropagateException()
+    {
+        // Arrange
+        var request = new PlaylistRequest { PlaylistUrl = "https://www.youtube.com/playlist?list=PLprivate" };
+
+        _mockPlaylistService
+            .Setup(x => x.GetPlaylistAsync(It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Playlist is unavailable"));
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<InvalidOperationException>(() => _useCase.ResolveAsync(request, CancellationToken.None));
+        Assert.Equal("Playlist is unavailable", exception.Message);
+    }
+
+    #endregion
+}
\ No newline at end of file
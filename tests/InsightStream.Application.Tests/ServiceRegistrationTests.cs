@@ -70,7 +70,11 @@ public class ServiceRegistrationTests
 
         // Infrastructure services
         Assert.NotNull(_serviceProvider.GetService<IYouTubeTranscriptService>());
+        Assert.NotNull(_serviceProvider.GetService<IYouTubePlaylistService>());
         Assert.NotNull(_serviceProvider.GetService<IVideoCacheService>());
+        Assert.NotNull(_serviceProvider.GetService<IAnswerCitationService>());
+        Assert.NotNull(_serviceProvider.GetService<IAnswerStreamRegistry>());
+        Assert.NotNull(_serviceProvider.GetService<IModelCatalogService>());
 
         // Agent services
         Assert.NotNull(_serviceProvider.GetService<IYouTubeOrchestrator>());
@@ -78,8 +82,9 @@ public class ServiceRegistrationTests
         Assert.NotNull(_serviceProvider.GetService<IAnalysisAgent>());
         Assert.NotNull(_serviceProvider.GetService<IQuestionAnsweringAgent>());
 
-        // Use case
+        // Use cases
         Assert.NotNull(_serviceProvider.GetService<ProcessYouTubeRequestUseCase>());
+        Assert.NotNull(_serviceProvider.GetService<ResolvePlaylistUseCase>());
     }
 
     [Fact]
@@ -121,6 +126,23 @@ public class ServiceRegistrationTests
         Assert.Same(cacheService1, cacheService2);
     }
 
+    [Fact]
+    public void AnswerStreamRegistry_ShouldBeSingleton()
+    {
+        // Act - Streams must outlive the request that started them to be resumable
+        IAnswerStreamRegistry registry1;
+        IAnswerStreamRegistry registry2;
+        using (var scope1 = _serviceProvider.CreateScope())
+        using (var scope2 = _serviceProvider.CreateScope())
+        {
+            registry1 = scope1.ServiceProvider.GetRequiredService<IAnswerStreamRegistry>();
+            registry2 = scope2.ServiceProvider.GetRequiredService<IAnswerStreamRegistry>();
+        }
+
+        // Assert
+        Assert.Same(registry1, registry2);
+    }
+
     [Fact]
     public void AgentServices_ShouldBeScoped()
     {
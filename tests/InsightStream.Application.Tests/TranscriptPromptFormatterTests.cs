@@ -0,0 +1,251 @@
+using InsightStream.Domain.Models;
+using InsightStream.Infrastructure.Agents;
+
+namespace InsightStream.Application.Tests;
+
+public class TranscriptPromptFormatterTests
+{
+    #region FormatTimestamp
+
+    [Theory]
+    [InlineData(0, "00:00")]
+    [InlineData(5, "00:05")]
+    [InlineData(65, "01:05")]
+    [InlineData(3599, "59:59")]
+    [InlineData(3600, "1:00:00")]
+    [InlineData(3725, "1:02:05")]
+    [InlineData(36000, "10:00:00")]
+    public void FormatTimestamp_WithPosition_ShouldUseMinutesOrHoursFormat(int seconds, string expected)
+    {
+        // Act
+        var result = TranscriptPromptFormatter.FormatTimestamp(TimeSpan.FromSeconds(seconds));
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Fact]
+    public void FormatTimestamp_WithNegativePosition_ShouldClampToZero()
+    {
+        // Act
+        var result = TranscriptPromptFormatter.FormatTimestamp(TimeSpan.FromSeconds(-10));
+
+        // Assert
+        Assert.Equal("00:00", result);
+    }
+
+    [Fact]
+    public void FormatTimestamp_WithFractionalSeconds_ShouldTruncate()
+    {
+        // Act
+        var result = TranscriptPromptFormatter.FormatTimestamp(TimeSpan.FromMilliseconds(61_900));
+
+        // Assert
+        Assert.Equal("01:01", result);
+    }
+
+    #endregion
+
+    #region FormatTranscript
+
+    [Fact]
+    public void FormatTranscript_WithChunks_ShouldPrefixEachSectionWithTimeRange()
+    {
+        // Arrange
+        var chunks = new List<TranscriptChunk>
+        {
+            new() { Text = "Welcome to the talk.", StartTime = TimeSpan.Zero, EndTime = TimeSpan.FromSeconds(95), ChunkIndex = 0 },
+            new() { Text = "Now the main topic.", StartTime = TimeSpan.FromSeconds(90), EndTime = TimeSpan.FromMinutes(62), ChunkIndex = 1 }
+        };
+
+        // Act
+        var result = TranscriptPromptFormatter.FormatTranscript(chunks);
+
+        // Assert
+        var lines = result.Split(Environment.NewLine, StringSplitOptions.RemoveEmptyEntries);
+        Assert.Equal(2, lines.Length);
+        Assert.Equal("[00:00 - 01:35] Welcome to the talk.", lines[0]);
+        Assert.Equal("[01:30 - 1:02:00] Now the main topic.", lines[1]);
+    }
+
+    [Fact]
+    public void FormatTranscript_WithUnorderedChunks_ShouldOrderByChunkIndex()
+    {
+        // Arrange
+        var chunks = new List<TranscriptChunk>
+        {
+            new() { Text = "Second", StartTime = TimeSpan.FromSeconds(30), EndTime = TimeSpan.FromSeconds(60), ChunkIndex = 1 },
+            new() { Text = "First", StartTime = TimeSpan.Zero, EndTime = TimeSpan.FromSeconds(30), ChunkIndex = 0 }
+        };
+
+        // Act
+        var result = TranscriptPromptFormatter.FormatTranscript(chunks);
+
+        // Assert
+        Assert.True(result.IndexOf("First", StringComparison.Ordinal) < result.IndexOf("Second", StringComparison.Ordinal));
+    }
+
+    [Fact]
+    public void FormatTranscript_WithNoChunks_ShouldReturnEmptyString()
+    {
+        // Act
+        var result = TranscriptPromptFormatter.FormatTranscript(Array.Empty<TranscriptChunk>());
+
+        // Assert
+        Assert.Equal(string.Empty, result);
+    }
+
+    [Fact]
+    public void FormatTranscript_WithNullChunks_ShouldThrowArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => TranscriptPromptFormatter.FormatTranscript(null!));
+    }
+
+    #endregion
+
+    #region FormatVideoLabel
+
+    [Theory]
+    [InlineData(0, "V1")]
+    [InlineData(1, "V2")]
+    [InlineData(9, "V10")]
+    public void FormatVideoLabel_WithIndex_ShouldReturnOneBasedLabel(int index, string expected)
+    {
+        // Act
+        var result = TranscriptPromptFormatter.FormatVideoLabel(index);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Fact]
+    public void FormatVideoLabel_WithNegativeIndex_ShouldThrowArgumentOutOfRangeException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentOutOfRangeException>(() => TranscriptPromptFormatter.FormatVideoLabel(-1));
+    }
+
+    #endregion
+
+    #region ExtractCitations
+
+    [Fact]
+    public void ExtractCitations_WithTimestampsAndRanges_ShouldReturnDistinctCitationsInOrder()
+    {
+        // Arrange
+        var answer = "It starts at [04:35], is repeated at [1:02:03 - 1:03:00] and again at [04:35].";
+
+        // Act
+        var citations = TranscriptPromptFormatter.ExtractCitations(answer);
+
+        // Assert
+        Assert.Equal(2, citations.Count);
+        Assert.Equal("04:35", citations[0].Label);
+        Assert.Equal(TimeSpan.FromSeconds(275), citations[0].Start);
+        Assert.Null(citations[0].End);
+        Assert.Null(citations[0].VideoLabel);
+        Assert.Equal("1:02:03 - 1:03:00", citations[1].Label);
+        Assert.Equal(new TimeSpan(1, 2, 3), citations[1].Start);
+        Assert.Equal(new TimeSpan(1, 3, 0), citations[1].End);
+    }
+
+    [Fact]
+    public void ExtractCitations_WithVideoLabels_ShouldReturnVideoLabel()
+    {
+        // Act
+        var citations = TranscriptPromptFormatter.ExtractCitations("Both agree [V1 00:10] [V2 12:00].");
+
+        // Assert
+        Assert.Equal(new[] { "V1", "V2" }, citations.Select(c => c.VideoLabel));
+        Assert.Equal(TimeSpan.FromMinutes(12), citations[1].Start);
+    }
+
+    [Theory]
+    [InlineData("No citations here.")]
+    [InlineData("Invalid [04:75] and [1:60:00] positions.")]
+    [InlineData("Not a timestamp [4.35] or (04:35).")]
+    public void ExtractCitations_WithoutValidTimestamps_ShouldReturnEmpty(string answer)
+    {
+        // Act
+        var citations = TranscriptPromptFormatter.ExtractCitations(answer);
+
+        // Assert
+        Assert.Empty(citations);
+    }
+
+    #endregion
+
+    #region ParseChapters
+
+    private static List<TranscriptChunk> CreateMinuteChunks(int count) =>
+        Enumerable.Range(0, count)
+            .Select(i => new TranscriptChunk
+            {
+                Text = $"Section {i}",
+                StartTime = TimeSpan.FromMinutes(i),
+                EndTime = TimeSpan.FromMinutes(i) + TimeSpan.FromSeconds(65),
+                ChunkIndex = i
+            })
+            .ToList();
+
+    [Fact]
+    public void ParseChapters_WithChapterLines_ShouldAlignChaptersToSections()
+    {
+        // Arrange
+        var chunks = CreateMinuteChunks(6);
+        var chapterList = """
+            Here are the chapters:
+            [00:30] Intro | Welcome and agenda.
+            - [02:10] **Main idea** | The core argument.
+            [04:05] Q&A | Questions from the audience.
+            """;
+
+        // Act
+        var chapters = TranscriptPromptFormatter.ParseChapters(chapterList, chunks);
+
+        // Assert
+        Assert.Equal(new[] { "Intro", "Main idea", "Q&A" }, chapters.Select(c => c.Title));
+        Assert.Equal(new[] { TimeSpan.Zero, TimeSpan.FromMinutes(2), TimeSpan.FromMinutes(4) }, chapters.Select(c => c.StartTime));
+        Assert.Equal(new[] { TimeSpan.FromMinutes(2), TimeSpan.FromMinutes(4), new TimeSpan(0, 6, 5) }, chapters.Select(c => c.EndTime));
+        Assert.Equal("The core argument.", chapters[1].Summary);
+    }
+
+    [Fact]
+    public void ParseChapters_WithChaptersInSameSection_ShouldKeepTheFirst()
+    {
+        // Act
+        var chapters = TranscriptPromptFormatter.ParseChapters(
+            "[01:05] First | One.\n[01:40] Second | Two.",
+            CreateMinuteChunks(3));
+
+        // Assert
+        var chapter = Assert.Single(chapters);
+        Assert.Equal("First", chapter.Title);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("The video has no clear chapters.")]
+    [InlineData("[04:75] Invalid | Not a timestamp.")]
+    public void ParseChapters_WithoutChapterLines_ShouldReturnEmpty(string chapterList)
+    {
+        // Act
+        var chapters = TranscriptPromptFormatter.ParseChapters(chapterList, CreateMinuteChunks(3));
+
+        // Assert
+        Assert.Empty(chapters);
+    }
+
+    [Fact]
+    public void GetChunksInRange_ShouldReturnOverlappingChunks()
+    {
+        // Act
+        var chunks = TranscriptPromptFormatter.GetChunksInRange(CreateMinuteChunks(6), TimeSpan.FromMinutes(2), TimeSpan.FromMinutes(4));
+
+        // Assert
+        Assert.Equal(new[] { 1, 2, 3 }, chunks.Select(c => c.ChunkIndex));
+    }
+
+    #endregion
+}
@@ -0,0 +1,90 @@
+// API Tests
+// Covers the YouTube URL parsing. Run with `node --test tests/js`; the URL
+// table is shared with the server's VideoId tests, so both parsers accept and reject the same inputs.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseStartTime, parseYouTubeUrl, isValidYouTubeUrl, isPlaylistUrl } from '../../src/InsightStream.Api/wwwroot/js/api.js';
+
+const urlTable = JSON.parse(readFileSync(
+  new URL('../InsightStream.Application.Tests/TestData/youtube-urls.json', import.meta.url),
+  'utf8'
+));
+
+const PLAYLIST_ID = 'PLrAXtmRdnEQy4QGkOL3TQYhSX8ZT3tI4k';
+
+for (const { input, videoId, startSeconds } of urlTable.valid) {
+  test(`parseYouTubeUrl accepts ${JSON.stringify(input)}`, () => {
+    assert.deepEqual(parseYouTubeUrl(input), { videoId, startSeconds });
+    assert.equal(isValidYouTubeUrl(input), true);
+  });
+}
+
+for (const input of urlTable.rejected) {
+  test(`parseYouTubeUrl rejects ${JSON.stringify(input)}`, () => {
+    assert.equal(parseYouTubeUrl(input), null);
+    assert.equal(isValidYouTubeUrl(input), false);
+  });
+}
+
+test('parseYouTubeUrl rejects values that are not strings', () => {
+  for (const input of [null, undefined, 42, {}]) {
+    assert.equal(parseYouTubeUrl(input), null);
+  }
+});
+
+test('parseStartTime reads seconds and h/m/s durations', () => {
+  const cases = [
+    ['90', 90],
+    ['0', 0],
+    ['90s', 90],
+    ['1m30s', 90],
+    ['2m', 120],
+    ['1h', 3600],
+    ['1h2m3s', 3723],
+    ['1h3s', 3603]
+  ];
+
+  for (const [value, expected] of cases) {
+    assert.equal(parseStartTime(value), expected, value);
+  }
+});
+
+test('parseStartTime returns null for absent or invalid values', () => {
+  for (const value of [null, '', 'soon', '1m30', 'h', '-5', '1.5', '1s2m']) {
+    assert.equal(parseStartTime(value), null, String(value));
+  }
+});
+
+test('isPlaylistUrl accepts playlist URLs without a video', () => {
+  const cases = [
+    `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+    `https://www.youtube.com/playlist/?list=${PLAYLIST_ID}`,
+    `https://www.youtube.com/watch?list=${PLAYLIST_ID}`,
+    `https://music.youtube.com/playlist?list=${PLAYLIST_ID}`,
+    `youtube.com/playlist?list=${PLAYLIST_ID}`
+  ];
+
+  for (const url of cases) {
+    assert.equal(isPlaylistUrl(url), true, url);
+  }
+});
+
+test('isPlaylistUrl rejects video URLs and other playlist-like URLs', () => {
+  const cases = [
+    `https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=${PLAYLIST_ID}`,
+    'https://www.youtube.com/playlist',
+    'https://www.youtube.com/playlist?list=',
+    'https://www.youtube.com/playlist?list=bad%20id',
+    `https://youtu.be/playlist?list=${PLAYLIST_ID}`,
+    `https://example.com/playlist?list=${PLAYLIST_ID}`,
+    `https://www.youtube.com/channel?list=${PLAYLIST_ID}`,
+    '',
+    null
+  ];
+
+  for (const url of cases) {
+    assert.equal(isPlaylistUrl(url), false, String(url));
+  }
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Conversation Tests
+// Covers merging another copy of a conversation tree, as done when syncing with the server.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversation, appendMessage, getActivePath, getBranchInfo, mergeConversation } from '../../src/InsightStream.Api/wwwroot/js/conversation.js';
+
+/**
+ * Build a single-branch conversation
+ * @param {Array<[string, string, string]>} messages - ID, role and content of each message, oldest first
+ * @returns {Object} - Conversation
+ */
+function buildConversation(messages) {
+  const conversation = createConversation();
+  let parentId = null;
+  for (const [id, role, content] of messages) {
+    parentId = appendMessage(conversation, parentId, { id, role, content }).id;
+  }
+  return conversation;
+}
+
+/**
+ * Get the IDs of the messages on the active branch
+ * @param {Object} conversation - Conversation to read
+ * @returns {Array<string>} - Message IDs, from the root down
+ */
+function activeIds(conversation) {
+  return getActivePath(conversation).map(message => message.id);
+}
+
+test('merging into an empty conversation copies every message and the branch shown', () => {
+  const target = createConversation();
+  const incoming = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.']]);
+
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 2, conflicts: [] });
+  assert.deepEqual(activeIds(target), ['q1', 'a1']);
+  assert.equal(target.messages.a1.parentId, 'q1');
+});
+
+test('messages after the last one shown continue the branch', () => {
+  const target = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.']]);
+  const incoming = buildConversation([
+    ['q1', 'user', 'Why?'],
+    ['a1', 'assistant', 'Because.'],
+    ['q2', 'user', 'And then?'],
+    ['a2', 'assistant', 'The end.']
+  ]);
+
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 2, conflicts: [] });
+  assert.deepEqual(activeIds(target), ['q1', 'a1', 'q2', 'a2']);
+});
+
+test('messages that fork from the branch shown are added as branches without being shown', () => {
+  const target = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.'], ['q2', 'user', 'How?']]);
+  const incoming = buildConversation([['q1', 'user', 'Why?'], ['a1b', 'assistant', 'Who knows.'], ['q3', 'user', 'Really?']]);
+
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 2, conflicts: [] });
+  assert.deepEqual(activeIds(target), ['q1', 'a1', 'q2']);
+  assert.deepEqual(getBranchInfo(target, 'a1b'), { index: 1, count: 2 });
+  assert.deepEqual(target.children.a1b, ['q3']);
+  assert.equal(target.activeChild.a1b, 'q3');
+});
+
+test('new children keep their order among each other', () => {
+  const target = buildConversation([['q1', 'user', 'Why?']]);
+  const incoming = buildConversation([['q1', 'user', 'Why?']]);
+  appendMessage(incoming, 'q1', { id: 'a1', role: 'assistant', content: 'First.' });
+  appendMessage(incoming, 'q1', { id: 'a2', role: 'assistant', content: 'Second.' });
+
+  mergeConversation(target, incoming);
+
+  assert.deepEqual(target.children.q1, ['a1', 'a2']);
+  assert.equal(target.activeChild.q1, 'a2');
+});
+
+test('messages only this copy has are kept', () => {
+  const target = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.'], ['q2', 'user', 'Local only']]);
+  const incoming = buildConversation([['q1', 'user', 'Why?']]);
+
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 0, conflicts: [] });
+  assert.deepEqual(activeIds(target), ['q1', 'a1', 'q2']);
+});
+
+test('messages whose content or role differs are kept as they are here and reported', () => {
+  const target = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.']]);
+  const incoming = buildConversation([['q1', 'assistant', 'Why?'], ['a1', 'assistant', 'Because, stopped']]);
+
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 0, conflicts: ['q1', 'a1'] });
+  assert.equal(target.messages.q1.role, 'user');
+  assert.equal(target.messages.a1.content, 'Because.');
+});
+
+test('merging the same copy again adds nothing', () => {
+  const target = buildConversation([['q1', 'user', 'Why?']]);
+  const incoming = buildConversation([['q1', 'user', 'Why?'], ['a1', 'assistant', 'Because.']]);
+
+  mergeConversation(target, incoming);
+  const result = mergeConversation(target, incoming);
+
+  assert.deepEqual(result, { added: 0, conflicts: [] });
+  assert.deepEqual(target.children.q1, ['a1']);
+});
+
+test('added messages are copies, not shared with the incoming conversation', () => {
+  const target = createConversation();
+  const incoming = buildConversation([['q1', 'user', 'Why?']]);
+
+  mergeConversation(target, incoming);
+  target.messages.q1.content = 'Edited';
+
+  assert.equal(incoming.messages.q1.content, 'Why?');
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Schema Tests
+// Covers the response schemas: what each accepts, how values are normalized and how errors name the field.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SchemaError, string, integer, number, boolean, timeSpan, optional, arrayOf, object, parse
+} from '../../src/InsightStream.Api/wwwroot/js/schema.js';
+
+/**
+ * Check a value as a field of an object, so errors name it
+ * @param {Function} schema - Schema of the field
+ * @param {*} value - Value of the field
+ * @returns {*} - Normalized value
+ */
+function parseField(schema, value) {
+  return parse(object({ field: schema }), { field: value }).field;
+}
+
+test('string accepts strings, and only non-blank ones when nonEmpty is set', () => {
+  assert.equal(parseField(string(), ''), '');
+  assert.equal(parseField(string({ nonEmpty: true }), 'a'), 'a');
+  assert.throws(() => parseField(string({ nonEmpty: true }), '  '), { message: 'field should be a non-empty string, but was "  "' });
+  assert.throws(() => parseField(string(), 1), SchemaError);
+});
+
+test('integer accepts whole numbers of at least its minimum', () => {
+  assert.equal(parseField(integer({ min: 0 }), 0), 0);
+  assert.throws(() => parseField(integer({ min: 0 }), -1), { message: 'field should be a whole number of at least 0, but was -1' });
+  assert.throws(() => parseField(integer(), 1.5), { message: 'field should be a whole number, but was 1.5' });
+  assert.throws(() => parseField(integer(), '1'), SchemaError);
+});
+
+test('number accepts finite numbers of at least its minimum', () => {
+  assert.equal(parseField(number(), -2.5), -2.5);
+  assert.equal(parseField(number({ min: 0 }), 12.75), 12.75);
+  assert.throws(() => parseField(number({ min: 0 }), -0.5), { message: 'field should be a number of at least 0, but was -0.5' });
+  for (const value of [NaN, Infinity, '3', null]) {
+    assert.throws(() => parseField(number(), value), SchemaError);
+  }
+});
+
+test('boolean accepts only true and false', () => {
+  assert.equal(parseField(boolean(), false), false);
+  assert.throws(() => parseField(boolean(), 0), { message: 'field should be true or false, but was 0' });
+});
+
+test('timeSpan converts .NET durations to seconds', () => {
+  assert.equal(parseField(timeSpan(), '00:03:25'), 205);
+  assert.equal(parseField(timeSpan(), '1.02:00:00'), 93600);
+  assert.equal(parseField(timeSpan(), '00:00:01.5'), 1.5);
+  assert.equal(parseField(timeSpan(), '-00:00:10'), -10);
+  assert.throws(() => parseField(timeSpan(), '3:25'), SchemaError);
+  assert.throws(() => parseField(timeSpan(), 205), SchemaError);
+});
+
+test('optional turns missing and null values into null', () => {
+  assert.equal(parseField(optional(string()), undefined), null);
+  assert.equal(parseField(optional(string()), null), null);
+  assert.equal(parseField(optional(string()), 'a'), 'a');
+  assert.throws(() => parseField(optional(string()), 1), SchemaError);
+});
+
+test('object keeps known fields, drops unknown ones and names the path of a bad field', () => {
+  const schema = object({
+    title: string(),
+    metadata: object({ duration: timeSpan() }),
+    chapters: arrayOf(object({ start: number({ min: 0 }) }))
+  });
+
+  assert.deepEqual(
+    parse(schema, { title: 'T', extra: true, metadata: { duration: '00:01:00' }, chapters: [{ start: 0 }] }),
+    { title: 'T', metadata: { duration: 60 }, chapters: [{ start: 0 }] }
+  );
+  assert.throws(
+    () => parse(schema, { title: 'T', metadata: { duration: '00:01:00' }, chapters: [{ start: 0 }, { start: -1 }] }),
+    { name: 'SchemaError', path: 'chapters[1].start' }
+  );
+  assert.throws(() => parse(schema, { title: 'T', chapters: [] }), { message: 'metadata should be an object, but was missing' });
+  assert.throws(() => parse(schema, []), { message: 'response should be an object, but was a list' });
+});
+
+test('long strings are shortened in error messages', () => {
+  assert.throws(() => parseField(integer(), 'x'.repeat(50)), { message: `field should be a whole number, but was "${'x'.repeat(40)}..."` });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Search Tests
+// Covers building the workspace search index and ranking, matching and snippeting its results.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, searchIndex } from '../../src/InsightStream.Api/wwwroot/js/search.js';
+
+const videos = [
+  {
+    id: 'aaaaaaaaaaa',
+    title: 'Learning C++ (part 1)',
+    channel: 'Code Channel',
+    summary: 'An **introduction** to [templates](https://example.com) and pointers.',
+    keyPoints: ['Templates are compiled per type'],
+    conversation: {
+      messages: {
+        m2: { id: 'm2', role: 'assistant', content: 'Pointers hold addresses.', timestamp: '2024-01-01T00:00:02Z' },
+        m1: { id: 'm1', role: 'user', content: 'What are pointers?', timestamp: '2024-01-01T00:00:01Z' }
+      }
+    }
+  },
+  {
+    id: 'bbbbbbbbbbb',
+    label: 'My pointer notes',
+    title: 'Untitled',
+    channel: 'Other',
+    summary: ''
+  }
+];
+
+test('the index holds one plain-text entry per field and messages in the order they were written', () => {
+  const index = buildSearchIndex(videos);
+
+  assert.deepEqual(index.filter(entry => entry.videoId === 'aaaaaaaaaaa').map(entry => [entry.kind, entry.text]), [
+    ['title', 'Learning C++ (part 1)'],
+    ['channel', 'Code Channel'],
+    ['summary', 'An introduction to templates and pointers.'],
+    ['keyPoint', 'Templates are compiled per type'],
+    ['message', 'What are pointers?'],
+    ['message', 'Pointers hold addresses.']
+  ]);
+  assert.equal(index.find(entry => entry.messageId === 'm2').role, 'assistant');
+  assert.ok(index.filter(entry => entry.videoId === 'bbbbbbbbbbb').every(entry => entry.videoTitle === 'My pointer notes'));
+});
+
+test('results contain every word of the query, whole words and better fields first', () => {
+  const results = searchIndex(buildSearchIndex(videos), 'POINTER');
+
+  assert.deepEqual(results.map(result => [result.kind, result.text]), [
+    ['title', 'My pointer notes'],
+    ['summary', 'An introduction to templates and pointers.'],
+    ['message', 'What are pointers?'],
+    ['message', 'Pointers hold addresses.']
+  ]);
+  assert.deepEqual(searchIndex(buildSearchIndex(videos), 'pointers templates').map(result => result.kind), ['summary']);
+});
+
+test('queries are matched literally, not as patterns', () => {
+  const index = buildSearchIndex(videos);
+
+  assert.deepEqual(searchIndex(index, 'c++ (part').map(result => result.text), ['Learning C++ (part 1)']);
+  assert.deepEqual(searchIndex(index, '.*'), []);
+  assert.deepEqual(searchIndex(index, '   '), []);
+});
+
+test('hits are merged and long texts are cut to a snippet around the first hit', () => {
+  const long = `${'word '.repeat(40)}needle and needles ${'more '.repeat(40)}`.trim();
+  const [result] = searchIndex([{ videoId: 'x', videoTitle: 'x', kind: 'summary', messageId: null, role: null, text: long }], 'needle needles');
+  const { text, hits } = result.snippet;
+
+  assert.ok(text.startsWith('…') && text.endsWith('…'));
+  assert.deepEqual(hits.map(hit => text.slice(hit.start, hit.end)), ['needle', 'needles']);
+});
+
+test('the number of results is limited', () => {
+  const index = Array.from({ length: 5 }, (_, i) => ({ videoId: `v${i}`, videoTitle: '', kind: 'message', messageId: null, role: null, text: 'same text' }));
+
+  assert.deepEqual(searchIndex(index, 'same', 2).map(result => result.videoId), ['v0', 'v1']);
+});
\ No newline at end of file
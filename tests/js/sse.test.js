@@ -0,0 +1,78 @@
+// SSE Tests
+// Covers the event stream parser: line endings, multi-line data, event IDs and retry values.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSseParser } from '../../src/InsightStream.Api/wwwroot/js/sse.js';
+
+/**
+ * Feed chunks to a new parser and collect what it reports
+ * @param {Array<string>} chunks - Decoded pieces of the stream
+ * @returns {{events: Array<Object>, ids: Array<string>, retries: Array<number>}} - Dispatched events, event IDs and retry values
+ */
+function parse(chunks) {
+  const events = [];
+  const ids = [];
+  const retries = [];
+  const parser = createSseParser(event => events.push(event), {
+    onId: id => ids.push(id),
+    onRetry: ms => retries.push(ms)
+  });
+  chunks.forEach(chunk => parser.push(chunk));
+  return { events, ids, retries };
+}
+
+test('CRLF, CR and LF all end lines', () => {
+  const { events } = parse(['event: token\r\ndata: a\r\n\r\ndata: b\r\rdata: c\n\n']);
+
+  assert.deepEqual(events, [
+    { type: 'token', data: 'a', id: '' },
+    { type: 'message', data: 'b', id: '' },
+    { type: 'message', data: 'c', id: '' }
+  ]);
+});
+
+test('a CRLF split across two chunks is one line break', () => {
+  const { events } = parse(['data: first\r', '\ndata: second\r', '\n\r', '\n']);
+
+  assert.deepEqual(events, [{ type: 'message', data: 'first\nsecond', id: '' }]);
+});
+
+test('lines split across chunks are joined before they are parsed', () => {
+  const { events } = parse(['da', 'ta: hel', 'lo\n', '\n']);
+
+  assert.deepEqual(events, [{ type: 'message', data: 'hello', id: '' }]);
+});
+
+test('data lines of one event are joined with line breaks', () => {
+  const { events } = parse(['data: line one\ndata:line two\ndata\ndata:  indented\n\n']);
+
+  assert.deepEqual(events, [{ type: 'message', data: 'line one\nline two\n\n indented', id: '' }]);
+});
+
+test('comments are skipped and blocks without data dispatch nothing', () => {
+  const { events } = parse([': keep-alive\n\nevent: token\n\n']);
+
+  assert.deepEqual(events, []);
+});
+
+test('the event ID carries over to later events and is reported for every block', () => {
+  const { events, ids } = parse(['id: 7\ndata: a\n\ndata: b\n\nid\n\n']);
+
+  assert.deepEqual(events.map(event => event.id), ['7', '7']);
+  assert.deepEqual(ids, ['7', '7', '']);
+});
+
+test('an ID containing NUL is ignored', () => {
+  const { events } = parse(['id: 1\ndata: a\n\nid: 2\0x\ndata: b\n\n']);
+
+  assert.deepEqual(events.map(event => event.id), ['1', '1']);
+});
+
+test('retry reports whole numbers of milliseconds and ignores anything else', () => {
+  const { retries, events } = parse(['retry: 1500\nretry: 2.5\nretry: soon\nretry:\nretry: 300\n\n']);
+
+  assert.deepEqual(retries, [1500, 300]);
+  assert.deepEqual(events, []);
+});
\ No newline at end of file
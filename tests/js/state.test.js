@@ -0,0 +1,283 @@
+// State Tests
+// Covers the sidebar (pinning, sort orders, tag filtering, tag colors and custom labels) and conversation updates.
+// Run with `node --test tests/js`; without IndexedDB nothing is persisted.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import state, { mutations, TAG_COLORS } from '../../src/InsightStream.Api/wwwroot/js/state.js';
+
+// The sidebar view is saved to localStorage, which Node does not have
+const savedSettings = new Map();
+globalThis.localStorage = {
+  getItem: (key) => savedSettings.get(key) ?? null,
+  setItem: (key, value) => savedSettings.set(key, String(value)),
+  removeItem: (key) => savedSettings.delete(key)
+};
+
+let addedCount = 0;
+
+/**
+ * Add a video to the library without selecting it; each one counts as added after the previous
+ * @param {string} id - Video ID
+ * @param {Object} [fields] - Other video fields
+ */
+function addVideo(id, fields = {}) {
+  addedCount++;
+  mutations.addVideo({ id, title: `Video ${id}`, addedAt: new Date(2024, 0, addedCount), ...fields }, false);
+}
+
+/**
+ * Get the IDs of the videos in the sidebar, in display order
+ * @returns {Array<string>} - Video IDs
+ */
+function sidebarIds() {
+  return mutations.getSidebarVideos().map(video => video.id);
+}
+
+/**
+ * Find a video in the library
+ * @param {string} id - Video ID
+ * @returns {Object} - Video object
+ */
+function getVideo(id) {
+  return state.videos.find(video => video.id === id);
+}
+
+beforeEach(() => {
+  mutations.clearState();
+  savedSettings.clear();
+  addedCount = 0;
+});
+
+test('pinned videos come first, each group in the chosen order', () => {
+  addVideo('a', { title: 'Delta' });
+  addVideo('b', { title: 'Charlie' });
+  addVideo('c', { title: 'Bravo' });
+  addVideo('d', { title: 'Alpha' });
+  mutations.setVideoPinned('c', true);
+  mutations.setVideoPinned('a', true);
+
+  assert.deepEqual(sidebarIds(), ['a', 'c', 'b', 'd']);
+
+  mutations.setSidebarSort('title');
+  assert.deepEqual(sidebarIds(), ['c', 'a', 'd', 'b']);
+
+  mutations.setVideoPinned('c', false);
+  assert.deepEqual(sidebarIds(), ['a', 'd', 'c', 'b']);
+});
+
+test('the added order keeps the order videos were added in', () => {
+  addVideo('a');
+  addVideo('b');
+  addVideo('c');
+
+  assert.equal(state.sidebar.sortBy, 'added');
+  assert.deepEqual(sidebarIds(), ['a', 'b', 'c']);
+});
+
+test('the title order ignores case, compares numbers by value and uses custom labels', () => {
+  addVideo('a', { title: 'part 10' });
+  addVideo('b', { title: 'Part 2' });
+  addVideo('c', { title: 'Zebra' });
+  mutations.setVideoLabel('c', 'Aardvark');
+
+  mutations.setSidebarSort('title');
+
+  assert.deepEqual(sidebarIds(), ['c', 'b', 'a']);
+});
+
+test('the channel order falls back to the title within a channel', () => {
+  addVideo('a', { title: 'Second', channel: 'beta' });
+  addVideo('b', { title: 'Only', channel: 'Alpha' });
+  addVideo('c', { title: 'First', channel: 'Beta' });
+  addVideo('d', { title: 'Untitled channel' });
+
+  mutations.setSidebarSort('channel');
+
+  assert.deepEqual(sidebarIds(), ['d', 'b', 'c', 'a']);
+});
+
+test('the duration order puts the shortest video first', () => {
+  addVideo('a', { duration: 600 });
+  addVideo('b', { duration: 60 });
+  addVideo('c', { duration: 3600 });
+
+  mutations.setSidebarSort('duration');
+
+  assert.deepEqual(sidebarIds(), ['b', 'a', 'c']);
+});
+
+test('an unknown order is ignored, and the chosen order is saved', () => {
+  mutations.setSidebarSort('duration');
+  mutations.setSidebarSort('views');
+
+  assert.equal(state.sidebar.sortBy, 'duration');
+  assert.equal(JSON.parse(localStorage.getItem('insightstream-sidebar')).sortBy, 'duration');
+
+  mutations.clearState();
+  mutations.loadSidebarView();
+  assert.equal(state.sidebar.sortBy, 'duration');
+});
+
+test('the tag filter shows only videos with the tag, pinned ones first', () => {
+  addVideo('a');
+  addVideo('b');
+  addVideo('c');
+  mutations.addVideoTag('a', 'music');
+  mutations.addVideoTag('c', 'music');
+  mutations.addVideoTag('b', 'talks');
+  mutations.setVideoPinned('c', true);
+
+  mutations.setSidebarTagFilter('music');
+
+  assert.deepEqual(sidebarIds(), ['c', 'a']);
+
+  mutations.setSidebarTagFilter(null);
+  assert.deepEqual(sidebarIds(), ['c', 'a', 'b']);
+});
+
+test('the tag filter is cleared once no video has the tag', () => {
+  addVideo('a');
+  addVideo('b');
+  mutations.addVideoTag('a', 'music');
+  mutations.addVideoTag('b', 'music');
+  mutations.setSidebarTagFilter('music');
+
+  mutations.removeVideoTag('a', 'music');
+  assert.equal(state.sidebar.filterTag, 'music');
+  assert.deepEqual(sidebarIds(), ['b']);
+
+  mutations.removeVideo('b');
+  assert.equal(state.sidebar.filterTag, null);
+  assert.deepEqual(sidebarIds(), ['a']);
+});
+
+test('removing the selected video selects its neighbour in the sidebar', () => {
+  addVideo('a');
+  addVideo('b');
+  addVideo('c');
+  mutations.setVideoPinned('c', true);
+  mutations.selectVideo('a');
+
+  assert.equal(mutations.removeVideo('a'), true);
+  assert.equal(state.selectedVideoId, 'b');
+  assert.equal(mutations.removeVideo('a'), false);
+});
+
+test('new tags take the palette colors in order, and reuse wraps around once every color is taken', () => {
+  addVideo('a');
+  TAG_COLORS.forEach((color, index) => mutations.addVideoTag('a', `tag ${index}`));
+  mutations.addVideoTag('a', 'one more');
+
+  assert.deepEqual(getVideo('a').tags.slice(0, TAG_COLORS.length).map(tag => tag.color), TAG_COLORS);
+  assert.equal(getVideo('a').tags.at(-1).color, TAG_COLORS[TAG_COLORS.length % TAG_COLORS.length]);
+});
+
+test('a color freed by a removed tag is given to the next new tag', () => {
+  addVideo('a');
+  mutations.addVideoTag('a', 'first');
+  mutations.addVideoTag('a', 'second');
+  mutations.removeVideoTag('a', 'first');
+
+  mutations.addVideoTag('a', 'third');
+
+  assert.deepEqual(getVideo('a').tags, [
+    { name: 'second', color: TAG_COLORS[1] },
+    { name: 'third', color: TAG_COLORS[0] }
+  ]);
+});
+
+test('a tag already in the library keeps its name and color on another video', () => {
+  addVideo('a');
+  addVideo('b');
+  mutations.addVideoTag('a', 'other');
+  mutations.addVideoTag('a', 'Music');
+  mutations.setTagColor('Music', 'teal');
+
+  assert.equal(mutations.addVideoTag('b', '  music '), true);
+  assert.deepEqual(getVideo('b').tags, [{ name: 'Music', color: 'teal' }]);
+  assert.equal(mutations.addVideoTag('b', 'MUSIC'), false);
+  assert.equal(mutations.addVideoTag('b', '   '), false);
+});
+
+test('changing a tag color changes it on every video, and only to palette colors', () => {
+  addVideo('a');
+  addVideo('b');
+  mutations.addVideoTag('a', 'music');
+  mutations.addVideoTag('b', 'music');
+
+  mutations.setTagColor('music', 'red');
+  mutations.setTagColor('music', 'chartreuse');
+
+  assert.deepEqual(mutations.getTags(), [{ name: 'music', color: 'red', count: 2 }]);
+});
+
+test('a label equal to the title is cleared', () => {
+  addVideo('a', { title: 'Intro to Rust' });
+
+  mutations.setVideoLabel('a', '  Rust   basics ');
+  assert.equal(getVideo('a').label, 'Rust basics');
+
+  mutations.setVideoLabel('a', ' Intro to Rust ');
+  assert.equal('label' in getVideo('a'), false);
+
+  mutations.setVideoLabel('a', 'Rust basics');
+  mutations.setVideoLabel('a', '');
+  assert.equal('label' in getVideo('a'), false);
+});
+
+test('a streamed answer is written to the video it was asked about, even after another is selected', () => {
+  addVideo('a');
+  addVideo('b');
+  mutations.selectVideo('b');
+  mutations.addChatMessage({ role: 'user', content: 'Earlier question' });
+  const earlierAnswer = mutations.addChatMessage({ role: 'assistant', content: 'Earlier answer' });
+  mutations.selectVideo('a');
+  mutations.addChatMessage({ role: 'user', content: 'Question' });
+  const answer = mutations.addChatMessage({ role: 'assistant', content: '' });
+  mutations.setStreaming(true);
+
+  mutations.selectVideo('b');
+  mutations.updateChatMessage('a', answer.id, 'Partial');
+  mutations.markChatMessageStopped('a', answer.id);
+  mutations.setStreaming(false);
+
+  assert.equal(getVideo('a').conversation.messages[answer.id].content, 'Partial');
+  assert.equal(getVideo('a').conversation.messages[answer.id].stopped, true);
+  assert.equal(getVideo('b').conversation.messages[earlierAnswer.id].content, 'Earlier answer');
+  assert.equal(getVideo('b').conversation.messages[earlierAnswer.id].stopped, undefined);
+});
+
+test('server messages are placed under their parent, or after the message before them if it is unknown', () => {
+  addVideo('a');
+  const at = '2024-01-01T00:00:00Z';
+  mutations.syncConversation('a', [
+    { id: 'q1', parentId: 'gone', role: 'user', content: 'First question', timestamp: at },
+    { id: 'a1', parentId: 'q1', role: 'assistant', content: 'First answer', timestamp: at },
+    { id: 'a1b', parentId: 'q1', role: 'assistant', content: 'Regenerated answer', timestamp: at },
+    { id: 'q2', parentId: 'a1', role: 'user', content: 'Follow-up', timestamp: at },
+    { id: 'q3', role: 'user', content: 'Older server copy', timestamp: at }
+  ]);
+
+  const conversation = getVideo('a').conversation;
+  assert.deepEqual(conversation.children.root, ['q1']);
+  assert.deepEqual(conversation.children.q1, ['a1', 'a1b']);
+  assert.deepEqual(conversation.children.a1, ['q2']);
+  assert.deepEqual(conversation.children.q2, ['q3']);
+});
+
+test('a clear made in another tab replaces the local conversation once, then server messages merge again', () => {
+  addVideo('a');
+  mutations.selectVideo('a');
+  mutations.addChatMessage({ role: 'user', content: 'Before the clear' });
+  const at = '2024-01-01T00:00:00Z';
+  const clearedAt = '2024-01-02T00:00:00Z';
+
+  mutations.syncConversation('a', [{ id: 'q1', role: 'user', content: 'After the clear', timestamp: at }], clearedAt);
+  assert.deepEqual(mutations.getChatMessages('a').map(message => message.content), ['After the clear']);
+  assert.equal(getVideo('a').conversationClearedAt, clearedAt);
+
+  mutations.addChatMessage({ role: 'assistant', content: 'Local answer' });
+  mutations.syncConversation('a', [{ id: 'q1', role: 'user', content: 'After the clear', timestamp: at }], clearedAt);
+  assert.deepEqual(mutations.getChatMessages('a').map(message => message.content), ['After the clear', 'Local answer']);
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Virtual Layout Tests
+// Covers the offsets, visible ranges and scroll anchoring shared by the chat list and transcript viewer.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVirtualLayout } from '../../src/InsightStream.Api/wwwroot/js/virtual-layout.js';
+
+test('unmeasured items are laid out at the estimated height', () => {
+  const layout = createVirtualLayout(50);
+  layout.setKeys(['a', 'b', 'c']);
+
+  assert.equal(layout.offset(2), 100);
+  assert.equal(layout.totalHeight(), 150);
+  assert.equal(layout.itemAt(0), 0);
+  assert.equal(layout.itemAt(99), 1);
+  assert.equal(layout.itemAt(100), 2);
+  assert.equal(layout.itemAt(1000), 2);
+  assert.deepEqual(layout.range(60, 20, 15), { first: 0, last: 1 });
+});
+
+test('measured heights are kept by key when the items change', () => {
+  const layout = createVirtualLayout(50);
+  layout.setKeys(['a', 'b']);
+
+  assert.equal(layout.measure([['a', { offsetHeight: 80 }], ['b', { offsetHeight: 0 }]]), true);
+  assert.equal(layout.measure([['a', { offsetHeight: 80.2 }]]), false);
+  assert.equal(layout.hasHeight('a'), true);
+  assert.equal(layout.hasHeight('b'), false);
+
+  layout.setKeys(['c', 'a']);
+  assert.equal(layout.totalHeight(), 130);
+
+  layout.clear();
+  assert.equal(layout.totalHeight(), 100);
+});
+
+test('a relayout keeps the item at the top of the view in place', () => {
+  const layout = createVirtualLayout(50);
+  layout.setKeys(['a', 'b', 'c']);
+
+  // Scrolled 10px into the third item, then the first turns out 30px taller
+  layout.measure([['a', { offsetHeight: 80 }]]);
+  assert.equal(layout.relayout(110), 140);
+  assert.equal(layout.offset(2), 130);
+});
\ No newline at end of file
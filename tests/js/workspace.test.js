@@ -0,0 +1,120 @@
+// Workspace Tests
+// Covers validating imported video exports and workspace bundles.
+// Run with `node --test tests/js`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVideoJson } from '../../src/InsightStream.Api/wwwroot/js/export.js';
+import { parseWorkspaceJson } from '../../src/InsightStream.Api/wwwroot/js/workspace.js';
+
+/**
+ * Build the JSON text of a workspace bundle
+ * @param {Array<Object>} videos - Serialized videos
+ * @returns {string} - JSON text
+ */
+function bundle(videos) {
+  return JSON.stringify({ format: 'insightstream.workspace', version: 1, videos });
+}
+
+test('a bundle of valid videos is imported', () => {
+  const { videos } = parseWorkspaceJson(bundle([
+    { video: { id: 'dQw4w9WgXcQ', title: 'First' } },
+    { video: { id: 'jNQXAC9IVRw', title: 'Second' }, messages: [{ role: 'user', content: 'Question' }] }
+  ]));
+
+  assert.deepEqual(videos.map(video => video.id), ['dQw4w9WgXcQ', 'jNQXAC9IVRw']);
+  assert.equal(Object.keys(videos[1].conversation.messages).length, 1);
+});
+
+test('a bundle with an ID that is not a YouTube video ID is rejected', () => {
+  assert.throws(
+    () => parseWorkspaceJson(bundle([{ video: { id: '"><img src=x onerror=alert(1)>', title: 'Injected' } }])),
+    /Video 1 in the bundle is invalid: .* is not a YouTube video ID/
+  );
+  assert.throws(
+    () => parseVideoJson(JSON.stringify({ format: 'insightstream.video', version: 1, video: { id: 'dQw4w9WgXcQx' } })),
+    /is not a YouTube video ID/
+  );
+});
+
+/**
+ * Build a serialized video with a conversation tree
+ * @param {Object} conversation - Conversation tree
+ * @returns {Object} - Serialized video
+ */
+function videoWithTree(conversation) {
+  return { video: { id: 'dQw4w9WgXcQ', title: 'Video' }, conversation };
+}
+
+test('a conversation tree is imported as it is when it is well formed', () => {
+  const conversation = {
+    messages: {
+      q1: { id: 'q1', parentId: null, role: 'user', content: 'Question' },
+      a1: { id: 'a1', parentId: 'q1', role: 'assistant', content: 'Answer' },
+      a2: { id: 'a2', parentId: 'q1', role: 'assistant', content: 'Regenerated answer' }
+    },
+    children: { root: ['q1'], q1: ['a1', 'a2'] },
+    activeChild: { root: 'q1', q1: 'a2' }
+  };
+
+  const [video] = parseWorkspaceJson(bundle([videoWithTree(conversation)])).videos;
+
+  assert.deepEqual(video.conversation.children, conversation.children);
+  assert.equal(video.conversation.activeChild.q1, 'a2');
+});
+
+test('a conversation tree that is inconsistent or loops is rejected', () => {
+  const question = { id: 'a', parentId: null, role: 'user', content: 'Question' };
+  const invalidTrees = [
+    // The active child points back at its own parent
+    { messages: { a: question }, children: { root: ['a'] }, activeChild: { root: 'a', a: 'a' } },
+    // Two messages are each other's parent, and neither hangs under the root
+    {
+      messages: { a: { ...question, parentId: 'b' }, b: { ...question, id: 'b', parentId: 'a' } },
+      children: { a: ['b'], b: ['a'] },
+      activeChild: { a: 'b', b: 'a' }
+    },
+    // A listed child that does not exist
+    { messages: { a: question }, children: { root: ['a', 'missing'] }, activeChild: { root: 'a' } },
+    // A message listed under a parent other than its own
+    {
+      messages: { a: question, b: { ...question, id: 'b', parentId: 'a' } },
+      children: { root: ['a', 'b'] },
+      activeChild: { root: 'a' }
+    },
+    // A message that is not listed at all
+    { messages: { a: question, b: { ...question, id: 'b' } }, children: { root: ['a'] }, activeChild: {} }
+  ];
+
+  for (const conversation of invalidTrees) {
+    assert.throws(
+      () => parseWorkspaceJson(bundle([videoWithTree(conversation)])),
+      /is not a valid conversation tree/
+    );
+  }
+});
+
+test('citations that do not match the stored shape are dropped from the imported answer', () => {
+  const citation = {
+    label: '[01:30]',
+    videoId: 'dQw4w9WgXcQ',
+    start: 90,
+    chunks: [{ chunkIndex: 1, startTime: 90, endTime: 200, excerpt: 'Now the main topic.' }]
+  };
+  const injected = { ...citation, chunks: [{ ...citation.chunks[0], startTime: '"><img src=x onerror=alert(1)>' }] };
+
+  const { videos } = parseWorkspaceJson(bundle([{
+    video: { id: 'dQw4w9WgXcQ', title: 'Video' },
+    messages: [
+      { role: 'user', content: 'Question' },
+      { role: 'assistant', content: 'It starts at [01:30].', citations: [citation] },
+      { role: 'assistant', content: 'Injected', citations: [injected] }
+    ]
+  }]));
+
+  const [, answer, injectedAnswer] = Object.values(videos[0].conversation.messages);
+  assert.equal(answer.citations[0].chunks[0].startTime, 90);
+  assert.equal(answer.citations[0].videoLabel, null);
+  assert.equal('citations' in injectedAnswer, false);
+  assert.equal(injectedAnswer.content, 'Injected');
+});
\ No newline at end of file